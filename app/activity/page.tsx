@@ -0,0 +1,12 @@
+'use client'
+
+import React from 'react'
+import { ActivityFeed } from '../../src/components/ActivityFeed'
+
+export default function ActivityPage() {
+  return (
+    <main>
+      <ActivityFeed />
+    </main>
+  )
+}
@@ -0,0 +1,14 @@
+import { listActivity } from '../../../src/server/todoService';
+import { jsonResponse, errorResponse } from '../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+// The latest changes to any todo, newest first; ?limit= caps how many (100 by default)
+export async function GET(request: Request) {
+  try {
+    const limit = new URL(request.url).searchParams.get('limit');
+    return jsonResponse(await (limit === null ? listActivity() : listActivity(limit)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
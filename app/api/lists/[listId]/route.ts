@@ -0,0 +1,29 @@
+import { updateList, deleteList } from '../../../../src/server/todoService';
+import { jsonResponse, errorResponse, readJsonBody, asClient } from '../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: Promise<{ listId: string }>;
+}
+
+// Body: { name } and/or { archived }
+export async function PATCH(request: Request, { params }: RouteContext) {
+  try {
+    const { listId } = await params;
+    const body = await readJsonBody(request);
+    return jsonResponse(await updateList(listId, body));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// Deletes the todos in the list too and lists their ids in `deleted`
+export async function DELETE(request: Request, { params }: RouteContext) {
+  try {
+    const { listId } = await params;
+    return jsonResponse({ id: listId, deleted: await asClient(request, () => deleteList(listId)) });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
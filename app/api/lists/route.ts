@@ -0,0 +1,21 @@
+import { listLists, createList } from '../../../src/server/todoService';
+import { jsonResponse, errorResponse, readJsonBody } from '../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  try {
+    return jsonResponse(await listLists());
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function POST(request: Request) {
+  try {
+    const body = await readJsonBody(request);
+    return jsonResponse(await createList(body), 201);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,28 @@
+import { renameTag, deleteTag } from '../../../../src/server/todoService';
+import { jsonResponse, errorResponse, readJsonBody, asClient } from '../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: Promise<{ tag: string }>;
+}
+
+// Both respond with the todos that changed
+export async function PATCH(request: Request, { params }: RouteContext) {
+  try {
+    const { tag } = await params;
+    const body = await readJsonBody(request);
+    return jsonResponse(await asClient(request, () => renameTag(tag, body && body.name)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function DELETE(request: Request, { params }: RouteContext) {
+  try {
+    const { tag } = await params;
+    return jsonResponse(await asClient(request, () => deleteTag(tag)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
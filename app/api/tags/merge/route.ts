@@ -0,0 +1,14 @@
+import { mergeTags } from '../../../../src/server/todoService';
+import { jsonResponse, errorResponse, readJsonBody, asClient } from '../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+// { tags: string[], into: string } - responds with the todos that changed
+export async function POST(request: Request) {
+  try {
+    const body = await readJsonBody(request);
+    return jsonResponse(await asClient(request, () => mergeTags(body && body.tags, body && body.into)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
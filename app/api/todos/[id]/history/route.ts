@@ -0,0 +1,18 @@
+import { getTodoHistory } from '../../../../../src/server/todoService';
+import { jsonResponse, errorResponse } from '../../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: Promise<{ id: string }>;
+}
+
+// Activity log of one todo, newest first - kept after the todo is deleted
+export async function GET(_request: Request, { params }: RouteContext) {
+  try {
+    const { id } = await params;
+    return jsonResponse(await getTodoHistory(id));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,19 @@
+import { moveTodo } from '../../../../../src/server/todoService';
+import { jsonResponse, errorResponse, readJsonBody, asClient } from '../../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: Promise<{ id: string }>;
+}
+
+// Body: { listId } - responds with the todo and its subtasks as moved
+export async function POST(request: Request, { params }: RouteContext) {
+  try {
+    const { id } = await params;
+    const body = await readJsonBody(request);
+    return jsonResponse(await asClient(request, () => moveTodo(id, body && body.listId)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,19 @@
+import { reorderTodo } from '../../../../../src/server/todoService';
+import { jsonResponse, errorResponse, readJsonBody, asClient } from '../../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: Promise<{ id: string }>;
+}
+
+// Body: { beforeId } or { afterId } - responds with every todo whose order changed
+export async function POST(request: Request, { params }: RouteContext) {
+  try {
+    const { id } = await params;
+    const body = await readJsonBody(request);
+    return jsonResponse(await asClient(request, () => reorderTodo(id, body)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,18 @@
+import { restoreTodo } from '../../../../../src/server/todoService';
+import { jsonResponse, errorResponse, asClient } from '../../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: Promise<{ id: string }>;
+}
+
+// Responds with the restored todo and the subtasks restored with it
+export async function POST(request: Request, { params }: RouteContext) {
+  try {
+    const { id } = await params;
+    return jsonResponse(await asClient(request, () => restoreTodo(id)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,39 @@
+import { getTodo, updateTodo, deleteTodo } from '../../../../src/server/todoService';
+import { jsonResponse, errorResponse, readJsonBody, asClient, expectedRevision } from '../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: Promise<{ id: string }>;
+}
+
+export async function GET(_request: Request, { params }: RouteContext) {
+  try {
+    const { id } = await params;
+    return jsonResponse(await getTodo(id));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function PATCH(request: Request, { params }: RouteContext) {
+  try {
+    const { id } = await params;
+    const body = await readJsonBody(request);
+    const revision = expectedRevision(request);
+    return jsonResponse(await asClient(request, () => updateTodo(id, body, revision)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function DELETE(request: Request, { params }: RouteContext) {
+  try {
+    const { id } = await params;
+    const revision = expectedRevision(request);
+    // Moves the todo to the Trash - `deleted` also lists the subtasks that went with it
+    return jsonResponse({ id, deleted: await asClient(request, () => deleteTodo(id, revision)) });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
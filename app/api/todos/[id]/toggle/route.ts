@@ -0,0 +1,20 @@
+import { toggleTodo } from '../../../../../src/server/todoService';
+import { jsonResponse, errorResponse, asClient, expectedRevision } from '../../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: Promise<{ id: string }>;
+}
+
+// ?completeParents=true also completes the parent once its last open subtask is completed
+export async function POST(request: Request, { params }: RouteContext) {
+  try {
+    const { id } = await params;
+    const revision = expectedRevision(request);
+    const completeParents = new URL(request.url).searchParams.get('completeParents') === 'true';
+    return jsonResponse(await asClient(request, () => toggleTodo(id, revision, completeParents)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,14 @@
+import { batchTodos } from '../../../../src/server/todoService';
+import { jsonResponse, errorResponse, readJsonBody, asClient } from '../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+// Body: { action, ids, listId?, tag? } - responds with { results, todos, deleted }
+export async function POST(request: Request) {
+  try {
+    const body = await readJsonBody(request);
+    return jsonResponse(await asClient(request, () => batchTodos(body)));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
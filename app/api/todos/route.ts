@@ -0,0 +1,22 @@
+import { listTodos, createTodo } from '../../../src/server/todoService';
+import { jsonResponse, errorResponse, readJsonBody, asClient } from '../../../src/server/http';
+
+// Always hit the store - never serve a cached list
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  try {
+    return jsonResponse(await listTodos());
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+export async function POST(request: Request) {
+  try {
+    const body = await readJsonBody(request);
+    return jsonResponse(await asClient(request, () => createTodo(body)), 201);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,15 @@
+import { createTodoEventStream, requestedRevision } from '../../../../src/server/todoStream';
+
+// A live connection per client - never cached
+export const dynamic = 'force-dynamic';
+
+// Server-Sent Events with every todo change (see src/server/todoStream.ts)
+export async function GET(request: Request) {
+  return new Response(createTodoEventStream(requestedRevision(request), request.signal), {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    },
+  });
+}
@@ -0,0 +1,18 @@
+import { purgeTodo } from '../../../../../src/server/todoService';
+import { jsonResponse, errorResponse, asClient } from '../../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+  params: Promise<{ id: string }>;
+}
+
+// Deletes a todo in the Trash for good - `deleted` also lists its subtasks
+export async function DELETE(request: Request, { params }: RouteContext) {
+  try {
+    const { id } = await params;
+    return jsonResponse({ id, deleted: await asClient(request, () => purgeTodo(id)) });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,13 @@
+import { purgeExpiredTrash } from '../../../../../src/server/todoService';
+import { jsonResponse, errorResponse, asClient } from '../../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+// Deletes the todos that stayed in the Trash past the retention window for good
+export async function POST(request: Request) {
+  try {
+    return jsonResponse({ deleted: await asClient(request, purgeExpiredTrash) });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,12 @@
+import { listTrash } from '../../../../src/server/todoService';
+import { jsonResponse, errorResponse } from '../../../../src/server/http';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  try {
+    return jsonResponse(await listTrash());
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
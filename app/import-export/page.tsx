@@ -0,0 +1,12 @@
+'use client'
+
+import React from 'react'
+import { TodoImportExport } from '../../src/components/TodoImportExport'
+
+export default function ImportExportPage() {
+  return (
+    <main>
+      <TodoImportExport />
+    </main>
+  )
+}
@@ -0,0 +1,20 @@
+import React from 'react'
+import { TodoApp } from '../../../src/components/TodoApp'
+import TodoHydrationBoundary from '../../../src/components/TodoHydrationBoundary'
+import { TODO_ACTIONS, loadInitialTodoState } from '../../../src/server/initialState'
+
+// Rendered per request from the current store
+export const dynamic = 'force-dynamic'
+
+export default async function ListPage({ params }: { params: Promise<{ listId: string }> }) {
+  const { listId } = await params
+  const initialState = await loadInitialTodoState()
+
+  return (
+    <main>
+      <TodoHydrationBoundary initialState={initialState}>
+        <TodoApp listId={decodeURIComponent(listId)} actions={initialState ? TODO_ACTIONS : undefined} />
+      </TodoHydrationBoundary>
+    </main>
+  )
+}
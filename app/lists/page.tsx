@@ -0,0 +1,12 @@
+'use client'
+
+import React from 'react'
+import { ListManager } from '../../src/components/ListManager'
+
+export default function ListsPage() {
+  return (
+    <main>
+      <ListManager />
+    </main>
+  )
+}
@@ -1,12 +1,19 @@
-'use client'
-
 import React from 'react'
 import { TodoApp } from '../src/components/TodoApp'
+import TodoHydrationBoundary from '../src/components/TodoHydrationBoundary'
+import { TODO_ACTIONS, loadInitialTodoState } from '../src/server/initialState'
+
+// Rendered per request from the current store
+export const dynamic = 'force-dynamic'
+
+export default async function HomePage() {
+  const initialState = await loadInitialTodoState()
 
-export default function HomePage() {
   return (
     <main>
-      <TodoApp />
+      <TodoHydrationBoundary initialState={initialState}>
+        <TodoApp actions={initialState ? TODO_ACTIONS : undefined} />
+      </TodoHydrationBoundary>
     </main>
   )
-}
\ No newline at end of file
+}
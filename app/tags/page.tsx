@@ -0,0 +1,12 @@
+'use client'
+
+import React from 'react'
+import { TagManager } from '../../src/components/TagManager'
+
+export default function TagsPage() {
+  return (
+    <main>
+      <TagManager />
+    </main>
+  )
+}
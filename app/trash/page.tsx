@@ -0,0 +1,12 @@
+'use client'
+
+import React from 'react'
+import { TodoTrash } from '../../src/components/TodoTrash'
+
+export default function TrashPage() {
+  return (
+    <main>
+      <TodoTrash />
+    </main>
+  )
+}
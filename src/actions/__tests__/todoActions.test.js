@@ -16,6 +16,10 @@ import {
   toggleTodoRequest,
   toggleTodoSuccess,
   toggleTodoFailure,
+  retryTodoRequest,
+  queueMutationSuccess,
+  replayQueueSuccess,
+  queuedMutationRequest,
 } from '../todoActions';
 
 describe('Todo Actions', () => {
@@ -40,7 +44,18 @@ describe('Todo Actions', () => {
         
         TOGGLE_TODO_REQUEST: 'TOGGLE_TODO_REQUEST',
         TOGGLE_TODO_SUCCESS: 'TOGGLE_TODO_SUCCESS',
-        TOGGLE_TODO_FAILURE: 'TOGGLE_TODO_FAILURE'
+        TOGGLE_TODO_FAILURE: 'TOGGLE_TODO_FAILURE',
+
+        REORDER_TODO_REQUEST: 'REORDER_TODO_REQUEST',
+        REORDER_TODO_SUCCESS: 'REORDER_TODO_SUCCESS',
+        REORDER_TODO_FAILURE: 'REORDER_TODO_FAILURE',
+
+        BATCH_TODOS_REQUEST: 'BATCH_TODOS_REQUEST',
+        BATCH_TODOS_SUCCESS: 'BATCH_TODOS_SUCCESS',
+        BATCH_TODOS_FAILURE: 'BATCH_TODOS_FAILURE',
+
+        QUEUE_MUTATION_SUCCESS: 'QUEUE_MUTATION_SUCCESS',
+        REPLAY_QUEUE_SUCCESS: 'REPLAY_QUEUE_SUCCESS'
       });
     });
 
@@ -350,6 +365,12 @@ describe('Todo Actions', () => {
           payload: error
         });
       });
+
+      it('carries the todo id in meta when given', () => {
+        const action = updateTodoFailure('Todo not found', '123');
+
+        expect(action.meta).toEqual({ id: '123' });
+      });
     });
   });
 
@@ -403,6 +424,12 @@ describe('Todo Actions', () => {
           payload: error
         });
       });
+
+      it('carries the todo id in meta when given', () => {
+        const action = deleteTodoFailure('Cannot delete todo', '123');
+
+        expect(action.meta).toEqual({ id: '123' });
+      });
     });
   });
 
@@ -450,6 +477,63 @@ describe('Todo Actions', () => {
           payload: error
         });
       });
+
+      it('carries the todo id in meta when given', () => {
+        const action = toggleTodoFailure('Failed to toggle todo', '123');
+
+        expect(action).toEqual({
+          type: TODO_ACTIONS.TOGGLE_TODO_FAILURE,
+          payload: 'Failed to toggle todo',
+          meta: { id: '123' }
+        });
+      });
+    });
+  });
+
+  describe('Retry Todo Actions', () => {
+    describe('retryTodoRequest', () => {
+      it('re-creates the failed request action unchanged', () => {
+        const failedRequest = updateTodoRequest('123', { text: 'Retry me' });
+
+        expect(retryTodoRequest(failedRequest)).toEqual({
+          type: TODO_ACTIONS.UPDATE_TODO_REQUEST,
+          payload: { id: '123', updates: { text: 'Retry me' } }
+        });
+      });
+    });
+  });
+
+  describe('Offline Queue Actions', () => {
+    const mutation = {
+      id: 'q1',
+      operation: 'update',
+      todoId: '123',
+      payload: { text: 'Offline edit' },
+      baseVersion: '2023-01-01T00:00:00.000Z',
+      queuedAt: '2023-01-02T00:00:00.000Z'
+    };
+
+    it('creates QUEUE_MUTATION_SUCCESS with the queued mutation', () => {
+      expect(queueMutationSuccess(mutation)).toEqual({
+        type: TODO_ACTIONS.QUEUE_MUTATION_SUCCESS,
+        payload: mutation
+      });
+    });
+
+    it('creates REPLAY_QUEUE_SUCCESS with the replay result', () => {
+      const result = { synced: [], conflicts: [], rejected: [], remaining: 0 };
+      expect(replayQueueSuccess(result)).toEqual({
+        type: TODO_ACTIONS.REPLAY_QUEUE_SUCCESS,
+        payload: result
+      });
+    });
+
+    it('maps a queued mutation back to the request action that re-applies it', () => {
+      expect(queuedMutationRequest(mutation)).toEqual(updateTodoRequest('123', { text: 'Offline edit' }));
+      expect(queuedMutationRequest({ ...mutation, operation: 'toggle' })).toEqual(toggleTodoRequest('123'));
+      expect(queuedMutationRequest({ ...mutation, operation: 'delete' })).toEqual(deleteTodoRequest('123'));
+      expect(queuedMutationRequest({ ...mutation, operation: 'add', payload: { text: 'New' } }))
+        .toEqual(addTodoRequest({ text: 'New' }));
     });
   });
 
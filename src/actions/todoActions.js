@@ -17,9 +17,24 @@ export const TODO_ACTIONS = {
   
   TOGGLE_TODO_REQUEST: 'TOGGLE_TODO_REQUEST',
   TOGGLE_TODO_SUCCESS: 'TOGGLE_TODO_SUCCESS',
-  TOGGLE_TODO_FAILURE: 'TOGGLE_TODO_FAILURE'
+  TOGGLE_TODO_FAILURE: 'TOGGLE_TODO_FAILURE',
+
+  REORDER_TODO_REQUEST: 'REORDER_TODO_REQUEST',
+  REORDER_TODO_SUCCESS: 'REORDER_TODO_SUCCESS',
+  REORDER_TODO_FAILURE: 'REORDER_TODO_FAILURE',
+
+  BATCH_TODOS_REQUEST: 'BATCH_TODOS_REQUEST',
+  BATCH_TODOS_SUCCESS: 'BATCH_TODOS_SUCCESS',
+  BATCH_TODOS_FAILURE: 'BATCH_TODOS_FAILURE',
+
+  QUEUE_MUTATION_SUCCESS: 'QUEUE_MUTATION_SUCCESS',
+  REPLAY_QUEUE_SUCCESS: 'REPLAY_QUEUE_SUCCESS'
 };
 
+// FSA meta carrying the id of the todo a failed item mutation belongs to,
+// so the reducer can roll back just that todo
+const withTodoMeta = (action, id) => (id === undefined ? action : { ...action, meta: { id } });
+
 export const fetchTodosRequest = () => ({
   type: TODO_ACTIONS.FETCH_TODOS_REQUEST
 });
@@ -59,10 +74,10 @@ export const updateTodoSuccess = (todo) => ({
   payload: todo
 });
 
-export const updateTodoFailure = (error) => ({
+export const updateTodoFailure = (error, id) => withTodoMeta({
   type: TODO_ACTIONS.UPDATE_TODO_FAILURE,
   payload: error
-});
+}, id);
 
 export const deleteTodoRequest = (id) => ({
   type: TODO_ACTIONS.DELETE_TODO_REQUEST,
@@ -74,10 +89,10 @@ export const deleteTodoSuccess = (id) => ({
   payload: id
 });
 
-export const deleteTodoFailure = (error) => ({
+export const deleteTodoFailure = (error, id) => withTodoMeta({
   type: TODO_ACTIONS.DELETE_TODO_FAILURE,
   payload: error
-});
+}, id);
 
 export const toggleTodoRequest = (id) => ({
   type: TODO_ACTIONS.TOGGLE_TODO_REQUEST,
@@ -89,7 +104,73 @@ export const toggleTodoSuccess = (todo) => ({
   payload: todo
 });
 
-export const toggleTodoFailure = (error) => ({
+export const toggleTodoFailure = (error, id) => withTodoMeta({
   type: TODO_ACTIONS.TOGGLE_TODO_FAILURE,
   payload: error
-});
\ No newline at end of file
+}, id);
+
+// target is { beforeId } or { afterId }
+export const reorderTodoRequest = (id, target) => ({
+  type: TODO_ACTIONS.REORDER_TODO_REQUEST,
+  payload: { id, target }
+});
+
+// payload: every todo whose order the server changed
+export const reorderTodoSuccess = (todos) => ({
+  type: TODO_ACTIONS.REORDER_TODO_SUCCESS,
+  payload: todos
+});
+
+export const reorderTodoFailure = (error) => ({
+  type: TODO_ACTIONS.REORDER_TODO_FAILURE,
+  payload: error
+});
+
+// request: { action, ids, listId?, tag? }
+export const batchTodosRequest = (request) => ({
+  type: TODO_ACTIONS.BATCH_TODOS_REQUEST,
+  payload: request
+});
+
+// payload: { results, todos, deleted } from the server; meta keeps the request so
+// failed items can be retried on their own
+export const batchTodosSuccess = (result, request) => ({
+  type: TODO_ACTIONS.BATCH_TODOS_SUCCESS,
+  payload: result,
+  meta: { request }
+});
+
+export const batchTodosFailure = (error) => ({
+  type: TODO_ACTIONS.BATCH_TODOS_FAILURE,
+  payload: error
+});
+
+// Re-dispatches the request action kept as the retry handle of a failed todo
+export const retryTodoRequest = (failedRequest) => failedRequest;
+
+// A mutation that could not reach the server was kept locally and queued for replay
+export const queueMutationSuccess = (mutation) => ({
+  type: TODO_ACTIONS.QUEUE_MUTATION_SUCCESS,
+  payload: mutation
+});
+
+export const replayQueueSuccess = (result) => ({
+  type: TODO_ACTIONS.REPLAY_QUEUE_SUCCESS,
+  payload: result
+});
+
+// Request action that re-applies a queued mutation the server did not accept
+export const queuedMutationRequest = (mutation) => {
+  switch (mutation.operation) {
+    case 'add':
+      return addTodoRequest(mutation.payload);
+    case 'update':
+      return updateTodoRequest(mutation.todoId, mutation.payload);
+    case 'toggle':
+      return toggleTodoRequest(mutation.todoId);
+    case 'delete':
+      return deleteTodoRequest(mutation.todoId);
+    default:
+      return null;
+  }
+};
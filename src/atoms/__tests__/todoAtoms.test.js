@@ -0,0 +1,1335 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createStore } from 'jotai';
+import { QueryClient } from '@tanstack/react-query';
+import { queryClientAtom } from 'jotai-tanstack-query';
+import { todoApi, TodoApiError, TodoConflictError, TODO_CLIENT_ID } from '../../services/todoApi';
+import { OfflineQueue, createMemoryQueueStorage, setOfflineQueue } from '../../services/offlineQueue';
+import { TODOS_STORAGE_KEY, FILTER_STORAGE_KEY, SORT_STORAGE_KEY } from '../todoPersistence';
+import {
+  TODOS_QUERY_KEY,
+  LISTS_QUERY_KEY,
+  serverStateEnabledAtom,
+  todosAtom,
+  todosStatusAtom,
+  filteredTodosAtom,
+  filterAtom,
+  sortAtom,
+  sortedTodosAtom,
+  tagFilterAtom,
+  tagsAtom,
+  renameTagActionAtom,
+  mergeTagsActionAtom,
+  deleteTagActionAtom,
+  searchQueryAtom,
+  searchHighlightsAtom,
+  addSubtaskActionAtom,
+  subtaskProgressAtom,
+  completeParentsAtom,
+  reorderTodoActionAtom,
+  listsAtom,
+  currentListIdAtom,
+  currentListAtom,
+  todoStatsAtom,
+  createListActionAtom,
+  renameListActionAtom,
+  archiveListActionAtom,
+  deleteListActionAtom,
+  moveTodoActionAtom,
+  batchTodosActionAtom,
+  importTodosActionAtom,
+  TRASH_QUERY_KEY,
+  trashAtom,
+  restoreTodoActionAtom,
+  purgeTodoActionAtom,
+  trashPurgeAtom,
+  errorAtom,
+  pendingMutationsAtom,
+  todoErrorsAtom,
+  todoStatusAtom,
+  queuedMutationsAtom,
+  replayOfflineQueueAtom,
+  retryTodoActionAtom,
+  addTodoActionAtom,
+  updateTodoActionAtom,
+  deleteTodoActionAtom,
+  toggleTodoActionAtom,
+  nowAtom,
+  remindersAtom,
+  checkRemindersAtom,
+  dismissReminderAtom,
+  applyTodoEventAtom,
+  ACTIVITY_QUERY_KEY,
+  todoHistoryQueryKey,
+  todoRevisionAtom,
+  todoConflictsAtom,
+  resolveTodoConflictActionAtom
+} from '../todoAtoms';
+import {
+  historyAtom,
+  canUndoAtom,
+  canRedoAtom,
+  historyToastAtom,
+  UNDONE_MESSAGE,
+  undoableDeleteTodoAtom,
+  undoableToggleTodoAtom,
+  undoableUpdateTodoAtom,
+  undoableBatchTodosAtom,
+  undoableReorderTodoAtom,
+  undoAtom,
+  redoAtom
+} from '../historyAtoms';
+import { previewImport } from '../../utils/todoImportExport';
+import { sortByOrder } from '../../utils/todoOrder';
+
+vi.mock('../../services/todoApi', async (importOriginal) => ({
+  ...(await importOriginal()),
+  todoApi: {
+    fetchTodos: vi.fn(),
+    fetchTodo: vi.fn(),
+    addTodo: vi.fn(),
+    updateTodo: vi.fn(),
+    deleteTodo: vi.fn(),
+    fetchTrash: vi.fn(),
+    getHistory: vi.fn(),
+    fetchActivity: vi.fn(),
+    restoreTodo: vi.fn(),
+    purgeTodo: vi.fn(),
+    toggleTodo: vi.fn(),
+    reorderTodo: vi.fn(),
+    moveTodo: vi.fn(),
+    batch: vi.fn(),
+    renameTag: vi.fn(),
+    mergeTags: vi.fn(),
+    deleteTag: vi.fn(),
+    fetchLists: vi.fn(),
+    createList: vi.fn(),
+    updateList: vi.fn(),
+    deleteList: vi.fn()
+  }
+}));
+
+const offline = (message) => new TodoApiError(message, 0);
+
+const serverTodos = [
+  { id: '1', text: 'Server todo 1', completed: false, createdAt: '2023-01-01T00:00:00.000Z' },
+  { id: '2', text: 'Server todo 2', completed: true, createdAt: '2023-01-02T00:00:00.000Z' }
+];
+
+describe('todoAtoms', () => {
+  describe('local state (USE_TANSTACK_QUERY disabled)', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+    });
+
+    it('adds, updates, toggles and deletes todos without touching the API', async () => {
+      await store.set(addTodoActionAtom, { text: 'Local todo' });
+      const [todo] = store.get(todosAtom);
+      expect(todo).toMatchObject({ text: 'Local todo', completed: false });
+
+      await store.set(updateTodoActionAtom, { id: todo.id, updates: { text: 'Renamed' } });
+      await store.set(toggleTodoActionAtom, todo.id);
+      expect(store.get(todosAtom)[0]).toMatchObject({ text: 'Renamed', completed: true });
+
+      await store.set(deleteTodoActionAtom, todo.id);
+      expect(store.get(todosAtom)).toEqual([]);
+      expect(todoApi.addTodo).not.toHaveBeenCalled();
+    });
+
+    it('persists todos and the filter so a new store picks them up', async () => {
+      await store.set(addTodoActionAtom, { text: 'Saved' });
+      store.set(filterAtom, 'active');
+
+      expect(JSON.parse(window.localStorage.getItem(TODOS_STORAGE_KEY))).toMatchObject({
+        version: 2,
+        data: [{ text: 'Saved', completed: false, order: 1 }]
+      });
+
+      const reloaded = createStore();
+      reloaded.set(serverStateEnabledAtom, false);
+      reloaded.sub(filteredTodosAtom, () => {});
+      expect(reloaded.get(todosAtom)).toEqual([expect.objectContaining({ text: 'Saved' })]);
+      expect(reloaded.get(filterAtom)).toBe('active');
+    });
+
+    it('migrates todos saved before storage was versioned', () => {
+      window.localStorage.setItem(TODOS_STORAGE_KEY, JSON.stringify([
+        { id: 1, text: 'Old', completed: 'yes' },
+        { text: 'No id' }
+      ]));
+
+      store.sub(todosAtom, () => {});
+
+      expect(store.get(todosAtom)).toEqual([{ id: '1', text: 'Old', completed: false, order: 1 }]);
+    });
+
+    it('numbers todos saved before manual ordering existed', () => {
+      window.localStorage.setItem(TODOS_STORAGE_KEY, JSON.stringify({
+        version: 1,
+        data: [
+          { id: 'a', text: 'First', completed: false },
+          { id: 'b', text: 'Second', completed: true }
+        ]
+      }));
+
+      store.sub(todosAtom, () => {});
+
+      expect(store.get(todosAtom).map(todo => todo.order)).toEqual([1, 2]);
+    });
+
+    it('picks up changes saved by another tab', () => {
+      const unsubscribe = store.sub(filteredTodosAtom, () => {});
+      const otherTab = [{ id: '9', text: 'From another tab', completed: false, order: 1 }];
+
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: TODOS_STORAGE_KEY,
+        newValue: JSON.stringify({ version: 2, data: otherTab }),
+        storageArea: window.localStorage
+      }));
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: FILTER_STORAGE_KEY,
+        newValue: JSON.stringify({ version: 1, data: 'completed' }),
+        storageArea: window.localStorage
+      }));
+      unsubscribe();
+
+      expect(store.get(todosAtom)).toEqual(otherTab);
+      expect(store.get(filterAtom)).toBe('completed');
+    });
+  });
+
+  describe('sorting', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [
+        { id: 'a', text: 'Bravo', completed: false, createdAt: '2024-01-01T00:00:00.000Z', priority: 'high' },
+        { id: 'b', text: 'alpha', completed: true, createdAt: '2024-01-02T00:00:00.000Z', dueAt: '2024-03-01T00:00:00.000Z' },
+        { id: 'c', text: 'Charlie', completed: false, createdAt: '2024-01-03T00:00:00.000Z', priority: 'high', dueAt: '2024-02-01T00:00:00.000Z' },
+        { id: 'd', text: 'Delta', completed: false, createdAt: '2024-01-04T00:00:00.000Z', priority: 'urgent' }
+      ]);
+    });
+
+    const ids = (atom) => store.get(atom).map(todo => todo.id);
+
+    it('keeps insertion order by default', () => {
+      expect(ids(sortedTodosAtom)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('sorts by priority and breaks ties by due date then creation time', () => {
+      store.set(sortAtom, { key: 'priority', direction: 'desc' });
+      expect(ids(sortedTodosAtom)).toEqual(['d', 'c', 'a', 'b']);
+
+      store.set(sortAtom, { key: 'priority', direction: 'asc' });
+      expect(ids(sortedTodosAtom)).toEqual(['b', 'c', 'a', 'd']);
+    });
+
+    it('puts todos without a due date last in either direction', () => {
+      store.set(sortAtom, { key: 'dueAt', direction: 'desc' });
+      expect(ids(sortedTodosAtom)).toEqual(['b', 'c', 'd', 'a']);
+    });
+
+    it('applies the sort to the filtered list and persists it', () => {
+      store.set(sortAtom, { key: 'text', direction: 'asc' });
+      store.set(filterAtom, 'active');
+
+      expect(ids(filteredTodosAtom)).toEqual(['a', 'c', 'd']);
+      expect(JSON.parse(window.localStorage.getItem(SORT_STORAGE_KEY))).toEqual({
+        version: 1,
+        data: { key: 'text', direction: 'asc' }
+      });
+    });
+  });
+
+  describe('tags', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [
+        { id: 'a', text: 'Report', completed: false, tags: ['work', 'q3'] },
+        { id: 'b', text: 'Standup', completed: true, tags: ['job'] },
+        { id: 'c', text: 'Laundry', completed: false, tags: ['home'] }
+      ]);
+    });
+
+    const ids = () => store.get(filteredTodosAtom).map(todo => todo.id);
+
+    it('combines the tag filter with the status filter', () => {
+      store.set(tagFilterAtom, 'work');
+      expect(ids()).toEqual(['a']);
+
+      store.set(filterAtom, 'completed');
+      expect(ids()).toEqual([]);
+    });
+
+    it('renames and merges tags on local todos and follows the renamed filter', async () => {
+      store.set(tagFilterAtom, 'job');
+
+      await store.set(renameTagActionAtom, { tag: 'job', name: '#Work' });
+      expect(store.get(tagFilterAtom)).toBe('work');
+      expect(ids()).toEqual(['a', 'b']);
+
+      await store.set(mergeTagsActionAtom, { tags: ['q3', 'home'], into: 'work' });
+      await store.set(deleteTagActionAtom, 'work');
+      expect(store.get(tagsAtom)).toEqual([]);
+      expect(store.get(tagFilterAtom)).toBeNull();
+      expect(todoApi.renameTag).not.toHaveBeenCalled();
+    });
+
+    it('replaces server todos with the copies changed by the API', async () => {
+      const queryClient = new QueryClient();
+      queryClient.setQueryData(TODOS_QUERY_KEY, store.get(todosAtom));
+      store.set(queryClientAtom, queryClient);
+      store.set(serverStateEnabledAtom, true);
+      todoApi.renameTag.mockResolvedValue([{ id: 'b', text: 'Standup', completed: true, tags: ['work'] }]);
+
+      await store.set(renameTagActionAtom, { tag: 'job', name: 'work' });
+
+      expect(todoApi.renameTag).toHaveBeenCalledWith('job', 'work');
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.tags)).toEqual([
+        ['work', 'q3'], ['work'], ['home']
+      ]);
+    });
+  });
+
+  describe('search', () => {
+    let store;
+
+    beforeEach(() => {
+      window.history.replaceState(null, '', '/');
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [
+        { id: 'a', text: 'Pay the électricité bill', completed: false, createdAt: '2024-01-01T00:00:00.000Z' },
+        { id: 'b', text: 'Electric scooter repair', completed: true, createdAt: '2024-01-02T00:00:00.000Z' },
+        { id: 'c', text: 'Walk the dog', completed: false, createdAt: '2024-01-03T00:00:00.000Z' }
+      ]);
+    });
+
+    afterEach(() => {
+      window.history.replaceState(null, '', '/');
+    });
+
+    const ids = () => store.get(filteredTodosAtom).map(todo => todo.id);
+
+    it('narrows the filtered list and composes with the other filters', () => {
+      store.set(searchQueryAtom, 'electric');
+      expect(ids()).toEqual(['a', 'b']);
+      expect(store.get(searchHighlightsAtom)).toEqual({ a: [[8, 16]], b: [[0, 8]] });
+
+      store.set(filterAtom, 'active');
+      expect(ids()).toEqual(['a']);
+
+      store.set(searchQueryAtom, '  ');
+      expect(store.get(searchHighlightsAtom)).toBeNull();
+      expect(ids()).toEqual(['a', 'c']);
+    });
+
+    it('keeps the query in the URL', () => {
+      const unsubscribe = store.sub(searchQueryAtom, () => {});
+
+      store.set(searchQueryAtom, 'dog walk');
+      expect(window.location.search).toBe('?q=dog+walk');
+
+      // Back/forward restores the query of that history entry
+      window.history.replaceState(null, '', '/?q=scooter');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+      expect(ids()).toEqual(['b']);
+
+      store.set(searchQueryAtom, '');
+      expect(window.location.search).toBe('');
+      unsubscribe();
+    });
+
+    it('reads a shared query when mounted', () => {
+      window.history.replaceState(null, '', '/?q=walk');
+      const unsubscribe = store.sub(filteredTodosAtom, () => {});
+
+      expect(ids()).toEqual(['c']);
+      unsubscribe();
+    });
+  });
+
+  describe('subtasks', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [
+        { id: 'p', text: 'Plan trip', completed: false },
+        { id: 'a', text: 'Book flights', completed: false, parentId: 'p' },
+        { id: 'b', text: 'Book hotel', completed: true, parentId: 'p' },
+        { id: 'c', text: 'Pick seats', completed: false, parentId: 'a' },
+        { id: 'x', text: 'Unrelated', completed: false }
+      ]);
+    });
+
+    const completed = () => store.get(todosAtom).filter(todo => todo.completed).map(todo => todo.id);
+
+    it('adds subtasks and counts progress per parent', async () => {
+      await store.set(addSubtaskActionAtom, { parentId: 'x', text: 'Subtask #urgent' });
+
+      expect(store.get(todosAtom)[5]).toMatchObject({ text: 'Subtask', tags: ['urgent'], parentId: 'x' });
+      expect(store.get(subtaskProgressAtom)).toEqual({
+        p: { done: 1, total: 2 },
+        a: { done: 0, total: 1 },
+        x: { done: 0, total: 1 }
+      });
+    });
+
+    it('completes every subtask along with its parent', async () => {
+      await store.set(toggleTodoActionAtom, 'p');
+      expect(completed()).toEqual(['p', 'a', 'b', 'c']);
+
+      // Reopening the parent leaves its subtasks alone
+      await store.set(toggleTodoActionAtom, 'p');
+      expect(completed()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('optionally completes parents once their subtasks are done', async () => {
+      await store.set(toggleTodoActionAtom, 'c');
+      expect(completed()).toEqual(['b', 'c']);
+      await store.set(toggleTodoActionAtom, 'c');
+
+      store.set(completeParentsAtom, true);
+      await store.set(toggleTodoActionAtom, 'c');
+      expect(completed()).toEqual(['p', 'a', 'b', 'c']);
+
+      await store.set(toggleTodoActionAtom, 'b');
+      expect(completed()).toEqual(['a', 'c']);
+    });
+
+    it('deletes a todo together with its subtasks', async () => {
+      await store.set(deleteTodoActionAtom, 'a');
+      expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['p', 'b', 'x']);
+    });
+  });
+
+  describe('manual order', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+    });
+
+    const texts = () => store.get(sortedTodosAtom).map(todo => todo.text);
+
+    it('lists new todos last and keeps moved todos in place', async () => {
+      store.set(todosAtom, [
+        { id: '1', text: 'First', completed: false, order: 1 },
+        { id: '2', text: 'Second', completed: false, order: 2 },
+        { id: '3', text: 'Third', completed: false, order: 3 }
+      ]);
+
+      await store.set(reorderTodoActionAtom, { id: '3', target: { beforeId: '1' } });
+      expect(texts()).toEqual(['Third', 'First', 'Second']);
+
+      await store.set(addTodoActionAtom, { text: 'Fourth' });
+      expect(texts()).toEqual(['Third', 'First', 'Second', 'Fourth']);
+      expect(store.get(todosAtom)[3].order).toBe(3);
+    });
+  });
+
+  describe('lists', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [
+        { id: '1', text: 'Inbox todo', completed: false },
+        { id: '2', text: 'Plan trip', completed: true, listId: 'travel' },
+        { id: '3', text: 'Book flights', completed: false, parentId: '2', listId: 'travel' }
+      ]);
+    });
+
+    const listed = () => store.get(filteredTodosAtom).map(todo => todo.id);
+
+    it('shows the todos and counts of the current list', async () => {
+      const travel = await store.set(createListActionAtom, '  Travel ');
+      expect(store.get(listsAtom).map(list => list.name)).toEqual(['Inbox', 'Travel']);
+      expect(listed()).toEqual(['1']);
+
+      // Todos of lists that no longer exist are only reachable through their list id
+      store.set(currentListIdAtom, 'travel');
+      expect(store.get(currentListAtom)).toBeNull();
+      expect(listed()).toEqual(['2', '3']);
+
+      store.set(currentListIdAtom, travel.id);
+      expect(store.get(currentListAtom)).toEqual(travel);
+      expect(store.get(todoStatsAtom)).toMatchObject({
+        total: 0,
+        lists: { inbox: { total: 1, active: 1, completed: 0 }, [travel.id]: { total: 0, active: 0, completed: 0 } }
+      });
+    });
+
+    it('adds todos to the current list and subtasks to their parent\'s list', async () => {
+      const work = await store.set(createListActionAtom, 'Work');
+      store.set(currentListIdAtom, work.id);
+
+      await store.set(addTodoActionAtom, { text: 'Report' });
+      await store.set(addSubtaskActionAtom, { parentId: '2', text: 'Pack' });
+
+      expect(store.get(todosAtom).slice(3).map(todo => [todo.text, todo.listId])).toEqual([
+        ['Report', work.id],
+        ['Pack', 'travel']
+      ]);
+    });
+
+    it('moves a todo with its subtasks and leaves subtasks alone', async () => {
+      await store.set(moveTodoActionAtom, { id: '3', listId: 'inbox' });
+      await store.set(moveTodoActionAtom, { id: '2', listId: 'inbox' });
+
+      expect(listed()).toEqual(['1', '2', '3']);
+      expect(store.get(todosAtom).map(todo => todo.listId)).toEqual([undefined, undefined, undefined]);
+    });
+
+    it('renames, archives and deletes lists, never the Inbox', async () => {
+      const work = await store.set(createListActionAtom, 'Work');
+      await store.set(moveTodoActionAtom, { id: '1', listId: work.id });
+
+      await store.set(renameListActionAtom, { id: work.id, name: 'Office' });
+      await store.set(archiveListActionAtom, { id: work.id, archived: true });
+      await store.set(renameListActionAtom, { id: 'inbox', name: 'Mail' });
+      expect(store.get(listsAtom).map(list => [list.name, !!list.archived])).toEqual([
+        ['Inbox', false],
+        ['Office', true]
+      ]);
+
+      await store.set(deleteListActionAtom, work.id);
+      expect(store.get(listsAtom).map(list => list.name)).toEqual(['Inbox']);
+      expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['2', '3']);
+    });
+  });
+
+  describe('batch operations', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [
+        { id: '1', text: 'Plan trip', completed: false },
+        { id: '2', text: 'Book flights', completed: false, parentId: '1' },
+        { id: '3', text: 'Call mum', completed: true }
+      ]);
+    });
+
+    it('completes, tags and deletes several todos at once', async () => {
+      await store.set(batchTodosActionAtom, { action: 'complete', ids: ['1'] });
+      await store.set(batchTodosActionAtom, { action: 'tag', ids: ['1', '3'], tag: ' #Home ' });
+      expect(store.get(todosAtom).map(todo => [todo.completed, todo.tags])).toEqual([
+        [true, ['home']],
+        [true, undefined],
+        [true, ['home']]
+      ]);
+
+      await store.set(batchTodosActionAtom, { action: 'delete', ids: ['1'] });
+      expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['3']);
+      expect(todoApi.batch).not.toHaveBeenCalled();
+    });
+
+    it('reports the todos a batch could not change', async () => {
+      await store.set(batchTodosActionAtom, { action: 'move', ids: ['2', '3'], listId: 'work' });
+
+      expect(store.get(todosAtom)[2].listId).toBe('work');
+      expect(store.get(errorAtom)).toBe('1 of 2 todos could not be moved');
+      expect(store.get(todoErrorsAtom)).toEqual({
+        2: {
+          message: 'Subtasks move with their parent',
+          retry: { operation: 'batch', batch: { action: 'move', ids: ['2'], listId: 'work' } }
+        }
+      });
+    });
+  });
+
+  describe('import', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [{ id: '1', text: 'Plan trip', completed: false, order: 1 }]);
+    });
+
+    it('adds the new rows to the chosen list with their subtasks', async () => {
+      const { rows } = previewImport(
+        '- [ ] Plan trip\n  - [x] Book flights\n- [ ] Pack #travel\n  - [ ] Socks',
+        store.get(todosAtom),
+        'inbox'
+      );
+
+      expect(await store.set(importTodosActionAtom, { rows, listId: 'work' })).toBe(3);
+
+      const [, flights, pack, socks] = store.get(todosAtom);
+      expect(flights).toMatchObject({ text: 'Book flights', completed: true, parentId: '1', listId: 'work', order: 2 });
+      expect(pack).toMatchObject({ text: 'Pack', completed: false, tags: ['travel'], listId: 'work', order: 3 });
+      expect(socks).toMatchObject({ text: 'Socks', parentId: pack.id, order: 4 });
+      expect(todoApi.addTodo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('trash', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [
+        { id: '1', text: 'Plan trip', completed: false },
+        { id: '2', text: 'Book flights', completed: true, parentId: '1' },
+        { id: '3', text: 'Call mum', completed: false }
+      ]);
+    });
+
+    it('moves deleted todos to the Trash, out of the list and its counts', async () => {
+      await store.set(deleteTodoActionAtom, '1');
+
+      expect(store.get(filteredTodosAtom).map(todo => todo.id)).toEqual(['3']);
+      expect(store.get(todoStatsAtom)).toMatchObject({ total: 1, active: 1, completed: 0 });
+      expect(store.get(trashAtom).map(todo => [todo.id, !!todo.deletedAt])).toEqual([['1', true], ['2', true]]);
+
+      await store.set(batchTodosActionAtom, { action: 'delete', ids: ['3'] });
+      expect(store.get(todosAtom)).toEqual([]);
+      expect(store.get(trashAtom).map(todo => todo.id).sort()).toEqual(['1', '2', '3']);
+    });
+
+    it('restores a todo with the subtasks deleted along with it', async () => {
+      // Deleted on its own, before its parent
+      store.set(todosAtom, todos => todos.map(todo =>
+        (todo.id === '2' ? { ...todo, deletedAt: '2024-01-01T00:00:00.000Z' } : todo)));
+      await store.set(deleteTodoActionAtom, '1');
+
+      await store.set(restoreTodoActionAtom, '2');
+      expect(store.get(errorAtom)).toBe('Restore the parent todo first');
+
+      await store.set(restoreTodoActionAtom, '1');
+      expect(store.get(todosAtom).map(todo => [todo.id, todo.deletedAt])).toEqual([['1', undefined], ['3', undefined]]);
+      await store.set(restoreTodoActionAtom, '2');
+      expect(store.get(trashAtom)).toEqual([]);
+      expect(store.get(todosAtom).map(todo => todo.id).sort()).toEqual(['1', '2', '3']);
+    });
+
+    it('deletes for good from the Trash and purges expired todos', async () => {
+      await store.set(deleteTodoActionAtom, '1');
+      await store.set(purgeTodoActionAtom, '1');
+      expect(store.get(trashAtom)).toEqual([]);
+
+      const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+      store.set(todosAtom, todos => todos.map(todo => ({ ...todo, deletedAt: longAgo })));
+      expect(store.get(trashAtom).map(todo => todo.id)).toEqual(['3']);
+      const unsubscribe = store.sub(trashPurgeAtom, () => {});
+      expect(store.get(trashAtom)).toEqual([]);
+      unsubscribe();
+    });
+  });
+
+  describe('undo and redo', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [
+        { id: '1', text: 'Plan trip', completed: false },
+        { id: '2', text: 'Book flights', completed: false, parentId: '1' },
+        { id: '3', text: 'Call mum', completed: true }
+      ]);
+    });
+
+    it('puts a deleted todo back with its subtasks and offers to redo', async () => {
+      const before = store.get(todosAtom);
+      await store.set(undoableDeleteTodoAtom, '1');
+      expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['3']);
+      expect(store.get(historyToastAtom)).toEqual({ message: 'Deleted "Plan trip"', action: 'undo' });
+
+      await store.set(undoAtom);
+      expect(store.get(todosAtom)).toEqual(before);
+      expect(store.get(historyToastAtom)).toEqual({ message: UNDONE_MESSAGE, action: 'redo' });
+      expect(store.get(canRedoAtom)).toBe(true);
+
+      await store.set(redoAtom);
+      expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['3']);
+      expect(store.get(canUndoAtom)).toBe(true);
+      expect(store.get(canRedoAtom)).toBe(false);
+    });
+
+    it('moves a reordered todo back to its place', async () => {
+      const listed = () => sortByOrder(store.get(todosAtom)).map(todo => todo.id);
+      await store.set(undoableReorderTodoAtom, { id: '3', target: { beforeId: '1' } });
+      expect(listed()).toEqual(['3', '1', '2']);
+      expect(store.get(historyAtom).past.map(entry => entry.label)).toEqual(['Reordered "Call mum"']);
+
+      await store.set(undoAtom);
+      expect(listed()).toEqual(['1', '2', '3']);
+
+      await store.set(redoAtom);
+      expect(listed()).toEqual(['3', '1', '2']);
+    });
+
+    it('reverts a toggle together with the subtasks it completed', async () => {
+      await store.set(undoableToggleTodoAtom, '1');
+      expect(store.get(todosAtom).map(todo => todo.completed)).toEqual([true, true, true]);
+      expect(store.get(historyToastAtom)).toBe(null);
+
+      await store.set(undoAtom);
+      expect(store.get(todosAtom).map(todo => todo.completed)).toEqual([false, false, true]);
+    });
+
+    it('records a batch as one entry and clears redo on a new action', async () => {
+      await store.set(undoableBatchTodosAtom, { action: 'tag', ids: ['1', '3'], tag: 'home' });
+      await store.set(undoableUpdateTodoAtom, { id: '3', updates: { text: 'Call dad' } });
+      expect(store.get(historyAtom).past.map(entry => entry.label)).toEqual([
+        'Tagged 2 todos',
+        'Edited "Call mum"'
+      ]);
+
+      await store.set(undoAtom);
+      await store.set(undoAtom);
+      expect(store.get(todosAtom).map(todo => [todo.text, todo.tags || []])).toEqual([
+        ['Plan trip', []],
+        ['Book flights', []],
+        ['Call mum', []]
+      ]);
+
+      await store.set(undoableToggleTodoAtom, '3');
+      expect(store.get(canRedoAtom)).toBe(false);
+    });
+
+    it('records nothing when the action changed nothing', async () => {
+      await store.set(undoableDeleteTodoAtom, 'missing');
+      await store.set(undoAtom);
+
+      expect(store.get(historyAtom)).toEqual({ past: [], future: [] });
+      expect(store.get(todosAtom)).toHaveLength(3);
+    });
+  });
+
+  describe('recurring todos', () => {
+    let store;
+    const dueAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const nextDueAt = new Date(new Date(dueAt).getTime() + 24 * 60 * 60 * 1000).toISOString();
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+      store.set(todosAtom, [
+        { id: '1', text: 'Feed the cat', completed: false, dueAt, recurrence: 'FREQ=DAILY', tags: ['home'], order: 0 }
+      ]);
+    });
+
+    it('creates the next occurrence when a recurring todo is completed', async () => {
+      await store.set(toggleTodoActionAtom, '1');
+
+      const [done, next] = store.get(todosAtom);
+      expect(done.completed).toBe(true);
+      expect(done.recurrence).toBeUndefined();
+      expect(next).toMatchObject({
+        text: 'Feed the cat',
+        completed: false,
+        dueAt: nextDueAt,
+        recurrence: 'FREQ=DAILY',
+        tags: ['home'],
+        order: 1
+      });
+
+      // Reopening does not take the schedule back
+      await store.set(toggleTodoActionAtom, '1');
+      expect(store.get(todosAtom)).toHaveLength(2);
+    });
+
+    it('undoes a completion together with the occurrence it created', async () => {
+      await store.set(undoableToggleTodoAtom, '1');
+      expect(store.get(todosAtom)).toHaveLength(2);
+
+      await store.set(undoAtom);
+      expect(store.get(todosAtom)).toEqual([
+        expect.objectContaining({ id: '1', completed: false, recurrence: 'FREQ=DAILY' })
+      ]);
+    });
+  });
+
+  describe('due dates', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.set(serverStateEnabledAtom, false);
+    });
+
+    const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+    it('filters by due status relative to nowAtom', async () => {
+      await store.set(addTodoActionAtom, { text: 'Soon', dueAt: minutesFromNow(1) });
+      await store.set(addTodoActionAtom, { text: 'Someday' });
+      store.set(filterAtom, 'overdue');
+
+      expect(store.get(filteredTodosAtom)).toEqual([]);
+
+      store.set(nowAtom, Date.now() + 2 * 60 * 1000);
+      expect(store.get(filteredTodosAtom).map(todo => todo.text)).toEqual(['Soon']);
+    });
+
+    it('reminds once when a due time passes and drops dismissed or completed reminders', async () => {
+      await store.set(addTodoActionAtom, { text: 'Call back', dueAt: minutesFromNow(1) });
+      await store.set(addTodoActionAtom, { text: 'Send invoice', dueAt: minutesFromNow(1) });
+      const [callBack, invoice] = store.get(todosAtom);
+
+      store.set(checkRemindersAtom, Date.now());
+      expect(store.get(remindersAtom)).toEqual([]);
+
+      const later = Date.now() + 2 * 60 * 1000;
+      store.set(checkRemindersAtom, later);
+      store.set(checkRemindersAtom, later + 1000);
+      expect(store.get(remindersAtom)).toEqual([
+        { todoId: callBack.id, text: 'Call back', dueAt: callBack.dueAt },
+        { todoId: invoice.id, text: 'Send invoice', dueAt: invoice.dueAt }
+      ]);
+
+      store.set(dismissReminderAtom, callBack.id);
+      await store.set(toggleTodoActionAtom, invoice.id);
+      expect(store.get(remindersAtom)).toEqual([]);
+    });
+  });
+
+  describe('server state (USE_TANSTACK_QUERY enabled)', () => {
+    let store;
+    let queryClient;
+    let unsubscribe;
+    let offlineQueue;
+
+    beforeEach(async () => {
+      offlineQueue = new OfflineQueue(createMemoryQueueStorage());
+      setOfflineQueue(offlineQueue);
+      queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+      store = createStore();
+      store.set(queryClientAtom, queryClient);
+      store.set(serverStateEnabledAtom, true);
+      todoApi.fetchTodos.mockResolvedValue(serverTodos);
+
+      // Mount the list so the query observer subscribes and fetches
+      unsubscribe = store.sub(filteredTodosAtom, () => {});
+      await vi.waitFor(() => expect(store.get(todosAtom)).toEqual(serverTodos));
+      return () => unsubscribe();
+    });
+
+    it('loads todos through todoApi.fetchTodos', () => {
+      expect(todoApi.fetchTodos).toHaveBeenCalledTimes(1);
+      expect(store.get(todosAtom)).toEqual(serverTodos);
+      expect(store.get(todosStatusAtom)).toEqual({ isLoading: false, error: null });
+    });
+
+    it('applies the status filter to server todos', () => {
+      store.set(filterAtom, 'completed');
+      expect(store.get(filteredTodosAtom).map(todo => todo.id)).toEqual(['2']);
+    });
+
+    it('appends the created todo to the query cache', async () => {
+      const created = { id: '3', text: 'New', completed: false };
+      todoApi.addTodo.mockResolvedValue(created);
+
+      await store.set(addTodoActionAtom, { text: 'New' });
+
+      expect(todoApi.addTodo).toHaveBeenCalledWith({ text: 'New' });
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY)).toEqual([...serverTodos, created]);
+    });
+
+    it('patches updated and toggled todos in the cache', async () => {
+      todoApi.updateTodo.mockResolvedValue({ ...serverTodos[0], text: 'Edited' });
+      todoApi.toggleTodo.mockResolvedValue({ ...serverTodos[1], completed: false });
+
+      await store.set(updateTodoActionAtom, { id: '1', updates: { text: 'Edited' } });
+      await store.set(toggleTodoActionAtom, '2');
+
+      expect(todoApi.updateTodo).toHaveBeenCalledWith('1', { text: 'Edited' }, 0);
+      await vi.waitFor(() => {
+        expect(store.get(todosAtom).map(todo => [todo.text, todo.completed])).toEqual([
+          ['Edited', false],
+          ['Server todo 2', false]
+        ]);
+      });
+    });
+
+    it('moves a todo optimistically and keeps the server order', async () => {
+      queryClient.setQueryData(TODOS_QUERY_KEY, serverTodos.map((todo, index) => ({ ...todo, order: index + 1 })));
+      todoApi.reorderTodo.mockResolvedValue([{ ...serverTodos[1], order: 0 }]);
+
+      const moving = store.set(reorderTodoActionAtom, { id: '2', target: { beforeId: '1' } });
+      await vi.waitFor(() => expect(store.get(sortedTodosAtom).map(todo => todo.id)).toEqual(['2', '1']));
+      await moving;
+
+      expect(todoApi.reorderTodo).toHaveBeenCalledWith('2', { beforeId: '1' });
+      await vi.waitFor(() => expect(store.get(todosAtom).map(todo => todo.order)).toEqual([1, 0]));
+    });
+
+    it('puts a todo back when the server rejects the move', async () => {
+      queryClient.setQueryData(TODOS_QUERY_KEY, serverTodos.map((todo, index) => ({ ...todo, order: index + 1 })));
+      todoApi.reorderTodo.mockRejectedValue(new Error('Failed to move todo'));
+
+      await store.set(reorderTodoActionAtom, { id: '2', target: { beforeId: '1' } });
+
+      await vi.waitFor(() => expect(store.get(sortedTodosAtom).map(todo => todo.id)).toEqual(['1', '2']));
+      expect(store.get(errorAtom)).toBe('Failed to move todo');
+    });
+
+    it('moves a todo between lists and keeps it in place when the server refuses', async () => {
+      todoApi.moveTodo.mockResolvedValueOnce([{ ...serverTodos[0], listId: 'work' }]);
+      await store.set(moveTodoActionAtom, { id: '1', listId: 'work' });
+
+      expect(todoApi.moveTodo).toHaveBeenCalledWith('1', 'work');
+      await vi.waitFor(() => expect(store.get(todosAtom)[0].listId).toBe('work'));
+
+      todoApi.moveTodo.mockRejectedValueOnce(new Error('List not found'));
+      await store.set(moveTodoActionAtom, { id: '2', listId: 'gone' });
+
+      await vi.waitFor(() => expect(store.get(todosAtom)[1].listId).toBeUndefined());
+      expect(store.get(errorAtom)).toBe('List not found');
+    });
+
+    it('deletes a list with the todos the server removed', async () => {
+      queryClient.setQueryData(LISTS_QUERY_KEY, [{ id: 'work', name: 'Work' }]);
+      queryClient.setQueryData(TRASH_QUERY_KEY, [
+        { id: '3', text: 'Trashed at work', completed: false, listId: 'work', deletedAt: '2023-01-02T00:00:00.000Z' },
+        { id: '4', text: 'Trashed', completed: false, deletedAt: '2023-01-02T00:00:00.000Z' }
+      ]);
+      todoApi.deleteList.mockResolvedValue(['2', '3']);
+
+      await store.set(deleteListActionAtom, 'work');
+
+      expect(todoApi.deleteList).toHaveBeenCalledWith('work');
+      expect(queryClient.getQueryData(LISTS_QUERY_KEY)).toEqual([]);
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.id)).toEqual(['1']);
+      expect(queryClient.getQueryData(TRASH_QUERY_KEY).map(todo => todo.id)).toEqual(['4']);
+    });
+
+    it('applies a batch once the server answers and keeps per-item failures', async () => {
+      todoApi.batch.mockResolvedValueOnce({
+        results: [{ id: '1', ok: true }, { id: '2', ok: false, error: 'Todo not found' }],
+        todos: [{ ...serverTodos[0], completed: true }],
+        deleted: []
+      });
+
+      await store.set(batchTodosActionAtom, { action: 'complete', ids: ['1', '2'] });
+
+      expect(todoApi.batch).toHaveBeenCalledWith({ action: 'complete', ids: ['1', '2'] });
+      await vi.waitFor(() => expect(store.get(todosAtom)[0].completed).toBe(true));
+      expect(store.get(errorAtom)).toBe('1 of 2 todos could not be completed');
+      expect(store.get(todoStatusAtom)['2']).toMatchObject({ error: 'Todo not found' });
+
+      todoApi.batch.mockResolvedValueOnce({ results: [{ id: '2', ok: true }], todos: [], deleted: ['2'] });
+      await store.set(retryTodoActionAtom, '2');
+
+      expect(todoApi.batch).toHaveBeenLastCalledWith({ action: 'complete', ids: ['2'] });
+      await vi.waitFor(() => expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['1']));
+      expect(store.get(todoErrorsAtom)).toEqual({});
+    });
+
+    it('leaves the list alone when the whole batch is rejected', async () => {
+      todoApi.batch.mockRejectedValueOnce(new Error('List not found'));
+
+      await store.set(batchTodosActionAtom, { action: 'move', ids: ['1'], listId: 'gone' });
+
+      expect(store.get(todosAtom)).toEqual(serverTodos);
+      expect(store.get(errorAtom)).toBe('List not found');
+    });
+
+    it('removes deleted todos from the cache', async () => {
+      todoApi.deleteTodo.mockResolvedValue(['1']);
+
+      await store.set(deleteTodoActionAtom, '1');
+
+      await vi.waitFor(() => {
+        expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['2']);
+      });
+    });
+
+    it('applies a toggle before the server responds', async () => {
+      let resolveToggle;
+      todoApi.toggleTodo.mockReturnValue(new Promise(resolve => { resolveToggle = resolve; }));
+
+      const pending = store.set(toggleTodoActionAtom, '1');
+      await vi.waitFor(() => expect(store.get(todosAtom)[0].completed).toBe(true));
+      expect(store.get(pendingMutationsAtom)['1']).toMatchObject({ operation: 'toggle' });
+      expect(store.get(todoStatusAtom)).toEqual({ '1': { pending: 'toggle', error: null, queued: false } });
+
+      resolveToggle({ ...serverTodos[0], completed: true });
+      await pending;
+      expect(store.get(pendingMutationsAtom)).toEqual({});
+    });
+
+    it('refetches the list after completing a recurring todo', async () => {
+      queryClient.setQueryData(TODOS_QUERY_KEY, [{ ...serverTodos[0], recurrence: 'FREQ=WEEKLY' }, serverTodos[1]]);
+      const next = { id: '3', text: serverTodos[0].text, completed: false, recurrence: 'FREQ=WEEKLY' };
+      todoApi.toggleTodo.mockResolvedValue({ ...serverTodos[0], completed: true, recurrence: null });
+      todoApi.fetchTodos.mockResolvedValue([{ ...serverTodos[0], completed: true, recurrence: null }, serverTodos[1], next]);
+
+      await store.set(toggleTodoActionAtom, '1');
+
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.id)).toEqual(['1', '2', '3']);
+    });
+
+    it('imports through todoApi.addTodo, parents first, and reports how far a failed import got', async () => {
+      const { rows } = previewImport(
+        '[{"id": "b", "parentId": "a", "text": "Child", "completed": true}, {"id": "a", "text": "Parent"}, {"text": "Last"}]',
+        serverTodos,
+        'inbox'
+      );
+      todoApi.addTodo
+        .mockResolvedValueOnce({ id: '10', text: 'Parent', completed: false })
+        .mockResolvedValueOnce({ id: '11', text: 'Child', completed: false, parentId: '10' })
+        .mockRejectedValueOnce(new TodoApiError('Server down', 500));
+      todoApi.updateTodo.mockResolvedValue({ id: '11', text: 'Child', completed: true, parentId: '10' });
+
+      expect(await store.set(importTodosActionAtom, { rows, listId: 'inbox' })).toBe(2);
+
+      expect(todoApi.addTodo.mock.calls.map(call => call[0])).toEqual([
+        { text: 'Parent' },
+        { text: 'Child', parentId: '10' },
+        { text: 'Last' }
+      ]);
+      expect(todoApi.updateTodo).toHaveBeenCalledWith('11', { completed: true });
+      expect(store.get(errorAtom)).toBe('Imported 2 of 3 todos: Server down');
+      expect(todoApi.fetchTodos).toHaveBeenCalledTimes(2);
+    });
+
+    it('rolls back only the failed todo and records its error', async () => {
+      todoApi.updateTodo.mockResolvedValue({ ...serverTodos[1], text: 'Kept' });
+      todoApi.toggleTodo.mockRejectedValue(new Error('Failed to toggle todo'));
+
+      await store.set(updateTodoActionAtom, { id: '2', updates: { text: 'Kept' } });
+      await store.set(toggleTodoActionAtom, '1');
+
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY)).toEqual([
+        serverTodos[0],
+        { ...serverTodos[1], text: 'Kept' }
+      ]);
+      expect(store.get(todoStatusAtom)).toEqual({
+        '1': { pending: null, error: 'Failed to toggle todo', queued: false }
+      });
+      expect(store.get(errorAtom)).toBe(null);
+      expect(store.get(pendingMutationsAtom)).toEqual({});
+    });
+
+    it('retries a failed mutation from its retry handle', async () => {
+      todoApi.updateTodo.mockRejectedValueOnce(new Error('Failed to update todo'));
+      await store.set(updateTodoActionAtom, { id: '1', updates: { text: 'Retry me' } });
+      expect(store.get(todoErrorsAtom)['1'].retry).toEqual({ operation: 'update', updates: { text: 'Retry me' } });
+
+      todoApi.updateTodo.mockResolvedValueOnce({ ...serverTodos[0], text: 'Retry me' });
+      await store.set(retryTodoActionAtom, '1');
+
+      expect(todoApi.updateTodo).toHaveBeenLastCalledWith('1', { text: 'Retry me' }, 0);
+      expect(store.get(todoErrorsAtom)).toEqual({});
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY)[0].text).toBe('Retry me');
+    });
+
+    it('restores a todo at its position when delete fails', async () => {
+      todoApi.deleteTodo.mockRejectedValue(new Error('Failed to delete todo'));
+
+      await store.set(deleteTodoActionAtom, '1');
+
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY)).toEqual(serverTodos);
+      expect(store.get(todoErrorsAtom)['1'].message).toBe('Failed to delete todo');
+    });
+
+    it('leaves completing the subtasks along with their parent to the server', async () => {
+      const subtask = { id: '3', text: 'Sub', completed: false, parentId: '1' };
+      queryClient.setQueryData(TODOS_QUERY_KEY, [...serverTodos, subtask]);
+      let resolveToggle;
+      todoApi.toggleTodo.mockReturnValue(new Promise(resolve => { resolveToggle = resolve; }));
+      todoApi.fetchTodos.mockResolvedValue([{ ...serverTodos[0], completed: true }, serverTodos[1], { ...subtask, completed: true }]);
+
+      const pending = store.set(toggleTodoActionAtom, '1');
+      await vi.waitFor(() => expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.completed))
+        .toEqual([true, true, true]));
+
+      resolveToggle({ ...serverTodos[0], completed: true });
+      await pending;
+      expect(todoApi.toggleTodo).toHaveBeenCalledWith('1', 0, false);
+      expect(todoApi.updateTodo).not.toHaveBeenCalled();
+      expect(todoApi.fetchTodos).toHaveBeenCalled();
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.completed)).toEqual([true, true, true]);
+    });
+
+    it('restores subtasks with their parent when delete fails', async () => {
+      const withSubtask = [...serverTodos, { id: '3', text: 'Sub', completed: false, parentId: '1' }];
+      queryClient.setQueryData(TODOS_QUERY_KEY, withSubtask);
+      todoApi.deleteTodo.mockImplementation(async () => {
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.id)).toEqual(['2']);
+        throw new Error('Failed to delete todo');
+      });
+
+      await store.set(deleteTodoActionAtom, '1');
+
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.id)).toEqual(['1', '3', '2']);
+    });
+
+    it('restores and deletes todos in the server Trash', async () => {
+      queryClient.setQueryData(TRASH_QUERY_KEY, [{ ...serverTodos[1], id: '5', deletedAt: '2024-01-01T00:00:00.000Z' }]);
+      todoApi.restoreTodo.mockResolvedValue([{ ...serverTodos[1], id: '5' }]);
+
+      await store.set(restoreTodoActionAtom, '5');
+      expect(todoApi.restoreTodo).toHaveBeenCalledWith('5');
+      expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.id)).toEqual(['1', '2', '5']);
+      expect(queryClient.getQueryData(TRASH_QUERY_KEY)).toEqual([]);
+
+      queryClient.setQueryData(TRASH_QUERY_KEY, [{ ...serverTodos[0], id: '6', deletedAt: '2024-01-01T00:00:00.000Z' }]);
+      todoApi.purgeTodo.mockResolvedValue(['6']);
+      await store.set(purgeTodoActionAtom, '6');
+      expect(todoApi.purgeTodo).toHaveBeenCalledWith('6');
+      expect(queryClient.getQueryData(TRASH_QUERY_KEY)).toEqual([]);
+    });
+
+    it('undoes a delete by restoring the todo from the Trash', async () => {
+      todoApi.deleteTodo.mockResolvedValue(['2']);
+      todoApi.restoreTodo.mockResolvedValue([serverTodos[1]]);
+
+      await store.set(undoableDeleteTodoAtom, '2');
+      await vi.waitFor(() => expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['1']));
+      await store.set(undoAtom);
+
+      expect(todoApi.restoreTodo).toHaveBeenCalledWith('2');
+      expect(todoApi.addTodo).not.toHaveBeenCalled();
+      await vi.waitFor(() => expect(store.get(todosAtom)).toEqual(serverTodos));
+    });
+
+    it('creates the todo again when it is gone from the Trash and follows its new id', async () => {
+      todoApi.deleteTodo.mockResolvedValue(['2']);
+      todoApi.restoreTodo.mockRejectedValue(new TodoApiError('Todo not found in the Trash', 404));
+      todoApi.addTodo.mockResolvedValue({ id: '9', text: 'Server todo 2', completed: false });
+      todoApi.updateTodo.mockResolvedValue({ id: '9', text: 'Server todo 2', completed: true });
+
+      await store.set(undoableDeleteTodoAtom, '2');
+      await vi.waitFor(() => expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['1']));
+      await store.set(undoAtom);
+
+      expect(todoApi.addTodo).toHaveBeenCalledWith({ text: 'Server todo 2' });
+      expect(todoApi.updateTodo).toHaveBeenCalledWith('9', { completed: true }, 0);
+      await vi.waitFor(() => expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['1', '9']));
+
+      todoApi.deleteTodo.mockResolvedValue(['9']);
+      await store.set(redoAtom);
+      expect(todoApi.deleteTodo).toHaveBeenLastCalledWith('9', 0);
+    });
+
+    it('replays the previous values through todoApi.updateTodo', async () => {
+      todoApi.updateTodo.mockResolvedValueOnce({ ...serverTodos[0], text: 'Renamed' });
+      await store.set(undoableUpdateTodoAtom, { id: '1', updates: { text: 'Renamed' } });
+
+      todoApi.updateTodo.mockResolvedValueOnce(serverTodos[0]);
+      await store.set(undoAtom);
+
+      expect(todoApi.updateTodo).toHaveBeenLastCalledWith('1', { text: 'Server todo 1' }, 0);
+      await vi.waitFor(() => expect(store.get(todosAtom)[0].text).toBe('Server todo 1'));
+    });
+
+    it('refetches and reports the error when the server refuses an undo', async () => {
+      todoApi.deleteTodo.mockResolvedValue(['1']);
+      todoApi.restoreTodo.mockRejectedValue(new TodoApiError('Failed to restore todo', 500));
+
+      await store.set(undoableDeleteTodoAtom, '1');
+      await store.set(undoAtom);
+
+      expect(todoApi.addTodo).not.toHaveBeenCalled();
+      expect(store.get(errorAtom)).toBe('Failed to restore todo');
+      expect(store.get(canRedoAtom)).toBe(true);
+      await vi.waitFor(() => expect(todoApi.fetchTodos.mock.calls.length).toBeGreaterThan(1));
+    });
+
+    it('refetches the list when adding fails', async () => {
+      todoApi.addTodo.mockRejectedValue(new Error('Failed to add todo'));
+
+      await store.set(addTodoActionAtom, { text: 'New' });
+
+      expect(store.get(errorAtom)).toBe('Failed to add todo');
+      expect(store.get(todosStatusAtom).error).toBe('Failed to add todo');
+      await vi.waitFor(() => expect(todoApi.fetchTodos).toHaveBeenCalledTimes(2));
+    });
+
+    describe('offline', () => {
+      it('keeps a change made offline and queues it instead of rolling back', async () => {
+        todoApi.toggleTodo.mockRejectedValue(offline('Failed to toggle todo'));
+
+        await store.set(toggleTodoActionAtom, '1');
+
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY)[0].completed).toBe(true);
+        expect(store.get(todoStatusAtom)).toEqual({ '1': { pending: null, error: null, queued: true } });
+        expect(await offlineQueue.list()).toEqual([
+          expect.objectContaining({ operation: 'toggle', todoId: '1', baseVersion: serverTodos[0].createdAt })
+        ]);
+      });
+
+      it('shows todos added offline and replays them with later changes on reconnect', async () => {
+        todoApi.addTodo.mockRejectedValueOnce(offline('Failed to add todo'));
+
+        await store.set(addTodoActionAtom, { text: 'Offline' });
+        const local = queryClient.getQueryData(TODOS_QUERY_KEY)[2];
+        expect(local).toMatchObject({ text: 'Offline', completed: false });
+        expect(store.get(errorAtom)).toBe(null);
+
+        // Changes to a todo created offline go straight to the queue
+        await store.set(toggleTodoActionAtom, local.id);
+        expect(todoApi.toggleTodo).not.toHaveBeenCalled();
+        expect(store.get(queuedMutationsAtom)).toEqual({ [local.id]: 2 });
+
+        const created = { id: '3', text: 'Offline', completed: false, createdAt: '2023-01-03T00:00:00.000Z' };
+        const toggled = { ...created, completed: true, updatedAt: '2023-01-03T00:00:01.000Z' };
+        todoApi.addTodo.mockResolvedValueOnce(created);
+        todoApi.fetchTodo.mockResolvedValueOnce(created);
+        todoApi.toggleTodo.mockResolvedValueOnce(toggled);
+
+        await store.set(replayOfflineQueueAtom);
+
+        expect(todoApi.toggleTodo).toHaveBeenCalledWith('3', 0);
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY)).toEqual([...serverTodos, toggled]);
+        expect(store.get(queuedMutationsAtom)).toEqual({});
+        expect(await offlineQueue.list()).toEqual([]);
+      });
+
+      it('keeps the server copy when it changed while offline', async () => {
+        todoApi.updateTodo.mockRejectedValueOnce(offline('Failed to update todo'));
+        await store.set(updateTodoActionAtom, { id: '1', updates: { text: 'Mine' } });
+
+        const theirs = { ...serverTodos[0], text: 'Theirs', updatedAt: '2023-02-01T00:00:00.000Z' };
+        todoApi.fetchTodo.mockResolvedValueOnce(theirs);
+
+        await store.set(replayOfflineQueueAtom);
+
+        expect(todoApi.updateTodo).toHaveBeenCalledTimes(1);
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY)[0]).toEqual(theirs);
+        expect(store.get(todoErrorsAtom)['1']).toEqual({
+          message: 'Changed on the server while you were offline',
+          retry: { operation: 'update', updates: { text: 'Mine' } }
+        });
+      });
+    });
+
+    describe('live updates', () => {
+      const theirs = { ...serverTodos[0], text: 'Changed elsewhere', updatedAt: '2023-03-01T00:00:00.000Z' };
+
+      it('merges changes from other clients and remembers the revision', () => {
+        store.set(applyTodoEventAtom, { revision: 4, type: 'update', todos: [theirs], origin: 'other-tab' });
+        store.set(applyTodoEventAtom, { revision: 5, type: 'add', todos: [{ id: '3', text: 'Theirs', completed: false }] });
+        store.set(applyTodoEventAtom, { revision: 6, type: 'delete', ids: ['2'] });
+
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.text)).toEqual(['Changed elsewhere', 'Theirs']);
+        expect(store.get(todoRevisionAtom)).toBe(6);
+      });
+
+      it('skips the echo of its own changes', () => {
+        store.set(applyTodoEventAtom, { revision: 7, type: 'delete', ids: ['1'], origin: TODO_CLIENT_ID });
+
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY)).toEqual(serverTodos);
+        expect(store.get(todoRevisionAtom)).toBe(7);
+      });
+
+      it('refreshes the activity log on every change, its own included', () => {
+        queryClient.setQueryData(ACTIVITY_QUERY_KEY, []);
+        queryClient.setQueryData(todoHistoryQueryKey('1'), []);
+
+        store.set(applyTodoEventAtom, { revision: 7, type: 'update', todos: [serverTodos[0]], origin: TODO_CLIENT_ID });
+
+        expect(queryClient.getQueryState(ACTIVITY_QUERY_KEY).isInvalidated).toBe(true);
+        expect(queryClient.getQueryState(todoHistoryQueryKey('1')).isInvalidated).toBe(true);
+      });
+
+      it('keeps a todo with a change in flight until the server answers', async () => {
+        let respond;
+        todoApi.updateTodo.mockReturnValue(new Promise(resolve => {
+          respond = resolve;
+        }));
+        const saving = store.set(updateTodoActionAtom, { id: '1', updates: { text: 'Mine' } });
+        await vi.waitFor(() => expect(store.get(pendingMutationsAtom)['1']).toBeDefined());
+
+        store.set(applyTodoEventAtom, { revision: 8, type: 'reset', todos: [theirs, serverTodos[1]] });
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY)[0].text).toBe('Mine');
+
+        respond({ ...serverTodos[0], text: 'Mine', updatedAt: '2023-03-02T00:00:00.000Z' });
+        await saving;
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY)[0].text).toBe('Mine');
+      });
+    });
+
+    describe('conflicts', () => {
+      const theirs = { ...serverTodos[0], text: 'Changed elsewhere', revision: 5 };
+      const conflict = () => new TodoConflictError('Todo was changed by someone else', theirs);
+
+      it('sends each change against the revision the one before it will leave', async () => {
+        queryClient.setQueryData(TODOS_QUERY_KEY, [{ ...serverTodos[0], revision: 3 }, serverTodos[1]]);
+        todoApi.updateTodo.mockImplementation((id, updates, revision) =>
+          Promise.resolve({ ...serverTodos[0], ...updates, revision: revision + 1 }));
+
+        await Promise.all([
+          store.set(updateTodoActionAtom, { id: '1', updates: { text: 'First' } }),
+          store.set(updateTodoActionAtom, { id: '1', updates: { text: 'Second' } })
+        ]);
+
+        expect(todoApi.updateTodo.mock.calls.map(call => call[2])).toEqual([3, 4]);
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY)[0]).toMatchObject({ text: 'Second', revision: 5 });
+      });
+
+      it('shows the server copy and keeps the refused change for the dialog', async () => {
+        todoApi.updateTodo.mockRejectedValueOnce(conflict());
+
+        await store.set(updateTodoActionAtom, { id: '1', updates: { text: 'Mine' } });
+
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY)[0]).toEqual(theirs);
+        expect(store.get(todoStatusAtom)['1']).toEqual({
+          pending: null,
+          error: null,
+          queued: false,
+          conflict: { operation: 'update', base: serverTodos[0], updates: { text: 'Mine' }, server: theirs }
+        });
+
+        todoApi.updateTodo.mockResolvedValueOnce({ ...theirs, text: 'Mine and theirs', revision: 6 });
+        await store.set(resolveTodoConflictActionAtom, { id: '1', choice: 'merge', text: 'Mine and theirs' });
+
+        expect(todoApi.updateTodo).toHaveBeenLastCalledWith('1', { text: 'Mine and theirs' }, 5);
+        expect(store.get(todoConflictsAtom)).toEqual({});
+        await vi.waitFor(() => expect(queryClient.getQueryData(TODOS_QUERY_KEY)[0].text).toBe('Mine and theirs'));
+      });
+
+      it('toggles again and saves only the merged text when merging a toggle', async () => {
+        todoApi.toggleTodo.mockRejectedValueOnce(conflict());
+        await store.set(toggleTodoActionAtom, '1');
+        expect(store.get(todoConflictsAtom)['1']).toMatchObject({ operation: 'toggle', updates: { completed: true } });
+
+        todoApi.toggleTodo.mockResolvedValueOnce({ ...theirs, completed: true, revision: 6 });
+        todoApi.updateTodo.mockResolvedValueOnce({ ...theirs, completed: true, text: 'Mine and theirs', revision: 7 });
+        await store.set(resolveTodoConflictActionAtom, { id: '1', choice: 'merge', text: 'Mine and theirs' });
+
+        expect(todoApi.toggleTodo).toHaveBeenLastCalledWith('1', 5, false);
+        expect(todoApi.updateTodo).toHaveBeenCalledTimes(1);
+        expect(todoApi.updateTodo).toHaveBeenLastCalledWith('1', { text: 'Mine and theirs' }, 6);
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY)[0]).toMatchObject({ completed: true, text: 'Mine and theirs' });
+      });
+
+      it('deletes again on top of the server copy or drops the delete', async () => {
+        todoApi.deleteTodo.mockRejectedValue(conflict());
+        await store.set(deleteTodoActionAtom, '1');
+
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.text)).toEqual(['Changed elsewhere', 'Server todo 2']);
+        expect(store.get(todoConflictsAtom)['1']).toEqual({ operation: 'delete', base: serverTodos[0], server: theirs });
+
+        await store.set(resolveTodoConflictActionAtom, { id: '1', choice: 'server' });
+        expect(store.get(todoConflictsAtom)).toEqual({});
+        expect(todoApi.deleteTodo).toHaveBeenCalledTimes(1);
+
+        await store.set(deleteTodoActionAtom, '1');
+        todoApi.deleteTodo.mockResolvedValue(['1']);
+        await store.set(resolveTodoConflictActionAtom, { id: '1', choice: 'mine' });
+
+        expect(todoApi.deleteTodo).toHaveBeenLastCalledWith('1', 5);
+        expect(queryClient.getQueryData(TODOS_QUERY_KEY).map(todo => todo.id)).toEqual(['2']);
+      });
+    });
+  });
+});
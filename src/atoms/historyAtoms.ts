@@ -0,0 +1,219 @@
+import { atom, Getter, PrimitiveAtom, Setter, WritableAtom } from 'jotai';
+import { queryClientAtom } from 'jotai-tanstack-query';
+import {
+  TODOS_QUERY_KEY,
+  serverStateEnabledAtom,
+  localTodosAtom,
+  todosAtom,
+  errorAtom,
+  readTodos,
+  restoreServerTodo,
+  addTodoMutationAtom,
+  addTodoActionAtom,
+  addSubtaskActionAtom,
+  updateTodoActionAtom,
+  deleteTodoActionAtom,
+  toggleTodoActionAtom,
+  moveTodoActionAtom,
+  reorderTodoActionAtom,
+  batchTodosActionAtom,
+} from './todoAtoms';
+import {
+  EMPTY_HISTORY,
+  HistoryOperation,
+  TodoHistory,
+  createHistoryEntry,
+  recordHistory,
+  remapHistory,
+  remapOperation,
+} from '../utils/todoHistory';
+import { BATCH_PAST_TENSE } from '../utils/todoBatch';
+import { ReorderTarget } from '../utils/todoOrder';
+import { TodoApiError } from '../services/todoApi';
+import { Todo, CreateTodoRequest, UpdateTodoRequest, TodoBatchRequest } from '../types/todo';
+
+// Undo/redo for the todo write atoms. The undoable* atoms run the regular action and
+// record how to revert it; undo and redo replay those operations through the same write
+// atoms, so with server state they go through todoApi like any other change.
+
+export const historyAtom = atom<TodoHistory>(EMPTY_HISTORY);
+export const canUndoAtom = atom((get) => get(historyAtom).past.length > 0);
+export const canRedoAtom = atom((get) => get(historyAtom).future.length > 0);
+
+// Toast offering to undo a destructive action, or to redo what was just undone
+export interface HistoryToast {
+  message: string;
+  action: 'undo' | 'redo';
+}
+
+export const historyToastAtom = atom<HistoryToast | null>(null) as PrimitiveAtom<HistoryToast | null>;
+
+export const UNDONE_MESSAGE = 'Undone — redo?';
+
+const textOf = (todos: Todo[], id: string): string => {
+  const todo = todos.find(item => item.id === id);
+  return todo ? todo.text : '';
+};
+
+// Run `action` and record how to revert what it changed. The label is worked out from
+// the list before the action, e.g. 'Deleted "Buy milk"'.
+const withHistory = <Args>(
+  action: WritableAtom<unknown, [Args], Promise<void>>,
+  describe: (args: Args, todos: Todo[]) => { label: string; destructive?: boolean }
+) =>
+  atom(null, async (get, set, args: Args) => {
+    const before = readTodos(get);
+    const { label, destructive = false } = describe(args, before);
+    await set(action, args);
+
+    // Nothing to record when the action failed and was rolled back
+    const entry = createHistoryEntry(label, before, readTodos(get), destructive);
+    if (!entry) {
+      return;
+    }
+    set(historyAtom, recordHistory(get(historyAtom), entry));
+    set(historyToastAtom, destructive ? { message: label, action: 'undo' } : null);
+  });
+
+export const undoableAddTodoAtom = withHistory(addTodoActionAtom,
+  (request: CreateTodoRequest) => ({ label: `Added "${request.text}"` }));
+
+export const undoableAddSubtaskAtom = withHistory(addSubtaskActionAtom,
+  ({ text }: { parentId: string; text: string }) => ({ label: `Added "${text}"` }));
+
+export const undoableUpdateTodoAtom = withHistory(updateTodoActionAtom,
+  ({ id }: { id: string; updates: UpdateTodoRequest }, todos) => ({ label: `Edited "${textOf(todos, id)}"` }));
+
+export const undoableDeleteTodoAtom = withHistory(deleteTodoActionAtom,
+  (id: string, todos) => ({ label: `Deleted "${textOf(todos, id)}"`, destructive: true }));
+
+export const undoableToggleTodoAtom = withHistory(toggleTodoActionAtom, (id: string, todos) => {
+  const todo = todos.find(item => item.id === id);
+  return { label: `${todo && todo.completed ? 'Reopened' : 'Completed'} "${textOf(todos, id)}"` };
+});
+
+export const undoableMoveTodoAtom = withHistory(moveTodoActionAtom,
+  ({ id }: { id: string; listId: string }, todos) => ({ label: `Moved "${textOf(todos, id)}"` }));
+
+export const undoableReorderTodoAtom = withHistory(reorderTodoActionAtom,
+  ({ id }: { id: string; target: ReorderTarget }, todos) => ({ label: `Reordered "${textOf(todos, id)}"` }));
+
+export const undoableBatchTodosAtom = withHistory(batchTodosActionAtom, (request: TodoBatchRequest) => {
+  const tense = BATCH_PAST_TENSE[request.action];
+  const count = `${request.ids.length} ${request.ids.length === 1 ? 'todo' : 'todos'}`;
+  return {
+    label: `${tense.charAt(0).toUpperCase()}${tense.slice(1)} ${count}`,
+    destructive: request.action === 'delete',
+  };
+});
+
+// Put a removed todo back. Deleted todos come back out of the Trash with their id. A
+// todo no longer in the Trash is put back locally as it was; the server creates a new
+// todo, whose id is added to `idMap`.
+const restoreTodo = async (
+  get: Getter,
+  set: Setter,
+  todo: Todo,
+  index: number,
+  idMap: Record<string, string>
+) => {
+  if (!get(serverStateEnabledAtom)) {
+    if (get(localTodosAtom).some(item => item.id === todo.id)) {
+      set(localTodosAtom, todos => todos.map(item => (item.id === todo.id ? todo : item)));
+      return;
+    }
+    set(todosAtom, todos => [...todos.slice(0, index), todo, ...todos.slice(index)]);
+    return;
+  }
+
+  // Subtasks deleted with their parent came back with it
+  if (readTodos(get).some(item => item.id === todo.id)) {
+    return;
+  }
+  try {
+    await restoreServerTodo(get, set, todo.id);
+    return;
+  } catch (error) {
+    if (!(error instanceof TodoApiError) || error.status !== 404) {
+      throw error;
+    }
+  }
+
+  const created = await get(addTodoMutationAtom).mutateAsync({
+    text: todo.text,
+    ...(todo.dueAt ? { dueAt: todo.dueAt } : {}),
+    ...(todo.priority ? { priority: todo.priority } : {}),
+    ...(todo.tags && todo.tags.length > 0 ? { tags: todo.tags } : {}),
+    ...(todo.parentId ? { parentId: todo.parentId } : {}),
+    ...(todo.listId ? { listId: todo.listId } : {}),
+    ...(todo.recurrence ? { recurrence: todo.recurrence } : {}),
+  });
+  idMap[todo.id] = created.id;
+  if (todo.completed) {
+    await set(updateTodoActionAtom, { id: created.id, updates: { completed: true } });
+  }
+};
+
+// One at a time and in order - restored parents must exist before their subtasks
+const applyOperations = async (
+  get: Getter,
+  set: Setter,
+  operations: HistoryOperation[],
+  idMap: Record<string, string>
+) => {
+  for (let i = 0; i < operations.length; i++) {
+    const operation = remapOperation(operations[i], idMap);
+    switch (operation.type) {
+      case 'restore':
+        await restoreTodo(get, set, operation.todo, operation.index, idMap);
+        break;
+      case 'update':
+        await set(updateTodoActionAtom, { id: operation.id, updates: operation.updates });
+        break;
+      case 'move':
+        await set(moveTodoActionAtom, { id: operation.id, listId: operation.listId });
+        break;
+      case 'reorder':
+        await set(reorderTodoActionAtom, { id: operation.id, target: operation.target });
+        break;
+      case 'remove':
+        await set(deleteTodoActionAtom, operation.id);
+        break;
+    }
+  }
+};
+
+const replay = async (get: Getter, set: Setter, direction: 'undo' | 'redo') => {
+  const history = get(historyAtom);
+  const entry = direction === 'undo'
+    ? history.past[history.past.length - 1]
+    : history.future[history.future.length - 1];
+  if (!entry) {
+    return;
+  }
+
+  // Move the entry first so a quick second Ctrl+Z takes the one before it
+  set(historyAtom, direction === 'undo'
+    ? { past: history.past.slice(0, -1), future: [...history.future, entry] }
+    : { past: [...history.past, entry], future: history.future.slice(0, -1) });
+  set(historyToastAtom, direction === 'undo'
+    ? { message: UNDONE_MESSAGE, action: 'redo' }
+    : entry.destructive ? { message: entry.label, action: 'undo' } : null);
+  set(errorAtom, null);
+
+  const idMap: Record<string, string> = {};
+  try {
+    await applyOperations(get, set, direction === 'undo' ? entry.undo : entry.redo, idMap);
+  } catch (error) {
+    set(errorAtom, error?.message || 'Request failed');
+    // Part of the entry may have gone through - reload the server copy
+    if (get(serverStateEnabledAtom)) {
+      await get(queryClientAtom).invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+    }
+  } finally {
+    set(historyAtom, remapHistory(get(historyAtom), idMap));
+  }
+};
+
+export const undoAtom = atom(null, (get, set) => replay(get, set, 'undo'));
+export const redoAtom = atom(null, (get, set) => replay(get, set, 'redo'));
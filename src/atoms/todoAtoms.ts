@@ -1,121 +1,1236 @@
-import { atom } from 'jotai';
-import { atomWithQuery } from 'jotai-tanstack-query';
-import { Todo, TodoFilter, CreateTodoRequest, UpdateTodoRequest } from '../types/todo';
+import { atom, Getter, PrimitiveAtom, Setter, SetStateAction } from 'jotai';
+import { atomFamily, atomWithStorage } from 'jotai/utils';
+import { atomWithQuery, atomWithMutation, queryClientAtom } from 'jotai-tanstack-query';
+import { v4 as uuidv4 } from 'uuid';
+import { todoApi, isConflictError, isNetworkError, TODO_CLIENT_ID } from '../services/todoApi';
+import { subscribeToTodoEvents } from '../services/todoStream';
+import {
+  QueuedOperation,
+  getOfflineQueue,
+  createLocalTodoId,
+  isLocalTodoId,
+  subscribeToReconnect,
+  todoVersion,
+} from '../services/offlineQueue';
+import { isFeatureEnabled } from '../utils/featureFlags';
+import { filterTodos, filterByTag } from '../utils/todoFilters';
+import { collectTags, normalizeTag, parseTags, retagTodos } from '../utils/todoTags';
+import { completionChanges, subtaskProgress } from '../utils/todoTree';
+import { ReorderTarget, nextOrder, reorderTodos } from '../utils/todoOrder';
+import {
+  INBOX_LIST_ID,
+  countTodos,
+  filterByList,
+  listStats,
+  moveToList,
+  normalizeListName,
+  withInbox,
+} from '../utils/todoLists';
+import { applyBatch, applyBatchResult, describeBatchFailures, recordBatchErrors } from '../utils/todoBatch';
+import { TextRange, createSearchIndex, searchTodos } from '../utils/todoSearch';
+import { readSearchParam, writeSearchParam, subscribeToHistory } from '../utils/searchParams';
+import { DEFAULT_TODO_SORT, sortTodos } from '../utils/todoSort';
+import { findDueReminders } from '../utils/dueDates';
+import { nextOccurrenceRequest } from '../utils/todoRecurrence';
+import { ImportRow, importOrder, isImportable } from '../utils/todoImportExport';
+import { applyTodoEvent } from '../utils/todoEvents';
+import { TodoConflicts, clearTodoConflict } from '../utils/todoConflicts';
+import {
+  expiredTrashIds,
+  isDeleted,
+  purgeIds,
+  restoreFromTrash,
+  trashTodos,
+  trashedTodos,
+  withoutDeleted,
+} from '../utils/todoTrash';
+import {
+  TODOS_STORAGE_KEY,
+  FILTER_STORAGE_KEY,
+  SORT_STORAGE_KEY,
+  COMPLETE_PARENTS_STORAGE_KEY,
+  LISTS_STORAGE_KEY,
+  todosStorage,
+  filterStorage,
+  sortStorage,
+  completeParentsStorage,
+  listsStorage,
+} from './todoPersistence';
+import {
+  TodoOperation,
+  PendingMutations,
+  TodoErrors,
+  QueuedCounts,
+  applyOptimisticChange,
+  beginMutation,
+  confirmMutation,
+  rollbackTodo,
+  settleMutation,
+  clearTodoError,
+  countQueued,
+  createLocalTodo,
+  applyReplayResult,
+  buildTodoStatus,
+  replaceWithServerCopy,
+} from '../utils/optimisticTodos';
+import {
+  List,
+  Todo,
+  TodoActivity,
+  TodoFilter,
+  TodoSort,
+  CreateTodoRequest,
+  UpdateTodoRequest,
+  UpdateListRequest,
+  TodoBatchRequest,
+  TodoBatchResult,
+  TodoEvent,
+  TodoConflict,
+  TodoConflictChoice,
+} from '../types/todo';
 
-// Basic atoms that mirror Redux state (writable atoms)
-export const todosAtom = atom<Todo[]>([]);
+// Query key shared by every atom that reads or patches the server todo list
+export const TODOS_QUERY_KEY = ['todos'];
+// Named lists on the server
+export const LISTS_QUERY_KEY = ['lists'];
+// Todos in the server Trash - kept apart from ['todos'] so list updates never touch it
+export const TRASH_QUERY_KEY = ['trash'];
+// Activity log of every todo; a todo's own history lives under it, so one invalidation
+// refreshes both
+export const ACTIVITY_QUERY_KEY = ['activity'];
+export const todoHistoryQueryKey = (id: string) => [...ACTIVITY_QUERY_KEY, 'todo', id];
+
+// Server state gate - seeded from USE_TANSTACK_QUERY, writable so tests/dev tools can flip it
+export const serverStateEnabledAtom = atom<boolean>(isFeatureEnabled('USE_TANSTACK_QUERY'));
+
+// Basic atoms that mirror Redux state (writable atoms). The local todo list and the
+// filter are persisted to localStorage (see todoPersistence) and synced across tabs;
+// with server state enabled the todos come from the API instead.
+export const localTodosAtom = atomWithStorage<Todo[]>(TODOS_STORAGE_KEY, [], todosStorage);
 export const loadingAtom = atom<boolean>(false);
-export const errorAtom = atom<string | null>(null);
-export const filterAtom = atom<TodoFilter>('all');
+// Without strictNullChecks `null` also matches atom()'s read-function overload, so pin the type
+export const errorAtom = atom<string | null>(null) as PrimitiveAtom<string | null>;
+export const filterAtom = atomWithStorage<TodoFilter>(FILTER_STORAGE_KEY, 'all', filterStorage);
+export const sortAtom = atomWithStorage<TodoSort>(SORT_STORAGE_KEY, DEFAULT_TODO_SORT, sortStorage);
+// Completing the last open subtask completes its parent (completing a parent always
+// completes its subtasks)
+export const completeParentsAtom = atomWithStorage<boolean>(
+  COMPLETE_PARENTS_STORAGE_KEY,
+  false,
+  completeParentsStorage
+);
+// Only todos carrying this tag are listed - composes with filterAtom
+export const tagFilterAtom = atom<string | null>(null) as PrimitiveAtom<string | null>;
+
+// Search query, kept in the `?q=` URL parameter so results can be shared. It starts out
+// empty, as on the server, so hydration matches; mounting reads the URL.
+export const SEARCH_PARAM = 'q';
+const searchQueryValueAtom = atom<string>('');
+searchQueryValueAtom.onMount = (setQuery) => {
+  setQuery(readSearchParam(SEARCH_PARAM));
+  return subscribeToHistory(() => setQuery(readSearchParam(SEARCH_PARAM)));
+};
+
+export const searchQueryAtom = atom(
+  (get) => get(searchQueryValueAtom),
+  (_get, set, query: string) => {
+    set(searchQueryValueAtom, query);
+    writeSearchParam(SEARCH_PARAM, query.trim() ? query : '');
+  }
+);
+
+// Retry handle kept for a failed item mutation - batch failures keep the batch for that todo
+export interface TodoRetryRequest {
+  operation: TodoOperation | 'batch';
+  updates?: UpdateTodoRequest;
+  batch?: TodoBatchRequest;
+}
+
+// Optimistic item mutations in flight, and the last error per todo after a rollback
+export const pendingMutationsAtom = atom<PendingMutations>({});
+export const todoErrorsAtom = atom<TodoErrors<TodoRetryRequest>>({});
+// Changes made while offline that are waiting in the offline queue, counted per todo
+export const queuedMutationsAtom = atom<QueuedCounts>({});
+// Changes the server refused because the todo changed there first, until the user decides
+export const todoConflictsAtom = atom<TodoConflicts>({});
+
+// Per-todo pending operation, error, offline state and conflict for the item components
+export const todoStatusAtom = atom((get) =>
+  buildTodoStatus(get(pendingMutationsAtom), get(todoErrorsAtom), get(queuedMutationsAtom), get(todoConflictsAtom))
+);
+
+// Server state atom using TanStack Query integration
+export const todosQueryAtom = atomWithQuery(() => ({
+  queryKey: TODOS_QUERY_KEY,
+  queryFn: (): Promise<Todo[]> => todoApi.fetchTodos(),
+  staleTime: 5 * 60 * 1000, // 5 minutes
+  refetchOnWindowFocus: false,
+}));
+
+// The todo list components read - backed by the ['todos'] query cache when server
+// state is enabled, by localTodosAtom otherwise. localTodosAtom also keeps the local Trash;
+// trashed todos are left out here and kept as they are on every write.
+export const todosAtom = atom(
+  (get): Todo[] => {
+    if (!get(serverStateEnabledAtom)) {
+      return withoutDeleted(get(localTodosAtom));
+    }
+    return get(todosQueryAtom).data || [];
+  },
+  (get, set, next: SetStateAction<Todo[]>) => {
+    if (get(serverStateEnabledAtom)) {
+      // Updaters run against the cache itself - the query result atom only catches up after notify
+      get(queryClientAtom).setQueryData<Todo[]>(TODOS_QUERY_KEY, (todos = []) =>
+        typeof next === 'function' ? next(todos) : next
+      );
+    } else {
+      set(localTodosAtom, todos => {
+        const live = withoutDeleted(todos);
+        return [...(typeof next === 'function' ? next(live) : next), ...todos.filter(isDeleted)];
+      });
+    }
+  }
+);
+
+export const trashQueryAtom = atomWithQuery(() => ({
+  queryKey: TRASH_QUERY_KEY,
+  queryFn: (): Promise<Todo[]> => todoApi.fetchTrash(),
+  // Todos are deleted from other pages - refetch whenever the Trash is opened
+  staleTime: 0,
+  refetchOnWindowFocus: false,
+}));
+
+// Todos in the Trash, most recently deleted first
+export const trashAtom = atom((get): Todo[] => {
+  if (!get(serverStateEnabledAtom)) {
+    return trashedTodos(get(localTodosAtom));
+  }
+  return get(trashQueryAtom).data || [];
+});
+
+export const trashStatusAtom = atom((get) => {
+  if (!get(serverStateEnabledAtom)) {
+    return { isLoading: false, error: get(errorAtom) };
+  }
+  const query = get(trashQueryAtom);
+  return {
+    isLoading: query.isLoading,
+    error: get(errorAtom) || (query.error ? query.error.message : null),
+  };
+});
+
+export const activityQueryAtom = atomWithQuery(() => ({
+  queryKey: ACTIVITY_QUERY_KEY,
+  queryFn: (): Promise<TodoActivity[]> => todoApi.fetchActivity(),
+  // Refetched when the feed is opened and on every change from the event stream
+  staleTime: 0,
+  refetchOnWindowFocus: false,
+}));
+
+// The latest changes to any todo, newest first. The log is kept by the server, so there
+// is none without server state.
+export const activityAtom = atom((get): TodoActivity[] => {
+  if (!get(serverStateEnabledAtom)) {
+    return [];
+  }
+  return get(activityQueryAtom).data || [];
+});
+
+export const activityStatusAtom = atom((get) => {
+  if (!get(serverStateEnabledAtom)) {
+    return { isLoading: false, error: null };
+  }
+  const query = get(activityQueryAtom);
+  return { isLoading: query.isLoading, error: query.error ? query.error.message : null };
+});
+
+// Activity log of one todo, newest first - loaded when its history panel is opened
+export const todoHistoryQueryAtom = atomFamily((id: string) => atomWithQuery(() => ({
+  queryKey: todoHistoryQueryKey(id),
+  queryFn: (): Promise<TodoActivity[]> => todoApi.getHistory(id),
+  staleTime: 0,
+  refetchOnWindowFocus: false,
+})));
+
+// Loading/error for the list as a whole - query status when server state is enabled
+export const todosStatusAtom = atom((get) => {
+  if (!get(serverStateEnabledAtom)) {
+    return { isLoading: get(loadingAtom), error: get(errorAtom) };
+  }
+  const query = get(todosQueryAtom);
+  return {
+    isLoading: query.isLoading,
+    error: get(errorAtom) || (query.error ? query.error.message : null),
+  };
+});
+
+// Named lists kept on this device when server state is disabled
+export const localListsAtom = atomWithStorage<List[]>(LISTS_STORAGE_KEY, [], listsStorage);
+
+export const listsQueryAtom = atomWithQuery(() => ({
+  queryKey: LISTS_QUERY_KEY,
+  queryFn: (): Promise<List[]> => todoApi.fetchLists(),
+  staleTime: 5 * 60 * 1000, // 5 minutes
+  refetchOnWindowFocus: false,
+}));
+
+// Named lists - backed by the ['lists'] query cache or localListsAtom, like todosAtom
+export const storedListsAtom = atom(
+  (get): List[] => {
+    if (!get(serverStateEnabledAtom)) {
+      return get(localListsAtom);
+    }
+    return get(listsQueryAtom).data || [];
+  },
+  (get, set, next: SetStateAction<List[]>) => {
+    if (get(serverStateEnabledAtom)) {
+      get(queryClientAtom).setQueryData<List[]>(LISTS_QUERY_KEY, (lists = []) =>
+        typeof next === 'function' ? next(lists) : next
+      );
+    } else {
+      set(localListsAtom, next);
+    }
+  }
+);
+
+// The built-in Inbox followed by every named list, archived ones included
+export const listsAtom = atom((get) => withInbox(get(storedListsAtom)));
+
+// True until the server lists have loaded
+export const listsLoadingAtom = atom((get) => get(serverStateEnabledAtom) && get(listsQueryAtom).isLoading);
+
+// The list the todo page shows - set from the /lists/[listId] route, the Inbox on /
+export const currentListIdAtom = atom<string>(INBOX_LIST_ID);
+
+// null when the route names a list that does not exist
+export const currentListAtom = atom((get) => {
+  const listId = get(currentListIdAtom);
+  return get(listsAtom).find(list => list.id === listId) || null;
+});
+
+// Current time for the due-date filters and reminders - advanced by reminderClockAtom
+export const nowAtom = atom<number>(Date.now());
+
+export interface TodoReminder {
+  todoId: string;
+  text: string;
+  dueAt: string;
+}
+
+export const REMINDER_CHECK_INTERVAL_MS = 15 * 1000;
+
+const lastReminderCheckAtom = atom<number>(Date.now());
+const dueRemindersAtom = atom<TodoReminder[]>([]);
+
+// Reminders for todos that are still open - completing or deleting a todo drops its reminder
+export const remindersAtom = atom((get) => {
+  const openIds = get(todosAtom).filter(todo => !todo.completed).map(todo => todo.id);
+  return get(dueRemindersAtom).filter(reminder => openIds.indexOf(reminder.todoId) !== -1);
+});
+
+// Advance the clock and remind about every todo whose due time passed since the last check
+export const checkRemindersAtom = atom(null, (get, set, now: number = Date.now()) => {
+  const due = findDueReminders(get(todosAtom), get(lastReminderCheckAtom), now);
+  set(nowAtom, now);
+  set(lastReminderCheckAtom, now);
+  if (due.length === 0) {
+    return;
+  }
+  const dueIds = due.map(todo => todo.id);
+  set(dueRemindersAtom, [
+    ...get(dueRemindersAtom).filter(reminder => dueIds.indexOf(reminder.todoId) === -1),
+    ...due.map(todo => ({ todoId: todo.id, text: todo.text, dueAt: todo.dueAt as string })),
+  ]);
+});
+
+export const dismissReminderAtom = atom(null, (get, set, todoId: string) => {
+  set(dueRemindersAtom, get(dueRemindersAtom).filter(reminder => reminder.todoId !== todoId));
+});
+
+// Mount (useAtomValue) to keep the clock ticking and reminders firing
+export const reminderClockAtom = atom(null, (_get, set) => set(checkRemindersAtom));
+reminderClockAtom.onMount = (check) => {
+  check();
+  const timer = setInterval(() => check(), REMINDER_CHECK_INTERVAL_MS);
+  return () => clearInterval(timer);
+};
 
 // Derived atoms (computed state) - replaces Redux selectors
+export const sortedTodosAtom = atom((get) => sortTodos(get(todosAtom), get(sortAtom)));
+
+// Rebuilt only when the todos change, not on every keystroke
+export const searchIndexAtom = atom((get) => createSearchIndex(get(todosAtom)));
+
+// Highlight ranges per matching todo id - null when there is no query
+export const searchHighlightsAtom = atom((get): Record<string, TextRange[]> | null => {
+  const query = get(searchQueryAtom);
+  if (!query.trim()) {
+    return null;
+  }
+  const highlights: Record<string, TextRange[]> = {};
+  searchTodos(get(searchIndexAtom), query).forEach(match => {
+    highlights[match.todo.id] = match.ranges;
+  });
+  return highlights;
+});
+
 export const filteredTodosAtom = atom((get) => {
-  const todos = get(todosAtom);
+  const highlights = get(searchHighlightsAtom);
+  const sorted = filterByList(get(sortedTodosAtom), get(currentListIdAtom));
+  const searched = highlights ? sorted.filter(todo => !!highlights[todo.id]) : sorted;
+  const todos = filterByTag(searched, get(tagFilterAtom));
   const filter = get(filterAtom);
-  
-  switch (filter) {
-    case 'active':
-      return todos.filter(todo => !todo.completed);
-    case 'completed':
-      return todos.filter(todo => todo.completed);
-    default:
-      return todos;
+
+  if (filter === 'all' || filter === 'active' || filter === 'completed') {
+    return filterTodos(todos, filter);
   }
+  // Due-date filters move with the clock
+  return filterTodos(todos, filter, get(nowAtom));
 });
 
+// Done/total subtasks per parent, over all todos so filtering does not skew the counts
+export const subtaskProgressAtom = atom((get) => subtaskProgress(get(todosAtom)));
+
+// Tags in use with how many todos carry each
+export const tagsAtom = atom((get) => collectTags(get(todosAtom)));
+
+// Counts for the current list, and per list id for the list switcher
 export const todoStatsAtom = atom((get) => {
   const todos = get(todosAtom);
   return {
-    total: todos.length,
-    active: todos.filter(todo => !todo.completed).length,
-    completed: todos.filter(todo => todo.completed).length,
+    ...countTodos(filterByList(todos, get(currentListIdAtom))),
+    lists: listStats(todos, get(listsAtom)),
   };
 });
 
-// Server state atom using TanStack Query integration
-// TODO: Re-enable atomWithQuery after basic Jotai integration is working
-// export const todosQueryAtom = atomWithQuery(() => ({
-//   queryKey: ['todos'],
-//   queryFn: async (): Promise<Todo[]> => {
-//     // Mock API call - replace with real API
-//     return new Promise((resolve) => {
-//       setTimeout(() => {
-//         resolve([
-//           {
-//             id: '1',
-//             text: 'Learn Jotai atomic state management',
-//             completed: false,
-//             createdAt: new Date().toISOString(),
-//           },
-//           {
-//             id: '2', 
-//             text: 'Migrate from Redux to Jotai gradually',
-//             completed: false,
-//             createdAt: new Date().toISOString(),
-//           }
-//         ]);
-//       }, 1000);
-//     });
-//   },
-//   staleTime: 5 * 60 * 1000, // 5 minutes
-//   refetchOnWindowFocus: false,
-// }));
+// Mutation atoms - adding patches the ['todos'] cache on success and refetches on failure;
+// update/toggle/delete are patched optimistically by their action atoms below.
+// networkMode 'always' lets offline failures reach the offline queue instead of pausing.
+export const addTodoMutationAtom = atomWithMutation<Todo, CreateTodoRequest, Error>((get) => ({
+  mutationKey: ['todos', 'add'],
+  mutationFn: (data) => todoApi.addTodo(data),
+  networkMode: 'always',
+  onSuccess: (todo) => {
+    get(queryClientAtom).setQueryData<Todo[]>(TODOS_QUERY_KEY, (todos = []) => [...todos, todo]);
+  },
+  onError: (error) => {
+    if (!isNetworkError(error)) {
+      get(queryClientAtom).invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+    }
+  },
+}));
+
+// update/toggle/delete send the revision of the todo they were made against (If-Match)
+export const updateTodoMutationAtom = atomWithMutation<
+  Todo,
+  { id: string; updates: UpdateTodoRequest; revision?: number },
+  Error
+>(() => ({
+  mutationKey: ['todos', 'update'],
+  networkMode: 'always',
+  mutationFn: ({ id, updates, revision }) => todoApi.updateTodo(id, updates, revision),
+}));
+
+// Resolves with the ids of the todo and of the subtasks deleted with it
+export const deleteTodoMutationAtom = atomWithMutation<string[], { id: string; revision?: number }, Error>(() => ({
+  mutationKey: ['todos', 'delete'],
+  networkMode: 'always',
+  mutationFn: ({ id, revision }) => todoApi.deleteTodo(id, revision),
+}));
+
+export const toggleTodoMutationAtom = atomWithMutation<Todo, { id: string; revision?: number; completeParents?: boolean }, Error>(() => ({
+  mutationKey: ['todos', 'toggle'],
+  networkMode: 'always',
+  mutationFn: ({ id, revision, completeParents }) => todoApi.toggleTodo(id, revision, completeParents),
+}));
+
+// Runs a mutation and surfaces its failure through errorAtom instead of rejecting
+const runMutation = async (set: Setter, mutate: () => Promise<unknown>) => {
+  set(errorAtom, null);
+  try {
+    await mutate();
+  } catch (error) {
+    set(errorAtom, error?.message || 'Request failed');
+  }
+};
+
+// Latest todo list for write atoms - reads the cache directly so consecutive writes see each other
+export const readTodos = (get: Getter): Todo[] =>
+  get(serverStateEnabledAtom)
+    ? get(queryClientAtom).getQueryData<Todo[]>(TODOS_QUERY_KEY) || []
+    : withoutDeleted(get(localTodosAtom));
+
+// Persist a change the server could not receive so it is replayed on reconnect
+const queueOfflineMutation = async (
+  get: Getter,
+  set: Setter,
+  operation: QueuedOperation,
+  todoId: string,
+  payload?: CreateTodoRequest | UpdateTodoRequest,
+  baseVersion: string | null = null
+) => {
+  const mutation = await getOfflineQueue().enqueue({ operation, todoId, payload, baseVersion });
+  set(queuedMutationsAtom, countQueued(get(queuedMutationsAtom), mutation.todoId, 1));
+  return mutation;
+};
+
+// The server refused a change because the todo changed there first: show the server's
+// copy and keep the change for the conflict dialog
+const recordConflict = (
+  get: Getter,
+  set: Setter,
+  operation: TodoConflict['operation'],
+  base: Todo,
+  updates: UpdateTodoRequest | undefined,
+  server: Todo
+) => {
+  set(todosAtom, todos => replaceWithServerCopy(todos, server.id, server));
+  set(todoConflictsAtom, {
+    ...get(todoConflictsAtom),
+    [server.id]: {
+      operation,
+      base,
+      ...(operation === 'toggle' ? { updates: { completed: !base.completed } } : updates ? { updates } : {}),
+      server,
+    },
+  });
+};
+
+// Apply an item mutation to the cache right away, then confirm it with the server
+// copy or roll back only the affected todo and record its error and retry handle.
+// When the server is unreachable the change stays applied and goes to the offline queue.
+// The optimistic copy gets the revision the server will give it, so a second change made
+// before the first is confirmed is sent against that revision.
+const runOptimisticMutation = async (
+  get: Getter,
+  set: Setter,
+  id: string,
+  operation: TodoOperation,
+  mutate: (revision: number) => Promise<unknown>,
+  updates?: UpdateTodoRequest
+) => {
+  await get(queryClientAtom).cancelQueries({ queryKey: TODOS_QUERY_KEY });
+
+  const request: TodoRetryRequest = { operation, updates };
+  const todos = readTodos(get);
+  const current = todos.find(todo => todo.id === id);
+  const pending = beginMutation(get(pendingMutationsAtom), todos, id, operation, request);
+  if (!pending || !current) {
+    return;
+  }
+  const revision = current.revision || 0;
+  set(pendingMutationsAtom, pending);
+  set(todoErrorsAtom, clearTodoError(get(todoErrorsAtom), id));
+  set(todoConflictsAtom, clearTodoConflict(get(todoConflictsAtom), id));
+  set(todosAtom, todos => applyOptimisticChange(todos, operation, id, updates)
+    .map(todo => (todo.id === id ? { ...todo, revision: revision + 1 } : todo)));
+
+  const queueChange = async () => {
+    const mutation = get(pendingMutationsAtom)[id];
+    await queueOfflineMutation(get, set, operation, id, updates, todoVersion(mutation?.previous));
+    set(pendingMutationsAtom, settleMutation(get(pendingMutationsAtom), id));
+  };
+
+  // Todos created offline have no server copy yet
+  if (isLocalTodoId(id)) {
+    await queueChange();
+    return;
+  }
+
+  try {
+    const result = await mutate(revision);
+    if (operation === 'delete') {
+      // Also drop subtasks the server removed that this client had not seen yet
+      const deleted = (result as string[]) || [];
+      set(todosAtom, todos => todos.filter(todo => deleted.indexOf(todo.id) === -1));
+      set(pendingMutationsAtom, settleMutation(get(pendingMutationsAtom), id));
+      return;
+    }
+    const confirmed = confirmMutation(get(pendingMutationsAtom), readTodos(get), result as Todo);
+    set(todosAtom, confirmed.todos);
+    set(pendingMutationsAtom, confirmed.pending);
+  } catch (error) {
+    if (isNetworkError(error)) {
+      await queueChange();
+      return;
+    }
+    const mutation = get(pendingMutationsAtom)[id];
+    if (mutation) {
+      set(todosAtom, todos => rollbackTodo(todos, mutation));
+    }
+    set(pendingMutationsAtom, settleMutation(get(pendingMutationsAtom), id));
+    if (isConflictError(error)) {
+      recordConflict(get, set, operation as TodoConflict['operation'], current, updates, error.todo);
+      return;
+    }
+    set(todoErrorsAtom, {
+      ...get(todoErrorsAtom),
+      [id]: { message: error?.message || 'Request failed', retry: request },
+    });
+  }
+};
 
 // Write-only atoms (actions) - replaces Redux actions
 export const addTodoActionAtom = atom(
   null,
-  (get, set, newTodo: CreateTodoRequest) => {
+  async (get, set, request: CreateTodoRequest) => {
+    // New top-level todos go to the list being shown; subtasks follow their parent
+    const listId = get(currentListIdAtom);
+    const newTodo = request.listId === undefined && !request.parentId && listId !== INBOX_LIST_ID
+      ? { ...request, listId }
+      : request;
+
+    if (get(serverStateEnabledAtom)) {
+      await runMutation(set, async () => {
+        try {
+          await get(addTodoMutationAtom).mutateAsync(newTodo);
+        } catch (error) {
+          if (!isNetworkError(error)) {
+            throw error;
+          }
+          const mutation = await queueOfflineMutation(get, set, 'add', createLocalTodoId(), newTodo);
+          set(todosAtom, todos => [
+            ...todos,
+            { ...createLocalTodo(mutation.todoId, newTodo, mutation.queuedAt), order: nextOrder(todos) },
+          ]);
+        }
+      });
+      return;
+    }
+
     const currentTodos = get(todosAtom);
-    const todo: Todo = {
-      id: Date.now().toString(),
-      text: newTodo.text,
-      completed: false,
-      createdAt: new Date().toISOString(),
-    };
-    set(todosAtom, [...currentTodos, todo]);
+    const todo = createLocalTodo(Date.now().toString(), newTodo, new Date().toISOString());
+    set(todosAtom, [...currentTodos, { ...todo, order: nextOrder(currentTodos) }]);
+  }
+);
+
+export const addSubtaskActionAtom = atom(
+  null,
+  async (get, set, { parentId, text }: { parentId: string; text: string }) => {
+    const { text: subtaskText, tags } = parseTags(text);
+    const parent = readTodos(get).find(todo => todo.id === parentId);
+    await set(addTodoActionAtom, {
+      text: subtaskText,
+      ...(tags.length > 0 ? { tags } : {}),
+      parentId,
+      ...(parent && parent.listId ? { listId: parent.listId } : {}),
+    });
   }
 );
 
 export const updateTodoActionAtom = atom(
   null,
-  (get, set, { id, updates }: { id: string; updates: UpdateTodoRequest }) => {
+  async (get, set, { id, updates }: { id: string; updates: UpdateTodoRequest }) => {
+    if (get(serverStateEnabledAtom)) {
+      await runOptimisticMutation(get, set, id, 'update',
+        (revision) => get(updateTodoMutationAtom).mutateAsync({ id, updates, revision }), updates);
+      return;
+    }
+
     const todos = get(todosAtom);
     set(todosAtom, todos.map(todo =>
-      todo.id === id 
+      todo.id === id
         ? { ...todo, ...updates, updatedAt: new Date().toISOString() }
         : todo
     ));
   }
 );
 
+// Local todos go to the Trash along with their subtasks
+const trashLocalTodos = (set: Setter, trashed: Todo[]) => {
+  if (trashed.length > 0) {
+    set(localTodosAtom, todos => todos.map(todo => trashed.find(item => item.id === todo.id) || todo));
+  }
+};
+
+// Deleting a todo moves it and its subtasks to the Trash
 export const deleteTodoActionAtom = atom(
   null,
-  (get, set, todoId: string) => {
-    const todos = get(todosAtom);
-    set(todosAtom, todos.filter(todo => todo.id !== todoId));
+  async (get, set, todoId: string) => {
+    if (get(serverStateEnabledAtom)) {
+      await runOptimisticMutation(get, set, todoId, 'delete',
+        (revision) => get(deleteTodoMutationAtom).mutateAsync({ id: todoId, revision }));
+      return;
+    }
+
+    trashLocalTodos(set, trashTodos(get(localTodosAtom), todoId, new Date().toISOString()));
   }
 );
 
+// Toggling also applies the subtask completion rules (see completionChanges). The server
+// applies them itself in the same step as the toggle; the subtasks and parents it changes
+// are shown right away and reloaded once it answers. Completing a recurring todo hands its
+// schedule over to a new todo for the next occurrence.
 export const toggleTodoActionAtom = atom(
   null,
-  (get, set, todoId: string) => {
-    const todos = get(todosAtom);
-    set(todosAtom, todos.map(todo =>
-      todo.id === todoId 
-        ? { ...todo, completed: !todo.completed, updatedAt: new Date().toISOString() }
-        : todo
-    ));
+  async (get, set, todoId: string) => {
+    const todos = readTodos(get);
+    const target = todos.find(todo => todo.id === todoId);
+    const completeParents = get(completeParentsAtom);
+    const related = target
+      ? completionChanges(todos, todoId, !target.completed, completeParents)
+      : [];
+    const recurring = !!target && !target.completed && !!target.recurrence;
+    const completed: Record<string, boolean> = {};
+    related.forEach(change => {
+      completed[change.id] = change.completed;
+    });
+
+    if (get(serverStateEnabledAtom)) {
+      if (related.length > 0) {
+        set(todosAtom, todos => todos.map(todo =>
+          completed[todo.id] !== undefined ? { ...todo, completed: completed[todo.id] } : todo));
+      }
+      await runOptimisticMutation(get, set, todoId, 'toggle',
+        (revision) => get(toggleTodoMutationAtom).mutateAsync({ id: todoId, revision, completeParents }));
+      // The server created the next occurrence, or changed (or, on failure, left alone) the related todos
+      if ((recurring && !get(todoErrorsAtom)[todoId]) || related.length > 0) {
+        await get(queryClientAtom).invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+      }
+      return;
+    }
+
+    const updatedAt = new Date().toISOString();
+    const toggled = todos.map(todo => {
+      if (todo.id === todoId) {
+        const next = { ...todo, completed: !todo.completed, updatedAt };
+        if (recurring) {
+          delete next.recurrence;
+        }
+        return next;
+      }
+      return completed[todo.id] !== undefined ? { ...todo, completed: completed[todo.id], updatedAt } : todo;
+    });
+    const next = recurring ? nextOccurrenceRequest(target, Date.now()) : null;
+    set(todosAtom, next
+      ? [...toggled, { ...createLocalTodo(uuidv4(), next, updatedAt), order: nextOrder(toggled) }]
+      : toggled);
   }
 );
 
+// Re-run the failed mutation of a todo from its retry handle
+export const retryTodoActionAtom = atom(
+  null,
+  async (get, set, todoId: string) => {
+    const failure = get(todoErrorsAtom)[todoId];
+    if (!failure) {
+      return;
+    }
+
+    const { operation, updates, batch } = failure.retry;
+    switch (operation) {
+      case 'batch':
+        await set(batchTodosActionAtom, batch);
+        break;
+      case 'update':
+        await set(updateTodoActionAtom, { id: todoId, updates });
+        break;
+      case 'toggle':
+        await set(toggleTodoActionAtom, todoId);
+        break;
+      case 'delete':
+        await set(deleteTodoActionAtom, todoId);
+        break;
+    }
+  }
+);
+
+// Settle a conflict from the dialog. The cache already holds the server's copy, so keeping
+// your version or a merge is made again against the server's revision.
+export const resolveTodoConflictActionAtom = atom(
+  null,
+  async (get, set, { id, choice, text }: { id: string; choice: TodoConflictChoice; text?: string }) => {
+    const conflict = get(todoConflictsAtom)[id];
+    if (!conflict) {
+      return;
+    }
+    set(todoConflictsAtom, clearTodoConflict(get(todoConflictsAtom), id));
+
+    if (choice === 'server') {
+      return;
+    }
+    if (conflict.operation === 'delete') {
+      await set(deleteTodoActionAtom, id);
+      return;
+    }
+    if (conflict.operation === 'toggle') {
+      // Toggling again keeps the subtask rules and recurring todos working; a merge then
+      // saves the merged text on its own
+      const todo = readTodos(get).find(item => item.id === id);
+      if (todo && todo.completed !== conflict.updates.completed) {
+        await set(toggleTodoActionAtom, id);
+      }
+      if (choice === 'merge' && todo && text !== undefined && text !== todo.text) {
+        await set(updateTodoActionAtom, { id, updates: { text } });
+      }
+      return;
+    }
+    const updates = choice === 'merge' ? { ...conflict.updates, text } : conflict.updates;
+    await set(updateTodoActionAtom, { id, updates });
+  }
+);
+
+// Swap in the changed copies of todos, keeping list positions
+const replaceTodos = (todos: Todo[], changed: Todo[]): Todo[] => {
+  const byId: Record<string, Todo> = {};
+  changed.forEach(todo => {
+    byId[todo.id] = todo;
+  });
+  return todos.map(todo => byId[todo.id] || todo);
+};
+
+// Tag management touches every todo at once, so it is not optimistic: local todos are
+// retagged in place, server todos are replaced by the copies the API changed
+const runTagAction = async (
+  get: Getter,
+  set: Setter,
+  from: string[],
+  into: string | null,
+  request: () => Promise<Todo[]>
+) => {
+  if (get(serverStateEnabledAtom)) {
+    await runMutation(set, async () => {
+      const changed = await request();
+      set(todosAtom, todos => replaceTodos(todos, changed));
+    });
+  } else {
+    const updatedAt = new Date().toISOString();
+    const changed = retagTodos(get(todosAtom), from, into).map(todo => ({ ...todo, updatedAt }));
+    set(todosAtom, replaceTodos(get(todosAtom), changed));
+  }
+
+  // Keep filtering by the tag under its new name
+  const tagFilter = get(tagFilterAtom);
+  if (tagFilter && from.indexOf(tagFilter) !== -1) {
+    set(tagFilterAtom, into);
+  }
+};
+
+export const renameTagActionAtom = atom(
+  null,
+  async (get, set, { tag, name }: { tag: string; name: string }) => {
+    const into = normalizeTag(name);
+    if (!into || into === tag) {
+      return;
+    }
+    await runTagAction(get, set, [tag], into, () => todoApi.renameTag(tag, into));
+  }
+);
+
+export const mergeTagsActionAtom = atom(
+  null,
+  async (get, set, { tags, into }: { tags: string[]; into: string }) => {
+    const from = tags.filter(tag => tag !== into);
+    if (from.length === 0) {
+      return;
+    }
+    await runTagAction(get, set, from, into, () => todoApi.mergeTags(from, into));
+  }
+);
+
+export const deleteTagActionAtom = atom(
+  null,
+  async (get, set, tag: string) => {
+    await runTagAction(get, set, [tag], null, () => todoApi.deleteTag(tag));
+  }
+);
+
+// Changes spanning several todos show right away; on the server they are confirmed with
+// the copies the API returns, or the previous copies are put back when it fails
+const runTodosChange = async (
+  get: Getter,
+  set: Setter,
+  changed: Todo[] | null,
+  request: () => Promise<Todo[]>
+) => {
+  if (!changed || changed.length === 0) {
+    return;
+  }
+  const previous = readTodos(get).filter(todo => changed.some(item => item.id === todo.id));
+  set(todosAtom, todos => replaceTodos(todos, changed));
+  if (!get(serverStateEnabledAtom)) {
+    return;
+  }
+
+  await runMutation(set, async () => {
+    try {
+      const confirmed = await request();
+      set(todosAtom, todos => replaceTodos(todos, confirmed));
+    } catch (error) {
+      set(todosAtom, todos => replaceTodos(todos, previous));
+      throw error;
+    }
+  });
+};
+
+// Only the moved todo is rewritten unless the list had to be renumbered
+export const reorderTodoActionAtom = atom(
+  null,
+  async (get, set, { id, target }: { id: string; target: ReorderTarget }) => {
+    await runTodosChange(get, set, reorderTodos(readTodos(get), id, target),
+      () => todoApi.reorderTodo(id, target));
+  }
+);
+
+// Subtasks move with their parent and cannot be moved on their own
+export const moveTodoActionAtom = atom(
+  null,
+  async (get, set, { id, listId }: { id: string; listId: string }) => {
+    const todo = readTodos(get).find(item => item.id === id);
+    if (!todo || todo.parentId) {
+      return;
+    }
+    await runTodosChange(get, set, moveToList(readTodos(get), id, listId),
+      () => todoApi.moveTodo(id, listId));
+  }
+);
+
+// Batches are not optimistic (like tags): local todos change in place, server todos once
+// the API answers. Todos the batch could not apply to keep a per-todo error whose retry
+// runs the batch again for that todo alone.
+export const batchTodosActionAtom = atom(
+  null,
+  async (get, set, batch: TodoBatchRequest) => {
+    const request = batch.action === 'tag' ? { ...batch, tag: normalizeTag(batch.tag) } : batch;
+    if (request.ids.length === 0 || (request.action === 'tag' && !request.tag)) {
+      return;
+    }
+    const finish = (result: TodoBatchResult) => {
+      set(todosAtom, todos => applyBatchResult(todos, result));
+      set(todoErrorsAtom, recordBatchErrors(get(todoErrorsAtom), result,
+        (id): TodoRetryRequest => ({ operation: 'batch', batch: { ...request, ids: [id] } })));
+      const failures = describeBatchFailures(result, request.action);
+      if (failures) {
+        set(errorAtom, failures);
+      }
+    };
+
+    if (!get(serverStateEnabledAtom)) {
+      set(errorAtom, null);
+      const deletedAt = new Date().toISOString();
+      const result = applyBatch(readTodos(get), request, deletedAt);
+      trashLocalTodos(set, readTodos(get)
+        .filter(todo => result.deleted.indexOf(todo.id) !== -1)
+        .map(todo => ({ ...todo, deletedAt })));
+      finish(result);
+      return;
+    }
+    await runMutation(set, async () => {
+      finish(await todoApi.batch(request));
+    });
+  }
+);
+
+// Imports are not optimistic (like batches): rows are added one at a time, parents before
+// their subtasks, through todoApi.addTodo - completed ones are then marked done with an
+// update, so no recurring todo repeats. Resolves with the number of todos imported; when
+// the server fails part way the rest are left out and errorAtom says how far it got.
+export const importTodosActionAtom = atom(
+  null,
+  async (get, set, { rows, listId }: { rows: ImportRow[]; listId: string }): Promise<number> => {
+    const importable = importOrder(rows.filter(isImportable));
+    const ids: Record<number, string> = {};
+    const requestFor = (row: ImportRow): CreateTodoRequest => {
+      const parentId = row.parentRow === undefined ? row.parentId : ids[row.parentRow];
+      return {
+        ...row.request,
+        ...(parentId ? { parentId } : {}),
+        ...(listId !== INBOX_LIST_ID ? { listId } : {}),
+      };
+    };
+    set(errorAtom, null);
+
+    if (!get(serverStateEnabledAtom)) {
+      const createdAt = new Date().toISOString();
+      const imported: Todo[] = [];
+      let order = nextOrder(readTodos(get));
+      importable.forEach(row => {
+        ids[row.row] = uuidv4();
+        imported.push({
+          ...createLocalTodo(ids[row.row], requestFor(row), createdAt),
+          completed: !!row.completed,
+          order: order++,
+        });
+      });
+      set(todosAtom, todos => [...todos, ...imported]);
+      return imported.length;
+    }
+
+    let count = 0;
+    try {
+      for (let i = 0; i < importable.length; i++) {
+        const created: Todo = await todoApi.addTodo(requestFor(importable[i]));
+        ids[importable[i].row] = created.id;
+        if (importable[i].completed) {
+          await todoApi.updateTodo(created.id, { completed: true });
+        }
+        count++;
+      }
+    } catch (error) {
+      set(errorAtom, `Imported ${count} of ${importable.length} todos: ${error?.message || 'Request failed'}`);
+    }
+    await get(queryClientAtom).invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+    return count;
+  }
+);
+
+// List management is not optimistic (like tags): local lists change in place, server
+// lists once the API answers. Resolves with the new list, or null when it failed.
+export const createListActionAtom = atom(
+  null,
+  async (get, set, name: string): Promise<List | null> => {
+    const listName = normalizeListName(name);
+    if (!listName) {
+      return null;
+    }
+    if (!get(serverStateEnabledAtom)) {
+      const list: List = { id: uuidv4(), name: listName, createdAt: new Date().toISOString() };
+      set(storedListsAtom, lists => [...lists, list]);
+      return list;
+    }
+
+    let created: List | null = null;
+    await runMutation(set, async () => {
+      created = await todoApi.createList(listName);
+      set(storedListsAtom, lists => [...lists, created]);
+    });
+    return created;
+  }
+);
+
+// The Inbox is built in and cannot be changed
+const runListUpdate = async (get: Getter, set: Setter, id: string, updates: UpdateListRequest) => {
+  if (id === INBOX_LIST_ID) {
+    return;
+  }
+  if (get(serverStateEnabledAtom)) {
+    await runMutation(set, async () => {
+      const updated: List = await todoApi.updateList(id, updates);
+      set(storedListsAtom, lists => lists.map(list => (list.id === id ? updated : list)));
+    });
+    return;
+  }
+  const updatedAt = new Date().toISOString();
+  set(storedListsAtom, lists => lists.map(list => (list.id === id ? { ...list, ...updates, updatedAt } : list)));
+};
+
+export const renameListActionAtom = atom(
+  null,
+  async (get, set, { id, name }: { id: string; name: string }) => {
+    const listName = normalizeListName(name);
+    if (listName) {
+      await runListUpdate(get, set, id, { name: listName });
+    }
+  }
+);
+
+export const archiveListActionAtom = atom(
+  null,
+  async (get, set, { id, archived }: { id: string; archived: boolean }) => {
+    await runListUpdate(get, set, id, { archived });
+  }
+);
+
+// Deletes the list along with every todo filed in it
+// Take todos the server removed or restored out of the cached Trash
+const dropFromTrash = (get: Getter, ids: string[]) => {
+  get(queryClientAtom).setQueryData<Todo[]>(TRASH_QUERY_KEY, (trash = []) =>
+    trash.filter(todo => ids.indexOf(todo.id) === -1)
+  );
+};
+
+export const deleteListActionAtom = atom(
+  null,
+  async (get, set, id: string) => {
+    if (id === INBOX_LIST_ID) {
+      return;
+    }
+    if (!get(serverStateEnabledAtom)) {
+      // Trashed todos in the list go too
+      set(localTodosAtom, todos => todos.filter(todo => todo.listId !== id));
+      set(storedListsAtom, lists => lists.filter(list => list.id !== id));
+      return;
+    }
+
+    await runMutation(set, async () => {
+      const deleted: string[] = await todoApi.deleteList(id);
+      set(todosAtom, todos => todos.filter(todo => deleted.indexOf(todo.id) === -1));
+      // The list's todos in the Trash went with it
+      dropFromTrash(get, deleted);
+      set(storedListsAtom, lists => lists.filter(list => list.id !== id));
+    });
+  }
+);
+
+// Ask the server to take todo `id` out of the Trash and show it again, with the subtasks
+// deleted along with it. Rejects when the server refuses.
+export const restoreServerTodo = async (get: Getter, set: Setter, id: string): Promise<Todo[]> => {
+  const restored: Todo[] = await todoApi.restoreTodo(id);
+  const ids = restored.map(todo => todo.id);
+  set(todosAtom, todos => [...todos.filter(todo => ids.indexOf(todo.id) === -1), ...restored]);
+  dropFromTrash(get, ids);
+  return restored;
+};
+
+// Trash actions are not optimistic (like lists): local todos change in place, server
+// todos once the API answers
+export const restoreTodoActionAtom = atom(
+  null,
+  async (get, set, id: string) => {
+    if (get(serverStateEnabledAtom)) {
+      await runMutation(set, () => restoreServerTodo(get, set, id));
+      return;
+    }
+
+    set(errorAtom, null);
+    const todos = get(localTodosAtom);
+    const restored = restoreFromTrash(todos, id);
+    const parent = restored.length > 0 && restored[0].parentId
+      ? todos.find(todo => todo.id === restored[0].parentId)
+      : null;
+    if (parent && isDeleted(parent)) {
+      set(errorAtom, 'Restore the parent todo first');
+      return;
+    }
+    const updatedAt = new Date().toISOString();
+    set(localTodosAtom, todos.map(todo => {
+      const match = restored.find(item => item.id === todo.id);
+      return match ? { ...match, updatedAt } : todo;
+    }));
+  }
+);
+
+// Deletes a todo in the Trash for good, with its subtasks
+export const purgeTodoActionAtom = atom(
+  null,
+  async (get, set, id: string) => {
+    if (!get(serverStateEnabledAtom)) {
+      const ids = purgeIds(get(localTodosAtom), id);
+      set(localTodosAtom, todos => todos.filter(todo => ids.indexOf(todo.id) === -1));
+      return;
+    }
+
+    await runMutation(set, async () => {
+      dropFromTrash(get, await todoApi.purgeTodo(id));
+    });
+  }
+);
+
+// Mount (useAtomValue) to purge todos that stayed in the Trash past the retention window.
+// The server only hides them until it is asked to; a failed purge is retried on the next mount.
+export const trashPurgeAtom = atom(null, (get, set) => {
+  if (get(serverStateEnabledAtom)) {
+    todoApi.purgeExpiredTrash().then((deleted: string[]) => dropFromTrash(get, deleted), () => undefined);
+    return;
+  }
+  const expired = expiredTrashIds(get(localTodosAtom), Date.now());
+  if (expired.length > 0) {
+    set(localTodosAtom, todos => todos.filter(todo => expired.indexOf(todo.id) === -1));
+  }
+});
+trashPurgeAtom.onMount = (purge) => {
+  purge();
+};
+
+// Send the offline queue to the server and fold the outcome into the cache
+export const replayOfflineQueueAtom = atom(
+  null,
+  async (get, set) => {
+    if (!get(serverStateEnabledAtom)) {
+      return;
+    }
+
+    const result = await getOfflineQueue().replay(todoApi);
+    if (!result.synced.length && !result.conflicts.length && !result.rejected.length) {
+      return;
+    }
+
+    const next = applyReplayResult<TodoRetryRequest>(
+      {
+        todos: readTodos(get),
+        queued: get(queuedMutationsAtom),
+        errors: get(todoErrorsAtom),
+        error: get(errorAtom),
+      },
+      result,
+      (mutation) => ({
+        operation: mutation.operation as TodoOperation,
+        updates: mutation.payload as UpdateTodoRequest,
+      })
+    );
+    set(todosAtom, next.todos);
+    set(queuedMutationsAtom, next.queued);
+    set(todoErrorsAtom, next.errors);
+    set(errorAtom, next.error);
+
+    // Rejected changes are still applied locally - reload the server copy
+    if (result.rejected.length) {
+      await get(queryClientAtom).invalidateQueries({ queryKey: TODOS_QUERY_KEY });
+    }
+  }
+);
+
+// Mount (useAtomValue) to replay what is left from the last session and again on every reconnect
+export const offlineSyncAtom = atom(null, (_get, set) => set(replayOfflineQueueAtom));
+offlineSyncAtom.onMount = (replay) => {
+  replay();
+  return subscribeToReconnect(() => replay());
+};
+
+// Last revision of the todo event stream applied here - a new connection resumes after it
+export const todoRevisionAtom = atom<number | null>(null) as PrimitiveAtom<number | null>;
+
+// Fold a change made in another tab or by another client into the cache. The echo of this
+// tab's own changes is skipped, since its requests already put the server copy in place,
+// and todos with a change still on its way to the server keep their local copy.
+export const applyTodoEventAtom = atom(null, (get, set, event: TodoEvent) => {
+  set(todoRevisionAtom, event.revision);
+  const queryClient = get(queryClientAtom);
+  // Every change, this tab's own included, adds to the activity log
+  queryClient.invalidateQueries({ queryKey: ACTIVITY_QUERY_KEY });
+  if (event.origin && event.origin === TODO_CLIENT_ID) {
+    return;
+  }
+  // Nothing to merge into before the list has loaded - loading it brings the change
+  if (event.type !== 'reset' && !queryClient.getQueryData(TODOS_QUERY_KEY)) {
+    return;
+  }
+  const keepIds = [
+    ...Object.keys(get(pendingMutationsAtom)),
+    ...readTodos(get).map(todo => todo.id).filter(isLocalTodoId),
+  ];
+  set(todosAtom, todos => applyTodoEvent(todos, event, keepIds));
+  // Deleted and restored todos move in or out of the Trash
+  if (event.type === 'add' || event.type === 'delete' || event.type === 'reset') {
+    queryClient.invalidateQueries({ queryKey: TRASH_QUERY_KEY });
+  }
+});
+
+// Mount (useAtom) to follow changes from other tabs and clients live, with server state on
+export const todoStreamAtom = atom(null, (get, set) => {
+  if (!get(serverStateEnabledAtom)) {
+    return () => {};
+  }
+  return subscribeToTodoEvents({
+    since: () => get(todoRevisionAtom),
+    onEvent: (event) => set(applyTodoEventAtom, event),
+  });
+});
+todoStreamAtom.onMount = (connect) => connect();
+
 // Aliases for easier imports in components
 export const addTodoAtom = addTodoActionAtom;
 export const updateTodoAtom = updateTodoActionAtom;
 export const deleteTodoAtom = deleteTodoActionAtom;
 export const toggleTodoAtom = toggleTodoActionAtom;
+export const addSubtaskAtom = addSubtaskActionAtom;
+export const reorderTodoAtom = reorderTodoActionAtom;
+export const moveTodoAtom = moveTodoActionAtom;
+export const retryTodoAtom = retryTodoActionAtom;
+export const resolveTodoConflictAtom = resolveTodoConflictActionAtom;
+export const batchTodosAtom = batchTodosActionAtom;
 
 // Atom to sync between Jotai and Redux (for gradual migration)
-// TODO: Fix Jotai 2.x TypeScript compatibility
 export const syncWithReduxAtom = atom(
   null,
   (get, set, reduxState: any) => {
@@ -125,9 +1240,8 @@ export const syncWithReduxAtom = atom(
     if (reduxState?.todos?.loading !== undefined) {
       set(loadingAtom, reduxState.todos.loading);
     }
-    // Temporarily commented due to Jotai 2.x TypeScript issue
-    // if (reduxState?.todos?.error !== undefined) {
-    //   set(errorAtom, reduxState.todos.error);
-    // }
+    if (reduxState?.todos?.error !== undefined) {
+      set(errorAtom, reduxState.todos.error);
+    }
   }
-);
\ No newline at end of file
+);
@@ -0,0 +1,134 @@
+import { atom, PrimitiveAtom } from 'jotai';
+import {
+  Migrations,
+  StorageError,
+  createVersionedStorage,
+} from '../utils/versionedStorage';
+import { isTodoFilter } from '../utils/todoFilters';
+import { DEFAULT_TODO_SORT, isTodoSort } from '../utils/todoSort';
+import { assignOrder } from '../utils/todoOrder';
+import { List, Todo, TodoFilter, TodoSort } from '../types/todo';
+
+// localStorage layout for the Jotai todo state. Bump a *_STORAGE_VERSION whenever the
+// stored shape changes and add the migration from the previous version next to it.
+
+export const TODOS_STORAGE_KEY = 'todo-app:todos';
+export const FILTER_STORAGE_KEY = 'todo-app:filter';
+export const SORT_STORAGE_KEY = 'todo-app:sort';
+export const COMPLETE_PARENTS_STORAGE_KEY = 'todo-app:complete-parents';
+export const LISTS_STORAGE_KEY = 'todo-app:lists';
+
+export const TODOS_STORAGE_VERSION = 2;
+export const FILTER_STORAGE_VERSION = 1;
+export const SORT_STORAGE_VERSION = 1;
+export const COMPLETE_PARENTS_STORAGE_VERSION = 1;
+export const LISTS_STORAGE_VERSION = 1;
+
+const isStoredTodo = (todo: any): boolean =>
+  !!todo && typeof todo === 'object'
+  && (typeof todo.id === 'string' || typeof todo.id === 'number')
+  && typeof todo.text === 'string';
+
+export const todoMigrations: Migrations = {
+  // v1: unversioned arrays from before the envelope - drop anything that isn't a todo
+  1: (todos: any) => (Array.isArray(todos) ? todos : [])
+    .filter(isStoredTodo)
+    .map(todo => ({ ...todo, id: String(todo.id), completed: todo.completed === true })),
+  // v2: manual order - number the todos in the order they were stored
+  2: (todos: Todo[]) => {
+    const ordered = assignOrder(todos);
+    return todos.map(todo => ordered.find(item => item.id === todo.id) || todo);
+  },
+};
+
+export const filterMigrations: Migrations = {
+  1: (filter: any) => (isTodoFilter(filter) ? filter : 'all'),
+};
+
+export const sortMigrations: Migrations = {
+  1: (sort: any) => (isTodoSort(sort) ? sort : DEFAULT_TODO_SORT),
+};
+
+export const completeParentsMigrations: Migrations = {
+  1: (value: any) => value === true,
+};
+
+const isStoredList = (list: any): boolean =>
+  !!list && typeof list === 'object' && typeof list.id === 'string' && typeof list.name === 'string';
+
+export const listMigrations: Migrations = {
+  1: (lists: any) => (Array.isArray(lists) ? lists : []).filter(isStoredList),
+};
+
+const isBoolean = (value: unknown): boolean => typeof value === 'boolean';
+
+const isTodoList = (todos: unknown): boolean =>
+  Array.isArray(todos) && todos.every(isStoredTodo);
+
+const isListList = (lists: unknown): boolean =>
+  Array.isArray(lists) && lists.every(isStoredList);
+
+// Storage problems are reported to whoever mounted storageErrorAtom
+const storageErrorListeners: Array<(error: StorageError) => void> = [];
+
+const reportStorageError = (error: StorageError) => {
+  console.warn(`Todo storage (${error.kind}) for ${error.key}`, error.error);
+  storageErrorListeners.forEach(listener => listener(error));
+};
+
+export const storageErrorAtom = atom<StorageError | null>(null) as PrimitiveAtom<StorageError | null>;
+storageErrorAtom.onMount = (setError) => {
+  storageErrorListeners.push(setError);
+  return () => {
+    storageErrorListeners.splice(storageErrorListeners.indexOf(setError), 1);
+  };
+};
+
+export const describeStorageError = (error: StorageError | null): string | null => {
+  if (!error) {
+    return null;
+  }
+  switch (error.kind) {
+    case 'quota':
+      return 'Storage is full - recent changes are only kept until this tab is closed.';
+    case 'write':
+      return 'Changes could not be saved on this device.';
+    default:
+      return 'Saved todos could not be read and were reset. A backup copy was kept.';
+  }
+};
+
+export const todosStorage = createVersionedStorage<Todo[]>({
+  version: TODOS_STORAGE_VERSION,
+  migrations: todoMigrations,
+  validate: isTodoList,
+  onError: reportStorageError,
+});
+
+export const filterStorage = createVersionedStorage<TodoFilter>({
+  version: FILTER_STORAGE_VERSION,
+  migrations: filterMigrations,
+  validate: isTodoFilter,
+  onError: reportStorageError,
+});
+
+export const sortStorage = createVersionedStorage<TodoSort>({
+  version: SORT_STORAGE_VERSION,
+  migrations: sortMigrations,
+  validate: isTodoSort,
+  onError: reportStorageError,
+});
+
+export const completeParentsStorage = createVersionedStorage<boolean>({
+  version: COMPLETE_PARENTS_STORAGE_VERSION,
+  migrations: completeParentsMigrations,
+  validate: isBoolean,
+  onError: reportStorageError,
+});
+
+export const listsStorage = createVersionedStorage<List[]>({
+  version: LISTS_STORAGE_VERSION,
+  migrations: listMigrations,
+  validate: isListList,
+  onError: reportStorageError,
+});
@@ -0,0 +1,41 @@
+import React from 'react';
+import { useAtom } from 'jotai';
+import {
+  activityAtom,
+  activityStatusAtom,
+  serverStateEnabledAtom,
+  todoStreamAtom,
+} from '../atoms/todoAtoms';
+import { ActivityEntry } from './TodoHistory';
+
+// The latest changes to any todo, across every list and the Trash. Follows the event
+// stream so changes made elsewhere show up while the page is open.
+export const ActivityFeed: React.FC = () => {
+  const [serverStateEnabled] = useAtom(serverStateEnabledAtom);
+  const [activity] = useAtom(activityAtom);
+  const [{ isLoading, error }] = useAtom(activityStatusAtom);
+  useAtom(todoStreamAtom);
+
+  return (
+    <div className="activity">
+      <h1>Activity</h1>
+      {!serverStateEnabled ? (
+        <p className="empty-state">The activity log is kept by the server - it is not recorded for todos stored in this browser.</p>
+      ) : (
+        <>
+          {isLoading && <div className="loading">Loading...</div>}
+          {error && <div className="error">Error: {error}</div>}
+          {!isLoading && activity.length === 0 ? (
+            <p className="empty-state">No activity yet.</p>
+          ) : (
+            <ol className="activity-list">
+              {activity.map(entry => <ActivityEntry key={entry.id} entry={entry} showTodo />)}
+            </ol>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ActivityFeed;
@@ -0,0 +1,94 @@
+import React, { useState, useCallback } from 'react';
+import { Command, filterCommands } from '../utils/keyboardShortcuts';
+
+interface CommandPaletteProps {
+  commands: Command[];
+  onClose: () => void;
+}
+
+// Ctrl+K: type to narrow the commands down, arrows to pick one, Enter to run it
+const CommandPalette: React.FC<CommandPaletteProps> = ({ commands, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const matches = filterCommands(commands, query);
+  const active = Math.min(activeIndex, matches.length - 1);
+
+  // Closes first so a command can move the focus, e.g. into the search box
+  const runCommand = useCallback((command: Command) => {
+    onClose();
+    command.run();
+  }, [onClose]);
+
+  const handleQueryChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    setQuery(e.target.value);
+    setActiveIndex(0);
+  }, []);
+
+  const handleKeyDown = useCallback((e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((active + step + matches.length) % Math.max(matches.length, 1));
+    } else if (e.key === 'Enter' && matches[active]) {
+      e.preventDefault();
+      runCommand(matches[active]);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  }, [active, matches, onClose, runCommand]);
+
+  return (
+    <div className="overlay" onClick={onClose}>
+      <div
+        className="command-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onClick={e => e.stopPropagation()}
+      >
+        <input
+          type="text"
+          value={query}
+          onChange={handleQueryChange}
+          onKeyDown={handleKeyDown}
+          placeholder="Type a command..."
+          aria-label="Search commands"
+          aria-controls="command-palette-list"
+          aria-activedescendant={matches[active] ? `command-${matches[active].id}` : undefined}
+          className="command-palette-input"
+          autoFocus
+        />
+        {matches.length > 0 ? (
+          <ul
+            id="command-palette-list"
+            role="listbox"
+            aria-label="Commands"
+            className="command-palette-list"
+            // Clicks keep the focus in the input, so the keys keep working
+            onMouseDown={e => e.preventDefault()}
+          >
+            {matches.map((command, index) => (
+              <li
+                key={command.id}
+                id={`command-${command.id}`}
+                role="option"
+                aria-selected={index === active}
+                className={`command${index === active ? ' active' : ''}`}
+                onClick={() => runCommand(command)}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                <span className="command-group">{command.group}</span>
+                <span className="command-label">{command.label}</span>
+                {command.shortcut && <kbd>{command.shortcut}</kbd>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="command-palette-empty">No matching commands.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
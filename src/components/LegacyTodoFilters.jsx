@@ -1,10 +1,31 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import {
+  DEFAULT_TODO_SORT,
+  TODO_SORT_KEYS,
+  TODO_SORT_LABELS,
+  defaultSortDirection
+} from '../utils/todoSort';
 
 class LegacyTodoFilters extends Component {
+  handleSortKeyChange = (e) => {
+    const key = e.target.value;
+    this.props.onSortChange({ key, direction: defaultSortDirection(key) });
+  }
+
+  handleSortDirectionClick = () => {
+    const sort = this.props.sort || DEFAULT_TODO_SORT;
+    this.props.onSortChange({ key: sort.key, direction: sort.direction === 'asc' ? 'desc' : 'asc' });
+  }
+
+  handleTagFilterChange = (e) => {
+    this.props.onTagFilterChange(e.target.value || null);
+  }
+
   render() {
-    const { filter, onFilterChange, todoCount } = this.props;
+    const { filter, onFilterChange, todoCount, sort, onSortChange, tags, tagFilter, onTagFilterChange } = this.props;
     const safeCount = todoCount || { active: 0, total: 0, completed: 0 };
+    const activeSort = sort || DEFAULT_TODO_SORT;
 
     return (
       <div className="todo-filters">
@@ -32,19 +53,86 @@ class LegacyTodoFilters extends Component {
             Completed
           </button>
         </div>
+
+        <div className="filter-buttons due-filters">
+          <button
+            className={`btn ${filter === 'overdue' ? 'active' : ''}`}
+            onClick={() => onFilterChange && onFilterChange('overdue')}
+          >
+            Overdue
+          </button>
+          <button
+            className={`btn ${filter === 'today' ? 'active' : ''}`}
+            onClick={() => onFilterChange && onFilterChange('today')}
+          >
+            Today
+          </button>
+          <button
+            className={`btn ${filter === 'upcoming' ? 'active' : ''}`}
+            onClick={() => onFilterChange && onFilterChange('upcoming')}
+          >
+            Upcoming
+          </button>
+        </div>
+
+        {onTagFilterChange && tags && tags.length > 0 && (
+          <div className="tag-filter">
+            <select
+              value={tagFilter || ''}
+              onChange={this.handleTagFilterChange}
+              aria-label="Tag"
+              className="tag-filter-select"
+            >
+              <option value="">All tags</option>
+              {tags.map(tag => (
+                <option key={tag} value={tag}>#{tag}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {onSortChange && (
+          <div className="sort-controls">
+            <select
+              value={activeSort.key}
+              onChange={this.handleSortKeyChange}
+              aria-label="Sort by"
+              className="sort-select"
+            >
+              {TODO_SORT_KEYS.map(key => (
+                <option key={key} value={key}>{TODO_SORT_LABELS[key]}</option>
+              ))}
+            </select>
+            <button
+              className="btn btn-sort-direction"
+              onClick={this.handleSortDirectionClick}
+              aria-label={activeSort.direction === 'asc' ? 'Sort ascending' : 'Sort descending'}
+            >
+              {activeSort.direction === 'asc' ? '↑' : '↓'}
+            </button>
+          </div>
+        )}
       </div>
     );
   }
 }
 
 LegacyTodoFilters.propTypes = {
-  filter: PropTypes.oneOf(['all', 'active', 'completed']).isRequired,
+  filter: PropTypes.oneOf(['all', 'active', 'completed', 'overdue', 'today', 'upcoming']).isRequired,
   onFilterChange: PropTypes.func.isRequired,
   todoCount: PropTypes.shape({
     total: PropTypes.number.isRequired,
     active: PropTypes.number.isRequired,
     completed: PropTypes.number.isRequired
-  }).isRequired
+  }).isRequired,
+  sort: PropTypes.shape({
+    key: PropTypes.oneOf(TODO_SORT_KEYS).isRequired,
+    direction: PropTypes.oneOf(['asc', 'desc']).isRequired
+  }),
+  onSortChange: PropTypes.func,
+  tags: PropTypes.arrayOf(PropTypes.string),
+  tagFilter: PropTypes.string,
+  onTagFilterChange: PropTypes.func
 };
 
 export default LegacyTodoFilters;
\ No newline at end of file
@@ -1,32 +1,64 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import { fromDateTimeInputValue } from '../utils/dueDates';
+import { TODO_PRIORITIES } from '../utils/todoSort';
+import { parseQuickAdd } from '../utils/quickAdd';
+import { INBOX_LIST_ID } from '../utils/todoLists';
+import QuickAddPreview from './QuickAddPreview';
 
 class LegacyTodoForm extends Component {
   constructor(props) {
     super(props);
     this.state = {
-      text: ''
+      text: '',
+      due: '',
+      priority: 'normal'
     };
   }
 
   handleSubmit = (e) => {
     e.preventDefault();
     if (this.state.text.trim()) {
+      // Quick-add syntax in the text fills in what the due and priority fields leave empty
+      const parsed = parseQuickAdd(this.state.text, Date.now(), this.props.lists);
+      const request = { text: parsed.text };
+      if (parsed.tags.length > 0) {
+        request.tags = parsed.tags;
+      }
+      const dueAt = fromDateTimeInputValue(this.state.due) || parsed.dueAt;
+      if (dueAt) {
+        request.dueAt = dueAt;
+      }
+      const priority = this.state.priority !== 'normal' ? this.state.priority : parsed.priority;
+      if (priority && priority !== 'normal') {
+        request.priority = priority;
+      }
+      if (parsed.listId) {
+        request.listId = parsed.listId === INBOX_LIST_ID ? null : parsed.listId;
+      }
       try {
-        this.props.onAdd({ text: this.state.text.trim() });
+        this.props.onAdd(request);
       } catch (error) {
         // Handle onAdd errors gracefully
         console.error('Failed to add todo:', error);
       }
     }
     // Always clear the input after form submission
-    this.setState({ text: '' });
+    this.setState({ text: '', due: '', priority: 'normal' });
   }
 
   handleChange = (e) => {
     this.setState({ text: e.target.value });
   }
 
+  handleDueChange = (e) => {
+    this.setState({ due: e.target.value });
+  }
+
+  handlePriorityChange = (e) => {
+    this.setState({ priority: e.target.value });
+  }
+
   render() {
     return (
       <form onSubmit={this.handleSubmit} className="todo-form">
@@ -40,13 +72,36 @@ class LegacyTodoForm extends Component {
         <button type="submit" className="btn btn-add" tabIndex="0">
           Add Todo
         </button>
+        <input
+          type="datetime-local"
+          value={this.state.due}
+          onChange={this.handleDueChange}
+          aria-label="Due date"
+          className="todo-due-input"
+        />
+        <select
+          value={this.state.priority}
+          onChange={this.handlePriorityChange}
+          aria-label="Priority"
+          className="todo-priority-select"
+        >
+          {TODO_PRIORITIES.map(level => (
+            <option key={level} value={level}>{level}</option>
+          ))}
+        </select>
+        <QuickAddPreview chips={parseQuickAdd(this.state.text, Date.now(), this.props.lists).chips} />
       </form>
     );
   }
 }
 
 LegacyTodoForm.propTypes = {
-  onAdd: PropTypes.func.isRequired
+  onAdd: PropTypes.func.isRequired,
+  lists: PropTypes.array
+};
+
+LegacyTodoForm.defaultProps = {
+  lists: []
 };
 
 export default LegacyTodoForm;
\ No newline at end of file
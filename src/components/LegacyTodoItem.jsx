@@ -1,12 +1,31 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import {
+  getDueStatus,
+  formatDueDate,
+  toDateTimeInputValue,
+  fromDateTimeInputValue
+} from '../utils/dueDates';
+import { TODO_PRIORITIES } from '../utils/todoSort';
+import { parseTags, uniqueTags } from '../utils/todoTags';
+import { splitHighlights } from '../utils/todoSearch';
+import { listIdOf } from '../utils/todoLists';
+import { describeRecurrence, scheduleNext, skipOccurrence } from '../utils/todoRecurrence';
+import TodoRecurrenceEditor from './TodoRecurrenceEditor';
 
 class LegacyTodoItem extends Component {
   constructor(props) {
     super(props);
     this.state = {
       isEditing: false,
-      editText: props.todo.text
+      editText: props.todo.text,
+      isEditingDue: false,
+      editDue: toDateTimeInputValue(props.todo.dueAt),
+      isEditingPriority: false,
+      isEditingRecurrence: false,
+      isAddingSubtask: false,
+      subtaskText: '',
+      isChoosingList: false
     };
     this.isCancelling = false;
   }
@@ -20,7 +39,12 @@ class LegacyTodoItem extends Component {
       return;
     }
     if (this.state.editText.trim()) {
-      this.props.onUpdate(this.props.todo.id, { text: this.state.editText.trim() });
+      const { todo, onUpdate } = this.props;
+      // #tags typed while editing are added to the existing ones
+      const parsed = parseTags(this.state.editText);
+      onUpdate(todo.id, parsed.tags.length > 0
+        ? { text: parsed.text, tags: uniqueTags([...(todo.tags || []), ...parsed.tags]) }
+        : { text: this.state.editText.trim() });
       this.setState({ isEditing: false });
     }
   }
@@ -54,13 +78,159 @@ class LegacyTodoItem extends Component {
     this.setState({ editText: e.target.value });
   }
 
+  handleEditDue = () => {
+    this.setState({ isEditingDue: true, editDue: toDateTimeInputValue(this.props.todo.dueAt) });
+  }
+
+  handleDueChange = (e) => {
+    this.setState({ editDue: e.target.value });
+  }
+
+  handleSaveDue = () => {
+    const { todo, onUpdate } = this.props;
+    const dueAt = fromDateTimeInputValue(this.state.editDue);
+    if (dueAt !== (todo.dueAt || null)) {
+      onUpdate(todo.id, { dueAt });
+    }
+    this.setState({ isEditingDue: false });
+  }
+
+  handleDueKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      this.handleSaveDue();
+    } else if (e.key === 'Escape') {
+      this.setState({ isEditingDue: false });
+    }
+  }
+
+  handleEditPriority = () => {
+    this.setState({ isEditingPriority: true });
+  }
+
+  handlePriorityChange = (e) => {
+    this.props.onUpdate(this.props.todo.id, { priority: e.target.value });
+    this.setState({ isEditingPriority: false });
+  }
+
+  handlePriorityBlur = () => {
+    this.setState({ isEditingPriority: false });
+  }
+
+  handleEditRecurrence = () => {
+    this.setState({ isEditingRecurrence: true });
+  }
+
+  handleSaveRecurrence = (recurrence) => {
+    const { todo, onUpdate } = this.props;
+    if (recurrence !== (todo.recurrence || null)) {
+      onUpdate(todo.id, { recurrence });
+    }
+    this.setState({ isEditingRecurrence: false });
+  }
+
+  handleCancelRecurrence = () => {
+    this.setState({ isEditingRecurrence: false });
+  }
+
+  // Moves the todo on to its next due date without completing it
+  handleSkipOccurrence = () => {
+    const { todo, onUpdate } = this.props;
+    const updates = skipOccurrence(todo, Date.now());
+    if (updates) {
+      onUpdate(todo.id, updates);
+    }
+  }
+
+  handleStopRecurring = () => {
+    this.props.onUpdate(this.props.todo.id, { recurrence: null });
+  }
+
+  handleAddSubtask = () => {
+    this.setState({ isAddingSubtask: true, subtaskText: '' });
+  }
+
+  handleSubtaskTextChange = (e) => {
+    this.setState({ subtaskText: e.target.value });
+  }
+
+  // Enter adds the subtask and keeps the input open for the next one
+  handleSubtaskKeyDown = (e) => {
+    const { todo, onAddSubtask } = this.props;
+    const text = this.state.subtaskText.trim();
+    if (e.key === 'Enter' && text) {
+      onAddSubtask && onAddSubtask(todo.id, text);
+      this.setState({ subtaskText: '' });
+    } else if (e.key === 'Escape') {
+      this.setState({ isAddingSubtask: false });
+    }
+  }
+
+  handleSubtaskBlur = () => {
+    this.setState({ isAddingSubtask: false });
+  }
+
+  handleChooseList = () => {
+    this.setState({ isChoosingList: true });
+  }
+
+  handleListChange = (e) => {
+    const { todo, onMoveToList } = this.props;
+    if (onMoveToList && e.target.value !== listIdOf(todo)) {
+      onMoveToList(todo.id, e.target.value);
+    }
+    this.setState({ isChoosingList: false });
+  }
+
+  handleListBlur = () => {
+    this.setState({ isChoosingList: false });
+  }
+
+  // React reports checkbox changes from the click, so the shift key is on the native event
+  handleSelect = (e) => {
+    this.props.onSelect(this.props.todo.id, !!e.nativeEvent.shiftKey);
+  }
+
+  handleRowKeyDown = (e) => {
+    const { todo, onMove } = this.props;
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) {
+      return;
+    }
+    e.preventDefault();
+    onMove(todo.id, e.key === 'ArrowUp' ? 'up' : 'down');
+  }
+
   render() {
-    const { todo, onToggle, onDelete } = this.props;
-    const { isEditing, editText } = this.state;
+    const {
+      todo, onToggle, onDelete, pending, error, queued, onRetry, now, onTagClick, highlights,
+      depth, progress, onAddSubtask, onMove, lists, onMoveToList, selected, onSelect
+    } = this.props;
+    const {
+      isEditing, editText, isEditingDue, editDue, isEditingPriority, isEditingRecurrence, isAddingSubtask,
+      subtaskText, isChoosingList
+    } = this.state;
+    const priority = todo.priority || 'normal';
+    const canMoveToList = !!onMoveToList && !!lists && lists.length > 1 && !todo.parentId;
+    const dueStatus = getDueStatus(todo, now === undefined ? Date.now() : now);
+    const isRecurring = !!todo.recurrence && !todo.completed;
+    const canSkip = isRecurring && !!scheduleNext(todo, now === undefined ? Date.now() : now);
 
     return (
-      <li className={`todo-item ${todo.completed ? 'completed' : ''}`}>
+      <li
+        className={`todo-item ${todo.completed ? 'completed' : ''}${error ? ' failed' : ''}${dueStatus === 'overdue' ? ' overdue' : ''}${depth > 0 ? ' subtask' : ''}${selected ? ' selected' : ''}`}
+        style={depth > 0 ? { marginLeft: `${depth * 1.5}rem` } : undefined}
+        aria-keyshortcuts={onMove ? 'Alt+ArrowUp Alt+ArrowDown' : undefined}
+        onKeyDown={onMove ? this.handleRowKeyDown : undefined}
+      >
         <div className="todo-content">
+          {onSelect && (
+            <input
+              type="checkbox"
+              checked={!!selected}
+              onChange={this.handleSelect}
+              aria-label={`Select "${todo.text}"`}
+              className="todo-select"
+            />
+          )}
           <input
             type="checkbox"
             checked={todo.completed}
@@ -83,12 +253,82 @@ class LegacyTodoItem extends Component {
               className={`todo-text ${todo.completed ? 'completed' : ''}`}
               onDoubleClick={this.handleEdit}
             >
-              {todo.text}
+              {highlights && highlights.length > 0
+                ? splitHighlights(todo.text, highlights).map((segment, index) => (
+                  segment.highlighted ? <mark key={index}>{segment.text}</mark> : segment.text
+                ))
+                : todo.text}
+            </span>
+          )}
+
+          {priority !== 'normal' && (
+            <span className={`todo-priority ${priority}`}>{priority}</span>
+          )}
+
+          {progress && progress.total > 0 && (
+            <span className="todo-progress" title={`${progress.done} of ${progress.total} subtasks done`}>
+              {progress.done}/{progress.total}
+            </span>
+          )}
+
+          {todo.tags && todo.tags.length > 0 && (
+            <span className="todo-tags">
+              {todo.tags.map(tag => (
+                <button key={tag} onClick={() => onTagClick && onTagClick(tag)} className="todo-tag">
+                  #{tag}
+                </button>
+              ))}
+            </span>
+          )}
+
+          {todo.dueAt && !isEditingDue && (
+            <span className={`todo-due${dueStatus ? ` ${dueStatus}` : ''}`} title={todo.dueAt}>
+              {dueStatus === 'overdue' ? 'Overdue' : 'Due'} {formatDueDate(todo.dueAt)}
+            </span>
+          )}
+
+          {todo.recurrence && (
+            <span className="todo-recurrence" title={todo.recurrence}>
+              ↻ {describeRecurrence(todo.recurrence)}
+            </span>
+          )}
+
+          {isEditingDue && (
+            <input
+              type="datetime-local"
+              value={editDue}
+              onChange={this.handleDueChange}
+              onKeyDown={this.handleDueKeyDown}
+              onBlur={this.handleSaveDue}
+              aria-label="Due date"
+              className="todo-due-input"
+              autoFocus
+            />
+          )}
+
+          {pending && (
+            <span className="todo-spinner" role="status" aria-label={`Saving (${pending})`} />
+          )}
+
+          {queued && (
+            <span className="todo-queued" title="Saved offline - will sync when you reconnect">
+              Offline
+            </span>
+          )}
+
+          {error && (
+            <span className="todo-error" role="alert" title={error}>
+              Failed: {error}
             </span>
           )}
         </div>
 
         <div className="todo-actions">
+          {error && onRetry && !isEditing && (
+            <button onClick={() => onRetry(todo.id)} className="btn btn-retry">
+              Retry
+            </button>
+          )}
           {!isEditing && (
             <>
               <button onClick={this.handleEdit} className="btn btn-edit">
@@ -97,6 +337,85 @@ class LegacyTodoItem extends Component {
               <button onClick={() => onDelete(todo.id)} className="btn btn-delete">
                 Delete
               </button>
+              {!isEditingDue && (
+                <button onClick={this.handleEditDue} className="btn btn-due">
+                  Due
+                </button>
+              )}
+              {isEditingPriority ? (
+                <select
+                  value={priority}
+                  onChange={this.handlePriorityChange}
+                  onBlur={this.handlePriorityBlur}
+                  aria-label="Priority"
+                  className="todo-priority-select"
+                  autoFocus
+                >
+                  {TODO_PRIORITIES.map(level => (
+                    <option key={level} value={level}>{level}</option>
+                  ))}
+                </select>
+              ) : (
+                <button onClick={this.handleEditPriority} className="btn btn-priority">
+                  Priority
+                </button>
+              )}
+              {isEditingRecurrence ? (
+                <TodoRecurrenceEditor
+                  recurrence={todo.recurrence}
+                  onSave={this.handleSaveRecurrence}
+                  onCancel={this.handleCancelRecurrence}
+                />
+              ) : (
+                <button onClick={this.handleEditRecurrence} className="btn btn-repeat">
+                  Repeat
+                </button>
+              )}
+              {canSkip && (
+                <button onClick={this.handleSkipOccurrence} className="btn btn-skip" aria-label="Skip this occurrence">
+                  Skip
+                </button>
+              )}
+              {isRecurring && (
+                <button onClick={this.handleStopRecurring} className="btn btn-stop-repeat">
+                  Stop repeating
+                </button>
+              )}
+              {onAddSubtask && (isAddingSubtask ? (
+                <input
+                  type="text"
+                  value={subtaskText}
+                  onChange={this.handleSubtaskTextChange}
+                  onKeyDown={this.handleSubtaskKeyDown}
+                  onBlur={this.handleSubtaskBlur}
+                  placeholder="Subtask..."
+                  aria-label="New subtask"
+                  className="todo-subtask-input"
+                  autoFocus
+                />
+              ) : (
+                <button onClick={this.handleAddSubtask} className="btn btn-subtask">
+                  Subtask
+                </button>
+              ))}
+              {canMoveToList && (isChoosingList ? (
+                <select
+                  value={listIdOf(todo)}
+                  onChange={this.handleListChange}
+                  onBlur={this.handleListBlur}
+                  aria-label="Move to list"
+                  className="todo-list-select"
+                  autoFocus
+                >
+                  {lists.map(list => (
+                    <option key={list.id} value={list.id}>{list.name}</option>
+                  ))}
+                </select>
+              ) : (
+                <button onClick={this.handleChooseList} className="btn btn-move">
+                  Move
+                </button>
+              ))}
             </>
           )}
           {isEditing && (
@@ -123,11 +442,42 @@ LegacyTodoItem.propTypes = {
   todo: PropTypes.shape({
     id: PropTypes.string.isRequired,
     text: PropTypes.string.isRequired,
-    completed: PropTypes.bool.isRequired
+    completed: PropTypes.bool.isRequired,
+    dueAt: PropTypes.string,
+    priority: PropTypes.oneOf(TODO_PRIORITIES),
+    tags: PropTypes.arrayOf(PropTypes.string),
+    parentId: PropTypes.string,
+    listId: PropTypes.string,
+    recurrence: PropTypes.string
   }).isRequired,
   onToggle: PropTypes.func.isRequired,
   onUpdate: PropTypes.func.isRequired,
-  onDelete: PropTypes.func.isRequired
+  onDelete: PropTypes.func.isRequired,
+  pending: PropTypes.oneOf(['update', 'toggle', 'delete']),
+  error: PropTypes.string,
+  queued: PropTypes.bool,
+  onRetry: PropTypes.func,
+  now: PropTypes.number,
+  onTagClick: PropTypes.func,
+  highlights: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+  depth: PropTypes.number,
+  progress: PropTypes.shape({
+    done: PropTypes.number.isRequired,
+    total: PropTypes.number.isRequired
+  }),
+  onAddSubtask: PropTypes.func,
+  onMove: PropTypes.func,
+  lists: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })),
+  onMoveToList: PropTypes.func,
+  selected: PropTypes.bool,
+  onSelect: PropTypes.func
+};
+
+LegacyTodoItem.defaultProps = {
+  depth: 0
 };
 
 export default LegacyTodoItem;
\ No newline at end of file
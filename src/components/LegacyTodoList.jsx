@@ -1,10 +1,80 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import TodoItem from './TodoItem';
+import TodoBulkActions from './TodoBulkActions';
+import { moveTarget, nestTodos } from '../utils/todoTree';
+import { updateSelection, visibleSelection } from '../utils/todoSelection';
 
 class LegacyTodoList extends Component {
+  state = {
+    // Screen reader confirmation of the last keyboard move
+    announcement: '',
+    selecting: false,
+    selectedIds: [],
+    // Last clicked row - shift-click selects the range from here
+    anchorId: null
+  };
+
+  listedIds = () => nestTodos(this.props.todos || []).map(node => node.todo.id);
+
+  // Only rows still listed count as selected
+  selectedIds = () => visibleSelection(this.state.selectedIds, this.listedIds());
+
+  handleToggleSelecting = () => {
+    this.setState(state => ({ selecting: !state.selecting, selectedIds: [], anchorId: null }));
+  }
+
+  handleSelect = (id, range) => {
+    const listedIds = this.listedIds();
+    this.setState(state => ({
+      selectedIds: updateSelection(state.selectedIds, listedIds, id, state.anchorId, range),
+      anchorId: id
+    }));
+  }
+
+  handleSelectAll = (all) => {
+    this.setState({ selectedIds: all ? this.listedIds() : [] });
+  }
+
+  handleBatch = (action, options = {}) => {
+    const ids = this.selectedIds();
+    if (ids.length > 0) {
+      this.props.onBatch({ action, ids, ...options });
+    }
+  }
+
+  // "Complete all" and "Clear completed" act on the listed todos
+  batchListed = (action, completed) => {
+    const ids = (this.props.todos || []).filter(todo => todo.completed === completed).map(todo => todo.id);
+    if (ids.length > 0) {
+      this.props.onBatch({ action, ids });
+    }
+  }
+
+  handleCompleteAll = () => {
+    this.batchListed('complete', false);
+  }
+
+  handleClearCompleted = () => {
+    this.batchListed('delete', true);
+  }
+
+  handleMove = (id, direction) => {
+    const nodes = nestTodos(this.props.todos || []);
+    const target = moveTarget(nodes, id, direction);
+    const node = nodes.find(item => item.todo.id === id);
+    if (target && node) {
+      this.props.onReorder(id, target);
+      this.setState({ announcement: `Moved "${node.todo.text}" ${direction}` });
+    }
+  }
+
   render() {
-    const { todos, onToggle, onUpdate, onDelete } = this.props;
+    const {
+      todos, onToggle, onUpdate, onDelete, statuses, onRetry, now, onTagClick, highlights,
+      progress, onAddSubtask, onReorder, lists, onMoveToList, onBatch
+    } = this.props;
+    const { selecting } = this.state;
     const safeTodos = todos || [];
 
     if (safeTodos.length === 0) {
@@ -15,19 +85,62 @@ class LegacyTodoList extends Component {
       );
     }
 
-    return (
+    const selected = selecting ? this.selectedIds() : [];
+    // Subtasks are listed right under their parent
+    const list = (
       <ul className="todo-list">
-        {safeTodos.map(todo => (
+        {nestTodos(safeTodos).map(({ todo, depth }) => (
           <TodoItem
             key={todo.id}
             todo={todo}
             onToggle={onToggle}
             onUpdate={onUpdate}
             onDelete={onDelete}
+            pending={statuses[todo.id]?.pending}
+            error={statuses[todo.id]?.error}
+            queued={statuses[todo.id]?.queued}
+            onRetry={onRetry}
+            now={now}
+            onTagClick={onTagClick}
+            highlights={highlights ? highlights[todo.id] : undefined}
+            depth={depth}
+            progress={progress[todo.id]}
+            onAddSubtask={onAddSubtask}
+            onMove={onReorder ? this.handleMove : undefined}
+            lists={lists}
+            onMoveToList={onMoveToList}
+            selected={selected.indexOf(todo.id) !== -1}
+            onSelect={selecting ? this.handleSelect : undefined}
           />
         ))}
       </ul>
     );
+
+    if (!onReorder && !onBatch) {
+      return list;
+    }
+    const completedCount = safeTodos.filter(todo => todo.completed).length;
+    return (
+      <>
+        {onBatch && (
+          <TodoBulkActions
+            selecting={selecting}
+            selectedCount={selected.length}
+            listedCount={safeTodos.length}
+            activeCount={safeTodos.length - completedCount}
+            completedCount={completedCount}
+            lists={lists}
+            onToggleSelecting={this.handleToggleSelecting}
+            onSelectAll={this.handleSelectAll}
+            onAction={this.handleBatch}
+            onCompleteAll={this.handleCompleteAll}
+            onClearCompleted={this.handleClearCompleted}
+          />
+        )}
+        {list}
+        {onReorder && <div className="sr-only" role="status" aria-live="polite">{this.state.announcement}</div>}
+      </>
+    );
   }
 }
 
@@ -41,7 +154,37 @@ LegacyTodoList.propTypes = {
   ).isRequired,
   onToggle: PropTypes.func.isRequired,
   onUpdate: PropTypes.func.isRequired,
-  onDelete: PropTypes.func.isRequired
+  onDelete: PropTypes.func.isRequired,
+  statuses: PropTypes.objectOf(
+    PropTypes.shape({
+      pending: PropTypes.string,
+      error: PropTypes.string,
+      queued: PropTypes.bool
+    })
+  ),
+  onRetry: PropTypes.func,
+  now: PropTypes.number,
+  onTagClick: PropTypes.func,
+  highlights: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))),
+  progress: PropTypes.objectOf(
+    PropTypes.shape({
+      done: PropTypes.number,
+      total: PropTypes.number
+    })
+  ),
+  onAddSubtask: PropTypes.func,
+  onReorder: PropTypes.func,
+  lists: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })),
+  onMoveToList: PropTypes.func,
+  onBatch: PropTypes.func
+};
+
+LegacyTodoList.defaultProps = {
+  statuses: {},
+  progress: {}
 };
 
 export default LegacyTodoList;
\ No newline at end of file
@@ -0,0 +1,190 @@
+import React, { useState, useCallback } from 'react';
+import Link from 'next/link';
+import { useAtom } from 'jotai';
+import {
+  listsAtom,
+  todoStatsAtom,
+  todosStatusAtom,
+  createListActionAtom,
+  renameListActionAtom,
+  archiveListActionAtom,
+  deleteListActionAtom,
+} from '../atoms/todoAtoms';
+import { INBOX_LIST_ID, TodoStats, listPath } from '../utils/todoLists';
+import { List } from '../types/todo';
+
+interface ListRowProps {
+  list: List;
+  stats: TodoStats;
+  onRename: (id: string, name: string) => void;
+  onArchive: (id: string, archived: boolean) => void;
+  onDelete: (id: string) => void;
+}
+
+const ListRow: React.FC<ListRowProps> = ({ list, stats, onRename, onArchive, onDelete }) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(list.name);
+  // Deleting takes the list's todos with it, so it asks first
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const builtIn = list.id === INBOX_LIST_ID;
+
+  const handleRename = useCallback(() => {
+    setName(list.name);
+    setIsRenaming(true);
+  }, [list.name]);
+
+  const handleNameChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    setName(e.target.value);
+  }, []);
+
+  const handleSave = useCallback(() => {
+    if (name.trim()) {
+      onRename(list.id, name);
+    }
+    setIsRenaming(false);
+  }, [list.id, name, onRename]);
+
+  const handleKeyDown = useCallback((e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') {
+      handleSave();
+    } else if (e.key === 'Escape') {
+      setIsRenaming(false);
+    }
+  }, [handleSave]);
+
+  const handleArchive = useCallback(() => {
+    onArchive(list.id, !list.archived);
+  }, [list.archived, list.id, onArchive]);
+
+  const handleDelete = useCallback(() => {
+    if (isConfirmingDelete) {
+      onDelete(list.id);
+    }
+    setIsConfirmingDelete(!isConfirmingDelete);
+  }, [isConfirmingDelete, list.id, onDelete]);
+
+  const handleCancelDelete = useCallback(() => {
+    setIsConfirmingDelete(false);
+  }, []);
+
+  return (
+    <li className={`list-row${list.archived ? ' archived' : ''}`}>
+      {isRenaming ? (
+        <input
+          type="text"
+          value={name}
+          onChange={handleNameChange}
+          onKeyDown={handleKeyDown}
+          aria-label={`New name for ${list.name}`}
+          className="list-rename-input"
+          autoFocus
+        />
+      ) : (
+        <Link href={listPath(list.id)} className="list-name">{list.name}</Link>
+      )}
+      <span className="list-count">
+        {stats.active} active, {stats.completed} completed
+      </span>
+      {list.archived && <span className="list-archived">Archived</span>}
+
+      {!builtIn && (
+        <div className="list-actions">
+          {isRenaming ? (
+            <button onClick={handleSave} className="btn btn-save">
+              Save
+            </button>
+          ) : (
+            <button onClick={handleRename} className="btn btn-edit">
+              Rename
+            </button>
+          )}
+          <button onClick={handleArchive} className="btn btn-archive">
+            {list.archived ? 'Unarchive' : 'Archive'}
+          </button>
+          <button onClick={handleDelete} className="btn btn-delete">
+            {isConfirmingDelete ? `Delete list and ${stats.total} ${stats.total === 1 ? 'todo' : 'todos'}` : 'Delete'}
+          </button>
+          {isConfirmingDelete && (
+            <button onClick={handleCancelDelete} className="btn btn-cancel">
+              Cancel
+            </button>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+const EMPTY_STATS: TodoStats = { total: 0, active: 0, completed: 0 };
+
+// Create, rename, archive and delete named lists
+export const ListManager: React.FC = () => {
+  const [lists] = useAtom(listsAtom);
+  const [stats] = useAtom(todoStatsAtom);
+  const [{ error }] = useAtom(todosStatusAtom);
+  const [, createList] = useAtom(createListActionAtom);
+  const [, renameList] = useAtom(renameListActionAtom);
+  const [, archiveList] = useAtom(archiveListActionAtom);
+  const [, deleteList] = useAtom(deleteListActionAtom);
+  const [newName, setNewName] = useState('');
+
+  const handleNewNameChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    setNewName(e.target.value);
+  }, []);
+
+  const handleCreate = useCallback((e: React.FormEvent) => {
+    e.preventDefault();
+    if (newName.trim()) {
+      createList(newName);
+      setNewName('');
+    }
+  }, [createList, newName]);
+
+  const handleRename = useCallback((id: string, name: string) => {
+    renameList({ id, name });
+  }, [renameList]);
+
+  const handleArchive = useCallback((id: string, archived: boolean) => {
+    archiveList({ id, archived });
+  }, [archiveList]);
+
+  const handleDelete = useCallback((id: string) => {
+    deleteList(id);
+  }, [deleteList]);
+
+  return (
+    <div className="list-manager">
+      <h1>Lists</h1>
+      {error && <div className="error">Error: {error}</div>}
+
+      <form onSubmit={handleCreate} className="list-form">
+        <input
+          type="text"
+          value={newName}
+          onChange={handleNewNameChange}
+          placeholder="New list..."
+          aria-label="New list name"
+          className="list-input"
+        />
+        <button type="submit" className="btn btn-add" disabled={!newName.trim()}>
+          Add List
+        </button>
+      </form>
+
+      <ul className="list-list">
+        {lists.map(list => (
+          <ListRow
+            key={list.id}
+            list={list}
+            stats={stats.lists[list.id] || EMPTY_STATS}
+            onRename={handleRename}
+            onArchive={handleArchive}
+            onDelete={handleDelete}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ListManager;
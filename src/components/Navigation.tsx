@@ -2,16 +2,52 @@
 
 import React from 'react';
 import Link from 'next/link';
-import { usePathname } from 'next/navigation';
+import { usePathname, useRouter } from 'next/navigation';
+import { useAtom } from 'jotai';
+import { listsAtom, todoStatsAtom } from '../atoms/todoAtoms';
+import { INBOX_LIST_ID, listPath } from '../utils/todoLists';
+
+// The list a path shows - '' on pages that are not a todo list
+const listIdFromPath = (pathname: string | null): string => {
+  if (pathname === '/') {
+    return INBOX_LIST_ID;
+  }
+  const match = /^\/lists\/([^/]+)$/.exec(pathname || '');
+  return match ? decodeURIComponent(match[1]) : '';
+};
 
 export const Navigation: React.FC = () => {
   const pathname = usePathname();
+  const router = useRouter();
+  const [lists] = useAtom(listsAtom);
+  const [stats] = useAtom(todoStatsAtom);
+  const currentListId = listIdFromPath(pathname);
+  // Archived lists stay reachable from the Lists page, not from the switcher
+  const switchable = lists.filter(list => !list.archived || list.id === currentListId);
+
+  const handleListChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    router.push(listPath(e.target.value));
+  };
   
   return (
     <nav className="navigation">
       <div className="nav-brand">
         <Link href="/">Modern TODO</Link>
       </div>
+
+      <select
+        value={currentListId}
+        onChange={handleListChange}
+        aria-label="Switch list"
+        className="list-switcher"
+      >
+        {!currentListId && <option value="" disabled>Lists...</option>}
+        {switchable.map(list => (
+          <option key={list.id} value={list.id}>
+            {list.name} ({stats.lists[list.id] ? stats.lists[list.id].active : 0})
+          </option>
+        ))}
+      </select>
       
       <ul className="nav-links">
         <li>
@@ -22,6 +58,46 @@ export const Navigation: React.FC = () => {
             Home
           </Link>
         </li>
+        <li>
+          <Link 
+            href="/lists" 
+            className={pathname === '/lists' ? 'active' : ''}
+          >
+            Lists
+          </Link>
+        </li>
+        <li>
+          <Link 
+            href="/tags" 
+            className={pathname === '/tags' ? 'active' : ''}
+          >
+            Tags
+          </Link>
+        </li>
+        <li>
+          <Link 
+            href="/trash" 
+            className={pathname === '/trash' ? 'active' : ''}
+          >
+            Trash
+          </Link>
+        </li>
+        <li>
+          <Link 
+            href="/activity" 
+            className={pathname === '/activity' ? 'active' : ''}
+          >
+            Activity
+          </Link>
+        </li>
+        <li>
+          <Link 
+            href="/import-export" 
+            className={pathname === '/import-export' ? 'active' : ''}
+          >
+            Import/Export
+          </Link>
+        </li>
         <li>
           <Link 
             href="/about" 
@@ -35,4 +111,4 @@ export const Navigation: React.FC = () => {
   );
 };
 
-export default Navigation;
\ No newline at end of file
+export default Navigation;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { QuickAddChip } from '../utils/quickAdd';
+
+interface QuickAddPreviewProps {
+  chips: QuickAddChip[];
+}
+
+// The chips under the todo form showing what quick-add picked out of the text. Shared
+// by the modern and legacy forms.
+const QuickAddPreview: React.FC<QuickAddPreviewProps> = ({ chips }) => {
+  if (chips.length === 0) {
+    return null;
+  }
+  return (
+    <ul className="quick-add-preview" aria-label="Recognized">
+      {chips.map(chip => (
+        <li key={`${chip.kind}-${chip.label}`} className={`quick-add-chip ${chip.kind}`}>
+          {chip.label}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default QuickAddPreview;
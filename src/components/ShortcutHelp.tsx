@@ -0,0 +1,52 @@
+import React, { useCallback } from 'react';
+import { KEYBOARD_SHORTCUTS } from '../utils/keyboardShortcuts';
+
+interface ShortcutHelpProps {
+  onClose: () => void;
+}
+
+// The '?' overlay listing every keyboard shortcut
+const ShortcutHelp: React.FC<ShortcutHelpProps> = ({ onClose }) => {
+  const handleKeyDown = useCallback((e: React.KeyboardEvent<HTMLDivElement>) => {
+    if (e.key === 'Escape') {
+      onClose();
+    }
+  }, [onClose]);
+
+  return (
+    <div className="overlay" onClick={onClose}>
+      <div
+        className="shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        onClick={e => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <h2 id="shortcut-help-title">Keyboard shortcuts</h2>
+        <table>
+          <tbody>
+            {KEYBOARD_SHORTCUTS.map(shortcut => (
+              <tr key={shortcut.description}>
+                <td className="shortcut-keys">
+                  {shortcut.keys.map((key, index) => (
+                    <React.Fragment key={key}>
+                      {index > 0 && ' + '}
+                      <kbd>{key}</kbd>
+                    </React.Fragment>
+                  ))}
+                </td>
+                <td>{shortcut.description}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button onClick={onClose} className="btn btn-close" autoFocus>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
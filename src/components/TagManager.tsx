@@ -0,0 +1,165 @@
+import React, { useState, useCallback } from 'react';
+import { useAtom } from 'jotai';
+import {
+  tagsAtom,
+  todosStatusAtom,
+  renameTagActionAtom,
+  mergeTagsActionAtom,
+  deleteTagActionAtom,
+} from '../atoms/todoAtoms';
+import { TagCount } from '../utils/todoTags';
+
+interface TagRowProps {
+  tag: TagCount;
+  otherTags: string[];
+  onRename: (tag: string, name: string) => void;
+  onMerge: (tag: string, into: string) => void;
+  onDelete: (tag: string) => void;
+}
+
+const TagRow: React.FC<TagRowProps> = ({ tag, otherTags, onRename, onMerge, onDelete }) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(tag.tag);
+  const [mergeInto, setMergeInto] = useState('');
+
+  const handleRename = useCallback(() => {
+    setName(tag.tag);
+    setIsRenaming(true);
+  }, [tag.tag]);
+
+  const handleNameChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    setName(e.target.value);
+  }, []);
+
+  const handleSave = useCallback(() => {
+    if (name.trim()) {
+      onRename(tag.tag, name);
+    }
+    setIsRenaming(false);
+  }, [name, onRename, tag.tag]);
+
+  const handleKeyDown = useCallback((e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') {
+      handleSave();
+    } else if (e.key === 'Escape') {
+      setIsRenaming(false);
+    }
+  }, [handleSave]);
+
+  const handleMergeIntoChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    setMergeInto(e.target.value);
+  }, []);
+
+  const handleMerge = useCallback(() => {
+    if (mergeInto) {
+      onMerge(tag.tag, mergeInto);
+      setMergeInto('');
+    }
+  }, [mergeInto, onMerge, tag.tag]);
+
+  const handleDelete = useCallback(() => {
+    onDelete(tag.tag);
+  }, [onDelete, tag.tag]);
+
+  return (
+    <li className="tag-row">
+      {isRenaming ? (
+        <input
+          type="text"
+          value={name}
+          onChange={handleNameChange}
+          onKeyDown={handleKeyDown}
+          aria-label={`New name for #${tag.tag}`}
+          className="tag-rename-input"
+          autoFocus
+        />
+      ) : (
+        <span className="todo-tag">#{tag.tag}</span>
+      )}
+      <span className="tag-count">{tag.count} {tag.count === 1 ? 'todo' : 'todos'}</span>
+
+      <div className="tag-actions">
+        {isRenaming ? (
+          <button onClick={handleSave} className="btn btn-save">
+            Save
+          </button>
+        ) : (
+          <button onClick={handleRename} className="btn btn-edit">
+            Rename
+          </button>
+        )}
+        {otherTags.length > 0 && (
+          <>
+            <select
+              value={mergeInto}
+              onChange={handleMergeIntoChange}
+              aria-label={`Merge #${tag.tag} into`}
+              className="tag-merge-select"
+            >
+              <option value="">Merge into...</option>
+              {otherTags.map(other => (
+                <option key={other} value={other}>#{other}</option>
+              ))}
+            </select>
+            <button onClick={handleMerge} className="btn btn-merge" disabled={!mergeInto}>
+              Merge
+            </button>
+          </>
+        )}
+        <button onClick={handleDelete} className="btn btn-delete">
+          Delete
+        </button>
+      </div>
+    </li>
+  );
+};
+
+// Rename, merge and delete tags across every todo
+export const TagManager: React.FC = () => {
+  const [tags] = useAtom(tagsAtom);
+  const [{ isLoading, error }] = useAtom(todosStatusAtom);
+  const [, renameTag] = useAtom(renameTagActionAtom);
+  const [, mergeTags] = useAtom(mergeTagsActionAtom);
+  const [, deleteTag] = useAtom(deleteTagActionAtom);
+
+  const handleRename = useCallback((tag: string, name: string) => {
+    renameTag({ tag, name });
+  }, [renameTag]);
+
+  const handleMerge = useCallback((tag: string, into: string) => {
+    mergeTags({ tags: [tag], into });
+  }, [mergeTags]);
+
+  const handleDelete = useCallback((tag: string) => {
+    deleteTag(tag);
+  }, [deleteTag]);
+
+  const names = tags.map(tag => tag.tag);
+
+  return (
+    <div className="tag-manager">
+      <h1>Tags</h1>
+      {isLoading && <div className="loading">Loading...</div>}
+      {error && <div className="error">Error: {error}</div>}
+
+      {!isLoading && tags.length === 0 ? (
+        <p className="empty-state">No tags yet. Add #tags to a todo to create them.</p>
+      ) : (
+        <ul className="tag-list">
+          {tags.map(tag => (
+            <TagRow
+              key={tag.tag}
+              tag={tag}
+              otherTags={names.filter(name => name !== tag.tag)}
+              onRename={handleRename}
+              onMerge={handleMerge}
+              onDelete={handleDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagManager;
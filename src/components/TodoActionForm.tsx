@@ -0,0 +1,39 @@
+import React, { useActionState } from 'react';
+import { TodoAction, TodoActionState } from '../types/todo';
+
+interface TodoActionFormProps {
+  // Server action the form posts to - without one it is a plain form
+  action?: TodoAction;
+  // Sent along as hidden fields, e.g. the todo id
+  fields?: Record<string, string>;
+  onSubmit?: (e: React.FormEvent<HTMLFormElement>) => void;
+  className?: string;
+  children: React.ReactNode;
+}
+
+const INITIAL_STATE: TodoActionState = { error: null };
+
+const keepState = async (state: TodoActionState) => state;
+
+// A todo form that still works before the client has loaded: the browser posts it to the
+// server action, and the page comes back with the action's error, if any. Once the client
+// runs, onSubmit takes over and calls preventDefault.
+const TodoActionForm: React.FC<TodoActionFormProps> = ({ action, fields = {}, onSubmit, className, children }) => {
+  const [state, formAction] = useActionState(action || keepState, INITIAL_STATE);
+
+  return (
+    <form action={action ? formAction : undefined} onSubmit={onSubmit} className={className}>
+      {Object.keys(fields).map(name => (
+        <input key={name} type="hidden" name={name} value={fields[name]} />
+      ))}
+      {children}
+      {state.error && (
+        <span className="action-error" role="alert">
+          Failed: {state.error}
+        </span>
+      )}
+    </form>
+  );
+};
+
+export default TodoActionForm;
@@ -1,32 +1,172 @@
-import React from 'react';
+'use client';
+
+import React, { startTransition, useCallback, useEffect, useMemo, useOptimistic, useRef, useState } from 'react';
+import { useRouter } from 'next/navigation';
 import { useAtom } from 'jotai';
+import { useHydrateAtoms } from 'jotai/utils';
 import { 
   filteredTodosAtom, 
   filterAtom, 
+  sortAtom,
+  tagFilterAtom,
+  tagsAtom,
+  searchQueryAtom,
+  searchHighlightsAtom,
   todoStatsAtom,
-  addTodoAtom,
-  updateTodoAtom,
-  deleteTodoAtom,
-  toggleTodoAtom
+  todosStatusAtom,
+  todoStatusAtom,
+  retryTodoAtom,
+  resolveTodoConflictAtom,
+  listsAtom,
+  listsLoadingAtom,
+  currentListIdAtom,
+  currentListAtom,
+  subtaskProgressAtom,
+  completeParentsAtom,
+  offlineSyncAtom,
+  trashPurgeAtom,
+  nowAtom,
+  remindersAtom,
+  dismissReminderAtom,
+  reminderClockAtom,
+  serverStateEnabledAtom,
+  todoStreamAtom
 } from '../atoms/todoAtoms';
+import {
+  undoableAddTodoAtom,
+  undoableAddSubtaskAtom,
+  undoableUpdateTodoAtom,
+  undoableDeleteTodoAtom,
+  undoableToggleTodoAtom,
+  undoableMoveTodoAtom,
+  undoableReorderTodoAtom,
+  undoableBatchTodosAtom,
+  undoAtom,
+  redoAtom,
+  historyToastAtom,
+} from '../atoms/historyAtoms';
+import { storageErrorAtom, describeStorageError } from '../atoms/todoPersistence';
 import TodoForm from './TodoForm';
 import TodoList from './TodoList';
 import TodoFilters from './TodoFilters';
-import type { Todo, CreateTodoRequest, UpdateTodoRequest } from '../types/todo';
+import TodoReminders from './TodoReminders';
+import TodoSearch from './TodoSearch';
+import UndoToast from './UndoToast';
+import CommandPalette from './CommandPalette';
+import ShortcutHelp from './ShortcutHelp';
+import { ReorderTarget, reverseTarget } from '../utils/todoOrder';
+import { INBOX_LIST_ID, listPath } from '../utils/todoLists';
+import { nestTodos } from '../utils/todoTree';
+import { createLocalTodo } from '../utils/optimisticTodos';
+import { TODO_FILTERS } from '../utils/todoFilters';
+import { TODO_SORT_KEYS, TODO_SORT_LABELS, defaultSortDirection } from '../utils/todoSort';
+import { Command, ShortcutAction, shortcutFor } from '../utils/keyboardShortcuts';
+import type {
+  Todo,
+  TodoActions,
+  TodoFilter,
+  TodoItemStatus,
+  TodoConflictChoice,
+  TodoSort,
+  CreateTodoRequest,
+  UpdateTodoRequest,
+  TodoBatchRequest,
+} from '../types/todo';
+
+interface TodoAppProps {
+  // List to show - the Inbox when omitted
+  listId?: string;
+  // Server actions the forms post to until the client has loaded (server-rendered pages)
+  actions?: TodoActions;
+}
+
+const PENDING_ADD: TodoItemStatus = { pending: 'add', error: null, queued: false };
+
+// Pages offered by the command palette besides the lists
+const PAGES = [
+  { id: 'lists', path: '/lists', label: 'Lists' },
+  { id: 'tags', path: '/tags', label: 'Tags' },
+  { id: 'trash', path: '/trash', label: 'Trash' },
+  { id: 'activity', path: '/activity', label: 'Activity' },
+  { id: 'import-export', path: '/import-export', label: 'Import/Export' },
+];
+
+const capitalize = (word: string): string => word.charAt(0).toUpperCase() + word.slice(1);
+
+const focusElement = (selector: string) => {
+  const element = document.querySelector<HTMLElement>(selector);
+  if (element) {
+    element.focus();
+  }
+};
+
+export const TodoApp: React.FC<TodoAppProps> = ({ listId = INBOX_LIST_ID, actions }) => {
+  const router = useRouter();
+  // The route decides the list: seeded on first render, followed on navigation
+  useHydrateAtoms([[currentListIdAtom, listId]] as const);
+  const [currentListId, setCurrentListId] = useAtom(currentListIdAtom);
+  useEffect(() => {
+    setCurrentListId(listId);
+  }, [listId, setCurrentListId]);
+  const [lists] = useAtom(listsAtom);
+  const [listsLoading] = useAtom(listsLoadingAtom);
+  const [currentList] = useAtom(currentListAtom);
 
-export const TodoApp: React.FC = () => {
   // Jotai state management
   const [filteredTodos] = useAtom(filteredTodosAtom);
   const [filter, setFilter] = useAtom(filterAtom);
+  const [sort, setSort] = useAtom(sortAtom);
+  const [tagFilter, setTagFilter] = useAtom(tagFilterAtom);
+  const [tags] = useAtom(tagsAtom);
+  const [searchQuery, setSearchQuery] = useAtom(searchQueryAtom);
+  const [highlights] = useAtom(searchHighlightsAtom);
   const [stats] = useAtom(todoStatsAtom);
-  const [, addTodo] = useAtom(addTodoAtom);
-  const [, updateTodo] = useAtom(updateTodoAtom);
-  const [, deleteTodo] = useAtom(deleteTodoAtom);
-  const [, toggleTodo] = useAtom(toggleTodoAtom);
+  const [{ isLoading, error }] = useAtom(todosStatusAtom);
+  const [todoStatus] = useAtom(todoStatusAtom);
+  const [serverStateEnabled] = useAtom(serverStateEnabledAtom);
+  // New todos are listed right away, marked as saving, until the server has them
+  const [pendingAdds, addPendingTodo] = useOptimistic<Todo[], Todo>([], (todos, todo) => [...todos, todo]);
+  // Every change made from the list can be undone
+  const [, addTodo] = useAtom(undoableAddTodoAtom);
+  const [, updateTodo] = useAtom(undoableUpdateTodoAtom);
+  const [, deleteTodo] = useAtom(undoableDeleteTodoAtom);
+  const [, toggleTodo] = useAtom(undoableToggleTodoAtom);
+  const [, retryTodo] = useAtom(retryTodoAtom);
+  const [, resolveTodoConflict] = useAtom(resolveTodoConflictAtom);
+  const [, addSubtask] = useAtom(undoableAddSubtaskAtom);
+  const [, reorderTodo] = useAtom(undoableReorderTodoAtom);
+  const [, moveTodo] = useAtom(undoableMoveTodoAtom);
+  const [, batchTodos] = useAtom(undoableBatchTodosAtom);
+  const [, undo] = useAtom(undoAtom);
+  const [, redo] = useAtom(redoAtom);
+  const [historyToast, setHistoryToast] = useAtom(historyToastAtom);
+  const [subtaskProgress] = useAtom(subtaskProgressAtom);
+  const [completeParents, setCompleteParents] = useAtom(completeParentsAtom);
+  // Replays changes made offline on mount and whenever the browser reconnects
+  useAtom(offlineSyncAtom);
+  // Merges in what other tabs and clients change, as they change it
+  useAtom(todoStreamAtom);
+  // Drops local todos that stayed in the Trash past the retention window
+  useAtom(trashPurgeAtom);
+  const [storageError] = useAtom(storageErrorAtom);
+  const storageWarning = describeStorageError(storageError);
+  // Ticks the clock for due-date filters and fires reminders when a due time passes
+  useAtom(reminderClockAtom);
+  const [now] = useAtom(nowAtom);
+  const [reminders] = useAtom(remindersAtom);
+  const [, dismissReminder] = useAtom(dismissReminderAtom);
 
   // Event handlers
   const handleAddTodo = (todo: CreateTodoRequest) => {
-    addTodo(todo);
+    if (!serverStateEnabled) {
+      addTodo(todo);
+      return;
+    }
+    startTransition(async () => {
+      const createdAt = new Date().toISOString();
+      addPendingTodo(createLocalTodo(`pending-${createdAt}-${pendingAdds.length}`, todo, createdAt));
+      await addTodo(todo);
+    });
   };
 
   const handleToggleTodo = (id: string) => {
@@ -41,19 +181,282 @@ export const TodoApp: React.FC = () => {
     deleteTodo(id);
   };
 
-  const handleFilterChange = (newFilter: 'all' | 'active' | 'completed') => {
+  const handleRetryTodo = (id: string) => {
+    retryTodo(id);
+  };
+
+  const handleResolveConflict = (id: string, choice: TodoConflictChoice, text?: string) => {
+    resolveTodoConflict({ id, choice, text });
+  };
+
+  const handleAddSubtask = (parentId: string, text: string) => {
+    addSubtask({ parentId, text });
+  };
+
+  // Moves are only possible while the list shows the manual order
+  const handleReorder = (id: string, target: ReorderTarget) => {
+    reorderTodo({ id, target: sort.direction === 'desc' ? reverseTarget(target) : target });
+  };
+
+  const handleMoveToList = (id: string, targetListId: string) => {
+    moveTodo({ id, listId: targetListId });
+  };
+
+  const handleBatch = (request: TodoBatchRequest) => {
+    batchTodos(request);
+  };
+
+  const handleDismissToast = useCallback(() => {
+    setHistoryToast(null);
+  }, [setHistoryToast]);
+
+  const handleCompleteParentsChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setCompleteParents(e.target.checked);
+  };
+
+  const handleFilterChange = (newFilter: TodoFilter) => {
     setFilter(newFilter);
   };
 
+  const handleSortChange = (newSort: TodoSort) => {
+    setSort(newSort);
+  };
+
+  const handleTagFilterChange = (tag: string | null) => {
+    setTagFilter(tag);
+  };
+
+  const handleSearchChange = (query: string) => {
+    setSearchQuery(query);
+  };
+
+  // Keyboard shortcuts act on the focused todo, in the order the list shows them
+  const listedTodos = useMemo(() => nestTodos(filteredTodos).map(node => node.todo), [filteredTodos]);
+  const [focusedId, setFocusedId] = useState<string | null>(null);
+  const focusedTodo = listedTodos.find(todo => todo.id === focusedId) || null;
+  const [overlay, setOverlay] = useState<'palette' | 'help' | null>(null);
+  // Where the focus goes back to when the palette or the help closes
+  const returnFocusRef = useRef<HTMLElement | null>(null);
+
+  const openOverlay = (kind: 'palette' | 'help') => {
+    if (!returnFocusRef.current) {
+      returnFocusRef.current = document.activeElement as HTMLElement | null;
+    }
+    setOverlay(kind);
+  };
+
+  const closeOverlay = useCallback(() => {
+    setOverlay(null);
+    const element = returnFocusRef.current;
+    returnFocusRef.current = null;
+    if (element && element !== document.body && document.body.contains(element)) {
+      element.focus();
+    }
+  }, []);
+
+  const moveFocus = (step: number) => {
+    const index = listedTodos.findIndex(todo => todo.id === focusedId);
+    const next = index === -1
+      ? listedTodos[step > 0 ? 0 : listedTodos.length - 1]
+      : listedTodos[Math.min(Math.max(index + step, 0), listedTodos.length - 1)];
+    if (next) {
+      setFocusedId(next.id);
+    }
+  };
+
+  // Editing lives in the todo's row, so it is started from its Edit button
+  const editFocusedTodo = () => {
+    const index = listedTodos.indexOf(focusedTodo);
+    const row = document.querySelectorAll('.todo-list > .todo-item')[index];
+    const button = row && row.querySelector<HTMLElement>('.btn-edit');
+    if (button) {
+      button.click();
+    }
+  };
+
+  // Returns false for shortcuts that have nothing to act on
+  const runShortcut = (action: ShortcutAction): boolean => {
+    if (action === 'palette' || action === 'help') {
+      if (overlay === action) {
+        closeOverlay();
+      } else {
+        openOverlay(action);
+      }
+      return true;
+    }
+    if (overlay) {
+      return false;
+    }
+    switch (action) {
+      case 'next':
+      case 'previous':
+        moveFocus(action === 'next' ? 1 : -1);
+        return listedTodos.length > 0;
+      case 'toggle':
+      case 'edit':
+      case 'delete':
+        if (!focusedTodo) {
+          return false;
+        }
+        if (action === 'toggle') {
+          handleToggleTodo(focusedTodo.id);
+        } else if (action === 'edit') {
+          editFocusedTodo();
+        } else {
+          handleDeleteTodo(focusedTodo.id);
+        }
+        return true;
+      case 'search':
+        focusElement('.todo-search-input');
+        return true;
+      case 'add':
+        focusElement('.todo-form .todo-input');
+        return true;
+      case 'undo':
+        undo();
+        return true;
+      case 'redo':
+        redo();
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  // The listener is added once and always runs the latest shortcut handler
+  const runShortcutRef = useRef(runShortcut);
+  runShortcutRef.current = runShortcut;
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      const action = shortcutFor(e);
+      if (action && runShortcutRef.current(action)) {
+        // Keeps '/' and 'n' out of the field they just focused
+        e.preventDefault();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Every action and filter, for the command palette
+  const buildCommands = (): Command[] => {
+    const commands: Command[] = [];
+    if (focusedTodo) {
+      commands.push(
+        {
+          id: 'toggle',
+          group: 'Todo',
+          label: `${focusedTodo.completed ? 'Reopen' : 'Complete'} "${focusedTodo.text}"`,
+          shortcut: 'x',
+          run: () => runShortcut('toggle'),
+        },
+        { id: 'edit', group: 'Todo', label: `Edit "${focusedTodo.text}"`, shortcut: 'e', run: () => runShortcut('edit') },
+        { id: 'delete', group: 'Todo', label: `Delete "${focusedTodo.text}"`, shortcut: '#', run: () => runShortcut('delete') }
+      );
+    }
+    commands.push(
+      { id: 'add', group: 'Todo', label: 'Add a todo', shortcut: 'n', run: () => focusElement('.todo-form .todo-input') },
+      { id: 'search', group: 'Search', label: 'Search todos', shortcut: '/', run: () => focusElement('.todo-search-input') }
+    );
+    if (searchQuery) {
+      commands.push({ id: 'clear-search', group: 'Search', label: 'Clear the search', run: () => setSearchQuery('') });
+    }
+    commands.push(
+      { id: 'undo', group: 'Edit', label: 'Undo', shortcut: 'Ctrl+Z', run: undo },
+      { id: 'redo', group: 'Edit', label: 'Redo', shortcut: 'Ctrl+Shift+Z', run: redo }
+    );
+    // Same as the buttons above the list: only the todos currently listed
+    const open = listedTodos.filter(todo => !todo.completed).map(todo => todo.id);
+    const done = listedTodos.filter(todo => todo.completed).map(todo => todo.id);
+    if (open.length > 0) {
+      commands.push({ id: 'complete-all', group: 'Edit', label: 'Complete all', run: () => handleBatch({ action: 'complete', ids: open }) });
+    }
+    if (done.length > 0) {
+      commands.push({ id: 'clear-completed', group: 'Edit', label: 'Clear completed', run: () => handleBatch({ action: 'delete', ids: done }) });
+    }
+    TODO_FILTERS.forEach(item => {
+      commands.push({ id: `filter-${item}`, group: 'Filter', label: capitalize(item), run: () => setFilter(item) });
+    });
+    tags.forEach(({ tag }) => {
+      commands.push({ id: `tag-${tag}`, group: 'Tag', label: `#${tag}`, run: () => setTagFilter(tag) });
+    });
+    if (tagFilter) {
+      commands.push({ id: 'tag-any', group: 'Tag', label: 'Any tag', run: () => setTagFilter(null) });
+    }
+    TODO_SORT_KEYS.forEach(key => {
+      commands.push({
+        id: `sort-${key}`,
+        group: 'Sort',
+        label: TODO_SORT_LABELS[key],
+        run: () => setSort({ key, direction: defaultSortDirection(key) }),
+      });
+    });
+    commands.push({
+      id: 'sort-reverse',
+      group: 'Sort',
+      label: 'Reverse the order',
+      run: () => setSort({ key: sort.key, direction: sort.direction === 'asc' ? 'desc' : 'asc' }),
+    });
+    lists.filter(list => !list.archived && list.id !== currentListId).forEach(list => {
+      commands.push({ id: `list-${list.id}`, group: 'Go to', label: list.name, run: () => router.push(listPath(list.id)) });
+    });
+    PAGES.forEach(page => {
+      commands.push({ id: `page-${page.id}`, group: 'Go to', label: page.label, run: () => router.push(page.path) });
+    });
+    commands.push({ id: 'help', group: 'Help', label: 'Keyboard shortcuts', shortcut: '?', run: () => openOverlay('help') });
+    return commands;
+  };
+
+  // e.g. "active todos tagged #work"
+  const emptyLabel = [filter === 'all' ? null : filter, 'todos', tagFilter ? `tagged #${tagFilter}` : null]
+    .filter(Boolean)
+    .join(' ');
+
+  const header = (
+    <header>
+      <h1>Modern TODO App</h1>
+      <p>Next.js 15 + React 19 + Jotai</p>
+    </header>
+  );
+
+  if (!currentList) {
+    return (
+      <div className="todo-app">
+        {header}
+        <main>
+          {listsLoading ? <div className="loading">Loading...</div> : <p className="empty-state">List not found.</p>}
+        </main>
+      </div>
+    );
+  }
+
+  const listedTodosWithPending = pendingAdds.length > 0 ? [...filteredTodos, ...pendingAdds] : filteredTodos;
+  const statusesWithPending = pendingAdds.length > 0
+    ? pendingAdds.reduce((statuses, todo) => ({ ...statuses, [todo.id]: PENDING_ADD }), todoStatus)
+    : todoStatus;
+
+  // Archived lists are only offered as a move target while they are being shown
+  const moveTargets = lists.filter(list => !list.archived || list.id === currentListId);
+
   return (
     <div className="todo-app">
-      <header>
-        <h1>Modern TODO App</h1>
-        <p>Next.js 15 + React 19 + Jotai</p>
-      </header>
+      {header}
       
       <main>
-        <TodoForm onAdd={handleAddTodo} />
+        <h2 className="list-title">
+          {currentList.name}
+          {currentList.archived && <span className="list-archived">Archived</span>}
+        </h2>
+
+        <TodoForm onAdd={handleAddTodo} lists={lists} action={actions && actions.add} listId={currentListId} />
+        
+        {isLoading && <div className="loading">Loading...</div>}
+        {error && <div className="error">Error: {error}</div>}
+        {storageWarning && <div className="storage-warning" role="status">{storageWarning}</div>}
+        <TodoReminders reminders={reminders} onDismiss={dismissReminder} />
+        <UndoToast toast={historyToast} onUndo={undo} onRedo={redo} onDismiss={handleDismissToast} />
+        {overlay === 'palette' && <CommandPalette commands={buildCommands()} onClose={closeOverlay} />}
+        {overlay === 'help' && <ShortcutHelp onClose={closeOverlay} />}
         
         <div className="todo-stats">
           <span>Total: {stats.total}</span>
@@ -61,22 +464,60 @@ export const TodoApp: React.FC = () => {
           <span>Completed: {stats.completed}</span>
         </div>
         
+        <TodoSearch
+          query={searchQuery}
+          onQueryChange={handleSearchChange}
+          resultCount={filteredTodos.length}
+        />
+
         <TodoFilters 
           filter={filter}
           onFilterChange={handleFilterChange}
           todoCount={stats}
+          sort={sort}
+          onSortChange={handleSortChange}
+          tags={tags.map(({ tag }) => tag)}
+          tagFilter={tagFilter}
+          onTagFilterChange={handleTagFilterChange}
         />
+
+        <label className="subtask-setting">
+          <input
+            type="checkbox"
+            checked={completeParents}
+            onChange={handleCompleteParentsChange}
+          />
+          Complete a todo when all of its subtasks are done
+        </label>
         
         <TodoList
-          todos={filteredTodos}
+          todos={listedTodosWithPending}
           onToggle={handleToggleTodo}
           onUpdate={handleUpdateTodo}
           onDelete={handleDeleteTodo}
+          statuses={statusesWithPending}
+          onRetry={handleRetryTodo}
+          onResolveConflict={handleResolveConflict}
+          showHistory={serverStateEnabled}
+          now={now}
+          onTagClick={handleTagFilterChange}
+          highlights={highlights}
+          progress={subtaskProgress}
+          onAddSubtask={handleAddSubtask}
+          onReorder={sort.key === 'order' ? handleReorder : undefined}
+          lists={moveTargets}
+          onMoveToList={handleMoveToList}
+          onBatch={handleBatch}
+          focusedId={focusedId}
+          onFocusChange={setFocusedId}
+          actions={actions}
         />
         
-        {filteredTodos.length === 0 && (
+        {!isLoading && filteredTodos.length === 0 && (
           <div className="empty-state">
-            {filter === 'all' ? 'No todos yet. Add one above!' : `No ${filter} todos.`}
+            {filter === 'all' && !tagFilter && !highlights
+              ? 'No todos yet. Add one above!'
+              : `No ${emptyLabel}${highlights ? ` matching "${searchQuery.trim()}"` : ''}.`}
           </div>
         )}
       </main>
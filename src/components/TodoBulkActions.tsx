@@ -0,0 +1,134 @@
+import React, { useState, useCallback } from 'react';
+import { TodoBatchAction } from '../types/todo';
+
+interface TodoBulkActionsProps {
+  selecting: boolean;
+  selectedCount: number;
+  // Rows currently listed - "Select all" covers exactly these
+  listedCount: number;
+  activeCount: number;
+  completedCount: number;
+  // Lists the selection can be moved to
+  lists?: Array<{ id: string; name: string }>;
+  onToggleSelecting: () => void;
+  onSelectAll: (selected: boolean) => void;
+  // Applies the action to the selected todos
+  onAction: (action: TodoBatchAction, options?: { listId?: string; tag?: string }) => void;
+  onCompleteAll: () => void;
+  onClearCompleted: () => void;
+}
+
+// Toolbar above the todo list, shared by the modern and legacy lists. Outside selection
+// mode it offers "Complete all" and "Clear completed" for the listed todos.
+export const TodoBulkActions: React.FC<TodoBulkActionsProps> = ({
+  selecting,
+  selectedCount,
+  listedCount,
+  activeCount,
+  completedCount,
+  lists,
+  onToggleSelecting,
+  onSelectAll,
+  onAction,
+  onCompleteAll,
+  onClearCompleted,
+}) => {
+  const [tag, setTag] = useState('');
+  const none = selectedCount === 0;
+
+  const handleSelectAll = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    onSelectAll(e.target.checked);
+  }, [onSelectAll]);
+
+  const handleMove = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    if (e.target.value) {
+      onAction('move', { listId: e.target.value });
+    }
+  }, [onAction]);
+
+  const handleTagChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    setTag(e.target.value);
+  }, []);
+
+  const handleTag = useCallback(() => {
+    if (tag.trim()) {
+      onAction('tag', { tag });
+      setTag('');
+    }
+  }, [onAction, tag]);
+
+  const handleTagKeyDown = useCallback((e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') {
+      handleTag();
+    }
+  }, [handleTag]);
+
+  return (
+    <div className="bulk-actions" role="toolbar" aria-label="Bulk actions">
+      <button onClick={onToggleSelecting} className="btn btn-select" aria-pressed={selecting}>
+        {selecting ? 'Done' : 'Select'}
+      </button>
+
+      {selecting ? (
+        <>
+          <label className="bulk-select-all">
+            <input
+              type="checkbox"
+              checked={listedCount > 0 && selectedCount === listedCount}
+              onChange={handleSelectAll}
+            />
+            Select all
+          </label>
+          <span className="bulk-count" role="status">{selectedCount} selected</span>
+          <button onClick={() => onAction('complete')} className="btn btn-complete" disabled={none}>
+            Complete
+          </button>
+          <button onClick={() => onAction('reopen')} className="btn btn-reopen" disabled={none}>
+            Reopen
+          </button>
+          <button onClick={() => onAction('delete')} className="btn btn-delete" disabled={none}>
+            Delete
+          </button>
+          {lists && lists.length > 1 && (
+            <select
+              value=""
+              onChange={handleMove}
+              aria-label="Move selected to list"
+              className="bulk-move-select"
+              disabled={none}
+            >
+              <option value="">Move to...</option>
+              {lists.map(list => (
+                <option key={list.id} value={list.id}>{list.name}</option>
+              ))}
+            </select>
+          )}
+          <input
+            type="text"
+            value={tag}
+            onChange={handleTagChange}
+            onKeyDown={handleTagKeyDown}
+            placeholder="#tag"
+            aria-label="Tag selected"
+            className="bulk-tag-input"
+            disabled={none}
+          />
+          <button onClick={handleTag} className="btn btn-tag" disabled={none || !tag.trim()}>
+            Tag
+          </button>
+        </>
+      ) : (
+        <>
+          <button onClick={onCompleteAll} className="btn btn-complete-all" disabled={activeCount === 0}>
+            Complete all
+          </button>
+          <button onClick={onClearCompleted} className="btn btn-clear-completed" disabled={completedCount === 0}>
+            Clear completed
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TodoBulkActions;
@@ -0,0 +1,103 @@
+import React, { useState, useCallback } from 'react';
+import { Todo, TodoConflict, TodoConflictChoice } from '../types/todo';
+import { formatDueDate } from '../utils/dueDates';
+import { canMergeText, mergeTodoText, yourVersion } from '../utils/todoConflicts';
+
+interface TodoConflictDialogProps {
+  conflict: TodoConflict;
+  // text is the merged text for 'merge'
+  onResolve: (choice: TodoConflictChoice, text?: string) => void;
+}
+
+const CHANGES: Record<TodoConflict['operation'], string> = {
+  update: 'Your edit',
+  toggle: 'Your change',
+  delete: 'Deleting it',
+};
+
+const TodoVersion: React.FC<{ title: string; todo: Todo | null }> = ({ title, todo }) => (
+  <section className="todo-conflict-version" aria-label={title}>
+    <h3>{title}</h3>
+    {todo ? (
+      <dl>
+        <dt>Text</dt>
+        <dd>{todo.text}</dd>
+        <dt>Status</dt>
+        <dd>{todo.completed ? 'Done' : 'Open'}</dd>
+        {todo.dueAt && (
+          <>
+            <dt>Due</dt>
+            <dd>{formatDueDate(todo.dueAt)}</dd>
+          </>
+        )}
+        <dt>Priority</dt>
+        <dd>{todo.priority || 'normal'}</dd>
+        {todo.tags && todo.tags.length > 0 && (
+          <>
+            <dt>Tags</dt>
+            <dd>{todo.tags.map(tag => `#${tag}`).join(' ')}</dd>
+          </>
+        )}
+      </dl>
+    ) : (
+      <p>Deleted</p>
+    )}
+  </section>
+);
+
+// Shown by a todo whose update, toggle or delete the server refused because someone else
+// changed the todo first. Both versions side by side: keep yours, take the server's or
+// merge the two texts.
+const TodoConflictDialog: React.FC<TodoConflictDialogProps> = ({ conflict, onResolve }) => {
+  const yours = yourVersion(conflict);
+  const [mergedText, setMergedText] = useState<string | null>(null);
+  const titleId = `todo-conflict-title-${conflict.server.id}`;
+
+  const handleMerge = useCallback(() => {
+    setMergedText(mergeTodoText(conflict.base.text, yours ? yours.text : '', conflict.server.text));
+  }, [conflict, yours]);
+
+  const handleSaveMerge = useCallback(() => {
+    if (mergedText !== null && mergedText.trim()) {
+      onResolve('merge', mergedText.trim());
+    }
+  }, [mergedText, onResolve]);
+
+  return (
+    <div className="overlay">
+      <div className="todo-conflict" role="dialog" aria-modal="true" aria-labelledby={titleId}>
+        <h2 id={titleId}>Someone else changed this todo</h2>
+        <p>{CHANGES[conflict.operation]} was not saved because the todo changed on the server first.</p>
+        <div className="todo-conflict-versions">
+          <TodoVersion title="Your version" todo={yours} />
+          <TodoVersion title="Server version" todo={conflict.server} />
+        </div>
+        {mergedText !== null && (
+          <label className="todo-conflict-merge">
+            Merged text
+            <textarea value={mergedText} onChange={e => setMergedText(e.target.value)} autoFocus />
+          </label>
+        )}
+        <div className="todo-conflict-actions">
+          <button onClick={() => onResolve('mine')} className="btn btn-save" autoFocus>
+            Keep mine
+          </button>
+          <button onClick={() => onResolve('server')} className="btn btn-cancel">
+            Use server version
+          </button>
+          {canMergeText(conflict) && (mergedText === null ? (
+            <button onClick={handleMerge} className="btn btn-edit">
+              Merge text
+            </button>
+          ) : (
+            <button onClick={handleSaveMerge} className="btn btn-save" disabled={!mergedText.trim()}>
+              Save merged text
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TodoConflictDialog;
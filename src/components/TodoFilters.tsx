@@ -1,5 +1,11 @@
 import React, { useCallback } from 'react';
-import { TodoFilter } from '../types/todo';
+import { TodoFilter, TodoSort, TodoSortKey } from '../types/todo';
+import {
+  DEFAULT_TODO_SORT,
+  TODO_SORT_KEYS,
+  TODO_SORT_LABELS,
+  defaultSortDirection,
+} from '../utils/todoSort';
 
 interface TodoCount {
   total: number;
@@ -11,11 +17,28 @@ interface TodoFiltersProps {
   filter: TodoFilter;
   onFilterChange: (filter: TodoFilter) => void;
   todoCount: TodoCount;
+  // Sort controls are only shown when the parent handles sorting
+  sort?: TodoSort;
+  onSortChange?: (sort: TodoSort) => void;
+  // Tag filter - only shown when the parent handles it and there are tags to pick
+  tags?: string[];
+  tagFilter?: string | null;
+  onTagFilterChange?: (tag: string | null) => void;
 }
 
-const ModernTodoFilters: React.FC<TodoFiltersProps> = ({ filter, onFilterChange, todoCount }) => {
+const ModernTodoFilters: React.FC<TodoFiltersProps> = ({
+  filter,
+  onFilterChange,
+  todoCount,
+  sort,
+  onSortChange,
+  tags,
+  tagFilter,
+  onTagFilterChange,
+}) => {
   // Safe handling of todoCount (same as legacy)
   const safeCount = todoCount || { active: 0, total: 0, completed: 0 };
+  const activeSort = sort || DEFAULT_TODO_SORT;
 
   // Event handlers with useCallback for performance optimization
   const handleAllClick = useCallback(() => {
@@ -30,6 +53,34 @@ const ModernTodoFilters: React.FC<TodoFiltersProps> = ({ filter, onFilterChange,
     onFilterChange && onFilterChange('completed');
   }, [onFilterChange]);
 
+  const handleOverdueClick = useCallback(() => {
+    onFilterChange && onFilterChange('overdue');
+  }, [onFilterChange]);
+
+  const handleTodayClick = useCallback(() => {
+    onFilterChange && onFilterChange('today');
+  }, [onFilterChange]);
+
+  const handleUpcomingClick = useCallback(() => {
+    onFilterChange && onFilterChange('upcoming');
+  }, [onFilterChange]);
+
+  const handleSortKeyChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    const key = e.target.value as TodoSortKey;
+    onSortChange && onSortChange({ key, direction: defaultSortDirection(key) });
+  }, [onSortChange]);
+
+  const handleSortDirectionClick = useCallback(() => {
+    onSortChange && onSortChange({
+      key: activeSort.key,
+      direction: activeSort.direction === 'asc' ? 'desc' : 'asc',
+    });
+  }, [onSortChange, activeSort.key, activeSort.direction]);
+
+  const handleTagFilterChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    onTagFilterChange && onTagFilterChange(e.target.value || null);
+  }, [onTagFilterChange]);
+
   return (
     <div className="todo-filters">
       <div className="todo-count">
@@ -56,6 +107,65 @@ const ModernTodoFilters: React.FC<TodoFiltersProps> = ({ filter, onFilterChange,
           Completed
         </button>
       </div>
+
+      <div className="filter-buttons due-filters">
+        <button
+          className={`btn ${filter === 'overdue' ? 'active' : ''}`}
+          onClick={handleOverdueClick}
+        >
+          Overdue
+        </button>
+        <button
+          className={`btn ${filter === 'today' ? 'active' : ''}`}
+          onClick={handleTodayClick}
+        >
+          Today
+        </button>
+        <button
+          className={`btn ${filter === 'upcoming' ? 'active' : ''}`}
+          onClick={handleUpcomingClick}
+        >
+          Upcoming
+        </button>
+      </div>
+
+      {onTagFilterChange && tags && tags.length > 0 && (
+        <div className="tag-filter">
+          <select
+            value={tagFilter || ''}
+            onChange={handleTagFilterChange}
+            aria-label="Tag"
+            className="tag-filter-select"
+          >
+            <option value="">All tags</option>
+            {tags.map(tag => (
+              <option key={tag} value={tag}>#{tag}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {onSortChange && (
+        <div className="sort-controls">
+          <select
+            value={activeSort.key}
+            onChange={handleSortKeyChange}
+            aria-label="Sort by"
+            className="sort-select"
+          >
+            {TODO_SORT_KEYS.map(key => (
+              <option key={key} value={key}>{TODO_SORT_LABELS[key]}</option>
+            ))}
+          </select>
+          <button
+            className="btn btn-sort-direction"
+            onClick={handleSortDirectionClick}
+            aria-label={activeSort.direction === 'asc' ? 'Sort ascending' : 'Sort descending'}
+          >
+            {activeSort.direction === 'asc' ? '↑' : '↓'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,20 +1,36 @@
 import React, { useState, useCallback } from 'react';
-import { CreateTodoRequest } from '../types/todo';
+import { CreateTodoRequest, List, TodoAction, TodoPriority } from '../types/todo';
+import { fromDateTimeInputValue } from '../utils/dueDates';
+import { TODO_PRIORITIES } from '../utils/todoSort';
+import { parseQuickAdd, quickAddRequest } from '../utils/quickAdd';
+import QuickAddPreview from './QuickAddPreview';
+import TodoActionForm from './TodoActionForm';
 
 interface TodoFormProps {
   onAdd: (todo: CreateTodoRequest) => void;
+  // Lists an @name in the text can send the todo to
+  lists?: List[];
+  // Server action the form posts to until the client has loaded
+  action?: TodoAction;
+  // List the page shows, where the server action files the todo
+  listId?: string;
 }
 
-const ModernTodoForm: React.FC<TodoFormProps> = ({ onAdd }) => {
+const ModernTodoForm: React.FC<TodoFormProps> = ({ onAdd, lists = [], action, listId }) => {
   // State hook replaces class component state
   const [text, setText] = useState('');
+  // Optional due date as a datetime-local value
+  const [due, setDue] = useState('');
+  const [priority, setPriority] = useState<TodoPriority>('normal');
 
   // Event handlers with useCallback for performance optimization
   const handleSubmit = useCallback((e: React.FormEvent<HTMLFormElement>) => {
     e.preventDefault();
     if (text.trim()) {
+      // Quick-add syntax in the text fills in what the due and priority fields leave empty
+      const request = quickAddRequest(text, fromDateTimeInputValue(due), priority, Date.now(), lists);
       try {
-        onAdd({ text: text.trim() });
+        onAdd(request);
       } catch (error) {
         // Handle onAdd errors gracefully (same as legacy)
         console.error('Failed to add todo:', error);
@@ -22,16 +38,32 @@ const ModernTodoForm: React.FC<TodoFormProps> = ({ onAdd }) => {
     }
     // Always clear the input after form submission (same as legacy)
     setText('');
-  }, [text, onAdd]);
+    setDue('');
+    setPriority('normal');
+  }, [text, due, priority, lists, onAdd]);
 
   const handleChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
     setText(e.target.value);
   }, []);
 
+  const handleDueChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    setDue(e.target.value);
+  }, []);
+
+  const handlePriorityChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    setPriority(e.target.value as TodoPriority);
+  }, []);
+
   return (
-    <form onSubmit={handleSubmit} className="todo-form">
+    <TodoActionForm
+      action={action}
+      fields={listId ? { listId } : undefined}
+      onSubmit={handleSubmit}
+      className="todo-form"
+    >
       <input
         type="text"
+        name="text"
         value={text}
         onChange={handleChange}
         placeholder="What needs to be done?"
@@ -40,7 +72,27 @@ const ModernTodoForm: React.FC<TodoFormProps> = ({ onAdd }) => {
       <button type="submit" className="btn btn-add" tabIndex={0}>
         Add Todo
       </button>
-    </form>
+      <input
+        type="datetime-local"
+        name="due"
+        value={due}
+        onChange={handleDueChange}
+        aria-label="Due date"
+        className="todo-due-input"
+      />
+      <select
+        name="priority"
+        value={priority}
+        onChange={handlePriorityChange}
+        aria-label="Priority"
+        className="todo-priority-select"
+      >
+        {TODO_PRIORITIES.map(level => (
+          <option key={level} value={level}>{level}</option>
+        ))}
+      </select>
+      <QuickAddPreview chips={parseQuickAdd(text, Date.now(), lists).chips} />
+    </TodoActionForm>
   );
 };
 
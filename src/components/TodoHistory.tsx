@@ -0,0 +1,43 @@
+import React from 'react';
+import { useAtom } from 'jotai';
+import { TodoActivity } from '../types/todo';
+import { todoHistoryQueryAtom } from '../atoms/todoAtoms';
+import { todoActorId } from '../services/todoApi';
+import { describeActivity, describeActor } from '../utils/todoActivity';
+import { formatDueDate } from '../utils/dueDates';
+
+// One line of the activity log: what changed, who changed it and when. The feed names
+// the todo too, since its entries are about many.
+export const ActivityEntry: React.FC<{ entry: TodoActivity; showTodo?: boolean }> = ({ entry, showTodo }) => (
+  <li className={`activity-entry ${entry.type}`}>
+    {showTodo && entry.type !== 'renamed' && <span className="activity-todo">{entry.text}</span>}
+    <span className="activity-summary">{describeActivity(entry)}</span>
+    <span className="activity-actor">by {describeActor(entry.actor, todoActorId())}</span>
+    <time className="activity-at" dateTime={entry.at} title={entry.at}>
+      {formatDueDate(entry.at)}
+    </time>
+  </li>
+);
+
+// Expandable panel under a todo with every change made to it, newest first
+const TodoHistory: React.FC<{ todoId: string }> = ({ todoId }) => {
+  const [query] = useAtom(todoHistoryQueryAtom(todoId));
+  const entries = query.data || [];
+
+  return (
+    <section className="todo-history" aria-label="History">
+      {query.isLoading && <div className="loading">Loading...</div>}
+      {query.error && <div className="error">Error: {query.error.message}</div>}
+      {!query.isLoading && !query.error && entries.length === 0 && (
+        <p className="empty-state">No changes recorded yet.</p>
+      )}
+      {entries.length > 0 && (
+        <ol className="activity-list">
+          {entries.map(entry => <ActivityEntry key={entry.id} entry={entry} />)}
+        </ol>
+      )}
+    </section>
+  );
+};
+
+export default TodoHistory;
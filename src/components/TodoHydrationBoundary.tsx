@@ -0,0 +1,31 @@
+'use client';
+
+import React from 'react';
+import { useHydrateAtoms } from 'jotai/utils';
+import { serverStateEnabledAtom, storedListsAtom, todosAtom } from '../atoms/todoAtoms';
+import { InitialTodoState } from '../types/todo';
+
+interface TodoHydrationBoundaryProps {
+  // What the server rendered the page with - null when the browser keeps the todos
+  initialState: InitialTodoState | null;
+  children: React.ReactNode;
+}
+
+type SeededAtom = typeof serverStateEnabledAtom | typeof todosAtom | typeof storedListsAtom;
+
+// Seeds the client with the todos and lists the server rendered, so hydration starts
+// from the same list instead of an empty one. With server state on, writing todosAtom
+// and storedListsAtom fills the TanStack Query cache, which stays fresh for the query's
+// staleTime. Atoms are only seeded once per store: later navigations keep the cache.
+const TodoHydrationBoundary: React.FC<TodoHydrationBoundaryProps> = ({ initialState, children }) => {
+  useHydrateAtoms(new Map<SeededAtom, unknown>(initialState
+    ? [
+      [serverStateEnabledAtom, true],
+      [todosAtom, initialState.todos],
+      [storedListsAtom, initialState.lists],
+    ]
+    : []));
+  return <>{children}</>;
+};
+
+export default TodoHydrationBoundary;
@@ -0,0 +1,207 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { useAtom } from 'jotai';
+import { todosAtom, listsAtom, todosStatusAtom, importTodosActionAtom } from '../atoms/todoAtoms';
+import {
+  ImportRow,
+  TransferFormat,
+  TRANSFER_FORMATS,
+  detectFormat,
+  exportFileName,
+  exportTodos,
+  isImportable,
+  previewImport,
+} from '../utils/todoImportExport';
+import { INBOX_LIST_ID } from '../utils/todoLists';
+
+const formatLabel = (format: TransferFormat): string =>
+  TRANSFER_FORMATS.find(item => item.format === format).label;
+
+// Hand `content` to the browser as a file download
+const downloadFile = (fileName: string, content: string, mimeType: string) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// FileReader rather than file.text(), which older browsers lack
+const readFile = (file: File): Promise<string> => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const rowStatus = (row: ImportRow): string => {
+  if (row.error) {
+    return row.error;
+  }
+  if (row.duplicateOf) {
+    return 'Already in the list';
+  }
+  return row.duplicateRow !== undefined ? `Same as row ${row.duplicateRow}` : 'New';
+};
+
+// Export every todo, or import todos from a file or pasted text. Imports are previewed
+// row by row first: rows with errors and todos already in the list are left out.
+export const TodoImportExport: React.FC = () => {
+  const [todos] = useAtom(todosAtom);
+  const [lists] = useAtom(listsAtom);
+  const [{ error }] = useAtom(todosStatusAtom);
+  const [, importTodos] = useAtom(importTodosActionAtom);
+  const [exportFormat, setExportFormat] = useState<TransferFormat>('json');
+  const [importText, setImportText] = useState('');
+  const [fileName, setFileName] = useState('');
+  // '' detects the format
+  const [importFormat, setImportFormat] = useState<TransferFormat | ''>('');
+  const [listId, setListId] = useState(INBOX_LIST_ID);
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState<string | null>(null);
+
+  const handleExportFormatChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    setExportFormat(e.target.value as TransferFormat);
+  }, []);
+
+  const handleExport = useCallback(() => {
+    const info = TRANSFER_FORMATS.find(item => item.format === exportFormat);
+    downloadFile(exportFileName(exportFormat), exportTodos(todos, exportFormat, lists), info.mimeType);
+  }, [exportFormat, lists, todos]);
+
+  const handleFileChange = useCallback(async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      setImportText(await readFile(file));
+      setFileName(file.name);
+      setResult(null);
+    } catch (error) {
+      setResult(`Could not read ${file.name}`);
+    }
+  }, []);
+
+  const handleTextChange = useCallback((e: React.ChangeEvent<HTMLTextAreaElement>) => {
+    setImportText(e.target.value);
+    setFileName('');
+    setResult(null);
+  }, []);
+
+  const handleImportFormatChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    setImportFormat(e.target.value as TransferFormat | '');
+  }, []);
+
+  const handleListChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    setListId(e.target.value);
+  }, []);
+
+  const detectedFormat = importText.trim() ? detectFormat(importText, fileName) : null;
+  const preview = useMemo(
+    () => (importText.trim() ? previewImport(importText, todos, listId, importFormat || detectedFormat) : null),
+    [detectedFormat, importFormat, importText, listId, todos]
+  );
+  const importable = preview ? preview.rows.filter(isImportable).length : 0;
+
+  const handleImport = useCallback(async () => {
+    setIsImporting(true);
+    const count = await importTodos({ rows: preview.rows, listId });
+    setIsImporting(false);
+    setResult(`Imported ${count} ${count === 1 ? 'todo' : 'todos'}.`);
+    if (count === importable) {
+      setImportText('');
+      setFileName('');
+    }
+  }, [importTodos, importable, listId, preview]);
+
+  return (
+    <div className="import-export">
+      <h1>Import &amp; Export</h1>
+      {error && <div className="error">Error: {error}</div>}
+
+      <section className="export-section">
+        <h2>Export</h2>
+        <select
+          value={exportFormat}
+          onChange={handleExportFormatChange}
+          aria-label="Export format"
+          className="transfer-format-select"
+        >
+          {TRANSFER_FORMATS.map(item => (
+            <option key={item.format} value={item.format}>{item.label}</option>
+          ))}
+        </select>
+        <button onClick={handleExport} className="btn btn-export" disabled={todos.length === 0}>
+          Export {todos.length} {todos.length === 1 ? 'todo' : 'todos'}
+        </button>
+      </section>
+
+      <section className="import-section">
+        <h2>Import</h2>
+        <input type="file" accept=".json,.csv,.md,.markdown,.txt" onChange={handleFileChange} aria-label="Import file" />
+        <textarea
+          value={importText}
+          onChange={handleTextChange}
+          placeholder="...or paste JSON, CSV, a Markdown checklist or todo.txt"
+          aria-label="Todos to import"
+          className="import-text"
+          rows={8}
+        />
+        <div className="import-options">
+          <select
+            value={importFormat}
+            onChange={handleImportFormatChange}
+            aria-label="Import format"
+            className="transfer-format-select"
+          >
+            <option value="">
+              Detect format{detectedFormat ? ` (${formatLabel(detectedFormat)})` : ''}
+            </option>
+            {TRANSFER_FORMATS.map(item => (
+              <option key={item.format} value={item.format}>{item.label}</option>
+            ))}
+          </select>
+          <select value={listId} onChange={handleListChange} aria-label="Import into" className="list-select">
+            {lists.filter(list => !list.archived).map(list => (
+              <option key={list.id} value={list.id}>{list.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {preview && preview.error && <div className="error" role="alert">{preview.error}</div>}
+        {preview && preview.rows.length > 0 && (
+          <table className="import-preview">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Todo</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map(row => (
+                <tr key={row.row} className={`import-row${row.error ? ' invalid' : isImportable(row) ? '' : ' duplicate'}`}>
+                  <td>{row.row}</td>
+                  <td style={row.parentRow !== undefined || row.parentId ? { paddingLeft: '1.5rem' } : undefined}>
+                    {row.completed ? <s>{row.text}</s> : row.text}
+                  </td>
+                  <td>{rowStatus(row)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {result && <p className="import-result" role="status">{result}</p>}
+        <button onClick={handleImport} className="btn btn-import" disabled={importable === 0 || isImporting}>
+          Import {importable} {importable === 1 ? 'todo' : 'todos'}
+        </button>
+      </section>
+    </div>
+  );
+};
+
+export default TodoImportExport;
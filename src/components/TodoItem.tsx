@@ -1,17 +1,119 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { Todo, UpdateTodoRequest } from '../types/todo';
+import {
+  Todo,
+  TodoAction,
+  TodoActions,
+  TodoConflict,
+  TodoConflictChoice,
+  TodoPriority,
+  UpdateTodoRequest,
+  TodoOperation,
+} from '../types/todo';
+import {
+  getDueStatus,
+  formatDueDate,
+  toDateTimeInputValue,
+  fromDateTimeInputValue,
+} from '../utils/dueDates';
+import { TODO_PRIORITIES } from '../utils/todoSort';
+import { parseTags, uniqueTags } from '../utils/todoTags';
+import { TextRange, splitHighlights } from '../utils/todoSearch';
+import { SubtaskProgress } from '../utils/todoTree';
+import { ReorderTarget } from '../utils/todoOrder';
+import { listIdOf } from '../utils/todoLists';
+import { describeRecurrence, scheduleNext, skipOccurrence } from '../utils/todoRecurrence';
+import TodoRecurrenceEditor from './TodoRecurrenceEditor';
+import TodoActionForm from './TodoActionForm';
+import TodoConflictDialog from './TodoConflictDialog';
+import TodoHistory from './TodoHistory';
+import { isLocalTodoId } from '../services/offlineQueue';
+
+// dataTransfer type carrying the id of the todo being dragged
+const DRAG_TYPE = 'application/x-todo-id';
 
 interface TodoItemProps {
   todo: Todo;
   onToggle: (id: string) => void;
   onUpdate: (id: string, updates: UpdateTodoRequest) => void;
   onDelete: (id: string) => void;
+  // Mutation currently in flight for this todo
+  pending?: TodoOperation | null;
+  // Set when the last mutation of this todo failed and was rolled back
+  error?: string | null;
+  // Offline changes to this todo are waiting to be synced
+  queued?: boolean;
+  onRetry?: (id: string) => void;
+  // A change the server refused because someone else changed the todo first
+  conflict?: TodoConflict | null;
+  onResolveConflict?: (id: string, choice: TodoConflictChoice, text?: string) => void;
+  // Adds a History button that expands the todo's activity log
+  showHistory?: boolean;
+  // Current time for the overdue/today styling - defaults to render time
+  now?: number;
+  // Clicking a tag chip, e.g. to filter by that tag
+  onTagClick?: (tag: string) => void;
+  // Search matches to highlight in the text
+  highlights?: TextRange[];
+  // Nesting level - subtasks are indented under their parent
+  depth?: number;
+  // Done/total subtasks, shown when the todo has any
+  progress?: SubtaskProgress | null;
+  onAddSubtask?: (parentId: string, text: string) => void;
+  // Alt+Up/Down - the list works out where the todo goes
+  onMove?: (id: string, direction: 'up' | 'down') => void;
+  // Enables dragging; called when a dragged todo is dropped on this one
+  onReorder?: (id: string, target: ReorderTarget) => void;
+  // Lists a top-level todo can be moved to (subtasks move with their parent)
+  lists?: Array<{ id: string; name: string }>;
+  onMoveToList?: (id: string, listId: string) => void;
+  // Selection mode shows a select box; shift-click passes range = true
+  selected?: boolean;
+  onSelect?: (id: string, range: boolean) => void;
+  // Server actions the toggle, delete and edit forms post to until the client has loaded
+  actions?: TodoActions;
 }
 
-const ModernTodoItem: React.FC<TodoItemProps> = ({ todo, onToggle, onUpdate, onDelete }) => {
+const ModernTodoItem: React.FC<TodoItemProps> = ({
+  todo,
+  onToggle,
+  onUpdate,
+  onDelete,
+  pending,
+  error,
+  queued,
+  onRetry,
+  conflict,
+  onResolveConflict,
+  showHistory,
+  now,
+  onTagClick,
+  highlights,
+  depth = 0,
+  progress,
+  onAddSubtask,
+  onMove,
+  onReorder,
+  lists,
+  onMoveToList,
+  selected,
+  onSelect,
+  actions,
+}) => {
   // State hooks replace class component state
   const [isEditing, setIsEditing] = useState(false);
   const [editText, setEditText] = useState(todo.text);
+  // The due date is edited on its own so the text editor's blur-to-save is unaffected
+  const [isEditingDue, setIsEditingDue] = useState(false);
+  const [editDue, setEditDue] = useState(toDateTimeInputValue(todo.dueAt));
+  // The priority picker is only rendered on demand to keep long lists light
+  const [isEditingPriority, setIsEditingPriority] = useState(false);
+  const [isEditingRecurrence, setIsEditingRecurrence] = useState(false);
+  const [isAddingSubtask, setIsAddingSubtask] = useState(false);
+  const [subtaskText, setSubtaskText] = useState('');
+  const [isChoosingList, setIsChoosingList] = useState(false);
+  const [isShowingHistory, setIsShowingHistory] = useState(false);
+  // Which half of this row a dragged todo is over
+  const [dropPosition, setDropPosition] = useState<'before' | 'after' | null>(null);
   
   // Ref to track cancellation state (replaces instance variable)
   const isCancellingRef = useRef(false);
@@ -32,10 +134,14 @@ const ModernTodoItem: React.FC<TodoItemProps> = ({ todo, onToggle, onUpdate, onD
       return;
     }
     if (editText.trim()) {
-      onUpdate(todo.id, { text: editText.trim() });
+      // #tags typed while editing are added to the existing ones
+      const parsed = parseTags(editText);
+      onUpdate(todo.id, parsed.tags.length > 0
+        ? { text: parsed.text, tags: uniqueTags([...(todo.tags || []), ...parsed.tags]) }
+        : { text: editText.trim() });
       setIsEditing(false);
     }
-  }, [editText, onUpdate, todo.id]);
+  }, [editText, onUpdate, todo.id, todo.tags]);
 
   const handleCancel = useCallback(() => {
     isCancellingRef.current = true;
@@ -71,23 +177,227 @@ const ModernTodoItem: React.FC<TodoItemProps> = ({ todo, onToggle, onUpdate, onD
     onToggle(todo.id);
   }, [onToggle, todo.id]);
 
-  const handleDelete = useCallback(() => {
+  // The button also submits the delete form, which is only for before the client loads
+  const handleDelete = useCallback((e: React.MouseEvent<HTMLButtonElement>) => {
+    e.preventDefault();
     onDelete(todo.id);
   }, [onDelete, todo.id]);
 
+  const handleRetry = useCallback(() => {
+    onRetry && onRetry(todo.id);
+  }, [onRetry, todo.id]);
+
+  const handleResolveConflict = useCallback((choice: TodoConflictChoice, text?: string) => {
+    onResolveConflict && onResolveConflict(todo.id, choice, text);
+  }, [onResolveConflict, todo.id]);
+
   const handleMouseDown = useCallback(() => {
     isCancellingRef.current = true;
   }, []);
 
+  const handleEditDue = useCallback(() => {
+    setEditDue(toDateTimeInputValue(todo.dueAt));
+    setIsEditingDue(true);
+  }, [todo.dueAt]);
+
+  const handleDueChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    setEditDue(e.target.value);
+  }, []);
+
+  const handleSaveDue = useCallback(() => {
+    const dueAt = fromDateTimeInputValue(editDue);
+    if (dueAt !== (todo.dueAt || null)) {
+      onUpdate(todo.id, { dueAt });
+    }
+    setIsEditingDue(false);
+  }, [editDue, onUpdate, todo.id, todo.dueAt]);
+
+  const handleDueKeyDown = useCallback((e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') {
+      handleSaveDue();
+    } else if (e.key === 'Escape') {
+      setIsEditingDue(false);
+    }
+  }, [handleSaveDue]);
+
+  const handleEditPriority = useCallback(() => {
+    setIsEditingPriority(true);
+  }, []);
+
+  const handlePriorityChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    onUpdate(todo.id, { priority: e.target.value as TodoPriority });
+    setIsEditingPriority(false);
+  }, [onUpdate, todo.id]);
+
+  const handlePriorityBlur = useCallback(() => {
+    setIsEditingPriority(false);
+  }, []);
+
+  const handleEditRecurrence = useCallback(() => {
+    setIsEditingRecurrence(true);
+  }, []);
+
+  const handleSaveRecurrence = useCallback((recurrence: string | null) => {
+    if (recurrence !== (todo.recurrence || null)) {
+      onUpdate(todo.id, { recurrence });
+    }
+    setIsEditingRecurrence(false);
+  }, [onUpdate, todo.id, todo.recurrence]);
+
+  const handleCancelRecurrence = useCallback(() => {
+    setIsEditingRecurrence(false);
+  }, []);
+
+  // Moves the todo on to its next due date without completing it
+  const handleSkipOccurrence = useCallback(() => {
+    const updates = skipOccurrence(todo, Date.now());
+    if (updates) {
+      onUpdate(todo.id, updates);
+    }
+  }, [onUpdate, todo]);
+
+  const handleStopRecurring = useCallback(() => {
+    onUpdate(todo.id, { recurrence: null });
+  }, [onUpdate, todo.id]);
+
+  const handleAddSubtask = useCallback(() => {
+    setSubtaskText('');
+    setIsAddingSubtask(true);
+  }, []);
+
+  const handleSubtaskTextChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    setSubtaskText(e.target.value);
+  }, []);
+
+  // Enter adds the subtask and keeps the input open for the next one
+  const handleSubtaskKeyDown = useCallback((e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter' && subtaskText.trim()) {
+      onAddSubtask && onAddSubtask(todo.id, subtaskText.trim());
+      setSubtaskText('');
+    } else if (e.key === 'Escape') {
+      setIsAddingSubtask(false);
+    }
+  }, [onAddSubtask, subtaskText, todo.id]);
+
+  const handleSubtaskBlur = useCallback(() => {
+    setIsAddingSubtask(false);
+  }, []);
+
+  const handleChooseList = useCallback(() => {
+    setIsChoosingList(true);
+  }, []);
+
+  const handleListChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    if (onMoveToList && e.target.value !== listIdOf(todo)) {
+      onMoveToList(todo.id, e.target.value);
+    }
+    setIsChoosingList(false);
+  }, [onMoveToList, todo]);
+
+  const handleListBlur = useCallback(() => {
+    setIsChoosingList(false);
+  }, []);
+
+  const handleToggleHistory = useCallback(() => {
+    setIsShowingHistory(showing => !showing);
+  }, []);
+
+  // React reports checkbox changes from the click, so the shift key is on the native event
+  const handleSelect = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    onSelect && onSelect(todo.id, !!(e.nativeEvent as MouseEvent).shiftKey);
+  }, [onSelect, todo.id]);
+
+  const handleRowKeyDown = useCallback((e: React.KeyboardEvent<HTMLLIElement>) => {
+    if (!onMove || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) {
+      return;
+    }
+    e.preventDefault();
+    onMove(todo.id, e.key === 'ArrowUp' ? 'up' : 'down');
+  }, [onMove, todo.id]);
+
+  const handleDragStart = useCallback((e: React.DragEvent<HTMLLIElement>) => {
+    e.dataTransfer.setData(DRAG_TYPE, todo.id);
+    e.dataTransfer.effectAllowed = 'move';
+  }, [todo.id]);
+
+  const handleDragOver = useCallback((e: React.DragEvent<HTMLLIElement>) => {
+    if (Array.prototype.indexOf.call(e.dataTransfer.types, DRAG_TYPE) === -1) {
+      return;
+    }
+    // Allow the drop, before or after this row depending on the pointer
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropPosition(e.clientY < rect.top + rect.height / 2 ? 'before' : 'after');
+  }, []);
+
+  const handleDragLeave = useCallback(() => {
+    setDropPosition(null);
+  }, []);
+
+  const handleDrop = useCallback((e: React.DragEvent<HTMLLIElement>) => {
+    e.preventDefault();
+    const draggedId = e.dataTransfer.getData(DRAG_TYPE);
+    setDropPosition(null);
+    if (onReorder && draggedId && draggedId !== todo.id) {
+      onReorder(draggedId, dropPosition === 'before' ? { beforeId: todo.id } : { afterId: todo.id });
+    }
+  }, [dropPosition, onReorder, todo.id]);
+
+  const withAction = (action: TodoAction | undefined, children: React.ReactNode) => (
+    action ? (
+      <TodoActionForm action={action} fields={{ id: todo.id, revision: String(todo.revision || 0) }} className="todo-item-form">
+        {children}
+      </TodoActionForm>
+    ) : children
+  );
+
+  const priority = todo.priority || 'normal';
+  const canMoveToList = !!onMoveToList && !!lists && lists.length > 1 && !todo.parentId;
+  const dueStatus = getDueStatus(todo, now === undefined ? Date.now() : now);
+  const isRecurring = !!todo.recurrence && !todo.completed;
+  const canSkip = isRecurring && !!scheduleNext(todo, now === undefined ? Date.now() : now);
+  // Todos created offline have no history on the server until they are synced
+  const canShowHistory = !!showHistory && !isLocalTodoId(todo.id);
+
   return (
-    <li className={`todo-item ${todo.completed ? 'completed' : ''}`}>
+    <li
+      className={`todo-item ${todo.completed ? 'completed' : ''}${error ? ' failed' : ''}${dueStatus === 'overdue' ? ' overdue' : ''}${depth > 0 ? ' subtask' : ''}${dropPosition ? ` drop-${dropPosition}` : ''}${selected ? ' selected' : ''}`}
+      style={depth > 0 ? { marginLeft: `${depth * 1.5}rem` } : undefined}
+      aria-keyshortcuts={onMove ? 'Alt+ArrowUp Alt+ArrowDown' : undefined}
+      onKeyDown={onMove ? handleRowKeyDown : undefined}
+      draggable={onReorder && !isEditing ? true : undefined}
+      onDragStart={onReorder ? handleDragStart : undefined}
+      onDragOver={onReorder ? handleDragOver : undefined}
+      onDragLeave={onReorder ? handleDragLeave : undefined}
+      onDrop={onReorder ? handleDrop : undefined}
+    >
       <div className="todo-content">
-        <input
-          type="checkbox"
-          checked={todo.completed}
-          onChange={handleToggle}
-          className="todo-checkbox"
-        />
+        {onSelect && (
+          <input
+            type="checkbox"
+            checked={!!selected}
+            onChange={handleSelect}
+            aria-label={`Select "${todo.text}"`}
+            className="todo-select"
+          />
+        )}
+        {withAction(actions && actions.toggle, (
+          <>
+            <input
+              type="checkbox"
+              checked={todo.completed}
+              onChange={handleToggle}
+              className="todo-checkbox"
+            />
+            {actions && (
+              <noscript>
+                <button type="submit" className="btn btn-toggle">
+                  {todo.completed ? 'Reopen' : 'Done'}
+                </button>
+              </noscript>
+            )}
+          </>
+        ))}
         
         {isEditing ? (
           <input
@@ -104,20 +414,195 @@ const ModernTodoItem: React.FC<TodoItemProps> = ({ todo, onToggle, onUpdate, onD
             className={`todo-text ${todo.completed ? 'completed' : ''}`}
             onDoubleClick={handleEdit}
           >
-            {todo.text}
+            {highlights && highlights.length > 0
+              ? splitHighlights(todo.text, highlights).map((segment, index) => (
+                segment.highlighted ? <mark key={index}>{segment.text}</mark> : segment.text
+              ))
+              : todo.text}
+          </span>
+        )}
+
+        {priority !== 'normal' && (
+          <span className={`todo-priority ${priority}`}>{priority}</span>
+        )}
+
+        {progress && progress.total > 0 && (
+          <span className="todo-progress" title={`${progress.done} of ${progress.total} subtasks done`}>
+            {progress.done}/{progress.total}
+          </span>
+        )}
+
+        {todo.tags && todo.tags.length > 0 && (
+          <span className="todo-tags">
+            {todo.tags.map(tag => (
+              <button key={tag} onClick={() => onTagClick && onTagClick(tag)} className="todo-tag">
+                #{tag}
+              </button>
+            ))}
+          </span>
+        )}
+
+        {todo.dueAt && !isEditingDue && (
+          <span className={`todo-due${dueStatus ? ` ${dueStatus}` : ''}`} title={todo.dueAt}>
+            {dueStatus === 'overdue' ? 'Overdue' : 'Due'} {formatDueDate(todo.dueAt)}
+          </span>
+        )}
+
+        {todo.recurrence && (
+          <span className="todo-recurrence" title={todo.recurrence}>
+            ↻ {describeRecurrence(todo.recurrence)}
+          </span>
+        )}
+
+        {isEditingDue && (
+          <input
+            type="datetime-local"
+            value={editDue}
+            onChange={handleDueChange}
+            onKeyDown={handleDueKeyDown}
+            onBlur={handleSaveDue}
+            aria-label="Due date"
+            className="todo-due-input"
+            autoFocus
+          />
+        )}
+
+        {pending && (
+          <span className="todo-spinner" role="status" aria-label={`Saving (${pending})`} />
+        )}
+
+        {queued && (
+          <span className="todo-queued" title="Saved offline - will sync when you reconnect">
+            Offline
+          </span>
+        )}
+
+        {error && (
+          <span className="todo-error" role="alert" title={error}>
+            Failed: {error}
           </span>
         )}
       </div>
 
       <div className="todo-actions">
+        {error && onRetry && !isEditing && (
+          <button onClick={handleRetry} className="btn btn-retry">
+            Retry
+          </button>
+        )}
+        {actions && !isEditing && (
+          // Editing without the client: a text field per todo
+          <noscript>
+            {withAction(actions.update, (
+              <>
+                <input
+                  type="text"
+                  name="text"
+                  defaultValue={todo.text}
+                  aria-label={`Edit "${todo.text}"`}
+                  className="todo-edit-input"
+                />
+                <button type="submit" className="btn btn-save">
+                  Save
+                </button>
+              </>
+            ))}
+          </noscript>
+        )}
         {!isEditing && (
           <>
             <button onClick={handleEdit} className="btn btn-edit">
               Edit
             </button>
-            <button onClick={handleDelete} className="btn btn-delete">
-              Delete
-            </button>
+            {withAction(actions && actions.delete, (
+              <button onClick={handleDelete} className="btn btn-delete">
+                Delete
+              </button>
+            ))}
+            {!isEditingDue && (
+              <button onClick={handleEditDue} className="btn btn-due">
+                Due
+              </button>
+            )}
+            {isEditingPriority ? (
+              <select
+                value={priority}
+                onChange={handlePriorityChange}
+                onBlur={handlePriorityBlur}
+                aria-label="Priority"
+                className="todo-priority-select"
+                autoFocus
+              >
+                {TODO_PRIORITIES.map(level => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </select>
+            ) : (
+              <button onClick={handleEditPriority} className="btn btn-priority">
+                Priority
+              </button>
+            )}
+            {isEditingRecurrence ? (
+              <TodoRecurrenceEditor
+                recurrence={todo.recurrence}
+                onSave={handleSaveRecurrence}
+                onCancel={handleCancelRecurrence}
+              />
+            ) : (
+              <button onClick={handleEditRecurrence} className="btn btn-repeat">
+                Repeat
+              </button>
+            )}
+            {canSkip && (
+              <button onClick={handleSkipOccurrence} className="btn btn-skip" aria-label="Skip this occurrence">
+                Skip
+              </button>
+            )}
+            {isRecurring && (
+              <button onClick={handleStopRecurring} className="btn btn-stop-repeat">
+                Stop repeating
+              </button>
+            )}
+            {onAddSubtask && (isAddingSubtask ? (
+              <input
+                type="text"
+                value={subtaskText}
+                onChange={handleSubtaskTextChange}
+                onKeyDown={handleSubtaskKeyDown}
+                onBlur={handleSubtaskBlur}
+                placeholder="Subtask..."
+                aria-label="New subtask"
+                className="todo-subtask-input"
+                autoFocus
+              />
+            ) : (
+              <button onClick={handleAddSubtask} className="btn btn-subtask">
+                Subtask
+              </button>
+            ))}
+            {canMoveToList && (isChoosingList ? (
+              <select
+                value={listIdOf(todo)}
+                onChange={handleListChange}
+                onBlur={handleListBlur}
+                aria-label="Move to list"
+                className="todo-list-select"
+                autoFocus
+              >
+                {lists.map(list => (
+                  <option key={list.id} value={list.id}>{list.name}</option>
+                ))}
+              </select>
+            ) : (
+              <button onClick={handleChooseList} className="btn btn-move">
+                Move
+              </button>
+            ))}
+            {canShowHistory && (
+              <button onClick={handleToggleHistory} className="btn btn-history" aria-expanded={isShowingHistory}>
+                History
+              </button>
+            )}
           </>
         )}
         {isEditing && (
@@ -135,6 +620,10 @@ const ModernTodoItem: React.FC<TodoItemProps> = ({ todo, onToggle, onUpdate, onD
           </>
         )}
       </div>
+      {canShowHistory && isShowingHistory && <TodoHistory todoId={todo.id} />}
+      {conflict && onResolveConflict && (
+        <TodoConflictDialog conflict={conflict} onResolve={handleResolveConflict} />
+      )}
     </li>
   );
 };
@@ -1,17 +1,185 @@
-import React from 'react';
-import { Todo, UpdateTodoRequest } from '../types/todo';
+import React, { useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import {
+  Todo,
+  UpdateTodoRequest,
+  TodoActions,
+  TodoConflictChoice,
+  TodoItemStatus,
+  TodoBatchAction,
+  TodoBatchRequest,
+} from '../types/todo';
+import { TextRange } from '../utils/todoSearch';
+import { SubtaskProgress, areSiblings, moveTarget, nestTodos } from '../utils/todoTree';
+import { ReorderTarget } from '../utils/todoOrder';
+import { updateSelection, visibleSelection } from '../utils/todoSelection';
 import TodoItem from './TodoItem';
+import TodoBulkActions from './TodoBulkActions';
 
 interface TodoListProps {
   todos: Todo[];
   onToggle: (id: string) => void;
   onUpdate: (id: string, updates: UpdateTodoRequest) => void;
   onDelete: (id: string) => void;
+  // Pending operation, last error, offline state and conflict per todo id
+  statuses?: Record<string, TodoItemStatus>;
+  onRetry?: (id: string) => void;
+  onResolveConflict?: (id: string, choice: TodoConflictChoice, text?: string) => void;
+  // Offers each todo's history - the activity log is only kept with server state
+  showHistory?: boolean;
+  // Current time for due-date styling
+  now?: number;
+  onTagClick?: (tag: string) => void;
+  // Search highlight ranges per todo id
+  highlights?: Record<string, TextRange[]> | null;
+  // Done/total subtasks per parent id, counted over all todos rather than the listed ones
+  progress?: Record<string, SubtaskProgress>;
+  onAddSubtask?: (parentId: string, text: string) => void;
+  // Enables drag-and-drop and Alt+Up/Down reordering
+  onReorder?: (id: string, target: ReorderTarget) => void;
+  // Lists a top-level todo can be moved to
+  lists?: Array<{ id: string; name: string }>;
+  onMoveToList?: (id: string, listId: string) => void;
+  // Enables multi-select and the bulk action bar
+  onBatch?: (request: TodoBatchRequest) => void;
+  // Todo that keyboard shortcuts act on. Its row keeps the focus across re-renders and,
+  // once it leaves the list, hands it to the todo that took its place.
+  focusedId?: string | null;
+  onFocusChange?: (id: string | null) => void;
+  // Server actions for the per-item forms, used until the client has loaded
+  actions?: TodoActions;
 }
 
-const ModernTodoList: React.FC<TodoListProps> = ({ todos, onToggle, onUpdate, onDelete }) => {
+// Rows are focused through their checkbox, the first control in every row
+const focusRow = (row: Element | undefined) => {
+  const checkbox = row && row.querySelector<HTMLElement>('.todo-checkbox');
+  if (checkbox) {
+    checkbox.focus();
+  }
+};
+
+const ModernTodoList: React.FC<TodoListProps> = ({
+  todos,
+  onToggle,
+  onUpdate,
+  onDelete,
+  statuses = {},
+  onRetry,
+  onResolveConflict,
+  showHistory,
+  now,
+  onTagClick,
+  highlights,
+  progress = {},
+  onAddSubtask,
+  onReorder,
+  lists,
+  onMoveToList,
+  onBatch,
+  focusedId,
+  onFocusChange,
+  actions,
+}) => {
   // Safe handling of todos array (same as legacy)
   const safeTodos = todos || [];
+  const nodes = useMemo(() => nestTodos(todos || []), [todos]);
+  // Screen reader confirmation of the last keyboard move
+  const [announcement, setAnnouncement] = useState('');
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  // Last clicked row - shift-click selects the range from here
+  const [anchorId, setAnchorId] = useState<string | null>(null);
+  const listedIds = useMemo(() => nodes.map(node => node.todo.id), [nodes]);
+  const selected = useMemo(() => visibleSelection(selectedIds, listedIds), [selectedIds, listedIds]);
+  const listRef = useRef<HTMLUListElement>(null);
+  // Where the focused todo was last seen, and the id the focus was last moved to
+  const focusedIndexRef = useRef(0);
+  const movedToRef = useRef<string | null>(null);
+
+  useEffect(() => {
+    if (!onFocusChange || !focusedId) {
+      movedToRef.current = null;
+      return;
+    }
+    const active = document.activeElement;
+    // Focus falls back to the body when the focused control is re-rendered away
+    const lost = !active || active === document.body;
+    const index = listedIds.indexOf(focusedId);
+    if (index === -1) {
+      const next = listedIds[Math.min(focusedIndexRef.current, listedIds.length - 1)];
+      onFocusChange(lost && next ? next : null);
+      return;
+    }
+    focusedIndexRef.current = index;
+    const row = listRef.current ? listRef.current.children[index] : undefined;
+    if (row && (lost || movedToRef.current !== focusedId) && !row.contains(active)) {
+      focusRow(row);
+    }
+    movedToRef.current = focusedId;
+  }, [focusedId, listedIds, onFocusChange]);
+
+  // Focusing any control in a row makes that row's todo the focused one
+  const handleFocus = useCallback((e: React.FocusEvent<HTMLUListElement>) => {
+    const row = (e.target as HTMLElement).closest('.todo-item');
+    const index = listRef.current ? Array.prototype.indexOf.call(listRef.current.children, row) : -1;
+    if (index !== -1 && listedIds[index] !== focusedId) {
+      movedToRef.current = listedIds[index];
+      onFocusChange && onFocusChange(listedIds[index]);
+    }
+  }, [focusedId, listedIds, onFocusChange]);
+
+  const handleToggleSelecting = useCallback(() => {
+    setSelecting(!selecting);
+    setSelectedIds([]);
+    setAnchorId(null);
+  }, [selecting]);
+
+  const handleSelect = useCallback((id: string, range: boolean) => {
+    setSelectedIds(current => updateSelection(current, listedIds, id, anchorId, range));
+    setAnchorId(id);
+  }, [anchorId, listedIds]);
+
+  const handleSelectAll = useCallback((all: boolean) => {
+    setSelectedIds(all ? listedIds : []);
+  }, [listedIds]);
+
+  const handleBatch = useCallback((action: TodoBatchAction, options: { listId?: string; tag?: string } = {}) => {
+    if (onBatch && selected.length > 0) {
+      onBatch({ action, ids: selected, ...options });
+    }
+  }, [onBatch, selected]);
+
+  const handleCompleteAll = useCallback(() => {
+    const ids = nodes.filter(node => !node.todo.completed).map(node => node.todo.id);
+    if (onBatch && ids.length > 0) {
+      onBatch({ action: 'complete', ids });
+    }
+  }, [nodes, onBatch]);
+
+  const handleClearCompleted = useCallback(() => {
+    const ids = nodes.filter(node => node.todo.completed).map(node => node.todo.id);
+    if (onBatch && ids.length > 0) {
+      onBatch({ action: 'delete', ids });
+    }
+  }, [nodes, onBatch]);
+
+  const handleMove = useCallback((id: string, direction: 'up' | 'down') => {
+    const target = moveTarget(nodes, id, direction);
+    const node = nodes.find(item => item.todo.id === id);
+    if (target && node && onReorder) {
+      onReorder(id, target);
+      setAnnouncement(`Moved "${node.todo.text}" ${direction}`);
+    }
+  }, [nodes, onReorder]);
+
+  // Drops only reorder rows at the same level under the same parent
+  const handleDrop = useCallback((id: string, target: ReorderTarget) => {
+    const targetId = target.beforeId || target.afterId;
+    const dragged = nodes.find(item => item.todo.id === id);
+    const dropped = nodes.find(item => item.todo.id === targetId);
+    if (dragged && dropped && areSiblings(dragged, dropped) && onReorder) {
+      onReorder(id, target);
+    }
+  }, [nodes, onReorder]);
 
   // Empty state rendering (same as legacy)
   if (safeTodos.length === 0) {
@@ -22,20 +190,66 @@ const ModernTodoList: React.FC<TodoListProps> = ({ todos, onToggle, onUpdate, on
     );
   }
 
-  // Render todo list (same as legacy)
-  return (
-    <ul className="todo-list">
-      {safeTodos.map(todo => (
+  // Subtasks are listed right under their parent (same as legacy)
+  const list = (
+    <ul className="todo-list" ref={listRef} onFocus={onFocusChange ? handleFocus : undefined}>
+      {nodes.map(({ todo, depth }) => (
         <TodoItem
           key={todo.id}
           todo={todo}
           onToggle={onToggle}
           onUpdate={onUpdate}
           onDelete={onDelete}
+          actions={actions}
+          pending={statuses[todo.id]?.pending}
+          error={statuses[todo.id]?.error}
+          queued={statuses[todo.id]?.queued}
+          onRetry={onRetry}
+          conflict={statuses[todo.id]?.conflict}
+          onResolveConflict={onResolveConflict}
+          showHistory={showHistory}
+          now={now}
+          onTagClick={onTagClick}
+          highlights={highlights ? highlights[todo.id] : undefined}
+          depth={depth}
+          progress={progress[todo.id]}
+          onAddSubtask={onAddSubtask}
+          onMove={onReorder ? handleMove : undefined}
+          onReorder={onReorder ? handleDrop : undefined}
+          lists={lists}
+          onMoveToList={onMoveToList}
+          selected={selecting && selected.indexOf(todo.id) !== -1}
+          onSelect={selecting ? handleSelect : undefined}
         />
       ))}
     </ul>
   );
+
+  if (!onReorder && !onBatch) {
+    return list;
+  }
+  const completedCount = nodes.filter(node => node.todo.completed).length;
+  return (
+    <>
+      {onBatch && (
+        <TodoBulkActions
+          selecting={selecting}
+          selectedCount={selected.length}
+          listedCount={nodes.length}
+          activeCount={nodes.length - completedCount}
+          completedCount={completedCount}
+          lists={lists}
+          onToggleSelecting={handleToggleSelecting}
+          onSelectAll={handleSelectAll}
+          onAction={handleBatch}
+          onCompleteAll={handleCompleteAll}
+          onClearCompleted={handleClearCompleted}
+        />
+      )}
+      {list}
+      {onReorder && <div className="sr-only" role="status" aria-live="polite">{announcement}</div>}
+    </>
+  );
 };
 
 export default ModernTodoList;
\ No newline at end of file
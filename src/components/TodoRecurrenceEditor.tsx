@@ -0,0 +1,96 @@
+import React, { useState, useCallback } from 'react';
+import { RECURRENCE_PRESETS, normalizeRecurrence } from '../utils/todoRecurrence';
+
+interface TodoRecurrenceEditorProps {
+  // The todo's current rule
+  recurrence?: string | null;
+  // Called with the new rule, or null to stop repeating
+  onSave: (recurrence: string | null) => void;
+  onCancel: () => void;
+}
+
+const CUSTOM = 'custom';
+
+const choiceFor = (rule: string | null): string => {
+  if (!rule) {
+    return '';
+  }
+  return RECURRENCE_PRESETS.some(preset => preset.rule === rule) ? rule : CUSTOM;
+};
+
+// Picks how a todo repeats: one of the presets, or a custom RRULE typed in. Shared by
+// the modern and legacy todo items, which only render it on demand.
+const TodoRecurrenceEditor: React.FC<TodoRecurrenceEditorProps> = ({ recurrence, onSave, onCancel }) => {
+  const current = normalizeRecurrence(recurrence);
+  const [choice, setChoice] = useState(choiceFor(current));
+  const [customRule, setCustomRule] = useState(current || '');
+  const [isInvalid, setIsInvalid] = useState(false);
+
+  const handleChoiceChange = useCallback((e: React.ChangeEvent<HTMLSelectElement>) => {
+    setChoice(e.target.value);
+    if (e.target.value !== CUSTOM) {
+      onSave(e.target.value || null);
+    }
+  }, [onSave]);
+
+  // Leaving the select closes the editor unless the custom rule input took the focus
+  const handleChoiceBlur = useCallback(() => {
+    if (choice !== CUSTOM) {
+      onCancel();
+    }
+  }, [choice, onCancel]);
+
+  const handleCustomChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    setCustomRule(e.target.value);
+    setIsInvalid(false);
+  }, []);
+
+  const handleCustomKeyDown = useCallback((e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') {
+      const rule = normalizeRecurrence(customRule);
+      if (rule) {
+        onSave(rule);
+      } else {
+        setIsInvalid(true);
+      }
+    } else if (e.key === 'Escape') {
+      onCancel();
+    }
+  }, [customRule, onSave, onCancel]);
+
+  return (
+    <span className="todo-recurrence-editor">
+      <select
+        value={choice}
+        onChange={handleChoiceChange}
+        onBlur={handleChoiceBlur}
+        aria-label="Repeat"
+        className="todo-recurrence-select"
+        autoFocus
+      >
+        <option value="">Does not repeat</option>
+        {RECURRENCE_PRESETS.map(preset => (
+          <option key={preset.rule} value={preset.rule}>{preset.label}</option>
+        ))}
+        <option value={CUSTOM}>Custom…</option>
+      </select>
+      {choice === CUSTOM && (
+        <input
+          type="text"
+          value={customRule}
+          onChange={handleCustomChange}
+          onKeyDown={handleCustomKeyDown}
+          onBlur={onCancel}
+          placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO"
+          aria-label="Custom repeat rule"
+          aria-invalid={isInvalid || undefined}
+          title={isInvalid ? 'Not a supported rule - use FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL' : undefined}
+          className="todo-recurrence-input"
+          autoFocus
+        />
+      )}
+    </span>
+  );
+};
+
+export default TodoRecurrenceEditor;
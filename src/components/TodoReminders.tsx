@@ -0,0 +1,37 @@
+import React from 'react';
+import { formatDueDate } from '../utils/dueDates';
+
+interface Reminder {
+  todoId: string;
+  text: string;
+  dueAt: string;
+}
+
+interface TodoRemindersProps {
+  reminders: Reminder[];
+  onDismiss: (todoId: string) => void;
+}
+
+// In-app notifications for todos whose due time has passed
+const TodoReminders: React.FC<TodoRemindersProps> = ({ reminders, onDismiss }) => {
+  if (!reminders || reminders.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="todo-reminders" aria-live="polite">
+      {reminders.map(reminder => (
+        <li key={reminder.todoId} className="todo-reminder" role="alert">
+          <span>
+            <strong>{reminder.text}</strong> was due {formatDueDate(reminder.dueAt)}
+          </span>
+          <button onClick={() => onDismiss(reminder.todoId)} className="btn btn-dismiss">
+            Dismiss
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default TodoReminders;
@@ -0,0 +1,41 @@
+import React, { useCallback } from 'react';
+
+interface TodoSearchProps {
+  query: string;
+  onQueryChange: (query: string) => void;
+  // Number of todos matching the query, shown while searching
+  resultCount?: number;
+}
+
+const TodoSearch: React.FC<TodoSearchProps> = ({ query, onQueryChange, resultCount }) => {
+  const handleChange = useCallback((e: React.ChangeEvent<HTMLInputElement>) => {
+    onQueryChange(e.target.value);
+  }, [onQueryChange]);
+
+  const handleKeyDown = useCallback((e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Escape') {
+      onQueryChange('');
+    }
+  }, [onQueryChange]);
+
+  return (
+    <div className="todo-search" role="search">
+      <input
+        type="search"
+        value={query}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        placeholder="Search todos..."
+        aria-label="Search todos"
+        className="todo-search-input"
+      />
+      {query.trim() && resultCount !== undefined && (
+        <span className="todo-search-count" aria-live="polite">
+          {resultCount} {resultCount === 1 ? 'match' : 'matches'}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default TodoSearch;
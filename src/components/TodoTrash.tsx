@@ -0,0 +1,107 @@
+import React, { useState, useCallback } from 'react';
+import { useAtom } from 'jotai';
+import {
+  trashAtom,
+  trashStatusAtom,
+  trashPurgeAtom,
+  restoreTodoActionAtom,
+  purgeTodoActionAtom,
+} from '../atoms/todoAtoms';
+import { TrashEntry, trashEntries, trashRetentionDays } from '../utils/todoTrash';
+import { formatDueDate } from '../utils/dueDates';
+
+interface TrashRowProps {
+  entry: TrashEntry;
+  onRestore: (id: string) => void;
+  onPurge: (id: string) => void;
+}
+
+const TrashRow: React.FC<TrashRowProps> = ({ entry, onRestore, onPurge }) => {
+  const { todo, subtasks } = entry;
+  const [isConfirmingPurge, setIsConfirmingPurge] = useState(false);
+
+  const handleRestore = useCallback(() => {
+    onRestore(todo.id);
+  }, [onRestore, todo.id]);
+
+  const handlePurge = useCallback(() => {
+    if (isConfirmingPurge) {
+      onPurge(todo.id);
+    }
+    setIsConfirmingPurge(!isConfirmingPurge);
+  }, [isConfirmingPurge, onPurge, todo.id]);
+
+  const handleCancelPurge = useCallback(() => {
+    setIsConfirmingPurge(false);
+  }, []);
+
+  return (
+    <li className="trash-row">
+      <span className="trash-text">{todo.text}</span>
+      {subtasks > 0 && (
+        <span className="trash-subtasks">+{subtasks} {subtasks === 1 ? 'subtask' : 'subtasks'}</span>
+      )}
+      <time className="trash-deleted-at" dateTime={todo.deletedAt}>
+        Deleted {formatDueDate(todo.deletedAt)}
+      </time>
+
+      <div className="trash-actions">
+        <button onClick={handleRestore} className="btn btn-restore" aria-label={`Restore "${todo.text}"`}>
+          Restore
+        </button>
+        <button onClick={handlePurge} className="btn btn-delete" aria-label={`Delete "${todo.text}" forever`}>
+          {isConfirmingPurge ? 'Confirm delete' : 'Delete forever'}
+        </button>
+        {isConfirmingPurge && (
+          <button onClick={handleCancelPurge} className="btn btn-cancel">
+            Cancel
+          </button>
+        )}
+      </div>
+    </li>
+  );
+};
+
+// Deleted todos, with restore and delete-for-good actions. Subtasks deleted along with
+// their parent are listed under it and restored with it.
+export const TodoTrash: React.FC = () => {
+  const [trash] = useAtom(trashAtom);
+  const [{ isLoading, error }] = useAtom(trashStatusAtom);
+  const [, restoreTodo] = useAtom(restoreTodoActionAtom);
+  const [, purgeTodo] = useAtom(purgeTodoActionAtom);
+  useAtom(trashPurgeAtom);
+
+  const handleRestore = useCallback((id: string) => {
+    restoreTodo(id);
+  }, [restoreTodo]);
+
+  const handlePurge = useCallback((id: string) => {
+    purgeTodo(id);
+  }, [purgeTodo]);
+
+  const entries = trashEntries(trash);
+  const days = trashRetentionDays();
+
+  return (
+    <div className="trash">
+      <h1>Trash</h1>
+      <p className="trash-retention">
+        Deleted todos are removed for good after {days} {days === 1 ? 'day' : 'days'}.
+      </p>
+      {isLoading && <div className="loading">Loading...</div>}
+      {error && <div className="error">Error: {error}</div>}
+
+      {!isLoading && entries.length === 0 ? (
+        <p className="empty-state">The Trash is empty.</p>
+      ) : (
+        <ul className="trash-list">
+          {entries.map(entry => (
+            <TrashRow key={entry.todo.id} entry={entry} onRestore={handleRestore} onPurge={handlePurge} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TodoTrash;
@@ -0,0 +1,53 @@
+import React, { useEffect } from 'react';
+
+interface UndoToastProps {
+  toast: { message: string; action: 'undo' | 'redo' } | null;
+  onUndo: () => void;
+  onRedo: () => void;
+  onDismiss: () => void;
+  // How long the toast stays up
+  timeout?: number;
+}
+
+export const UNDO_TOAST_TIMEOUT_MS = 6000;
+
+// Offers to undo a destructive action, or to redo one that was just undone
+const UndoToast: React.FC<UndoToastProps> = ({
+  toast,
+  onUndo,
+  onRedo,
+  onDismiss,
+  timeout = UNDO_TOAST_TIMEOUT_MS,
+}) => {
+  useEffect(() => {
+    if (!toast) {
+      return undefined;
+    }
+    const timer = setTimeout(onDismiss, timeout);
+    return () => clearTimeout(timer);
+  }, [toast, onDismiss, timeout]);
+
+  if (!toast) {
+    return null;
+  }
+
+  return (
+    <div className="undo-toast" role="status" aria-live="polite">
+      <span>{toast.message}</span>
+      {toast.action === 'undo' ? (
+        <button onClick={onUndo} className="btn btn-undo" aria-keyshortcuts="Control+Z">
+          Undo
+        </button>
+      ) : (
+        <button onClick={onRedo} className="btn btn-redo" aria-keyshortcuts="Control+Shift+Z">
+          Redo
+        </button>
+      )}
+      <button onClick={onDismiss} className="btn btn-dismiss">
+        Dismiss
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
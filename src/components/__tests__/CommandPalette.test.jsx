@@ -0,0 +1,73 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CommandPalette from '../CommandPalette';
+import ShortcutHelp from '../ShortcutHelp';
+
+describe('CommandPalette', () => {
+  const commands = () => [
+    { id: 'add', group: 'Todo', label: 'Add a todo', shortcut: 'n', run: vi.fn() },
+    { id: 'filter-active', group: 'Filter', label: 'Active', run: vi.fn() },
+    { id: 'filter-completed', group: 'Filter', label: 'Completed', run: vi.fn() },
+  ];
+
+  it('lists every command with its shortcut and narrows them down as you type', async () => {
+    const user = userEvent.setup();
+    render(<CommandPalette commands={commands()} onClose={vi.fn()} />);
+
+    expect(screen.getByRole('dialog', { name: 'Command palette' })).toBeInTheDocument();
+    expect(screen.getAllByRole('option')).toHaveLength(3);
+    expect(screen.getAllByRole('option')[0]).toHaveTextContent('TodoAdd a todon');
+    expect(screen.getByLabelText('Search commands')).toHaveFocus();
+
+    await user.type(screen.getByLabelText('Search commands'), 'filter');
+    expect(screen.getAllByRole('option').map(option => option.textContent)).toEqual(['FilterActive', 'FilterCompleted']);
+
+    await user.type(screen.getByLabelText('Search commands'), ' nothing');
+    expect(screen.queryByRole('option')).not.toBeInTheDocument();
+    expect(screen.getByText('No matching commands.')).toBeInTheDocument();
+  });
+
+  it('runs the command picked with the arrow keys after closing', async () => {
+    const user = userEvent.setup();
+    const list = commands();
+    const onClose = vi.fn();
+    render(<CommandPalette commands={list} onClose={onClose} />);
+
+    await user.keyboard('{ArrowDown}{ArrowDown}{ArrowDown}{ArrowUp}');
+    expect(screen.getAllByRole('option')[2]).toHaveAttribute('aria-selected', 'true');
+    await user.keyboard('{Enter}');
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(list[2].run).toHaveBeenCalledTimes(1);
+    expect(onClose.mock.invocationCallOrder[0]).toBeLessThan(list[2].run.mock.invocationCallOrder[0]);
+  });
+
+  it('runs a clicked command and closes on Escape', async () => {
+    const user = userEvent.setup();
+    const list = commands();
+    const onClose = vi.fn();
+    render(<CommandPalette commands={list} onClose={onClose} />);
+
+    await user.click(screen.getByText('Active'));
+    expect(list[1].run).toHaveBeenCalled();
+
+    await user.keyboard('{Escape}');
+    expect(onClose).toHaveBeenCalledTimes(2);
+  });
+
+  it('shows the shortcut help until it is closed', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    render(<ShortcutHelp onClose={onClose} />);
+
+    const help = screen.getByRole('dialog', { name: 'Keyboard shortcuts' });
+    expect(help).toHaveTextContent('Ctrl + KOpen the command palette');
+    expect(help).toHaveTextContent('jFocus the next todo');
+
+    await user.keyboard('{Escape}');
+    await user.click(screen.getByRole('button', { name: 'Close' }));
+    expect(onClose).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,72 @@
+import React from 'react';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Provider, createStore } from 'jotai';
+import { serverStateEnabledAtom, todosAtom, localListsAtom, listsAtom } from '../../atoms/todoAtoms';
+import ListManager from '../ListManager';
+
+describe('ListManager Component', () => {
+  let store;
+
+  const renderManager = () => render(
+    <Provider store={store}>
+      <ListManager />
+    </Provider>
+  );
+
+  beforeEach(() => {
+    store = createStore();
+    store.set(serverStateEnabledAtom, false);
+    store.set(localListsAtom, [{ id: 'work', name: 'Work' }]);
+    store.set(todosAtom, [
+      { id: '1', text: 'Inbox todo', completed: false },
+      { id: '2', text: 'Report', completed: true, listId: 'work' }
+    ]);
+  });
+
+  const names = () => store.get(listsAtom).map(list => list.name);
+  const row = (name) => screen.getByRole('link', { name }).closest('li');
+
+  it('lists every list with its counts and links to it', () => {
+    renderManager();
+
+    expect(row('Inbox')).toHaveTextContent('1 active, 0 completed');
+    expect(row('Work')).toHaveTextContent('0 active, 1 completed');
+    expect(screen.getByRole('link', { name: 'Work' })).toHaveAttribute('href', '/lists/work');
+    // The Inbox is built in
+    expect(within(row('Inbox')).queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  it('creates, renames and archives lists', async () => {
+    const user = userEvent.setup();
+    renderManager();
+
+    await user.type(screen.getByLabelText('New list name'), 'Home{Enter}');
+    expect(names()).toEqual(['Inbox', 'Work', 'Home']);
+
+    await user.click(within(row('Work')).getByRole('button', { name: 'Rename' }));
+    const input = screen.getByLabelText('New name for Work');
+    await user.clear(input);
+    await user.type(input, 'Office{Enter}');
+    expect(names()).toEqual(['Inbox', 'Office', 'Home']);
+
+    await user.click(within(row('Office')).getByRole('button', { name: 'Archive' }));
+    expect(store.get(listsAtom)[1].archived).toBe(true);
+    expect(within(row('Office')).getByRole('button', { name: 'Unarchive' })).toBeInTheDocument();
+  });
+
+  it('asks before deleting a list with its todos', async () => {
+    const user = userEvent.setup();
+    renderManager();
+
+    await user.click(within(row('Work')).getByRole('button', { name: 'Delete' }));
+    await user.click(within(row('Work')).getByRole('button', { name: 'Cancel' }));
+    expect(names()).toEqual(['Inbox', 'Work']);
+
+    await user.click(within(row('Work')).getByRole('button', { name: 'Delete' }));
+    await user.click(within(row('Work')).getByRole('button', { name: 'Delete list and 1 todo' }));
+    expect(names()).toEqual(['Inbox']);
+    expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['1']);
+  });
+});
@@ -109,6 +109,65 @@ describe('Modern Components Integration with Jotai', () => {
     expect(screen.getByText('Second Todo')).toBeInTheDocument();
   });
 
+  test('modern TodoList reorders sibling rows by drag and drop', () => {
+    const todos = [
+      { id: '1', text: 'First', completed: false },
+      { id: '2', text: 'Second', completed: false },
+      { id: '3', text: 'Sub', completed: false, parentId: '2' }
+    ];
+    const onReorder = vi.fn();
+    const data = {};
+    const dataTransfer = {
+      types: ['application/x-todo-id'],
+      setData: (type, value) => { data[type] = value; },
+      getData: (type) => data[type]
+    };
+
+    render(
+      <JotaiProvider>
+        <TodoList todos={todos} onToggle={vi.fn()} onUpdate={vi.fn()} onDelete={vi.fn()} onReorder={onReorder} />
+      </JotaiProvider>
+    );
+
+    const [first, second, sub] = screen.getAllByRole('listitem');
+    expect(first).toHaveAttribute('draggable', 'true');
+
+    fireEvent.dragStart(second, { dataTransfer });
+    fireEvent.dragOver(first, { dataTransfer, clientY: 10 });
+    expect(first).toHaveClass('drop-after');
+    fireEvent.drop(first, { dataTransfer });
+    expect(onReorder).toHaveBeenCalledWith('2', { afterId: '1' });
+
+    // A top-level todo cannot be dropped among subtasks
+    fireEvent.dragStart(first, { dataTransfer });
+    fireEvent.drop(sub, { dataTransfer });
+    expect(onReorder).toHaveBeenCalledTimes(1);
+  });
+
+  test('modern TodoList selects a shift-click range and moves it to another list', () => {
+    const todos = [
+      { id: '1', text: 'First', completed: false },
+      { id: '2', text: 'Second', completed: false },
+      { id: '3', text: 'Third', completed: false }
+    ];
+    const lists = [{ id: 'inbox', name: 'Inbox' }, { id: 'work', name: 'Work' }];
+    const onBatch = vi.fn();
+
+    render(
+      <JotaiProvider>
+        <TodoList todos={todos} onToggle={vi.fn()} onUpdate={vi.fn()} onDelete={vi.fn()} lists={lists} onBatch={onBatch} />
+      </JotaiProvider>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+    fireEvent.click(screen.getByLabelText('Select "First"'));
+    fireEvent.click(screen.getByLabelText('Select "Third"'), { shiftKey: true });
+    expect(screen.getByText('3 selected')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Move selected to list'), { target: { value: 'work' } });
+    expect(onBatch).toHaveBeenCalledWith({ action: 'move', ids: ['1', '2', '3'], listId: 'work' });
+  });
+
   test('modern TodoFilters component works with Jotai state', () => {
     const mockProps = {
       filter: 'all',
@@ -239,4 +298,63 @@ describe('Modern Components Integration with Jotai', () => {
     expect(screen.getByText('Todo item 0')).toBeInTheDocument();
     expect(screen.getByText('Todo item 99')).toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  describe('Server action forms', () => {
+    const todo = { id: '1', text: 'Posted todo', completed: false, createdAt: '2024-01-01T00:00:00.000Z' };
+    const serverActions = () => ({
+      add: vi.fn(async () => ({ error: null })),
+      update: vi.fn(async () => ({ error: null })),
+      toggle: vi.fn(async () => ({ error: 'Todo not found' })),
+      delete: vi.fn(async () => ({ error: null })),
+    });
+
+    it('names the add form fields for the server action but adds through onAdd once loaded', () => {
+      const onAdd = vi.fn();
+      const actions = serverActions();
+      const { container } = render(
+        <JotaiProvider>
+          <TodoForm onAdd={onAdd} action={actions.add} listId="list-1" />
+        </JotaiProvider>
+      );
+
+      expect(container.querySelector('input[type="hidden"][name="listId"]').value).toBe('list-1');
+      expect(container.querySelector('select[name="priority"]')).toBeInTheDocument();
+      fireEvent.change(screen.getByPlaceholderText('What needs to be done?'), { target: { value: 'Buy milk' } });
+      fireEvent.submit(container.querySelector('form'));
+
+      expect(onAdd).toHaveBeenCalledWith({ text: 'Buy milk' });
+      expect(actions.add).not.toHaveBeenCalled();
+    });
+
+    it('deletes through onDelete once loaded instead of posting the delete form', () => {
+      const onDelete = vi.fn();
+      const actions = serverActions();
+      render(
+        <JotaiProvider>
+          <TodoItem todo={todo} onToggle={vi.fn()} onUpdate={vi.fn()} onDelete={onDelete} actions={actions} />
+        </JotaiProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+      expect(onDelete).toHaveBeenCalledWith('1');
+      expect(actions.delete).not.toHaveBeenCalled();
+    });
+
+    it('shows the error a posted item form comes back with', async () => {
+      const actions = serverActions();
+      const { container } = render(
+        <JotaiProvider>
+          <TodoItem todo={todo} onToggle={vi.fn()} onUpdate={vi.fn()} onDelete={vi.fn()} actions={actions} />
+        </JotaiProvider>
+      );
+      const toggleForm = container.querySelector('.todo-checkbox').closest('form');
+
+      expect(toggleForm.querySelector('input[name="id"]').value).toBe('1');
+      fireEvent.submit(toggleForm);
+
+      await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Failed: Todo not found'));
+      expect(actions.toggle.mock.calls[0][1].get('id')).toBe('1');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import React from 'react';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Provider, createStore } from 'jotai';
+import { serverStateEnabledAtom, todosAtom } from '../../atoms/todoAtoms';
+import TagManager from '../TagManager';
+
+describe('TagManager Component', () => {
+  let store;
+
+  const renderManager = () => render(
+    <Provider store={store}>
+      <TagManager />
+    </Provider>
+  );
+
+  beforeEach(() => {
+    store = createStore();
+    store.set(serverStateEnabledAtom, false);
+    store.set(todosAtom, [
+      { id: '1', text: 'Report', completed: false, tags: ['work'] },
+      { id: '2', text: 'Standup', completed: false, tags: ['job', 'work'] }
+    ]);
+  });
+
+  const tagsOf = () => store.get(todosAtom).map(todo => todo.tags);
+
+  it('lists tags with their todo counts', () => {
+    renderManager();
+
+    expect(screen.getByText('#job', { selector: '.todo-tag' })).toBeInTheDocument();
+    expect(screen.getByText('2 todos')).toBeInTheDocument();
+    expect(screen.getByText('1 todo')).toBeInTheDocument();
+  });
+
+  it('renames a tag across todos', async () => {
+    const user = userEvent.setup();
+    renderManager();
+
+    await user.click(screen.getAllByRole('button', { name: 'Rename' })[1]);
+    const input = screen.getByLabelText('New name for #work');
+    await user.clear(input);
+    await user.type(input, 'office{Enter}');
+
+    expect(tagsOf()).toEqual([['office'], ['job', 'office']]);
+  });
+
+  it('merges one tag into another and deletes tags', async () => {
+    const user = userEvent.setup();
+    renderManager();
+
+    fireEvent.change(screen.getByLabelText('Merge #job into'), { target: { value: 'work' } });
+    await user.click(screen.getAllByRole('button', { name: 'Merge' })[0]);
+    expect(tagsOf()).toEqual([['work'], ['work']]);
+
+    await user.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(tagsOf()).toEqual([[], []]);
+    expect(screen.getByText(/No tags yet/)).toBeInTheDocument();
+  });
+});
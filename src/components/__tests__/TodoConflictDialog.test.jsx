@@ -0,0 +1,72 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { JotaiProvider } from '../../utils/providers';
+import TodoItem from '../TodoItem';
+import TodoConflictDialog from '../TodoConflictDialog';
+import * as featureFlags from '../../utils/featureFlags';
+
+vi.mock('../../utils/featureFlags');
+
+const base = { id: '1', text: 'Buy milk', completed: false, revision: 2 };
+const server = { ...base, text: 'Buy oat milk', priority: 'high', revision: 3 };
+
+describe('TodoConflictDialog', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(featureFlags.useFeatureFlag).mockImplementation(flag => flag === 'USE_MODERN_TODO_ITEM');
+  });
+
+  it('is shown by a todo with a conflict, with both versions side by side', () => {
+    const onResolveConflict = vi.fn();
+    render(
+      <JotaiProvider>
+        <TodoItem
+          todo={server}
+          onToggle={vi.fn()}
+          onUpdate={vi.fn()}
+          onDelete={vi.fn()}
+          conflict={{ operation: 'update', base, updates: { text: 'Buy milk and eggs' }, server }}
+          onResolveConflict={onResolveConflict}
+        />
+      </JotaiProvider>
+    );
+
+    expect(screen.getByRole('dialog', { name: 'Someone else changed this todo' })).toBeInTheDocument();
+    expect(within(screen.getByRole('region', { name: 'Your version' })).getByText('Buy milk and eggs')).toBeInTheDocument();
+    const theirs = within(screen.getByRole('region', { name: 'Server version' }));
+    expect(theirs.getByText('Buy oat milk')).toBeInTheDocument();
+    expect(theirs.getByText('high')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Keep mine' }));
+    expect(onResolveConflict).toHaveBeenCalledWith('1', 'mine', undefined);
+  });
+
+  it('merges the two texts into one the user can edit', () => {
+    const onResolve = vi.fn();
+    render(
+      <TodoConflictDialog
+        conflict={{ operation: 'update', base, updates: { text: 'Buy milk and eggs' }, server }}
+        onResolve={onResolve}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Merge text' }));
+    const merged = screen.getByRole('textbox', { name: 'Merged text' });
+    expect(merged).toHaveValue('Buy oat milk Buy milk and eggs');
+
+    fireEvent.change(merged, { target: { value: '  Buy oat milk and eggs ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save merged text' }));
+    expect(onResolve).toHaveBeenCalledWith('merge', 'Buy oat milk and eggs');
+  });
+
+  it('offers no merge for a delete', () => {
+    const onResolve = vi.fn();
+    render(<TodoConflictDialog conflict={{ operation: 'delete', base, server }} onResolve={onResolve} />);
+
+    expect(within(screen.getByRole('region', { name: 'Your version' })).getByText('Deleted')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Merge text' })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Use server version' }));
+    expect(onResolve).toHaveBeenCalledWith('server');
+  });
+});
@@ -254,6 +254,56 @@ describe('TodoFilters Component', () => {
     });
   });
 
+  describe('Sorting', () => {
+    it('hides the sort controls when the parent does not sort', () => {
+      renderWithProviders(
+        <TodoFilters filter="all" onFilterChange={mockOnFilterChange} todoCount={mockTodoCount} />
+      );
+
+      expect(screen.queryByLabelText('Sort by')).not.toBeInTheDocument();
+    });
+
+    it('switches the sort key using its natural direction', async () => {
+      const user = userEvent.setup();
+      const onSortChange = vi.fn();
+      renderWithProviders(
+        <TodoFilters
+          filter="all"
+          onFilterChange={mockOnFilterChange}
+          todoCount={mockTodoCount}
+          sort={{ key: 'createdAt', direction: 'asc' }}
+          onSortChange={onSortChange}
+        />
+      );
+
+      await user.selectOptions(screen.getByLabelText('Sort by'), 'priority');
+      await user.selectOptions(screen.getByLabelText('Sort by'), 'text');
+
+      expect(onSortChange.mock.calls).toEqual([
+        [{ key: 'priority', direction: 'desc' }],
+        [{ key: 'text', direction: 'asc' }]
+      ]);
+    });
+
+    it('flips the sort direction', async () => {
+      const user = userEvent.setup();
+      const onSortChange = vi.fn();
+      renderWithProviders(
+        <TodoFilters
+          filter="all"
+          onFilterChange={mockOnFilterChange}
+          todoCount={mockTodoCount}
+          sort={{ key: 'dueAt', direction: 'asc' }}
+          onSortChange={onSortChange}
+        />
+      );
+
+      await user.click(screen.getByRole('button', { name: 'Sort ascending' }));
+
+      expect(onSortChange).toHaveBeenCalledWith({ key: 'dueAt', direction: 'desc' });
+    });
+  });
+
   describe('Todo Count Display', () => {
     it('displays correct count when all todos are active', () => {
       const allActiveCounts = { total: 3, active: 3, completed: 0 };
@@ -86,6 +86,82 @@ describe('TodoForm Component', () => {
       expect(mockOnAdd).toHaveBeenCalledWith({ text: 'Todo via Enter key' });
     });
 
+    it('passes an optional due date and clears it after submitting', async () => {
+      const user = userEvent.setup();
+      renderWithProviders(<TodoForm onAdd={mockOnAdd} />);
+
+      const dueInput = screen.getByLabelText('Due date');
+      fireEvent.change(dueInput, { target: { value: '2024-07-01T09:30' } });
+      await user.type(screen.getByPlaceholderText('What needs to be done?'), 'Pay rent{Enter}');
+
+      expect(mockOnAdd).toHaveBeenCalledWith({
+        text: 'Pay rent',
+        dueAt: new Date('2024-07-01T09:30').toISOString()
+      });
+      expect(dueInput).toHaveValue('');
+    });
+
+    it('passes a priority other than normal', async () => {
+      const user = userEvent.setup();
+      renderWithProviders(<TodoForm onAdd={mockOnAdd} />);
+
+      await user.selectOptions(screen.getByLabelText('Priority'), 'urgent');
+      await user.type(screen.getByPlaceholderText('What needs to be done?'), 'Fix prod{Enter}');
+
+      expect(mockOnAdd).toHaveBeenCalledWith({ text: 'Fix prod', priority: 'urgent' });
+      expect(screen.getByLabelText('Priority')).toHaveValue('normal');
+    });
+
+    it('turns inline #tags into tags', async () => {
+      const user = userEvent.setup();
+      renderWithProviders(<TodoForm onAdd={mockOnAdd} />);
+
+      await user.type(screen.getByPlaceholderText('What needs to be done?'), 'Buy milk #groceries #Home{Enter}');
+
+      expect(mockOnAdd).toHaveBeenCalledWith({ text: 'Buy milk', tags: ['groceries', 'home'] });
+    });
+
+    it('parses quick-add syntax and previews what it recognized', async () => {
+      const user = userEvent.setup();
+      const lists = [{ id: 'inbox', name: 'Inbox' }, { id: 'list-1', name: 'Groceries' }];
+      renderWithProviders(<TodoForm onAdd={mockOnAdd} lists={lists} />);
+
+      const input = screen.getByPlaceholderText('What needs to be done?');
+      await user.type(input, 'Buy milk 2030-05-01 5pm p1 #dairy @groceries');
+
+      const chips = screen.getAllByRole('listitem').map(chip => chip.textContent);
+      expect(chips).toHaveLength(4);
+      expect(chips[0]).toMatch(/^Due /);
+      expect(chips.slice(1)).toEqual(['Urgent priority', '#dairy', 'List: Groceries']);
+
+      await user.keyboard('{Enter}');
+
+      expect(mockOnAdd).toHaveBeenCalledWith({
+        text: 'Buy milk',
+        tags: ['dairy'],
+        dueAt: new Date(2030, 4, 1, 17, 0).toISOString(),
+        priority: 'urgent',
+        listId: 'list-1'
+      });
+      expect(screen.queryByRole('list', { name: 'Recognized' })).not.toBeInTheDocument();
+    });
+
+    it('lets the due and priority fields win over quick-add', async () => {
+      const user = userEvent.setup();
+      renderWithProviders(<TodoForm onAdd={mockOnAdd} lists={[{ id: 'inbox', name: 'Inbox' }]} />);
+
+      fireEvent.change(screen.getByLabelText('Due date'), { target: { value: '2024-07-01T09:30' } });
+      await user.selectOptions(screen.getByLabelText('Priority'), 'low');
+      await user.type(screen.getByPlaceholderText('What needs to be done?'), 'Tidy up tomorrow !!! @inbox{Enter}');
+
+      expect(mockOnAdd).toHaveBeenCalledWith({
+        text: 'Tidy up',
+        dueAt: new Date('2024-07-01T09:30').toISOString(),
+        priority: 'low',
+        listId: null
+      });
+    });
+
     it('trims whitespace from input before calling onAdd', async () => {
       const user = userEvent.setup();
       renderWithProviders(<TodoForm onAdd={mockOnAdd} />);
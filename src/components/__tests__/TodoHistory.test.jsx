@@ -0,0 +1,105 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { Provider, createStore } from 'jotai';
+import { serverStateEnabledAtom } from '../../atoms/todoAtoms';
+import { todoApi, todoActorId } from '../../services/todoApi';
+import TodoItem from '../TodoItem';
+import ActivityFeed from '../ActivityFeed';
+import * as featureFlags from '../../utils/featureFlags';
+
+vi.mock('../../utils/featureFlags');
+vi.mock('../../services/todoApi', async (importOriginal) => ({
+  ...(await importOriginal()),
+  todoApi: {
+    getHistory: vi.fn(),
+    fetchActivity: vi.fn()
+  }
+}));
+
+const at = '2026-01-02T10:00:00.000Z';
+const history = [
+  { id: 'c', todoId: '1', type: 'completed', at, actor: null, text: 'Buy oat milk' },
+  { id: 'b', todoId: '1', type: 'renamed', at, actor: 'other', text: 'Buy oat milk', from: 'Buy milk' },
+  { id: 'a', todoId: '1', type: 'created', at, actor: todoActorId(), text: 'Buy milk' }
+];
+
+describe('Todo history', () => {
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(featureFlags.useFeatureFlag).mockImplementation(flag => flag === 'USE_MODERN_TODO_ITEM');
+    store = createStore();
+    store.set(serverStateEnabledAtom, true);
+  });
+
+  it('expands the history of a todo, newest change first', async () => {
+    vi.mocked(todoApi.getHistory).mockResolvedValue(history);
+    render(
+      <Provider store={store}>
+        <TodoItem todo={{ id: '1', text: 'Buy oat milk', completed: true }} onToggle={vi.fn()} onUpdate={vi.fn()} onDelete={vi.fn()} showHistory />
+      </Provider>
+    );
+
+    const toggle = screen.getByRole('button', { name: 'History' });
+    expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    fireEvent.click(toggle);
+
+    const panel = screen.getByRole('region', { name: 'History' });
+    const entries = await within(panel).findAllByRole('listitem');
+    expect(todoApi.getHistory).toHaveBeenCalledWith('1');
+    expect(entries.map(entry => entry.querySelector('.activity-summary').textContent)).toEqual([
+      'Completed',
+      'Renamed from "Buy milk" to "Buy oat milk"',
+      'Created'
+    ]);
+    expect(entries.map(entry => entry.querySelector('.activity-actor').textContent)).toEqual([
+      'by someone',
+      'by another browser',
+      'by you'
+    ]);
+
+    fireEvent.click(toggle);
+    expect(screen.queryByRole('region', { name: 'History' })).not.toBeInTheDocument();
+  });
+
+  it('shows no History button unless the list offers it', () => {
+    render(
+      <Provider store={store}>
+        <TodoItem todo={{ id: '1', text: 'Buy milk', completed: false }} onToggle={vi.fn()} onUpdate={vi.fn()} onDelete={vi.fn()} />
+      </Provider>
+    );
+
+    expect(screen.queryByRole('button', { name: 'History' })).not.toBeInTheDocument();
+  });
+
+  it('lists the latest changes to any todo on the activity page', async () => {
+    vi.mocked(todoApi.fetchActivity).mockResolvedValue([
+      { id: 'd', todoId: '2', type: 'deleted', at, actor: 'other', text: 'Call mum' },
+      ...history
+    ]);
+    render(
+      <Provider store={store}>
+        <ActivityFeed />
+      </Provider>
+    );
+
+    const entries = await screen.findAllByRole('listitem');
+    expect(entries).toHaveLength(4);
+    expect(within(entries[0]).getByText('Call mum')).toBeInTheDocument();
+    expect(within(entries[0]).getByText('Deleted')).toBeInTheDocument();
+  });
+
+  it('explains that the log needs server state', () => {
+    store.set(serverStateEnabledAtom, false);
+    render(
+      <Provider store={store}>
+        <ActivityFeed />
+      </Provider>
+    );
+
+    expect(screen.getByText(/The activity log is kept by the server/)).toBeInTheDocument();
+    expect(todoApi.fetchActivity).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { Provider, createStore } from 'jotai';
+import { serverStateEnabledAtom, todosAtom } from '../../atoms/todoAtoms';
+import TodoImportExport from '../TodoImportExport';
+
+const readBlob = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+describe('TodoImportExport Component', () => {
+  let store;
+
+  const renderPage = () => render(
+    <Provider store={store}>
+      <TodoImportExport />
+    </Provider>
+  );
+
+  beforeEach(() => {
+    store = createStore();
+    store.set(serverStateEnabledAtom, false);
+    store.set(todosAtom, [
+      { id: '1', text: 'Plan trip', completed: false, order: 1 },
+      { id: '2', text: 'Call mum', completed: true, order: 2 }
+    ]);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('previews an import with duplicates and errors and imports the new rows', async () => {
+    renderPage();
+
+    fireEvent.change(screen.getByLabelText('Todos to import'), {
+      target: { value: '- [ ] plan trip\n- [x] Water plants\n- [ ] Water plants\nsome notes' }
+    });
+
+    expect(screen.getByRole('option', { name: 'Detect format (Markdown checklist)' })).toBeInTheDocument();
+    const rows = screen.getAllByRole('row').slice(1).map(row =>
+      within(row).getAllByRole('cell').map(cell => cell.textContent));
+    expect(rows).toEqual([
+      ['1', 'plan trip', 'Already in the list'],
+      ['2', 'Water plants', 'New'],
+      ['3', 'Water plants', 'Same as row 2'],
+      ['4', 'some notes', 'Not a checklist item ("- [ ] ...")']
+    ]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Import 1 todo' }));
+
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Imported 1 todo.'));
+    expect(store.get(todosAtom).map(todo => [todo.text, todo.completed])).toEqual([
+      ['Plan trip', false],
+      ['Call mum', true],
+      ['Water plants', true]
+    ]);
+    expect(screen.getByLabelText('Todos to import')).toHaveValue('');
+  });
+
+  it('reads an import from a file', async () => {
+    renderPage();
+
+    const file = new File(['text,completed\nPay rent,no'], 'todos.csv', { type: 'text/csv' });
+    fireEvent.change(screen.getByLabelText('Import file'), { target: { files: [file] } });
+
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Import 1 todo' })).toBeEnabled());
+    expect(screen.getByRole('option', { name: 'Detect format (CSV)' })).toBeInTheDocument();
+  });
+
+  it('downloads the export in the chosen format', async () => {
+    let blob;
+    URL.createObjectURL = vi.fn(value => {
+      blob = value;
+      return 'blob:todos';
+    });
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    renderPage();
+
+    fireEvent.change(screen.getByLabelText('Export format'), { target: { value: 'markdown' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Export 2 todos' }));
+
+    expect(click).toHaveBeenCalled();
+    expect(click.mock.contexts[0].download).toMatch(/^todos-\d{4}-\d{2}-\d{2}\.md$/);
+    expect(await readBlob(blob)).toBe('- [ ] Plan trip\n- [x] Call mum\n');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:todos');
+  });
+});
@@ -94,6 +94,205 @@ describe('TodoItem Component', () => {
       const todoItem = container.querySelector('.todo-item');
       expect(todoItem).toHaveClass('completed');
     });
+
+    it('marks a todo whose last mutation failed', () => {
+      const { container } = renderWithProviders(
+        <TodoItem todo={mockTodo} {...mockHandlers} error="Failed to toggle todo" />
+      );
+
+      expect(container.querySelector('.todo-item')).toHaveClass('failed');
+      expect(screen.getByRole('alert')).toHaveTextContent('Failed to toggle todo');
+    });
+
+    it('shows a spinner while a mutation is pending', () => {
+      renderWithProviders(
+        <TodoItem todo={mockTodo} {...mockHandlers} pending="toggle" />
+      );
+
+      expect(screen.getByRole('status')).toHaveAttribute('aria-label', 'Saving (toggle)');
+    });
+
+    it('flags changes waiting to be synced after going offline', () => {
+      renderWithProviders(
+        <TodoItem todo={mockTodo} {...mockHandlers} queued />
+      );
+
+      expect(screen.getByText('Offline')).toHaveAttribute('title', 'Saved offline - will sync when you reconnect');
+    });
+
+    it('marks a todo whose due time has passed', () => {
+      const dueAt = '2024-06-10T09:00:00.000Z';
+      const now = new Date(dueAt).getTime() + 60 * 1000;
+      const { container } = renderWithProviders(
+        <TodoItem todo={{ ...mockTodo, dueAt }} {...mockHandlers} now={now} />
+      );
+
+      expect(container.querySelector('.todo-item')).toHaveClass('overdue');
+      expect(container.querySelector('.todo-due')).toHaveClass('overdue');
+      expect(container.querySelector('.todo-due')).toHaveTextContent(/^Overdue/);
+    });
+
+    it('edits and clears the due date', () => {
+      const dueAt = '2024-06-10T09:00:00.000Z';
+      renderWithProviders(
+        <TodoItem todo={{ ...mockTodo, dueAt }} {...mockHandlers} />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Due' }));
+      const dueInput = screen.getByLabelText('Due date');
+      fireEvent.change(dueInput, { target: { value: '' } });
+      fireEvent.keyDown(dueInput, { key: 'Enter' });
+
+      expect(mockHandlers.onUpdate).toHaveBeenCalledWith('1', { dueAt: null });
+      expect(screen.queryByLabelText('Due date')).not.toBeInTheDocument();
+    });
+
+    it('shows and changes the priority', () => {
+      renderWithProviders(
+        <TodoItem todo={{ ...mockTodo, priority: 'high' }} {...mockHandlers} />
+      );
+
+      expect(screen.getByText('high', { selector: '.todo-priority' })).toHaveClass('high');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Priority' }));
+      fireEvent.change(screen.getByLabelText('Priority'), { target: { value: 'low' } });
+
+      expect(mockHandlers.onUpdate).toHaveBeenCalledWith('1', { priority: 'low' });
+      expect(screen.queryByLabelText('Priority')).not.toBeInTheDocument();
+    });
+
+    it('sets how a todo repeats from a preset or a custom rule', () => {
+      renderWithProviders(
+        <TodoItem todo={mockTodo} {...mockHandlers} />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Repeat' }));
+      fireEvent.change(screen.getByLabelText('Repeat'), { target: { value: 'FREQ=WEEKLY' } });
+      expect(mockHandlers.onUpdate).toHaveBeenCalledWith('1', { recurrence: 'FREQ=WEEKLY' });
+      expect(screen.queryByLabelText('Repeat')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Repeat' }));
+      fireEvent.change(screen.getByLabelText('Repeat'), { target: { value: 'custom' } });
+      const rule = screen.getByLabelText('Custom repeat rule');
+      fireEvent.change(rule, { target: { value: 'FREQ=HOURLY' } });
+      fireEvent.keyDown(rule, { key: 'Enter' });
+      expect(rule).toHaveAttribute('aria-invalid', 'true');
+
+      fireEvent.change(rule, { target: { value: 'freq=monthly;bymonthday=-1' } });
+      fireEvent.keyDown(rule, { key: 'Enter' });
+      expect(mockHandlers.onUpdate).toHaveBeenLastCalledWith('1', { recurrence: 'FREQ=MONTHLY;BYMONTHDAY=-1' });
+    });
+
+    it('skips an occurrence or stops a todo repeating', () => {
+      const dueAt = new Date(2030, 0, 1, 9).toISOString();
+      renderWithProviders(
+        <TodoItem todo={{ ...mockTodo, dueAt, recurrence: 'FREQ=DAILY;COUNT=3' }} {...mockHandlers} />
+      );
+
+      expect(screen.getByText('↻ Every day, 3 times left')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Skip this occurrence' }));
+      expect(mockHandlers.onUpdate).toHaveBeenCalledWith('1', {
+        dueAt: new Date(2030, 0, 2, 9).toISOString(),
+        recurrence: 'FREQ=DAILY;COUNT=2'
+      });
+
+      fireEvent.click(screen.getByRole('button', { name: 'Stop repeating' }));
+      expect(mockHandlers.onUpdate).toHaveBeenLastCalledWith('1', { recurrence: null });
+    });
+
+    it('shows tag chips that report clicks', () => {
+      const onTagClick = vi.fn();
+      renderWithProviders(
+        <TodoItem todo={{ ...mockTodo, tags: ['work'] }} {...mockHandlers} onTagClick={onTagClick} />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: '#work' }));
+
+      expect(onTagClick).toHaveBeenCalledWith('work');
+    });
+
+    it('adds #tags typed while editing', async () => {
+      const user = userEvent.setup();
+      renderWithProviders(
+        <TodoItem todo={{ ...mockTodo, tags: ['work'] }} {...mockHandlers} />
+      );
+
+      await user.click(screen.getByText('Edit'));
+      await user.type(screen.getByDisplayValue('Test todo item'), ' #Urgent{Enter}');
+
+      expect(mockHandlers.onUpdate).toHaveBeenCalledWith('1', { text: 'Test todo item', tags: ['work', 'urgent'] });
+    });
+
+    it('highlights search matches in the text', () => {
+      const { container } = renderWithProviders(
+        <TodoItem todo={mockTodo} {...mockHandlers} highlights={[[0, 4], [10, 14]]} />
+      );
+
+      const text = container.querySelector('.todo-text');
+      expect(text).toHaveTextContent('Test todo item');
+      expect(Array.from(text.querySelectorAll('mark')).map(mark => mark.textContent)).toEqual(['Test', 'item']);
+    });
+
+    it('shows subtask progress and adds subtasks', async () => {
+      const user = userEvent.setup();
+      const onAddSubtask = vi.fn();
+      renderWithProviders(
+        <TodoItem todo={mockTodo} {...mockHandlers} progress={{ done: 3, total: 5 }} onAddSubtask={onAddSubtask} />
+      );
+
+      expect(screen.getByText('3/5')).toHaveAttribute('title', '3 of 5 subtasks done');
+
+      await user.click(screen.getByRole('button', { name: 'Subtask' }));
+      await user.type(screen.getByLabelText('New subtask'), 'First step{Enter}Second step{Enter}');
+
+      expect(onAddSubtask.mock.calls).toEqual([['1', 'First step'], ['1', 'Second step']]);
+      expect(screen.getByLabelText('New subtask')).toHaveValue('');
+    });
+
+    it('moves a top-level todo to another list', async () => {
+      const user = userEvent.setup();
+      const onMoveToList = vi.fn();
+      const lists = [{ id: 'inbox', name: 'Inbox' }, { id: 'work', name: 'Work' }];
+      const { rerender } = renderWithProviders(
+        <TodoItem todo={mockTodo} {...mockHandlers} lists={lists} onMoveToList={onMoveToList} />
+      );
+
+      await user.click(screen.getByRole('button', { name: 'Move' }));
+      expect(screen.getByLabelText('Move to list')).toHaveValue('inbox');
+      await user.selectOptions(screen.getByLabelText('Move to list'), 'work');
+
+      expect(onMoveToList).toHaveBeenCalledWith('1', 'work');
+      expect(screen.queryByLabelText('Move to list')).not.toBeInTheDocument();
+
+      // Subtasks move with their parent
+      rerender(
+        <TodoItem todo={{ ...mockTodo, parentId: '9' }} {...mockHandlers} lists={lists} onMoveToList={onMoveToList} />
+      );
+      expect(screen.queryByRole('button', { name: 'Move' })).not.toBeInTheDocument();
+    });
+
+    it('retries a failed mutation from its own row', () => {
+      const onRetry = vi.fn();
+      renderWithProviders(
+        <TodoItem todo={mockTodo} {...mockHandlers} error="Failed to toggle todo" onRetry={onRetry} />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+
+      expect(onRetry).toHaveBeenCalledWith('1');
+    });
+
+    it('does not mark todos without an error', () => {
+      const { container } = renderWithProviders(
+        <TodoItem todo={mockTodo} {...mockHandlers} />
+      );
+
+      expect(container.querySelector('.todo-item')).not.toHaveClass('failed');
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Retry' })).not.toBeInTheDocument();
+    });
   });
 
   describe('Checkbox Interactions', () => {
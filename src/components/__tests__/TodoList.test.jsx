@@ -1,9 +1,10 @@
 import React from 'react';
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { screen, within } from '@testing-library/react';
+import { screen, within, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { renderWithProviders, mockTodos } from '../../test/utils';
 import TodoList from '../TodoList';
+import ModernTodoList from '../TodoList.tsx';
 
 describe('TodoList Component', () => {
   const mockHandlers = {
@@ -83,6 +84,173 @@ describe('TodoList Component', () => {
     });
   });
 
+  describe('Subtasks', () => {
+    it('indents subtasks under their parent', () => {
+      const todos = [
+        { id: '1', text: 'Parent', completed: false },
+        { id: '2', text: 'Other', completed: false },
+        { id: '3', text: 'Child', completed: false, parentId: '1' },
+      ];
+
+      renderWithProviders(
+        <TodoList todos={todos} {...mockHandlers} progress={{ 1: { done: 0, total: 1 } }} />
+      );
+
+      const listItems = screen.getAllByRole('listitem');
+      expect(listItems.map(item => item.querySelector('.todo-text').textContent)).toEqual(['Parent', 'Child', 'Other']);
+      expect(listItems[1]).toHaveClass('subtask');
+      expect(listItems[1]).toHaveStyle({ marginLeft: '1.5rem' });
+      expect(within(listItems[0]).getByText('0/1')).toBeInTheDocument();
+    });
+  });
+
+  describe('Manual Order', () => {
+    const todos = [
+      { id: '1', text: 'Parent', completed: false },
+      { id: '2', text: 'Child', completed: false, parentId: '1' },
+      { id: '3', text: 'Other', completed: false },
+    ];
+
+    it('moves a todo past its next sibling with Alt+ArrowDown and announces it', async () => {
+      const user = userEvent.setup();
+      const onReorder = vi.fn();
+      renderWithProviders(<TodoList todos={todos} {...mockHandlers} onReorder={onReorder} />);
+
+      screen.getAllByRole('checkbox')[0].focus();
+      await user.keyboard('{Alt>}{ArrowDown}{/Alt}');
+
+      expect(onReorder).toHaveBeenCalledWith('1', { afterId: '3' });
+      expect(screen.getByRole('status')).toHaveTextContent('Moved "Parent" down');
+    });
+
+    it('does not move a todo past the end of its siblings', async () => {
+      const user = userEvent.setup();
+      const onReorder = vi.fn();
+      renderWithProviders(<TodoList todos={todos} {...mockHandlers} onReorder={onReorder} />);
+
+      screen.getAllByRole('checkbox')[1].focus();
+      await user.keyboard('{Alt>}{ArrowUp}{/Alt}');
+
+      expect(onReorder).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('Keyboard Focus', () => {
+    // Holds the focused todo the way TodoApp does
+    const FocusedList = ({ todos, initialFocus = null }) => {
+      const [focusedId, setFocusedId] = React.useState(initialFocus);
+      return (
+        <>
+          <output data-testid="focused">{focusedId}</output>
+          <ModernTodoList todos={todos} {...mockHandlers} focusedId={focusedId} onFocusChange={setFocusedId} />
+        </>
+      );
+    };
+
+    it('focuses the row of the focused todo and follows focus into other rows', () => {
+      renderWithProviders(<FocusedList todos={mockTodos} initialFocus="2" />);
+
+      const checkboxes = screen.getAllByRole('checkbox');
+      expect(checkboxes[1]).toHaveFocus();
+
+      act(() => screen.getAllByRole('button', { name: 'Delete' })[2].focus());
+      expect(screen.getByTestId('focused')).toHaveTextContent('3');
+    });
+
+    it('keeps the focus through re-renders and hands it on when the todo leaves the list', () => {
+      const { rerender } = renderWithProviders(<FocusedList todos={mockTodos} initialFocus="2" />);
+
+      rerender(<FocusedList todos={mockTodos.map(todo => ({ ...todo, text: `${todo.text}!` }))} />);
+      expect(screen.getAllByRole('checkbox')[1]).toHaveFocus();
+
+      rerender(<FocusedList todos={mockTodos.filter(todo => todo.id !== '2')} />);
+      expect(screen.getByTestId('focused')).toHaveTextContent('3');
+      expect(screen.getAllByRole('checkbox')[1]).toHaveFocus();
+    });
+
+    it('does not take the focus back from outside the list', () => {
+      const { rerender } = renderWithProviders(
+        <>
+          <input aria-label="Elsewhere" />
+          <FocusedList todos={mockTodos} initialFocus="2" />
+        </>
+      );
+
+      act(() => screen.getByLabelText('Elsewhere').focus());
+      rerender(
+        <>
+          <input aria-label="Elsewhere" />
+          <FocusedList todos={mockTodos.filter(todo => todo.id !== '2')} />
+        </>
+      );
+
+      expect(screen.getByLabelText('Elsewhere')).toHaveFocus();
+      expect(screen.getByTestId('focused')).toBeEmptyDOMElement();
+    });
+  });
+
+  describe('Bulk Selection', () => {
+    const todos = [
+      { id: '1', text: 'Write report', completed: false },
+      { id: '2', text: 'Send invoice', completed: true },
+      { id: '3', text: 'Call client', completed: false },
+      { id: '4', text: 'Book room', completed: true },
+    ];
+
+    const toolbar = () => within(screen.getByRole('toolbar', { name: 'Bulk actions' }));
+
+    it('completes all listed todos and clears the completed ones', async () => {
+      const user = userEvent.setup();
+      const onBatch = vi.fn();
+      renderWithProviders(<TodoList todos={todos} {...mockHandlers} onBatch={onBatch} />);
+
+      await user.click(toolbar().getByRole('button', { name: 'Complete all' }));
+      await user.click(toolbar().getByRole('button', { name: 'Clear completed' }));
+
+      expect(onBatch.mock.calls).toEqual([
+        [{ action: 'complete', ids: ['1', '3'] }],
+        [{ action: 'delete', ids: ['2', '4'] }],
+      ]);
+    });
+
+    it('selects a range with shift-click and applies an action to it', async () => {
+      const user = userEvent.setup();
+      const onBatch = vi.fn();
+      renderWithProviders(<TodoList todos={todos} {...mockHandlers} onBatch={onBatch} />);
+
+      expect(screen.queryByLabelText('Select "Write report"')).not.toBeInTheDocument();
+      await user.click(toolbar().getByRole('button', { name: 'Select' }));
+      await user.click(screen.getByLabelText('Select "Send invoice"'));
+      await user.keyboard('{Shift>}');
+      await user.click(screen.getByLabelText('Select "Book room"'));
+      await user.keyboard('{/Shift}');
+
+      expect(toolbar().getByText('3 selected')).toBeInTheDocument();
+      expect(screen.getByText('Call client').closest('li')).toHaveClass('selected');
+      await user.click(toolbar().getByRole('button', { name: 'Reopen' }));
+      expect(onBatch).toHaveBeenCalledWith({ action: 'reopen', ids: ['2', '3', '4'] });
+    });
+
+    it('selects every listed todo and tags them', async () => {
+      const user = userEvent.setup();
+      const onBatch = vi.fn();
+      const { rerender } = renderWithProviders(<TodoList todos={todos} {...mockHandlers} onBatch={onBatch} />);
+
+      await user.click(toolbar().getByRole('button', { name: 'Select' }));
+      await user.click(toolbar().getByLabelText('Select all'));
+      // Todos filtered out of the list drop out of the selection
+      rerender(<TodoList todos={todos.slice(0, 2)} {...mockHandlers} onBatch={onBatch} />);
+      expect(toolbar().getByText('2 selected')).toBeInTheDocument();
+
+      await user.type(toolbar().getByLabelText('Tag selected'), 'urgent{Enter}');
+      expect(onBatch).toHaveBeenCalledWith({ action: 'tag', ids: ['1', '2'], tag: 'urgent' });
+
+      await user.click(toolbar().getByRole('button', { name: 'Done' }));
+      expect(screen.queryByLabelText('Select "Write report"')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Todo Item Props', () => {
     it('passes correct props to each TodoItem', () => {
       renderWithProviders(
@@ -0,0 +1,57 @@
+import React from 'react';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { Provider, createStore } from 'jotai';
+import { serverStateEnabledAtom, todosAtom, trashAtom, deleteTodoActionAtom } from '../../atoms/todoAtoms';
+import TodoTrash from '../TodoTrash';
+
+describe('TodoTrash Component', () => {
+  let store;
+
+  const renderTrash = () => render(
+    <Provider store={store}>
+      <TodoTrash />
+    </Provider>
+  );
+
+  beforeEach(async () => {
+    store = createStore();
+    store.set(serverStateEnabledAtom, false);
+    store.set(todosAtom, [
+      { id: '1', text: 'Plan trip', completed: false },
+      { id: '2', text: 'Book flights', completed: false, parentId: '1' },
+      { id: '3', text: 'Call mum', completed: false }
+    ]);
+    await store.set(deleteTodoActionAtom, '1');
+  });
+
+  it('lists deleted todos with the subtasks deleted along with them', () => {
+    renderTrash();
+
+    expect(screen.getByText('Plan trip')).toBeInTheDocument();
+    expect(screen.getByText('+1 subtask')).toBeInTheDocument();
+    expect(screen.queryByText('Book flights')).not.toBeInTheDocument();
+    expect(screen.getByText('Deleted todos are removed for good after 30 days.')).toBeInTheDocument();
+  });
+
+  it('restores a todo', async () => {
+    renderTrash();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Restore "Plan trip"' }));
+
+    await waitFor(() => expect(screen.getByText('The Trash is empty.')).toBeInTheDocument());
+    expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['1', '2', '3']);
+  });
+
+  it('deletes a todo for good after confirming', async () => {
+    renderTrash();
+
+    const purge = screen.getByRole('button', { name: 'Delete "Plan trip" forever' });
+    fireEvent.click(purge);
+    expect(purge).toHaveTextContent('Confirm delete');
+    fireEvent.click(purge);
+
+    await waitFor(() => expect(store.get(trashAtom)).toEqual([]));
+    expect(store.get(todosAtom).map(todo => todo.id)).toEqual(['3']);
+  });
+});
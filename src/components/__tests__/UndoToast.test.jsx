@@ -0,0 +1,56 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import UndoToast from '../UndoToast';
+
+describe('UndoToast Component', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const renderToast = (toast, props = {}) => {
+    const handlers = { onUndo: vi.fn(), onRedo: vi.fn(), onDismiss: vi.fn() };
+    render(<UndoToast toast={toast} {...handlers} {...props} />);
+    return handlers;
+  };
+
+  it('renders nothing without a toast', () => {
+    const { container } = render(
+      <UndoToast toast={null} onUndo={vi.fn()} onRedo={vi.fn()} onDismiss={vi.fn()} />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('offers to undo a destructive action', () => {
+    const handlers = renderToast({ message: 'Deleted "Buy milk"', action: 'undo' });
+
+    expect(screen.getByRole('status')).toHaveTextContent('Deleted "Buy milk"');
+    expect(screen.queryByRole('button', { name: 'Redo' })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(handlers.onUndo).toHaveBeenCalledTimes(1);
+  });
+
+  it('offers to redo what was undone', () => {
+    const handlers = renderToast({ message: 'Undone — redo?', action: 'redo' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Redo' }));
+    expect(handlers.onRedo).toHaveBeenCalledTimes(1);
+    fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+    expect(handlers.onDismiss).toHaveBeenCalledTimes(1);
+  });
+
+  it('dismisses itself after the timeout', () => {
+    vi.useFakeTimers();
+    const handlers = renderToast({ message: 'Deleted "Buy milk"', action: 'undo' }, { timeout: 1000 });
+
+    act(() => {
+      vi.advanceTimersByTime(999);
+    });
+    expect(handlers.onDismiss).not.toHaveBeenCalled();
+    act(() => {
+      vi.advanceTimersByTime(1);
+    });
+    expect(handlers.onDismiss).toHaveBeenCalledTimes(1);
+  });
+});
@@ -4,19 +4,29 @@ import PropTypes from 'prop-types';
 import TodoForm from '../components/TodoForm';
 import TodoList from '../components/TodoList';
 import TodoFilters from '../components/TodoFilters';
+import { buildTodoStatus } from '../utils/optimisticTodos';
+import { filterTodos, filterByTag } from '../utils/todoFilters';
+import { collectTags } from '../utils/todoTags';
+import { DEFAULT_TODO_SORT, sortTodos } from '../utils/todoSort';
+import { reverseTarget } from '../utils/todoOrder';
 import {
   fetchTodosRequest,
   addTodoRequest,
   updateTodoRequest,
   deleteTodoRequest,
-  toggleTodoRequest
+  toggleTodoRequest,
+  reorderTodoRequest,
+  batchTodosRequest,
+  retryTodoRequest
 } from '../actions/todoActions';
 
 class TodoApp extends Component {
   constructor(props) {
     super(props);
     this.state = {
-      filter: 'all'
+      filter: 'all',
+      sort: DEFAULT_TODO_SORT,
+      tagFilter: null
     };
   }
 
@@ -28,18 +38,19 @@ class TodoApp extends Component {
     this.setState({ filter });
   }
 
+  handleSortChange = (sort) => {
+    this.setState({ sort });
+  }
+
+  handleTagFilterChange = (tagFilter) => {
+    this.setState({ tagFilter });
+  }
+
   getFilteredTodos = () => {
     const { todos } = this.props;
-    const { filter } = this.state;
-
-    switch (filter) {
-      case 'active':
-        return todos.filter(todo => !todo.completed);
-      case 'completed':
-        return todos.filter(todo => todo.completed);
-      default:
-        return todos;
-    }
+    const { filter, sort, tagFilter } = this.state;
+
+    return filterTodos(filterByTag(sortTodos(todos, sort), tagFilter), filter);
   }
 
   getTodoCount = () => {
@@ -51,11 +62,27 @@ class TodoApp extends Component {
     };
   }
 
+  // Moves are only possible while the list shows the manual order
+  handleReorder = (id, target) => {
+    const { sort } = this.state;
+    this.props.reorderTodo(id, sort.direction === 'desc' ? reverseTarget(target) : target);
+  }
+
+  handleRetry = (id) => {
+    const failure = this.props.todoErrors[id];
+    if (failure && failure.retry) {
+      this.props.retryTodo(failure.retry);
+    }
+  }
+
   render() {
-    const { loading, error, addTodo, updateTodo, deleteTodo, toggleTodo } = this.props;
-    const { filter } = this.state;
+    const {
+      loading, error, pendingMutations, todoErrors, queuedMutations, addTodo, updateTodo, deleteTodo, toggleTodo, batchTodos
+    } = this.props;
+    const { filter, sort, tagFilter } = this.state;
     const filteredTodos = this.getFilteredTodos();
     const todoCount = this.getTodoCount();
+    const todoStatus = buildTodoStatus(pendingMutations, todoErrors, queuedMutations);
 
     return (
       <div className="todo-app">
@@ -75,12 +102,22 @@ class TodoApp extends Component {
             onToggle={toggleTodo}
             onUpdate={updateTodo}
             onDelete={deleteTodo}
+            statuses={todoStatus}
+            onRetry={this.handleRetry}
+            onTagClick={this.handleTagFilterChange}
+            onReorder={sort.key === 'order' ? this.handleReorder : undefined}
+            onBatch={batchTodos}
           />
           
           <TodoFilters
             filter={filter}
             onFilterChange={this.handleFilterChange}
             todoCount={todoCount}
+            sort={sort}
+            onSortChange={this.handleSortChange}
+            tags={collectTags(this.props.todos).map(({ tag }) => tag)}
+            tagFilter={tagFilter}
+            onTagFilterChange={this.handleTagFilterChange}
           />
         </main>
       </div>
@@ -92,17 +129,26 @@ TodoApp.propTypes = {
   todos: PropTypes.array.isRequired,
   loading: PropTypes.bool.isRequired,
   error: PropTypes.string,
+  pendingMutations: PropTypes.object.isRequired,
+  todoErrors: PropTypes.object.isRequired,
+  queuedMutations: PropTypes.object.isRequired,
   fetchTodos: PropTypes.func.isRequired,
   addTodo: PropTypes.func.isRequired,
   updateTodo: PropTypes.func.isRequired,
   deleteTodo: PropTypes.func.isRequired,
-  toggleTodo: PropTypes.func.isRequired
+  toggleTodo: PropTypes.func.isRequired,
+  reorderTodo: PropTypes.func.isRequired,
+  batchTodos: PropTypes.func.isRequired,
+  retryTodo: PropTypes.func.isRequired
 };
 
 const mapStateToProps = (state) => ({
   todos: state.todos.todos,
   loading: state.todos.loading,
-  error: state.todos.error
+  error: state.todos.error,
+  pendingMutations: state.todos.pendingMutations,
+  todoErrors: state.todos.todoErrors,
+  queuedMutations: state.todos.queuedMutations
 });
 
 const mapDispatchToProps = {
@@ -110,7 +156,10 @@ const mapDispatchToProps = {
   addTodo: addTodoRequest,
   updateTodo: updateTodoRequest,
   deleteTodo: deleteTodoRequest,
-  toggleTodo: toggleTodoRequest
+  toggleTodo: toggleTodoRequest,
+  reorderTodo: reorderTodoRequest,
+  batchTodos: batchTodosRequest,
+  retryTodo: retryTodoRequest
 };
 
 export default connect(mapStateToProps, mapDispatchToProps)(TodoApp);
\ No newline at end of file
@@ -6,7 +6,10 @@ describe('todoReducer', () => {
   const initialState = {
     todos: [],
     loading: false,
-    error: null
+    error: null,
+    pendingMutations: {},
+    todoErrors: {},
+    queuedMutations: {}
   };
 
   const mockTodos = [
@@ -90,10 +93,7 @@ describe('todoReducer', () => {
   describe('Request Actions (Loading States)', () => {
     const requestActions = [
       TODO_ACTIONS.FETCH_TODOS_REQUEST,
-      TODO_ACTIONS.ADD_TODO_REQUEST,
-      TODO_ACTIONS.UPDATE_TODO_REQUEST,
-      TODO_ACTIONS.DELETE_TODO_REQUEST,
-      TODO_ACTIONS.TOGGLE_TODO_REQUEST
+      TODO_ACTIONS.ADD_TODO_REQUEST
     ];
 
     requestActions.forEach(actionType => {
@@ -115,6 +115,25 @@ describe('todoReducer', () => {
       });
     });
 
+    [
+      TODO_ACTIONS.UPDATE_TODO_REQUEST,
+      TODO_ACTIONS.DELETE_TODO_REQUEST,
+      TODO_ACTIONS.TOGGLE_TODO_REQUEST
+    ].forEach(actionType => {
+      it(`leaves the list-wide loading and error flags alone for ${actionType}`, () => {
+        const currentState = {
+          todos: mockTodos,
+          loading: false,
+          error: 'Previous error'
+        };
+
+        const newState = todoReducer(currentState, { type: actionType });
+
+        expect(newState.loading).toBe(false);
+        expect(newState.error).toBe('Previous error');
+      });
+    });
+
     it('preserves todos array when setting loading state', () => {
       const currentState = {
         todos: mockTodos,
@@ -344,7 +363,8 @@ describe('todoReducer', () => {
           
           expect(newState.todos).toHaveLength(mockTodos.length);
           expect(newState.todos[1]).toEqual(updatedTodo);
-          expect(newState.loading).toBe(false);
+          // Item mutations leave the list-wide loading flag to fetch/add
+          expect(newState.loading).toBe(currentState.loading);
           expect(newState.error).toBe(null);
         });
 
@@ -394,7 +414,8 @@ describe('todoReducer', () => {
           
           // Should not add the todo, just preserve existing ones
           expect(newState.todos).toEqual(mockTodos);
-          expect(newState.loading).toBe(false);
+          // Item mutations leave the list-wide loading flag to fetch/add
+          expect(newState.loading).toBe(currentState.loading);
           expect(newState.error).toBe(null);
         });
 
@@ -468,7 +489,8 @@ describe('todoReducer', () => {
       expect(newState.todos).not.toContain(mockTodos[1]);
       expect(newState.todos).toContain(mockTodos[0]);
       expect(newState.todos).toContain(mockTodos[2]);
-      expect(newState.loading).toBe(false);
+      // Item mutations leave the list-wide loading flag to fetch/add
+      expect(newState.loading).toBe(currentState.loading);
       expect(newState.error).toBe(null);
     });
 
@@ -489,6 +511,26 @@ describe('todoReducer', () => {
       expect(newState.todos).toEqual([mockTodos[1], mockTodos[2]]);
     });
 
+    it('removes the subtasks of the deleted todo', () => {
+      const currentState = {
+        todos: [
+          mockTodos[0],
+          { id: 'sub', text: 'Subtask', completed: false, parentId: mockTodos[0].id },
+          { id: 'subsub', text: 'Nested subtask', completed: false, parentId: 'sub' },
+          mockTodos[1]
+        ],
+        loading: false,
+        error: null
+      };
+
+      const newState = todoReducer(currentState, {
+        type: TODO_ACTIONS.DELETE_TODO_SUCCESS,
+        payload: mockTodos[0].id
+      });
+
+      expect(newState.todos).toEqual([mockTodos[1]]);
+    });
+
     it('handles deleting last todo', () => {
       const currentState = {
         todos: [...mockTodos],
@@ -540,7 +582,8 @@ describe('todoReducer', () => {
       
       // Should preserve all todos if ID not found
       expect(newState.todos).toEqual(mockTodos);
-      expect(newState.loading).toBe(false);
+      // Item mutations leave the list-wide loading flag to fetch/add
+      expect(newState.loading).toBe(currentState.loading);
       expect(newState.error).toBe(null);
     });
 
@@ -567,10 +610,7 @@ describe('todoReducer', () => {
   describe('Failure Actions', () => {
     const failureActions = [
       TODO_ACTIONS.FETCH_TODOS_FAILURE,
-      TODO_ACTIONS.ADD_TODO_FAILURE,
-      TODO_ACTIONS.UPDATE_TODO_FAILURE,
-      TODO_ACTIONS.DELETE_TODO_FAILURE,
-      TODO_ACTIONS.TOGGLE_TODO_FAILURE
+      TODO_ACTIONS.ADD_TODO_FAILURE
     ];
 
     failureActions.forEach(actionType => {
@@ -598,6 +638,46 @@ describe('todoReducer', () => {
       });
     });
 
+    [
+      TODO_ACTIONS.UPDATE_TODO_FAILURE,
+      TODO_ACTIONS.DELETE_TODO_FAILURE,
+      TODO_ACTIONS.TOGGLE_TODO_FAILURE
+    ].forEach(actionType => {
+      it(`falls back to the list-wide error when ${actionType} has no todo id`, () => {
+        const currentState = {
+          todos: mockTodos,
+          loading: false,
+          error: null
+        };
+
+        const newState = todoReducer(currentState, { type: actionType, payload: 'Something went wrong' });
+
+        expect(newState).toEqual({
+          todos: mockTodos,
+          loading: false,
+          error: 'Something went wrong'
+        });
+      });
+
+      it(`keeps ${actionType} with a todo id out of the list-wide error`, () => {
+        const currentState = {
+          ...initialState,
+          todos: mockTodos,
+          todoErrors: { '2': { message: 'Earlier failure', retry: null } }
+        };
+
+        const newState = todoReducer(currentState, {
+          type: actionType,
+          payload: 'Something went wrong',
+          meta: { id: '1' }
+        });
+
+        expect(newState.error).toBe(null);
+        expect(newState.todoErrors['1'].message).toBe('Something went wrong');
+        expect(newState.todoErrors['2'].message).toBe('Earlier failure');
+      });
+    });
+
     it('preserves todos when error occurs', () => {
       const currentState = {
         todos: mockTodos,
@@ -639,6 +719,318 @@ describe('todoReducer', () => {
     });
   });
 
+  describe('Optimistic Item Mutations', () => {
+    const loadedState = {
+      ...initialState,
+      todos: mockTodos
+    };
+
+    it('applies a toggle immediately and records the pending mutation', () => {
+      const state = todoReducer(loadedState, { type: TODO_ACTIONS.TOGGLE_TODO_REQUEST, payload: '1' });
+
+      expect(state.todos[0].completed).toBe(true);
+      expect(state.pendingMutations['1']).toEqual({
+        operation: 'toggle',
+        previous: mockTodos[0],
+        index: 0,
+        count: 1,
+        request: { type: TODO_ACTIONS.TOGGLE_TODO_REQUEST, payload: '1' }
+      });
+    });
+
+    it('applies an update immediately', () => {
+      const state = todoReducer(loadedState, {
+        type: TODO_ACTIONS.UPDATE_TODO_REQUEST,
+        payload: { id: '2', updates: { text: 'Edited' } }
+      });
+
+      expect(state.todos[1].text).toBe('Edited');
+      expect(state.pendingMutations['2'].operation).toBe('update');
+    });
+
+    it('removes a deleted todo immediately', () => {
+      const state = todoReducer(loadedState, { type: TODO_ACTIONS.DELETE_TODO_REQUEST, payload: '2' });
+
+      expect(state.todos.map(todo => todo.id)).toEqual(['1', '3']);
+      expect(state.pendingMutations['2'].index).toBe(1);
+    });
+
+    it('ignores requests for unknown todos', () => {
+      const state = todoReducer(loadedState, { type: TODO_ACTIONS.TOGGLE_TODO_REQUEST, payload: 'missing' });
+
+      expect(state.todos).toBe(loadedState.todos);
+      expect(state.pendingMutations).toEqual({});
+    });
+
+    it('replaces the optimistic todo with the server copy on success', () => {
+      let state = todoReducer(loadedState, { type: TODO_ACTIONS.TOGGLE_TODO_REQUEST, payload: '1' });
+      const serverTodo = { ...mockTodos[0], completed: true, updatedAt: '2023-02-01T00:00:00.000Z' };
+      state = todoReducer(state, { type: TODO_ACTIONS.TOGGLE_TODO_SUCCESS, payload: serverTodo });
+
+      expect(state.todos[0]).toEqual(serverTodo);
+      expect(state.pendingMutations).toEqual({});
+    });
+
+    it('rolls back only the failed todo and keeps its retry handle', () => {
+      const request = { type: TODO_ACTIONS.TOGGLE_TODO_REQUEST, payload: '1' };
+      let state = todoReducer(loadedState, request);
+      state = todoReducer(state, {
+        type: TODO_ACTIONS.UPDATE_TODO_REQUEST,
+        payload: { id: '3', updates: { text: 'Still pending' } }
+      });
+      state = todoReducer(state, {
+        type: TODO_ACTIONS.TOGGLE_TODO_FAILURE,
+        payload: 'Failed to toggle todo',
+        meta: { id: '1' }
+      });
+
+      expect(state.todos[0]).toEqual(mockTodos[0]);
+      expect(state.todos[2].text).toBe('Still pending');
+      expect(state.pendingMutations).toEqual({ '3': expect.objectContaining({ operation: 'update' }) });
+      expect(state.todoErrors).toEqual({ '1': { message: 'Failed to toggle todo', retry: request } });
+    });
+
+    it('re-inserts a todo at its original position when delete fails', () => {
+      let state = todoReducer(loadedState, { type: TODO_ACTIONS.DELETE_TODO_REQUEST, payload: '2' });
+      state = todoReducer(state, {
+        type: TODO_ACTIONS.DELETE_TODO_FAILURE,
+        payload: 'Failed to delete todo',
+        meta: { id: '2' }
+      });
+
+      expect(state.todos).toEqual(mockTodos);
+      expect(state.todoErrors['2'].message).toBe('Failed to delete todo');
+    });
+
+    it('keeps the optimistic copy while other mutations of the same todo are in flight', () => {
+      let state = todoReducer(loadedState, { type: TODO_ACTIONS.TOGGLE_TODO_REQUEST, payload: '1' });
+      state = todoReducer(state, { type: TODO_ACTIONS.TOGGLE_TODO_REQUEST, payload: '1' });
+      expect(state.todos[0].completed).toBe(false);
+
+      const firstConfirmed = { ...mockTodos[0], completed: true };
+      state = todoReducer(state, { type: TODO_ACTIONS.TOGGLE_TODO_SUCCESS, payload: firstConfirmed });
+      expect(state.todos[0].completed).toBe(false);
+      expect(state.pendingMutations['1']).toMatchObject({ previous: firstConfirmed, count: 1 });
+
+      state = todoReducer(state, {
+        type: TODO_ACTIONS.TOGGLE_TODO_FAILURE,
+        payload: 'Failed to toggle todo',
+        meta: { id: '1' }
+      });
+      expect(state.todos[0]).toEqual(firstConfirmed);
+    });
+
+    it('clears a previous failure when the todo is mutated again', () => {
+      const failedState = {
+        ...loadedState,
+        todoErrors: { '1': { message: 'Failed to toggle todo', retry: null } }
+      };
+      const state = todoReducer(failedState, { type: TODO_ACTIONS.TOGGLE_TODO_REQUEST, payload: '1' });
+
+      expect(state.todoErrors).toEqual({});
+    });
+  });
+
+  describe('Offline Queue', () => {
+    const loadedState = {
+      ...initialState,
+      todos: mockTodos
+    };
+
+    const queued = (overrides) => ({
+      id: 'q1',
+      operation: 'toggle',
+      todoId: '1',
+      baseVersion: mockTodos[0].createdAt,
+      queuedAt: '2023-03-01T00:00:00.000Z',
+      ...overrides
+    });
+
+    it('keeps an offline change applied and stops treating it as in flight', () => {
+      let state = todoReducer(loadedState, { type: TODO_ACTIONS.TOGGLE_TODO_REQUEST, payload: '1' });
+      state = todoReducer(state, { type: TODO_ACTIONS.QUEUE_MUTATION_SUCCESS, payload: queued() });
+
+      expect(state.todos[0].completed).toBe(true);
+      expect(state.pendingMutations).toEqual({});
+      expect(state.queuedMutations).toEqual({ '1': 1 });
+    });
+
+    it('shows a local todo for an add made offline', () => {
+      let state = todoReducer(loadedState, { type: TODO_ACTIONS.ADD_TODO_REQUEST, payload: { text: 'Offline' } });
+      state = todoReducer(state, {
+        type: TODO_ACTIONS.QUEUE_MUTATION_SUCCESS,
+        payload: queued({ operation: 'add', todoId: 'local-1', payload: { text: 'Offline' }, baseVersion: null })
+      });
+
+      expect(state.loading).toBe(false);
+      expect(state.todos[3]).toEqual({
+        id: 'local-1',
+        text: 'Offline',
+        completed: false,
+        createdAt: '2023-03-01T00:00:00.000Z'
+      });
+      expect(state.queuedMutations).toEqual({ 'local-1': 1 });
+    });
+
+    it('swaps replayed todos for their server copies', () => {
+      const offlineState = {
+        ...loadedState,
+        todos: [...mockTodos, { id: 'local-1', text: 'Offline', completed: false }],
+        queuedMutations: { '1': 1, 'local-1': 2 }
+      };
+      const created = { id: '4', text: 'Offline', completed: false, createdAt: '2023-03-02T00:00:00.000Z' };
+      const toggled = { ...mockTodos[0], completed: true, updatedAt: '2023-03-02T00:00:00.000Z' };
+
+      const state = todoReducer(offlineState, {
+        type: TODO_ACTIONS.REPLAY_QUEUE_SUCCESS,
+        payload: {
+          synced: [
+            { mutation: queued(), todo: toggled },
+            { mutation: queued({ operation: 'add', todoId: 'local-1' }), todo: created }
+          ],
+          conflicts: [],
+          rejected: [],
+          remaining: 1
+        }
+      });
+
+      expect(state.todos.map(todo => todo.id)).toEqual(['1', '2', '3', '4']);
+      expect(state.todos[0]).toEqual(toggled);
+      // The change still queued for the offline todo now belongs to its server id
+      expect(state.queuedMutations).toEqual({ '4': 1 });
+    });
+
+    it('keeps the server copy on conflict and offers to re-apply the offline change', () => {
+      const offlineState = {
+        ...loadedState,
+        todos: [{ ...mockTodos[0], text: 'Mine' }, mockTodos[1], mockTodos[2]],
+        queuedMutations: { '1': 1 }
+      };
+      const theirs = { ...mockTodos[0], text: 'Theirs', updatedAt: '2023-03-02T00:00:00.000Z' };
+      const mutation = queued({ operation: 'update', payload: { text: 'Mine' } });
+
+      const state = todoReducer(offlineState, {
+        type: TODO_ACTIONS.REPLAY_QUEUE_SUCCESS,
+        payload: { synced: [], conflicts: [{ mutation, serverTodo: theirs }], rejected: [], remaining: 0 }
+      });
+
+      expect(state.todos[0]).toEqual(theirs);
+      expect(state.queuedMutations).toEqual({});
+      expect(state.todoErrors['1']).toEqual({
+        message: 'Changed on the server while you were offline',
+        retry: { type: TODO_ACTIONS.UPDATE_TODO_REQUEST, payload: { id: '1', updates: { text: 'Mine' } } }
+      });
+    });
+
+    it('drops a local todo whose add was rejected', () => {
+      const offlineState = {
+        ...loadedState,
+        todos: [...mockTodos, { id: 'local-1', text: 'Offline', completed: false }],
+        queuedMutations: { 'local-1': 1 }
+      };
+
+      const state = todoReducer(offlineState, {
+        type: TODO_ACTIONS.REPLAY_QUEUE_SUCCESS,
+        payload: {
+          synced: [],
+          conflicts: [],
+          rejected: [{ mutation: queued({ operation: 'add', todoId: 'local-1' }), error: 'Todo text is required' }],
+          remaining: 0
+        }
+      });
+
+      expect(state.todos).toEqual(mockTodos);
+      expect(state.queuedMutations).toEqual({});
+      expect(state.error).toBe('Todo text is required');
+    });
+  });
+
+  describe('Manual Order', () => {
+    const ordered = [
+      { id: '1', text: 'First', completed: false, order: 1 },
+      { id: '2', text: 'Second', completed: false, order: 2 },
+      { id: '3', text: 'Third', completed: false, order: 3 }
+    ];
+
+    it('moves a todo as soon as the move is requested', () => {
+      const newState = todoReducer({ ...initialState, todos: ordered }, {
+        type: TODO_ACTIONS.REORDER_TODO_REQUEST,
+        payload: { id: '3', target: { beforeId: '2' } }
+      });
+
+      expect(newState.todos.map(todo => todo.order)).toEqual([1, 2, 1.5]);
+    });
+
+    it('ignores moves onto unknown todos', () => {
+      const state = { ...initialState, todos: ordered };
+
+      expect(todoReducer(state, {
+        type: TODO_ACTIONS.REORDER_TODO_REQUEST,
+        payload: { id: '3', target: { beforeId: 'missing' } }
+      })).toBe(state);
+    });
+
+    it('applies the orders confirmed by the server', () => {
+      const newState = todoReducer({ ...initialState, todos: ordered }, {
+        type: TODO_ACTIONS.REORDER_TODO_SUCCESS,
+        payload: [{ ...ordered[0], order: 4 }]
+      });
+
+      expect(newState.todos.map(todo => todo.order)).toEqual([4, 2, 3]);
+    });
+  });
+
+  describe('Batch Operations', () => {
+    const todos = [
+      { id: '1', text: 'First', completed: false },
+      { id: '2', text: 'Second', completed: true },
+      { id: '3', text: 'Third', completed: false }
+    ];
+    const request = { action: 'complete', ids: ['1', '3', 'missing'] };
+
+    it('applies what the server changed and reports failed items with a retry', () => {
+      const newState = todoReducer({ ...initialState, todos }, {
+        type: TODO_ACTIONS.BATCH_TODOS_SUCCESS,
+        payload: {
+          results: [{ id: '1', ok: true }, { id: '3', ok: true }, { id: 'missing', ok: false, error: 'Todo not found' }],
+          todos: [{ ...todos[0], completed: true }, { ...todos[2], completed: true }],
+          deleted: []
+        },
+        meta: { request }
+      });
+
+      expect(newState.todos.map(todo => todo.completed)).toEqual([true, true, true]);
+      expect(newState.error).toBe('1 of 3 todos could not be completed');
+      expect(newState.todoErrors.missing).toEqual({
+        message: 'Todo not found',
+        retry: { type: TODO_ACTIONS.BATCH_TODOS_REQUEST, payload: { action: 'complete', ids: ['missing'] } }
+      });
+    });
+
+    it('removes deleted todos and clears errors of items that went through', () => {
+      const state = { ...initialState, todos, todoErrors: { 2: { message: 'Earlier failure', retry: null } } };
+      const newState = todoReducer(state, {
+        type: TODO_ACTIONS.BATCH_TODOS_SUCCESS,
+        payload: { results: [{ id: '2', ok: true }], todos: [], deleted: ['2'] },
+        meta: { request: { action: 'delete', ids: ['2'] } }
+      });
+
+      expect(newState.todos.map(todo => todo.id)).toEqual(['1', '3']);
+      expect(newState.todoErrors).toEqual({});
+      expect(newState.error).toBeNull();
+    });
+
+    it('keeps the list when the whole batch fails', () => {
+      const newState = todoReducer({ ...initialState, todos }, {
+        type: TODO_ACTIONS.BATCH_TODOS_FAILURE,
+        payload: 'Batch action must be one of complete, reopen, delete, move, tag'
+      });
+
+      expect(newState.todos).toBe(todos);
+      expect(newState.error).toBe('Batch action must be one of complete, reopen, delete, move, tag');
+    });
+  });
+
   describe('State Immutability', () => {
     it('never mutates the input state', () => {
       const currentState = {
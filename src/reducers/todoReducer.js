@@ -1,9 +1,114 @@
-import { TODO_ACTIONS } from '../actions/todoActions';
+import { TODO_ACTIONS, queuedMutationRequest, batchTodosRequest } from '../actions/todoActions';
+import {
+  applyOptimisticChange,
+  beginMutation,
+  confirmMutation,
+  rollbackTodo,
+  settleMutation,
+  clearTodoError,
+  countQueued,
+  createLocalTodo,
+  applyReplayResult
+} from '../utils/optimisticTodos';
+import { applyReorder, reorderTodos } from '../utils/todoOrder';
+import { applyBatchResult, describeBatchFailures, recordBatchErrors } from '../utils/todoBatch';
 
 const initialState = {
   todos: [],
   loading: false,
-  error: null
+  error: null,
+  // In-flight item mutations keyed by todo id (snapshot used for rollback)
+  pendingMutations: {},
+  // Last failed item mutation keyed by todo id: { message, retry } where retry is the request action
+  todoErrors: {},
+  // Offline mutations waiting for replay, counted per todo id
+  queuedMutations: {}
+};
+
+const ITEM_OPERATIONS = {
+  [TODO_ACTIONS.UPDATE_TODO_REQUEST]: 'update',
+  [TODO_ACTIONS.TOGGLE_TODO_REQUEST]: 'toggle',
+  [TODO_ACTIONS.DELETE_TODO_REQUEST]: 'delete'
+};
+
+const getRequestId = (action) =>
+  action.type === TODO_ACTIONS.UPDATE_TODO_REQUEST ? action.payload?.id : action.payload;
+
+// Apply an update/toggle/delete immediately and remember how to undo it
+const applyOptimisticRequest = (state, action) => {
+  const id = getRequestId(action);
+  const operation = ITEM_OPERATIONS[action.type];
+  const pendingMutations = id !== undefined && id !== null
+    ? beginMutation(state.pendingMutations, state.todos, id, operation, action)
+    : null;
+
+  if (!pendingMutations) {
+    return state;
+  }
+
+  return {
+    ...state,
+    todos: applyOptimisticChange(state.todos, operation, id, action.payload?.updates),
+    pendingMutations,
+    todoErrors: clearTodoError(state.todoErrors, id)
+  };
+};
+
+// Confirm an item mutation with the server copy of the todo
+const applyConfirmedTodo = (state, todo) => {
+  if (!state.pendingMutations) {
+    return {
+      todos: state.todos.map(item => (item.id === todo.id ? todo : item))
+    };
+  }
+
+  const { todos, pending } = confirmMutation(state.pendingMutations, state.todos, todo);
+  return {
+    todos,
+    pendingMutations: pending,
+    todoErrors: clearTodoError(state.todoErrors, todo.id)
+  };
+};
+
+// Undo only the todo whose mutation failed and keep its error and retry handle
+const rollbackFailedRequest = (state, id, error) => {
+  const mutation = state.pendingMutations?.[id];
+  return {
+    todos: mutation ? rollbackTodo(state.todos, mutation) : state.todos,
+    pendingMutations: settleMutation(state.pendingMutations, id),
+    todoErrors: {
+      ...state.todoErrors,
+      [id]: { message: error, retry: mutation ? mutation.request : null }
+    }
+  };
+};
+
+// Keep a mutation made offline on screen: an add shows a local todo, anything else keeps
+// its optimistic change and stops being in flight
+const applyQueuedMutation = (state, mutation) => {
+  const queuedMutations = countQueued(state.queuedMutations, mutation.todoId, 1);
+
+  if (mutation.operation === 'add') {
+    return {
+      loading: false,
+      todos: [...state.todos, createLocalTodo(mutation.todoId, mutation.payload, mutation.queuedAt)],
+      queuedMutations
+    };
+  }
+
+  return {
+    pendingMutations: settleMutation(state.pendingMutations, mutation.todoId),
+    queuedMutations
+  };
+};
+
+const applyReplayedQueue = (state, result) => {
+  const { todos, queued, errors, error } = applyReplayResult(
+    { todos: state.todos, queued: state.queuedMutations, errors: state.todoErrors, error: state.error },
+    result,
+    queuedMutationRequest
+  );
+  return { todos, queuedMutations: queued, todoErrors: errors, error };
 };
 
 const todoReducer = (state = initialState, action) => {
@@ -14,15 +119,18 @@ const todoReducer = (state = initialState, action) => {
   switch (action.type) {
     case TODO_ACTIONS.FETCH_TODOS_REQUEST:
     case TODO_ACTIONS.ADD_TODO_REQUEST:
-    case TODO_ACTIONS.UPDATE_TODO_REQUEST:
-    case TODO_ACTIONS.DELETE_TODO_REQUEST:
-    case TODO_ACTIONS.TOGGLE_TODO_REQUEST:
       return {
         ...state,
         loading: true,
         error: null
       };
 
+    // Item mutations only touch their own todo - the list-wide loading/error flags stay put
+    case TODO_ACTIONS.UPDATE_TODO_REQUEST:
+    case TODO_ACTIONS.DELETE_TODO_REQUEST:
+    case TODO_ACTIONS.TOGGLE_TODO_REQUEST:
+      return applyOptimisticRequest(state, action);
+
     case TODO_ACTIONS.FETCH_TODOS_SUCCESS:
       return {
         ...state,
@@ -41,37 +149,110 @@ const todoReducer = (state = initialState, action) => {
 
     case TODO_ACTIONS.UPDATE_TODO_SUCCESS:
     case TODO_ACTIONS.TOGGLE_TODO_SUCCESS:
+      if (!action.payload) {
+        return state;
+      }
+      return {
+        ...state,
+        ...applyConfirmedTodo(state, action.payload)
+      };
+
+    // Moves show right away; a failed move reloads the list (see reorderTodoSaga)
+    case TODO_ACTIONS.REORDER_TODO_REQUEST: {
+      const changed = reorderTodos(state.todos, action.payload.id, action.payload.target);
+      return changed ? { ...state, todos: applyReorder(state.todos, changed) } : state;
+    }
+
+    case TODO_ACTIONS.REORDER_TODO_SUCCESS:
+      return {
+        ...state,
+        todos: applyReorder(state.todos, action.payload)
+      };
+
+    case TODO_ACTIONS.REORDER_TODO_FAILURE:
+      return {
+        ...state,
+        error: action.payload
+      };
+
+    case TODO_ACTIONS.BATCH_TODOS_REQUEST:
       return {
         ...state,
-        loading: false,
-        todos: state.todos.map(todo =>
-          todo.id === action.payload.id ? action.payload : todo
-        ),
         error: null
       };
 
+    // Todos the batch could not apply to get an error whose retry repeats it for them alone
+    case TODO_ACTIONS.BATCH_TODOS_SUCCESS: {
+      const { request } = action.meta;
+      return {
+        ...state,
+        todos: applyBatchResult(state.todos, action.payload),
+        todoErrors: recordBatchErrors(state.todoErrors, action.payload,
+          id => batchTodosRequest({ ...request, ids: [id] })),
+        error: describeBatchFailures(action.payload, request.action)
+      };
+    }
+
+    case TODO_ACTIONS.BATCH_TODOS_FAILURE:
+      return {
+        ...state,
+        error: action.payload
+      };
+
+    // The server deletes subtasks along with their parent
     case TODO_ACTIONS.DELETE_TODO_SUCCESS:
       return {
         ...state,
-        loading: false,
-        todos: state.todos.filter(todo => todo.id !== action.payload),
-        error: null
+        todos: applyOptimisticChange(state.todos, 'delete', action.payload),
+        ...(state.pendingMutations && {
+          pendingMutations: settleMutation(state.pendingMutations, action.payload)
+        })
       };
 
-    case TODO_ACTIONS.FETCH_TODOS_FAILURE:
-    case TODO_ACTIONS.ADD_TODO_FAILURE:
+    // Failures without a todo id (older callers) still fall back to the list-wide error
     case TODO_ACTIONS.UPDATE_TODO_FAILURE:
     case TODO_ACTIONS.DELETE_TODO_FAILURE:
     case TODO_ACTIONS.TOGGLE_TODO_FAILURE:
+      if (action.meta?.id === undefined) {
+        return {
+          ...state,
+          error: action.payload
+        };
+      }
+      return {
+        ...state,
+        ...rollbackFailedRequest(state, action.meta.id, action.payload)
+      };
+
+    case TODO_ACTIONS.FETCH_TODOS_FAILURE:
+    case TODO_ACTIONS.ADD_TODO_FAILURE:
       return {
         ...state,
         loading: false,
         error: action.payload
       };
 
+    case TODO_ACTIONS.QUEUE_MUTATION_SUCCESS:
+      if (!action.payload) {
+        return state;
+      }
+      return {
+        ...state,
+        ...applyQueuedMutation(state, action.payload)
+      };
+
+    case TODO_ACTIONS.REPLAY_QUEUE_SUCCESS:
+      if (!action.payload) {
+        return state;
+      }
+      return {
+        ...state,
+        ...applyReplayedQueue(state, action.payload)
+      };
+
     default:
       return state;
   }
 };
 
-export default todoReducer;
\ No newline at end of file
+export default todoReducer;
@@ -1,7 +1,16 @@
-import { call, put, takeEvery, takeLatest } from 'redux-saga/effects';
-import { todoApi } from '../services/todoApi';
+import { eventChannel } from 'redux-saga';
+import { call, fork, put, select, take, takeEvery, takeLatest } from 'redux-saga/effects';
+import { todoApi, isConflictError, isNetworkError } from '../services/todoApi';
+import {
+  getOfflineQueue,
+  createLocalTodoId,
+  isLocalTodoId,
+  subscribeToReconnect,
+  todoVersion
+} from '../services/offlineQueue';
 import {
   TODO_ACTIONS,
+  fetchTodosRequest,
   fetchTodosSuccess,
   fetchTodosFailure,
   addTodoSuccess,
@@ -11,8 +20,43 @@ import {
   deleteTodoSuccess,
   deleteTodoFailure,
   toggleTodoSuccess,
-  toggleTodoFailure
+  toggleTodoFailure,
+  reorderTodoSuccess,
+  reorderTodoFailure,
+  batchTodosSuccess,
+  batchTodosFailure,
+  queueMutationSuccess,
+  replayQueueSuccess
 } from '../actions/todoActions';
+import { completionChanges } from '../utils/todoTree';
+
+// The server could not be reached - keep the change locally and queue it for replay.
+// The version it was made against is the snapshot the optimistic update started from.
+function* queueOfflineMutation(operation, todoId, payload) {
+  const pending = yield select(state => state.todos.pendingMutations?.[todoId]);
+  const mutation = yield call([getOfflineQueue(), 'enqueue'], {
+    operation,
+    todoId,
+    payload,
+    baseVersion: todoVersion(pending?.previous)
+  });
+  yield put(queueMutationSuccess(mutation));
+}
+
+// The revision a change to this todo is made against (sent as If-Match). The reducer keeps
+// the last confirmed copy, and every change still in flight before this one bumps it by one.
+function* expectedRevision(todoId) {
+  const pending = yield select(state => state.todos.pendingMutations?.[todoId]);
+  return pending ? (pending.previous.revision || 0) + pending.count - 1 : undefined;
+}
+
+// The todo changed on the server since it was loaded - the failure rolls it back, and the
+// reload brings in the server copy
+function* reloadOnConflict(error) {
+  if (isConflictError(error)) {
+    yield put(fetchTodosRequest());
+  }
+}
 
 function* fetchTodosSaga() {
   try {
@@ -29,39 +73,131 @@ function* addTodoSaga(action) {
     const todo = yield call(todoApi.addTodo, action.payload);
     yield put(addTodoSuccess(todo));
   } catch (error) {
+    if (isNetworkError(error)) {
+      yield call(queueOfflineMutation, 'add', createLocalTodoId(), action.payload);
+      return;
+    }
     const errorMessage = error?.message || error || 'Failed to add todo';
     yield put(addTodoFailure(errorMessage));
   }
 }
 
+// Update, delete and toggle are applied optimistically by the reducer on *_REQUEST;
+// failures carry the todo id so the reducer can roll back just that todo. Todos created
+// offline have no server copy yet, so their changes go straight to the offline queue.
 function* updateTodoSaga(action) {
+  const { id, updates } = action.payload || {};
   try {
-    const { id, updates } = action.payload || {};
-    const todo = yield call(todoApi.updateTodo, id, updates);
+    if (isLocalTodoId(id)) {
+      yield call(queueOfflineMutation, 'update', id, updates);
+      return;
+    }
+    const revision = yield call(expectedRevision, id);
+    const todo = yield call(todoApi.updateTodo, id, updates, revision);
     yield put(updateTodoSuccess(todo));
   } catch (error) {
+    if (isNetworkError(error)) {
+      yield call(queueOfflineMutation, 'update', id, updates);
+      return;
+    }
     const errorMessage = error?.message || error || 'Failed to update todo';
-    yield put(updateTodoFailure(errorMessage));
+    yield put(updateTodoFailure(errorMessage, id));
+    yield call(reloadOnConflict, error);
   }
 }
 
 function* deleteTodoSaga(action) {
   try {
-    yield call(todoApi.deleteTodo, action.payload);
+    if (isLocalTodoId(action.payload)) {
+      yield call(queueOfflineMutation, 'delete', action.payload);
+      return;
+    }
+    const revision = yield call(expectedRevision, action.payload);
+    yield call(todoApi.deleteTodo, action.payload, revision);
     yield put(deleteTodoSuccess(action.payload));
   } catch (error) {
+    if (isNetworkError(error)) {
+      yield call(queueOfflineMutation, 'delete', action.payload);
+      return;
+    }
     const errorMessage = error?.message || error || 'Failed to delete todo';
-    yield put(deleteTodoFailure(errorMessage));
+    yield put(deleteTodoFailure(errorMessage, action.payload));
+    yield call(reloadOnConflict, error);
   }
 }
 
 function* toggleTodoSaga(action) {
   try {
-    const todo = yield call(todoApi.toggleTodo, action.payload);
+    if (isLocalTodoId(action.payload)) {
+      yield call(queueOfflineMutation, 'toggle', action.payload);
+      return;
+    }
+    const pending = yield select(state => state.todos.pendingMutations?.[action.payload]);
+    const todos = yield select(state => state.todos.todos);
+    const revision = yield call(expectedRevision, action.payload);
+    const todo = yield call(todoApi.toggleTodo, action.payload, revision);
     yield put(toggleTodoSuccess(todo));
+    // Completing a recurring todo created its next occurrence on the server, and completing
+    // a parent completed its subtasks there too
+    const completed = !!pending && !pending.previous.completed;
+    if (completed && (pending.previous.recurrence || completionChanges(todos, action.payload, true).length > 0)) {
+      yield put(fetchTodosRequest());
+    }
   } catch (error) {
+    if (isNetworkError(error)) {
+      yield call(queueOfflineMutation, 'toggle', action.payload);
+      return;
+    }
     const errorMessage = error?.message || error || 'Failed to toggle todo';
-    yield put(toggleTodoFailure(errorMessage));
+    yield put(toggleTodoFailure(errorMessage, action.payload));
+    yield call(reloadOnConflict, error);
+  }
+}
+
+// Not queued offline - a failed move reloads the server order instead
+function* reorderTodoSaga(action) {
+  const { id, target } = action.payload;
+  try {
+    const todos = yield call(todoApi.reorderTodo, id, target);
+    yield put(reorderTodoSuccess(todos));
+  } catch (error) {
+    const errorMessage = error?.message || error || 'Failed to move todo';
+    yield put(reorderTodoFailure(errorMessage));
+    yield put(fetchTodosRequest());
+  }
+}
+
+// Batches are not optimistic - the list changes once the server reports what it applied
+function* batchTodosSaga(action) {
+  try {
+    const result = yield call(todoApi.batch, action.payload);
+    yield put(batchTodosSuccess(result, action.payload));
+  } catch (error) {
+    const errorMessage = error?.message || error || 'Failed to update todos';
+    yield put(batchTodosFailure(errorMessage));
+  }
+}
+
+function* replayOfflineQueueSaga() {
+  const result = yield call([getOfflineQueue(), 'replay'], todoApi);
+  if (result.synced.length || result.conflicts.length || result.rejected.length) {
+    yield put(replayQueueSuccess(result));
+  }
+  // Rejected changes are still applied locally - reload the server copy
+  if (result.rejected.length) {
+    yield put(fetchTodosRequest());
+  }
+}
+
+const createReconnectChannel = () => eventChannel(emit => subscribeToReconnect(() => emit(true)));
+
+// Replay whatever is left from the last session, then again every time the browser reconnects
+function* watchOfflineQueue() {
+  const reconnects = yield call(createReconnectChannel);
+  yield fork(replayOfflineQueueSaga);
+  while (true) {
+    yield take(reconnects);
+    yield call(replayOfflineQueueSaga);
   }
 }
 
@@ -71,6 +207,9 @@ function* watchTodoSagas() {
   yield takeEvery(TODO_ACTIONS.UPDATE_TODO_REQUEST, updateTodoSaga);
   yield takeEvery(TODO_ACTIONS.DELETE_TODO_REQUEST, deleteTodoSaga);
   yield takeEvery(TODO_ACTIONS.TOGGLE_TODO_REQUEST, toggleTodoSaga);
+  yield takeEvery(TODO_ACTIONS.REORDER_TODO_REQUEST, reorderTodoSaga);
+  yield takeEvery(TODO_ACTIONS.BATCH_TODOS_REQUEST, batchTodosSaga);
+  yield fork(watchOfflineQueue);
 }
 
 export {
@@ -79,6 +218,10 @@ export {
   updateTodoSaga,
   deleteTodoSaga,
   toggleTodoSaga,
+  reorderTodoSaga,
+  batchTodosSaga,
+  replayOfflineQueueSaga,
+  watchOfflineQueue,
   watchTodoSagas,
 };
 
@@ -0,0 +1,132 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { act, fireEvent, screen, within } from '@testing-library/react';
+import { renderToString } from 'react-dom/server';
+import { hydrateRoot } from 'react-dom/client';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileTodoStorage, setTodoStorage } from '../storage';
+import { createList, createTodo } from '../todoService';
+import { JotaiProvider } from '../../utils/providers';
+import HomePage from '../../../app/page';
+import ListPage from '../../../app/lists/[listId]/page';
+
+vi.mock('next/navigation', () => ({
+  useRouter: () => ({ push: vi.fn() }),
+  usePathname: () => '/',
+}));
+
+// What Next sends for a page: the server component awaited, then rendered to HTML
+const renderPage = async (page) => {
+  const element = <JotaiProvider>{await page}</JotaiProvider>;
+  return { element, html: renderToString(element) };
+};
+
+describe('server rendering', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'todos-'));
+    setTodoStorage(new FileTodoStorage(path.join(tempDir, 'todos.json')));
+    vi.stubEnv('REACT_APP_USE_TANSTACK_QUERY', 'true');
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    setTodoStorage(null);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('puts the todos from the store into the first HTML response', async () => {
+    await createTodo({ text: 'Rendered on the server', priority: 'urgent' });
+
+    const { html } = await renderPage(HomePage());
+
+    expect(html).toContain('Learn React 16');
+    expect(html).toContain('Set up Redux with Saga');
+    expect(html).toContain('Rendered on the server');
+    expect(html).toContain('Total: <!-- -->4');
+    expect(html).not.toContain('Loading...');
+  });
+
+  it('renders a named list with only its own todos', async () => {
+    const list = await createList({ name: 'Groceries' });
+    await createTodo({ text: 'Buy milk', listId: list.id });
+
+    const { html } = await renderPage(ListPage({ params: Promise.resolve({ listId: list.id }) }));
+
+    expect(html).toContain('Groceries');
+    expect(html).toContain('Buy milk');
+    expect(html).not.toContain('Learn React 16');
+  });
+
+  it('hydrates from the rendered todos without refetching them', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch');
+    const { element, html } = await renderPage(HomePage());
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    document.body.appendChild(container);
+    const onRecoverableError = vi.fn();
+
+    let root;
+    await act(async () => {
+      root = hydrateRoot(container, element, { onRecoverableError });
+    });
+
+    expect(onRecoverableError).not.toHaveBeenCalled();
+    expect(container.textContent).toContain('Build TODO app');
+    // Only the Trash purge goes to the server on mount - the todos are not fetched again
+    expect(fetchSpy.mock.calls.filter(([url, options]) => url.indexOf('/api/todos') !== -1 && options.method === 'GET'))
+      .toEqual([]);
+    expect(fetchSpy).toHaveBeenCalledWith(expect.stringContaining('/api/todos/trash/purge'), expect.objectContaining({ method: 'POST' }));
+
+    act(() => root.unmount());
+    container.remove();
+    fetchSpy.mockRestore();
+  });
+
+  it('lists a new todo as saving until the server has it', async () => {
+    let respond;
+    const fetchSpy = vi.spyOn(global, 'fetch').mockImplementation(() => new Promise(resolve => {
+      respond = resolve;
+    }));
+    const { element, html } = await renderPage(HomePage());
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    document.body.appendChild(container);
+    let root;
+    await act(async () => {
+      root = hydrateRoot(container, element);
+    });
+
+    fireEvent.change(screen.getByPlaceholderText('What needs to be done?'), { target: { value: 'Ship it' } });
+    await act(async () => {
+      fireEvent.submit(container.querySelector('.todo-form'));
+    });
+
+    const pendingRow = screen.getByText('Ship it').closest('li');
+    expect(within(pendingRow).getByRole('status', { name: 'Saving (add)' })).toBeInTheDocument();
+
+    const saved = { id: '42', text: 'Ship it', completed: false, createdAt: new Date().toISOString() };
+    await act(async () => {
+      respond(new Response(JSON.stringify(saved), { status: 201, headers: { 'Content-Type': 'application/json' } }));
+    });
+
+    expect(screen.getAllByText('Ship it')).toHaveLength(1);
+    expect(screen.queryByRole('status', { name: 'Saving (add)' })).not.toBeInTheDocument();
+
+    act(() => root.unmount());
+    container.remove();
+    fetchSpy.mockRestore();
+  });
+
+  it('leaves the todos to the browser without server state', async () => {
+    vi.stubEnv('REACT_APP_USE_TANSTACK_QUERY', 'false');
+
+    const { html } = await renderPage(HomePage());
+
+    expect(html).not.toContain('Learn React 16');
+    expect(html).toContain('No todos yet. Add one above!');
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { revalidatePath } from 'next/cache';
+import { FileTodoStorage, setTodoStorage } from '../storage';
+import { createList, createTodo, getTodo, listTodos } from '../todoService';
+import { addTodoAction, deleteTodoAction, toggleTodoAction, updateTodoAction } from '../todoActions';
+
+vi.mock('next/cache', () => ({ revalidatePath: vi.fn() }));
+
+const INITIAL = { error: null };
+
+// What the browser posts for a form
+const formData = (fields) => {
+  const data = new FormData();
+  Object.keys(fields).forEach(name => data.append(name, fields[name]));
+  return data;
+};
+
+describe('todo server actions', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'todos-'));
+    setTodoStorage(new FileTodoStorage(path.join(tempDir, 'todos.json')));
+  });
+
+  afterEach(async () => {
+    setTodoStorage(null);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('adds a todo from the form fields and revalidates the todo pages', async () => {
+    const list = await createList({ name: 'Groceries' });
+
+    const state = await addTodoAction(INITIAL, formData({
+      text: 'Buy milk #dairy !!', due: '', priority: 'normal', listId: list.id
+    }));
+
+    expect(state).toEqual({ error: null });
+    const added = (await listTodos()).find(todo => todo.text === 'Buy milk');
+    expect(added).toMatchObject({ tags: ['dairy'], priority: 'high', listId: list.id });
+    expect(revalidatePath).toHaveBeenCalledWith('/');
+    expect(revalidatePath).toHaveBeenCalledWith('/lists/[listId]', 'page');
+  });
+
+  it('lets the fields and an @list in the text win', async () => {
+    const groceries = await createList({ name: 'Groceries' });
+    const other = await createList({ name: 'Errands' });
+
+    await addTodoAction(INITIAL, formData({
+      text: 'Buy milk p4 @groceries', due: '2024-05-01T09:30', priority: 'urgent', listId: other.id
+    }));
+
+    const added = (await listTodos()).find(todo => todo.text === 'Buy milk');
+    expect(added.priority).toBe('urgent');
+    expect(added.dueAt).toBe(new Date(2024, 4, 1, 9, 30).toISOString());
+    expect(added.listId).toBe(groceries.id);
+  });
+
+  it('moves a todo added with @inbox to the Inbox', async () => {
+    const errands = await createList({ name: 'Errands' });
+
+    await addTodoAction(INITIAL, formData({ text: 'Buy milk @inbox', due: '', priority: 'normal', listId: errands.id }));
+
+    const added = (await listTodos()).find(todo => todo.text === 'Buy milk');
+    expect(added).toBeDefined();
+    expect(added.listId).toBeFalsy();
+  });
+
+  it('reports invalid input back to the form without revalidating', async () => {
+    await listTodos();
+
+    expect(await addTodoAction(INITIAL, formData({ text: '   ' }))).toEqual({ error: 'Todo text is required' });
+    expect(await toggleTodoAction(INITIAL, formData({ id: 'missing' }))).toEqual({ error: 'Todo not found' });
+    expect(await deleteTodoAction(INITIAL, formData({ id: '1', revision: '4' })))
+      .toEqual({ error: 'Todo was changed by someone else' });
+    expect(await addTodoAction(INITIAL, formData({ text: 'Pay', priority: 'someday' })).then(state => state.error))
+      .toMatch(/priority must be one of/);
+    expect(revalidatePath).not.toHaveBeenCalled();
+  });
+
+  it('toggles, edits and deletes a todo by id', async () => {
+    await listTodos();
+
+    const subtask = await createTodo({ text: 'Read the docs', parentId: '1' });
+    expect(await toggleTodoAction(INITIAL, formData({ id: '1' }))).toEqual({ error: null });
+    expect((await getTodo('1')).completed).toBe(true);
+    expect((await getTodo(subtask.id)).completed).toBe(true);
+
+    await updateTodoAction(INITIAL, formData({ id: '1', text: 'Learn React 19 #frontend' }));
+    expect(await getTodo('1')).toMatchObject({ text: 'Learn React 19', tags: ['frontend'] });
+
+    await deleteTodoAction(INITIAL, formData({ id: '1' }));
+    expect((await listTodos()).map(todo => todo.id)).not.toContain('1');
+  });
+});
@@ -0,0 +1,560 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ACTIVITY_LOG_SIZE, FileTodoStorage, setTodoStorage } from '../storage';
+import * as todosRoute from '../../../app/api/todos/route';
+import * as todoRoute from '../../../app/api/todos/[id]/route';
+import * as toggleRoute from '../../../app/api/todos/[id]/toggle/route';
+import * as reorderRoute from '../../../app/api/todos/[id]/reorder/route';
+import * as moveRoute from '../../../app/api/todos/[id]/move/route';
+import * as batchRoute from '../../../app/api/todos/batch/route';
+import * as restoreRoute from '../../../app/api/todos/[id]/restore/route';
+import * as historyRoute from '../../../app/api/todos/[id]/history/route';
+import * as activityRoute from '../../../app/api/activity/route';
+import * as trashRoute from '../../../app/api/todos/trash/route';
+import * as trashTodoRoute from '../../../app/api/todos/trash/[id]/route';
+import * as trashPurgeRoute from '../../../app/api/todos/trash/purge/route';
+import * as listsRoute from '../../../app/api/lists/route';
+import * as listRoute from '../../../app/api/lists/[listId]/route';
+import * as tagsRoute from '../../../app/api/tags/route';
+import * as tagRoute from '../../../app/api/tags/[tag]/route';
+import * as mergeTagsRoute from '../../../app/api/tags/merge/route';
+
+const jsonRequest = (method, body) => new Request('http://localhost/api/todos', {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+const context = (id) => ({ params: Promise.resolve({ id }) });
+const tagContext = (tag) => ({ params: Promise.resolve({ tag }) });
+const listContext = (listId) => ({ params: Promise.resolve({ listId }) });
+
+describe('todo API route handlers', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'todos-'));
+    filePath = path.join(tempDir, 'todos.json');
+    setTodoStorage(new FileTodoStorage(filePath));
+  });
+
+  afterEach(async () => {
+    setTodoStorage(null);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('seeds the store on first read', async () => {
+    const response = await todosRoute.GET();
+    const todos = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(todos.map(todo => todo.text)).toEqual([
+      'Learn React 16',
+      'Set up Redux with Saga',
+      'Build TODO app'
+    ]);
+  });
+
+  it('creates a todo and persists it to disk', async () => {
+    const response = await todosRoute.POST(jsonRequest('POST', { text: '  Write tests  ' }));
+    const todo = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(todo).toMatchObject({ text: 'Write tests', completed: false });
+    expect(todo.id).toBeTruthy();
+    expect(todo.createdAt).toBeTruthy();
+
+    const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(stored.find(item => item.id === todo.id)).toEqual(todo);
+  });
+
+  it('rejects a todo without text', async () => {
+    const response = await todosRoute.POST(jsonRequest('POST', { text: '   ' }));
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Todo text is required' });
+  });
+
+  it('rejects a malformed JSON body', async () => {
+    const request = new Request('http://localhost/api/todos', { method: 'POST', body: '{nope' });
+    const response = await todosRoute.POST(request);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('updates only whitelisted fields', async () => {
+    const response = await todoRoute.PATCH(
+      jsonRequest('PATCH', { text: 'Renamed', id: 'hijack', createdAt: 'never' }),
+      context('1')
+    );
+    const todo = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(todo.id).toBe('1');
+    expect(todo.text).toBe('Renamed');
+    expect(todo.createdAt).not.toBe('never');
+    expect(todo.updatedAt).toBeTruthy();
+  });
+
+  it('stores, normalizes and clears a due date', async () => {
+    const created = await (await todosRoute.POST(
+      jsonRequest('POST', { text: 'Pay rent', dueAt: '2024-07-01T09:00:00+02:00' })
+    )).json();
+    expect(created.dueAt).toBe('2024-07-01T07:00:00.000Z');
+
+    const cleared = await (await todoRoute.PATCH(
+      jsonRequest('PATCH', { dueAt: null }),
+      context(created.id)
+    )).json();
+    expect(cleared.dueAt).toBeNull();
+  });
+
+  it('rejects an invalid due date', async () => {
+    const response = await todosRoute.POST(jsonRequest('POST', { text: 'Soon', dueAt: 'tomorrow-ish' }));
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Todo dueAt must be an ISO date' });
+  });
+
+  it('validates priorities', async () => {
+    const created = await (await todosRoute.POST(jsonRequest('POST', { text: 'Ship', priority: 'high' }))).json();
+    expect(created.priority).toBe('high');
+
+    const response = await todoRoute.PATCH(jsonRequest('PATCH', { priority: 'asap' }), context(created.id));
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: 'Todo priority must be one of low, normal, high, urgent'
+    });
+  });
+
+  it('manages tags across todos', async () => {
+    const create = async (text, tags) => (await todosRoute.POST(jsonRequest('POST', { text, tags }))).json();
+    const first = await create('Report', ['#Work', 'q3']);
+    await create('Standup', ['job']);
+    await create('Laundry', ['home']);
+    expect(first.tags).toEqual(['work', 'q3']);
+
+    // Renaming onto a tag in use merges them
+    const renamed = await (await tagRoute.PATCH(jsonRequest('PATCH', { name: 'work' }), tagContext('job'))).json();
+    expect(renamed.map(todo => todo.tags)).toEqual([['work']]);
+
+    await mergeTagsRoute.POST(jsonRequest('POST', { tags: ['q3', 'home'], into: 'chores' }));
+    await tagRoute.DELETE(jsonRequest('DELETE'), tagContext('work'));
+
+    expect(await (await tagsRoute.GET()).json()).toEqual([{ tag: 'chores', count: 2 }]);
+  });
+
+  it('rejects invalid and unknown tags', async () => {
+    const invalid = await todosRoute.POST(jsonRequest('POST', { text: 'Bad', tags: ['two words'] }));
+    expect(invalid.status).toBe(400);
+
+    const unknown = await tagRoute.DELETE(jsonRequest('DELETE'), tagContext('nope'));
+    expect(unknown.status).toBe(404);
+    expect(await unknown.json()).toEqual({ error: 'Tag not found' });
+  });
+
+  it('adds subtasks and deletes them with their parent', async () => {
+    const create = async (text, parentId) => (await todosRoute.POST(jsonRequest('POST', { text, parentId }))).json();
+    const parent = await create('Move house');
+    const child = await create('Pack books', parent.id);
+    const grandchild = await create('Buy boxes', child.id);
+    expect(grandchild.parentId).toBe(child.id);
+
+    const response = await todoRoute.DELETE(jsonRequest('DELETE'), context(parent.id));
+    expect(await response.json()).toEqual({ id: parent.id, deleted: [parent.id, child.id, grandchild.id] });
+
+    const todos = await (await todosRoute.GET()).json();
+    expect(todos.map(todo => todo.id)).toEqual(['1', '2', '3']);
+  });
+
+  it('rejects a subtask of an unknown todo', async () => {
+    const response = await todosRoute.POST(jsonRequest('POST', { text: 'Orphan', parentId: 'missing' }));
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Parent todo not found' });
+  });
+
+  it('moves a todo and keeps the new order', async () => {
+    const response = await reorderRoute.POST(jsonRequest('POST', { beforeId: '1' }), context('3'));
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).map(todo => [todo.id, todo.order])).toEqual([['3', 0]]);
+
+    const todos = await (await todosRoute.GET()).json();
+    expect(todos.map(todo => [todo.id, todo.order])).toEqual([['1', 1], ['2', 2], ['3', 0]]);
+  });
+
+  it('rejects a move without a single target', async () => {
+    const responses = await Promise.all([
+      reorderRoute.POST(jsonRequest('POST', {}), context('3')),
+      reorderRoute.POST(jsonRequest('POST', { beforeId: '1', afterId: '2' }), context('3')),
+      reorderRoute.POST(jsonRequest('POST', { beforeId: 'missing' }), context('3')),
+      reorderRoute.POST(jsonRequest('POST', { beforeId: '1' }), context('missing'))
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 404]);
+    expect(await responses[0].json()).toEqual({ error: 'Reorder needs either a beforeId or an afterId' });
+    expect(await responses[2].json()).toEqual({ error: 'Target todo not found' });
+  });
+
+  it('manages lists and files todos in them', async () => {
+    const created = await listsRoute.POST(jsonRequest('POST', { name: '  Travel  ' }));
+    const travel = await created.json();
+    expect(created.status).toBe(201);
+    expect(travel).toMatchObject({ name: 'Travel' });
+
+    const todo = await (await todosRoute.POST(jsonRequest('POST', { text: 'Plan trip', listId: travel.id }))).json();
+    const subtask = await (await todosRoute.POST(jsonRequest('POST', { text: 'Book', parentId: todo.id }))).json();
+    expect(todo.listId).toBe(travel.id);
+    expect(subtask.listId).toBe(travel.id);
+
+    const renamed = await listRoute.PATCH(jsonRequest('PATCH', { name: 'Trips', archived: true }), listContext(travel.id));
+    expect(await renamed.json()).toMatchObject({ id: travel.id, name: 'Trips', archived: true });
+    expect(await (await listsRoute.GET()).json()).toEqual([expect.objectContaining({ name: 'Trips' })]);
+
+    const [deleted, again] = await Promise.all([
+      listRoute.DELETE(jsonRequest('DELETE'), listContext(travel.id)),
+      listRoute.DELETE(jsonRequest('DELETE'), listContext(travel.id))
+    ]);
+    expect(await deleted.json()).toEqual({ id: travel.id, deleted: [todo.id, subtask.id] });
+    expect(again.status).toBe(404);
+    expect(await (await listsRoute.GET()).json()).toEqual([]);
+    expect((await (await todosRoute.GET()).json()).map(item => item.id)).toEqual(['1', '2', '3']);
+  });
+
+  it('moves a todo with its subtasks to another list', async () => {
+    const work = await (await listsRoute.POST(jsonRequest('POST', { name: 'Work' }))).json();
+    const subtask = await (await todosRoute.POST(jsonRequest('POST', { text: 'Step', parentId: '1' }))).json();
+
+    const response = await moveRoute.POST(jsonRequest('POST', { listId: work.id }), context('1'));
+    expect((await response.json()).map(todo => [todo.id, todo.listId])).toEqual([['1', work.id], [subtask.id, work.id]]);
+
+    const back = await moveRoute.POST(jsonRequest('POST', { listId: 'inbox' }), context('1'));
+    expect((await back.json()).map(todo => todo.listId)).toEqual([undefined, undefined]);
+
+    const rejected = await moveRoute.POST(jsonRequest('POST', { listId: work.id }), context(subtask.id));
+    expect(rejected.status).toBe(400);
+    expect(await rejected.json()).toEqual({ error: 'Subtasks move with their parent' });
+  });
+
+  it('rejects unknown lists and changes to the Inbox', async () => {
+    const responses = await Promise.all([
+      todosRoute.POST(jsonRequest('POST', { text: 'Lost', listId: 'missing' })),
+      moveRoute.POST(jsonRequest('POST', { listId: 'missing' }), context('1')),
+      listsRoute.POST(jsonRequest('POST', { name: ' ' })),
+      listRoute.PATCH(jsonRequest('PATCH', { name: 'Mail' }), listContext('inbox')),
+      listRoute.DELETE(jsonRequest('DELETE'), listContext('missing'))
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400, 404]);
+    expect(await responses[0].json()).toEqual({ error: 'List not found' });
+    expect(await responses[3].json()).toEqual({ error: 'The Inbox cannot be changed' });
+  });
+
+  it('applies a batch and reports the todos it could not change', async () => {
+    const response = await batchRoute.POST(jsonRequest('POST', { action: 'complete', ids: ['1', 'missing', '3'] }));
+    const result = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(result.results).toEqual([
+      { id: '1', ok: true },
+      { id: 'missing', ok: false, error: 'Todo not found' },
+      { id: '3', ok: true }
+    ]);
+    expect(result.todos.map(todo => [todo.id, todo.completed])).toEqual([['1', true], ['3', true]]);
+    expect((await (await todosRoute.GET()).json()).every(todo => todo.completed)).toBe(true);
+
+    const tagged = await (await batchRoute.POST(jsonRequest('POST', { action: 'tag', ids: ['1', '2'], tag: '#Work' }))).json();
+    expect(tagged.todos.map(todo => todo.tags)).toEqual([['work'], ['work']]);
+
+    const deleted = await (await batchRoute.POST(jsonRequest('POST', { action: 'delete', ids: ['1', '3'] }))).json();
+    expect(deleted.deleted).toEqual(['1', '3']);
+    expect((await (await todosRoute.GET()).json()).map(todo => todo.id)).toEqual(['2']);
+  });
+
+  it('applies concurrent batches on top of each other', async () => {
+    await batchRoute.POST(jsonRequest('POST', { action: 'tag', ids: ['1'], tag: 'work' }));
+    await Promise.all([
+      batchRoute.POST(jsonRequest('POST', { action: 'tag', ids: ['1'], tag: 'urgent' })),
+      batchRoute.POST(jsonRequest('POST', { action: 'complete', ids: ['1'] })),
+      tagRoute.PATCH(jsonRequest('PATCH', { name: 'job' }), tagContext('work'))
+    ]);
+
+    const todo = await (await todoRoute.GET(jsonRequest('GET'), context('1'))).json();
+    expect(todo).toMatchObject({ completed: true, tags: ['job', 'urgent'], revision: 4 });
+  });
+
+  it('rejects malformed batches as a whole', async () => {
+    const responses = await Promise.all([
+      batchRoute.POST(jsonRequest('POST', { action: 'archive', ids: ['1'] })),
+      batchRoute.POST(jsonRequest('POST', { action: 'complete', ids: [] })),
+      batchRoute.POST(jsonRequest('POST', { action: 'move', ids: ['1'], listId: 'missing' })),
+      batchRoute.POST(jsonRequest('POST', { action: 'tag', ids: ['1'], tag: 'no spaces' }))
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400]);
+    expect(await responses[0].json()).toEqual({
+      error: 'Batch action must be one of complete, reopen, delete, move, tag'
+    });
+    expect((await (await todosRoute.GET()).json()).map(todo => todo.completed)).toEqual([false, true, false]);
+  });
+
+  it('toggles a todo', async () => {
+    const response = await toggleRoute.POST(jsonRequest('POST'), context('2'));
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).completed).toBe(false);
+  });
+
+  it('applies the subtask completion rules when toggling', async () => {
+    const subtask = async (text) =>
+      (await todosRoute.POST(jsonRequest('POST', { text, parentId: '1' }))).json();
+    const first = await subtask('Read the docs');
+    const second = await subtask('Build something');
+    const completed = async () => (await (await todosRoute.GET()).json())
+      .filter(todo => ['1', first.id, second.id].indexOf(todo.id) !== -1)
+      .map(todo => [todo.id, todo.completed]);
+
+    // Completing the parent completes its subtasks; reopening it leaves them alone
+    await toggleRoute.POST(jsonRequest('POST'), context('1'));
+    expect(await completed()).toEqual([['1', true], [first.id, true], [second.id, true]]);
+    await toggleRoute.POST(jsonRequest('POST'), context('1'));
+    await toggleRoute.POST(jsonRequest('POST'), context(first.id));
+    expect(await completed()).toEqual([['1', false], [first.id, false], [second.id, true]]);
+
+    // Only asked for, completing the last open subtask completes the parent
+    const completeParents = new Request('http://localhost/api/todos/1/toggle?completeParents=true', { method: 'POST' });
+    await toggleRoute.POST(completeParents, context(first.id));
+    expect(await completed()).toEqual([['1', true], [first.id, true], [second.id, true]]);
+  });
+
+  it('creates the next occurrence when a recurring todo is completed', async () => {
+    const dueAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const created = await (await todosRoute.POST(jsonRequest('POST', {
+      text: 'Take out the bins', dueAt, recurrence: 'freq=weekly;count=2', tags: ['home']
+    }))).json();
+    expect(created.recurrence).toBe('FREQ=WEEKLY;COUNT=2');
+
+    const completed = await (await toggleRoute.POST(jsonRequest('POST'), context(created.id))).json();
+    expect(completed).toMatchObject({ completed: true, recurrence: null });
+
+    const next = (await (await todosRoute.GET()).json()).filter(todo => todo.text === 'Take out the bins');
+    expect(next).toHaveLength(2);
+    expect(next[1]).toMatchObject({
+      completed: false,
+      dueAt: new Date(new Date(dueAt).getTime() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+      recurrence: 'FREQ=WEEKLY;COUNT=1',
+      tags: ['home']
+    });
+
+    // Reopening and completing the first one again does not repeat it
+    await toggleRoute.POST(jsonRequest('POST'), context(created.id));
+    await toggleRoute.POST(jsonRequest('POST'), context(created.id));
+    expect((await (await todosRoute.GET()).json()).filter(todo => todo.text === 'Take out the bins')).toHaveLength(2);
+  });
+
+  it('rejects unsupported recurrence rules', async () => {
+    const response = await todoRoute.PATCH(jsonRequest('PATCH', { recurrence: 'FREQ=HOURLY' }), context('1'));
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: 'Todo recurrence must be an RRULE with FREQ=DAILY, WEEKLY, MONTHLY or YEARLY'
+    });
+  });
+
+  it('deletes a todo', async () => {
+    const response = await todoRoute.DELETE(jsonRequest('DELETE'), context('3'));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ id: '3', deleted: ['3'] });
+
+    const todos = await (await todosRoute.GET()).json();
+    expect(todos.map(todo => todo.id)).toEqual(['1', '2']);
+  });
+
+  it('moves deleted todos to the Trash and restores them with their subtasks', async () => {
+    const create = async (text, parentId) => (await todosRoute.POST(jsonRequest('POST', { text, parentId }))).json();
+    const parent = await create('Move house');
+    const child = await create('Pack books', parent.id);
+
+    await todoRoute.DELETE(jsonRequest('DELETE'), context(parent.id));
+    const trash = await (await trashRoute.GET()).json();
+    expect(trash.map(todo => todo.id)).toEqual([parent.id, child.id]);
+    expect(trash[0].deletedAt).toBeTruthy();
+    expect((await todoRoute.PATCH(jsonRequest('PATCH', { text: 'x' }), context(parent.id))).status).toBe(404);
+
+    const subtaskFirst = await restoreRoute.POST(jsonRequest('POST'), context(child.id));
+    expect(subtaskFirst.status).toBe(400);
+    expect(await subtaskFirst.json()).toEqual({ error: 'Restore the parent todo first' });
+
+    const restored = await (await restoreRoute.POST(jsonRequest('POST'), context(parent.id))).json();
+    expect(restored.map(todo => [todo.id, todo.deletedAt])).toEqual([[parent.id, undefined], [child.id, undefined]]);
+    expect((await (await todosRoute.GET()).json()).map(todo => todo.id)).toEqual(['1', '2', '3', parent.id, child.id]);
+    expect(await (await trashRoute.GET()).json()).toEqual([]);
+  });
+
+  it('deletes todos in the Trash for good', async () => {
+    await batchRoute.POST(jsonRequest('POST', { action: 'delete', ids: ['1', '2'] }));
+    expect((await (await trashRoute.GET()).json()).map(todo => todo.id).sort()).toEqual(['1', '2']);
+
+    const response = await trashTodoRoute.DELETE(jsonRequest('DELETE'), context('1'));
+    expect(await response.json()).toEqual({ id: '1', deleted: ['1'] });
+    const history = await (await historyRoute.GET(jsonRequest('GET'), context('1'))).json();
+    expect(history.map(entry => entry.type)).toEqual(['purged', 'deleted']);
+
+    const responses = await Promise.all([
+      trashTodoRoute.DELETE(jsonRequest('DELETE'), context('1')),
+      trashTodoRoute.DELETE(jsonRequest('DELETE'), context('3')),
+      restoreRoute.POST(jsonRequest('POST'), context('3'))
+    ]);
+    expect(responses.map(item => item.status)).toEqual([404, 404, 404]);
+    expect(await responses[2].json()).toEqual({ error: 'Todo not found in the Trash' });
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8')).map(todo => todo.id)).toEqual(['2', '3']);
+  });
+
+  it('purges todos that stayed in the Trash past the retention window', async () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    await fs.writeFile(filePath, JSON.stringify([
+      { id: 'old', text: 'Old', completed: false, order: 1, deletedAt: daysAgo(8) },
+      { id: 'recent', text: 'Recent', completed: false, order: 2, deletedAt: daysAgo(6) },
+      { id: 'live', text: 'Live', completed: false, order: 3 }
+    ]));
+    vi.stubEnv('NEXT_PUBLIC_TODO_TRASH_RETENTION_DAYS', '7');
+
+    // Reading the Trash leaves expired todos alone - only the purge removes them
+    expect((await (await trashRoute.GET()).json()).map(todo => todo.id)).toEqual(['recent']);
+    expect((await restoreRoute.POST(jsonRequest('POST'), context('old'))).status).toBe(404);
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8')).map(todo => todo.id)).toEqual(['old', 'recent', 'live']);
+
+    const response = await trashPurgeRoute.POST(jsonRequest('POST'));
+    expect(await response.json()).toEqual({ deleted: ['old'] });
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8')).map(todo => todo.id)).toEqual(['recent', 'live']);
+    expect(await (await trashPurgeRoute.POST(jsonRequest('POST'))).json()).toEqual({ deleted: [] });
+    vi.unstubAllEnvs();
+  });
+
+  it('returns 404 for unknown todos', async () => {
+    const responses = await Promise.all([
+      todoRoute.GET(jsonRequest('GET'), context('missing')),
+      todoRoute.PATCH(jsonRequest('PATCH', { text: 'x' }), context('missing')),
+      todoRoute.DELETE(jsonRequest('DELETE'), context('missing')),
+      toggleRoute.POST(jsonRequest('POST'), context('missing'))
+    ]);
+
+    responses.forEach(response => expect(response.status).toBe(404));
+  });
+
+  it('bumps the revision with every change and refuses changes made against another one', async () => {
+    const ifMatch = (method, revision, body) => new Request('http://localhost/api/todos', {
+      method,
+      headers: { 'Content-Type': 'application/json', 'If-Match': `"${revision}"` },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const created = await (await todosRoute.POST(jsonRequest('POST', { text: 'Shared' }))).json();
+    expect(created.revision).toBe(1);
+
+    const renamed = await (await todoRoute.PATCH(ifMatch('PATCH', 1, { text: 'Mine' }), context(created.id))).json();
+    expect(renamed).toMatchObject({ text: 'Mine', revision: 2 });
+
+    const responses = await Promise.all([
+      todoRoute.PATCH(ifMatch('PATCH', 1, { text: 'Theirs' }), context(created.id)),
+      toggleRoute.POST(ifMatch('POST', 1), context(created.id)),
+      todoRoute.DELETE(ifMatch('DELETE', 1), context(created.id))
+    ]);
+    for (const response of responses) {
+      expect(response.status).toBe(409);
+      expect(await response.json()).toEqual({ error: 'Todo was changed by someone else', todo: renamed });
+    }
+
+    // Two changes made against the same revision at once - only the first is saved
+    const racing = await Promise.all([
+      todoRoute.PATCH(ifMatch('PATCH', 2, { text: 'First' }), context(created.id)),
+      todoRoute.PATCH(ifMatch('PATCH', 2, { text: 'Second' }), context(created.id))
+    ]);
+    expect(racing.map(response => response.status)).toEqual([200, 409]);
+    expect(await racing[1].json()).toMatchObject({ todo: { text: 'First', revision: 3 } });
+
+    // Seed todos stored before revisions existed are at revision 0
+    expect((await toggleRoute.POST(ifMatch('POST', 0), context('1'))).status).toBe(200);
+    expect((await reorderRoute.POST(jsonRequest('POST', { beforeId: '1' }), context(created.id))).status).toBe(200);
+    expect((await todoRoute.DELETE(ifMatch('DELETE', 3), context(created.id))).status).toBe(409);
+    expect((await todoRoute.DELETE(ifMatch('DELETE', 4), context(created.id))).status).toBe(200);
+    expect((await todoRoute.PATCH(new Request('http://localhost/api/todos', {
+      method: 'PATCH',
+      headers: { 'If-Match': 'latest' },
+      body: JSON.stringify({ text: 'x' })
+    }), context('1'))).status).toBe(400);
+  });
+
+  it('logs every change with the browser that made it', async () => {
+    const asActor = (method, body) => new Request('http://localhost/api/todos', {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-Todo-Actor': 'browser-1' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const created = await (await todosRoute.POST(asActor('POST', { text: 'Buy milk' }))).json();
+    await todoRoute.PATCH(asActor('PATCH', { text: 'Buy oat milk', priority: 'high' }), context(created.id));
+    await toggleRoute.POST(asActor('POST'), context(created.id));
+    await toggleRoute.POST(jsonRequest('POST'), context(created.id));
+    await reorderRoute.POST(jsonRequest('POST', { beforeId: '1' }), context(created.id));
+    await todoRoute.DELETE(jsonRequest('DELETE'), context(created.id));
+    await restoreRoute.POST(jsonRequest('POST'), context(created.id));
+
+    const history = await (await historyRoute.GET(jsonRequest('GET'), context(created.id))).json();
+    expect(history.map(entry => [entry.type, entry.actor])).toEqual([
+      ['restored', null],
+      ['deleted', null],
+      ['reopened', null],
+      ['completed', 'browser-1'],
+      ['updated', 'browser-1'],
+      ['renamed', 'browser-1'],
+      ['created', 'browser-1']
+    ]);
+    expect(history[5]).toMatchObject({ todoId: created.id, from: 'Buy milk', text: 'Buy oat milk' });
+    expect(history[4].fields).toEqual(['priority']);
+
+    // Todos deleted with their list keep their history
+    const list = await (await listsRoute.POST(jsonRequest('POST', { name: 'Errands' }))).json();
+    await moveRoute.POST(jsonRequest('POST', { listId: list.id }), context('1'));
+    await listRoute.DELETE(jsonRequest('DELETE'), listContext(list.id));
+    const gone = await (await historyRoute.GET(jsonRequest('GET'), context('1'))).json();
+    expect(gone.map(entry => entry.type)).toEqual(['deleted', 'updated']);
+
+    const activity = await (await activityRoute.GET(new Request('http://localhost/api/activity?limit=2'))).json();
+    expect(activity.map(entry => [entry.todoId, entry.type])).toEqual([['1', 'deleted'], ['1', 'updated']]);
+    expect((await activityRoute.GET(new Request('http://localhost/api/activity'))).status).toBe(200);
+    expect((await activityRoute.GET(new Request('http://localhost/api/activity?limit=0'))).status).toBe(400);
+    expect((await historyRoute.GET(jsonRequest('GET'), context('missing'))).status).toBe(404);
+    expect(await (await historyRoute.GET(jsonRequest('GET'), context('2'))).json()).toEqual([]);
+  });
+
+  it('keeps only the newest entries in the activity log file', async () => {
+    const activityPath = path.join(tempDir, 'todos.activity.json');
+    const at = '2026-01-02T10:00:00.000Z';
+    await fs.writeFile(activityPath, JSON.stringify(Array.from({ length: ACTIVITY_LOG_SIZE }, (_, index) =>
+      ({ id: `old-${index}`, todoId: '1', type: 'updated', at, actor: null, text: 'Learn React 16', fields: ['tags'] }))));
+
+    await toggleRoute.POST(jsonRequest('POST'), context('2'));
+
+    const log = JSON.parse(await fs.readFile(activityPath, 'utf8'));
+    expect(log).toHaveLength(ACTIVITY_LOG_SIZE);
+    expect(log[0].id).toBe('old-1');
+    expect(log[log.length - 1]).toMatchObject({ todoId: '2', type: 'reopened' });
+    const activity = await (await activityRoute.GET(new Request('http://localhost/api/activity?limit=2'))).json();
+    expect(activity.map(entry => entry.id)).toEqual([log[log.length - 1].id, `old-${ACTIVITY_LOG_SIZE - 1}`]);
+  });
+
+  it('serializes concurrent writes', async () => {
+    await Promise.all(
+      ['a', 'b', 'c', 'd'].map(text => todosRoute.POST(jsonRequest('POST', { text })))
+    );
+
+    const todos = await (await todosRoute.GET()).json();
+    expect(todos).toHaveLength(7);
+    // Each new todo goes after the one created just before it
+    expect(todos.map(todo => todo.order).sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+});
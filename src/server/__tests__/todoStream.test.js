@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileTodoStorage, setTodoStorage } from '../storage';
+import { resetTodoEvents } from '../todoEvents';
+import * as streamRoute from '../../../app/api/todos/stream/route';
+import * as todosRoute from '../../../app/api/todos/route';
+import * as todoRoute from '../../../app/api/todos/[id]/route';
+import * as toggleRoute from '../../../app/api/todos/[id]/toggle/route';
+
+const context = (id) => ({ params: Promise.resolve({ id }) });
+
+const fromClient = (method, clientId, body) => new Request('http://localhost/api/todos', {
+  method,
+  headers: { 'Content-Type': 'application/json', ...(clientId ? { 'X-Todo-Client': clientId } : {}) },
+  body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+// Opens the stream and reads its messages one at a time
+const openStream = async (headers = {}, query = '') => {
+  const controller = new AbortController();
+  const response = await streamRoute.GET(new Request(`http://localhost/api/todos/stream${query}`, {
+    headers,
+    signal: controller.signal
+  }));
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  const next = async () => {
+    while (text.indexOf('\n\n') === -1) {
+      const { value } = await reader.read();
+      text += decoder.decode(value);
+    }
+    const end = text.indexOf('\n\n');
+    const message = text.slice(0, end);
+    text = text.slice(end + 2);
+    const id = /^id: (\d+)$/m.exec(message);
+    const data = /^data: (.*)$/m.exec(message);
+    return { id: id && Number(id[1]), event: JSON.parse(data[1]) };
+  };
+  return { response, next, close: () => controller.abort() };
+};
+
+describe('todo event stream', () => {
+  let tempDir;
+  let stream;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'todos-'));
+    setTodoStorage(new FileTodoStorage(path.join(tempDir, 'todos.json')));
+    resetTodoEvents();
+  });
+
+  afterEach(async () => {
+    if (stream) {
+      stream.close();
+      stream = null;
+    }
+    setTodoStorage(null);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('starts a new connection with the whole list', async () => {
+    stream = await openStream();
+
+    expect(stream.response.headers.get('Content-Type')).toBe('text/event-stream');
+    const { id, event } = await stream.next();
+    expect(id).toBe(0);
+    expect(event.type).toBe('reset');
+    expect(event.todos.map(todo => todo.text)).toEqual(['Learn React 16', 'Set up Redux with Saga', 'Build TODO app']);
+  });
+
+  it('sends each change with the next revision and the client that made it', async () => {
+    stream = await openStream();
+    await stream.next();
+
+    const created = await (await todosRoute.POST(fromClient('POST', 'tab-1', { text: 'Shared' }))).json();
+    await toggleRoute.POST(fromClient('POST', 'tab-2'), context(created.id));
+    await todoRoute.PATCH(fromClient('PATCH', null, { text: 'Shared list' }), context(created.id));
+    await todoRoute.DELETE(fromClient('DELETE', 'tab-1'), context(created.id));
+
+    const events = [];
+    for (let i = 0; i < 4; i++) {
+      events.push((await stream.next()).event);
+    }
+    expect(events.map(({ revision, type, origin }) => [revision, type, origin])).toEqual([
+      [1, 'add', 'tab-1'],
+      [2, 'toggle', 'tab-2'],
+      [3, 'update', null],
+      [4, 'delete', 'tab-1']
+    ]);
+    expect(events[0].todos[0]).toEqual(created);
+    expect(events[1].todos[0].completed).toBe(true);
+    expect(events[3].ids).toEqual([created.id]);
+  });
+
+  it('resumes after the revision the client has seen', async () => {
+    await todosRoute.POST(fromClient('POST', 'tab-1', { text: 'First' }));
+    await todosRoute.POST(fromClient('POST', 'tab-1', { text: 'Second' }));
+    await toggleRoute.POST(fromClient('POST', 'tab-1'), context('1'));
+
+    stream = await openStream({ 'Last-Event-ID': '1' });
+
+    expect((await stream.next()).event).toMatchObject({ revision: 2, type: 'add' });
+    expect((await stream.next()).event).toMatchObject({ revision: 3, type: 'toggle' });
+    stream.close();
+
+    stream = await openStream({}, '?since=3');
+    await todoRoute.DELETE(fromClient('DELETE', 'tab-1'), context('2'));
+    expect((await stream.next()).event).toMatchObject({ revision: 4, type: 'delete', ids: ['2'] });
+  });
+
+  it('sends the whole list again when the revision is unknown', async () => {
+    // e.g. from before the server restarted
+    stream = await openStream({}, '?since=40');
+
+    const { event } = await stream.next();
+    expect(event).toMatchObject({ revision: 0, type: 'reset' });
+    expect(event.todos).toHaveLength(3);
+  });
+});
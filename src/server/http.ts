@@ -0,0 +1,53 @@
+import { TodoConflictError, TodoServiceError } from './todoService';
+import { withEventOrigin } from './todoEvents';
+import { withActor } from './todoActivity';
+import { TODO_CLIENT_HEADER } from '../utils/todoEvents';
+import { TODO_ACTOR_HEADER } from '../utils/todoActivity';
+
+// Shared helpers for the app/api route handlers
+
+export const jsonResponse = (body: unknown, status = 200): Response =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+export const errorResponse = (error: unknown): Response => {
+  // A conflict answers with the stored todo, for the client to compare with its change
+  if (error instanceof TodoConflictError) {
+    return jsonResponse({ error: error.message, todo: error.todo }, error.status);
+  }
+  if (error instanceof TodoServiceError) {
+    return jsonResponse({ error: error.message }, error.status);
+  }
+  console.error('Unexpected todo API error:', error);
+  return jsonResponse({ error: 'Internal server error' }, 500);
+};
+
+export const readJsonBody = async (request: Request): Promise<any> => {
+  try {
+    return await request.json();
+  } catch (error) {
+    throw new TodoServiceError('Request body must be valid JSON', 400);
+  }
+};
+
+// Makes a change on behalf of the client named in the request, so the event stream can
+// tell that client which changes are its own and the activity log who made them
+export const asClient = <T>(request: Request, change: () => Promise<T>): Promise<T> =>
+  withEventOrigin(request.headers.get(TODO_CLIENT_HEADER), () =>
+    withActor(request.headers.get(TODO_ACTOR_HEADER), change));
+
+// Revision of the todo the client made its change against, from an If-Match header such as
+// "3" (weak W/"3" is accepted too). Missing or * means the change applies to any revision.
+export const expectedRevision = (request: Request): number | null => {
+  const value = request.headers.get('If-Match');
+  if (!value || value.trim() === '*') {
+    return null;
+  }
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(value.trim());
+  if (!match) {
+    throw new TodoServiceError('If-Match must be a todo revision', 400);
+  }
+  return Number(match[1]);
+};
@@ -0,0 +1,30 @@
+import { InitialTodoState, TodoActions } from '../types/todo';
+import { isFeatureEnabled } from '../utils/featureFlags';
+import { listLists, listTodos } from './todoService';
+import { addTodoAction, deleteTodoAction, toggleTodoAction, updateTodoAction } from './todoActions';
+
+// What the forms of a server-rendered page post to until the client has loaded
+export const TODO_ACTIONS: TodoActions = {
+  add: addTodoAction,
+  update: updateTodoAction,
+  toggle: toggleTodoAction,
+  delete: deleteTodoAction,
+};
+
+// The todos and lists the todo pages are rendered with on the server. Null while the app
+// keeps its todos in the browser, and when the store can't be read - the client then
+// loads them itself and shows the error.
+export const loadInitialTodoState = async (): Promise<InitialTodoState | null> => {
+  if (!isFeatureEnabled('USE_TANSTACK_QUERY')) {
+    return null;
+  }
+  try {
+    // One after the other - the first read of a new store seeds it
+    const todos = await listTodos();
+    const lists = await listLists();
+    return { todos, lists };
+  } catch (error) {
+    console.error('Failed to load todos for server rendering:', error);
+    return null;
+  }
+};
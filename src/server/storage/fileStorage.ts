@@ -0,0 +1,172 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { List, Todo, TodoActivity } from '../../types/todo';
+import { TodoStorage, TodoWrite } from './types';
+import { createSeedTodos } from './seed';
+import { assignOrder } from '../../utils/todoOrder';
+
+// Entries kept in the activity log file - older ones are dropped as new ones come in
+export const ACTIVITY_LOG_SIZE = 5000;
+
+// JSON file backed storage - the default adapter, good enough for a single server process.
+// Named lists and the activity log go to files next to the todos (todos.json ->
+// todos.lists.json, todos.activity.json).
+export class FileTodoStorage implements TodoStorage {
+  private filePath: string;
+  private listsPath: string;
+  private activityPath: string;
+  // Every operation is chained so concurrent requests never interleave read-modify-write cycles
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+    const siblingPath = (suffix: string) => path.join(
+      path.dirname(filePath),
+      `${path.basename(filePath, path.extname(filePath))}.${suffix}.json`
+    );
+    this.listsPath = siblingPath('lists');
+    this.activityPath = siblingPath('activity');
+  }
+
+  list(): Promise<Todo[]> {
+    return this.enqueue(() => this.read());
+  }
+
+  async get(id: string): Promise<Todo | null> {
+    const todos = await this.list();
+    return todos.find(todo => todo.id === id) || null;
+  }
+
+  update<T>(change: (todos: Todo[]) => TodoWrite<T>): Promise<T> {
+    return this.enqueue(async () => {
+      const todos = await this.read();
+      const { save = [], remove = [], result } = change(todos.slice());
+      if (save.length === 0 && remove.length === 0) {
+        return result;
+      }
+      save.forEach(todo => {
+        const index = todos.findIndex(item => item.id === todo.id);
+        if (index === -1) {
+          todos.push(todo);
+        } else {
+          todos[index] = todo;
+        }
+      });
+      await this.write(todos.filter(todo => remove.indexOf(todo.id) === -1));
+      return result;
+    });
+  }
+
+  lists(): Promise<List[]> {
+    return this.enqueue(() => this.readLists());
+  }
+
+  saveList(list: List): Promise<List> {
+    return this.mutateLists(lists => {
+      const index = lists.findIndex(item => item.id === list.id);
+      if (index === -1) {
+        lists.push(list);
+      } else {
+        lists[index] = list;
+      }
+      return list;
+    });
+  }
+
+  removeList(id: string): Promise<Todo[] | null> {
+    return this.enqueue(async () => {
+      const lists = await this.readLists();
+      if (!lists.some(list => list.id === id)) {
+        return null;
+      }
+      const todos = await this.read();
+      const removed = todos.filter(todo => todo.listId === id);
+      await this.writeJson(this.listsPath, lists.filter(list => list.id !== id));
+      if (removed.length > 0) {
+        await this.write(todos.filter(todo => todo.listId !== id));
+      }
+      return removed;
+    });
+  }
+
+  async activity(todoId?: string, limit?: number): Promise<TodoActivity[]> {
+    const entries = await this.enqueue(() => this.readArray<TodoActivity>(this.activityPath));
+    const matching = todoId ? entries.filter(entry => entry.todoId === todoId) : entries;
+    return matching.slice(limit ? -limit : 0).reverse();
+  }
+
+  appendActivity(entries: TodoActivity[]): Promise<TodoActivity[]> {
+    return this.enqueue(async () => {
+      const log = [...(await this.readArray<TodoActivity>(this.activityPath)), ...entries];
+      await this.writeJson(this.activityPath, log.slice(-ACTIVITY_LOG_SIZE));
+      return entries;
+    });
+  }
+
+  private mutateLists<T>(change: (lists: List[]) => T): Promise<T> {
+    return this.enqueue(async () => {
+      const lists = await this.readLists();
+      const result = change(lists);
+      await this.writeJson(this.listsPath, lists);
+      return result;
+    });
+  }
+
+  private enqueue<T>(task: () => Promise<T>): Promise<T> {
+    const run = this.queue.then(task);
+    // Keep the chain alive even if this operation fails
+    this.queue = run.catch(() => undefined);
+    return run;
+  }
+
+  private async read(): Promise<Todo[]> {
+    let todos: Todo[];
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      todos = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      if (!error || error.code !== 'ENOENT') {
+        throw error;
+      }
+      todos = createSeedTodos();
+    }
+    // Todos stored before manual ordering existed get their order once. Reads run in the
+    // queue like every write, so this never races another change.
+    const unordered = assignOrder(todos);
+    if (unordered.length > 0) {
+      todos = todos.map(todo => unordered.find(item => item.id === todo.id) || todo);
+      await this.write(todos);
+    }
+    return todos;
+  }
+
+  // No lists file yet just means no named lists
+  private readLists(): Promise<List[]> {
+    return this.readArray<List>(this.listsPath);
+  }
+
+  // Optional files - a missing one reads as empty
+  private async readArray<T>(filePath: string): Promise<T[]> {
+    try {
+      const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      if (error && error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  private write(todos: Todo[]): Promise<void> {
+    return this.writeJson(this.filePath, todos);
+  }
+
+  private async writeJson(filePath: string, data: unknown): Promise<void> {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write to a temp file and rename so a crash never leaves half-written JSON behind
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+}
@@ -0,0 +1,43 @@
+import path from 'path';
+import { TodoStorage, TodoStorageKind } from './types';
+import { FileTodoStorage } from './fileStorage';
+
+export type { TodoStorage, TodoStorageKind, TodoWrite } from './types';
+export { FileTodoStorage, ACTIVITY_LOG_SIZE } from './fileStorage';
+
+const DEFAULT_DATA_DIR = path.join(process.cwd(), '.data');
+
+// Storage selection - controlled by environment variables
+//   TODO_STORAGE=file|sqlite  (default: file)
+//   TODO_STORAGE_PATH=<path>  (default: .data/todos.json or .data/todos.sqlite)
+export const createTodoStorage = (
+  kind: TodoStorageKind = (process.env.TODO_STORAGE as TodoStorageKind) || 'file',
+  storagePath: string | undefined = process.env.TODO_STORAGE_PATH
+): TodoStorage => {
+  switch (kind) {
+    case 'sqlite': {
+      // Required lazily so the optional native dependency is never loaded for file storage
+      const { SqliteTodoStorage } = require('./sqliteStorage');
+      return new SqliteTodoStorage(storagePath || path.join(DEFAULT_DATA_DIR, 'todos.sqlite'));
+    }
+    case 'file':
+      return new FileTodoStorage(storagePath || path.join(DEFAULT_DATA_DIR, 'todos.json'));
+    default:
+      throw new Error(`Unknown TODO_STORAGE "${kind}" (expected "file" or "sqlite")`);
+  }
+};
+
+// Single shared instance per server process
+let storage: TodoStorage | null = null;
+
+export const getTodoStorage = (): TodoStorage => {
+  if (!storage) {
+    storage = createTodoStorage();
+  }
+  return storage;
+};
+
+// Swap the shared instance (used by tests)
+export const setTodoStorage = (next: TodoStorage | null): void => {
+  storage = next;
+};
@@ -0,0 +1,11 @@
+import { Todo } from '../../types/todo';
+
+// Initial data written the first time a store is created (same seed as the old mock API)
+export const createSeedTodos = (): Todo[] => {
+  const now = new Date().toISOString();
+  return [
+    { id: '1', text: 'Learn React 16', completed: false, createdAt: now },
+    { id: '2', text: 'Set up Redux with Saga', completed: true, createdAt: now },
+    { id: '3', text: 'Build TODO app', completed: false, createdAt: now },
+  ];
+};
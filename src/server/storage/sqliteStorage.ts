@@ -0,0 +1,260 @@
+import { List, Todo, TodoActivity, TodoActivityType, TodoPriority } from '../../types/todo';
+import { TodoStorage, TodoWrite } from './types';
+import { createSeedTodos } from './seed';
+import { assignOrder } from '../../utils/todoOrder';
+
+interface TodoRow {
+  id: string;
+  text: string;
+  completed: number;
+  createdAt: string | null;
+  updatedAt: string | null;
+  dueAt: string | null;
+  priority: string | null;
+  tags: string | null;
+  parentId: string | null;
+  sortOrder: number | null;
+  listId: string | null;
+  deletedAt: string | null;
+  recurrence: string | null;
+  revision: number | null;
+}
+
+interface ListRow {
+  id: string;
+  name: string;
+  archived: number;
+  createdAt: string | null;
+  updatedAt: string | null;
+}
+
+interface ActivityRow {
+  id: string;
+  todoId: string;
+  type: string;
+  at: string;
+  actor: string | null;
+  text: string;
+  fromText: string | null;
+  fields: string | null;
+}
+
+const toTodo = (row: TodoRow): Todo => ({
+  id: row.id,
+  text: row.text,
+  completed: row.completed === 1,
+  ...(row.createdAt ? { createdAt: row.createdAt } : {}),
+  ...(row.updatedAt ? { updatedAt: row.updatedAt } : {}),
+  ...(row.dueAt ? { dueAt: row.dueAt } : {}),
+  ...(row.priority ? { priority: row.priority as TodoPriority } : {}),
+  ...(row.tags ? { tags: JSON.parse(row.tags) } : {}),
+  ...(row.parentId ? { parentId: row.parentId } : {}),
+  ...(row.sortOrder !== null && row.sortOrder !== undefined ? { order: row.sortOrder } : {}),
+  ...(row.listId ? { listId: row.listId } : {}),
+  ...(row.deletedAt ? { deletedAt: row.deletedAt } : {}),
+  ...(row.recurrence ? { recurrence: row.recurrence } : {}),
+  ...(row.revision ? { revision: row.revision } : {}),
+});
+
+const toList = (row: ListRow): List => ({
+  id: row.id,
+  name: row.name,
+  ...(row.archived === 1 ? { archived: true } : {}),
+  ...(row.createdAt ? { createdAt: row.createdAt } : {}),
+  ...(row.updatedAt ? { updatedAt: row.updatedAt } : {}),
+});
+
+const toActivity = (row: ActivityRow): TodoActivity => ({
+  id: row.id,
+  todoId: row.todoId,
+  type: row.type as TodoActivityType,
+  at: row.at,
+  actor: row.actor,
+  text: row.text,
+  ...(row.fromText !== null ? { from: row.fromText } : {}),
+  ...(row.fields ? { fields: JSON.parse(row.fields) } : {}),
+});
+
+const toParams = (todo: Todo) => ({
+  id: todo.id,
+  text: todo.text,
+  completed: todo.completed ? 1 : 0,
+  createdAt: todo.createdAt || null,
+  updatedAt: todo.updatedAt || null,
+  dueAt: todo.dueAt || null,
+  priority: todo.priority || null,
+  tags: todo.tags && todo.tags.length > 0 ? JSON.stringify(todo.tags) : null,
+  parentId: todo.parentId || null,
+  sortOrder: typeof todo.order === 'number' ? todo.order : null,
+  listId: todo.listId || null,
+  deletedAt: todo.deletedAt || null,
+  recurrence: todo.recurrence || null,
+  revision: todo.revision || null,
+});
+
+// SQLite backed storage - optional, requires `better-sqlite3` to be installed
+export class SqliteTodoStorage implements TodoStorage {
+  private db: any;
+
+  constructor(filePath: string) {
+    let Database: any;
+    try {
+      // Loaded lazily so the dependency stays optional for the default file adapter
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the "better-sqlite3" package: npm install better-sqlite3');
+    }
+
+    this.db = new Database(filePath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS todos (
+        position INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        text TEXT NOT NULL,
+        completed INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT,
+        updatedAt TEXT,
+        dueAt TEXT,
+        priority TEXT,
+        tags TEXT,
+        parentId TEXT,
+        sortOrder REAL,
+        listId TEXT,
+        deletedAt TEXT,
+        recurrence TEXT,
+        revision INTEGER
+      );
+      CREATE TABLE IF NOT EXISTS lists (
+        position INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        archived INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT,
+        updatedAt TEXT
+      );
+      CREATE TABLE IF NOT EXISTS activity (
+        position INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        todoId TEXT NOT NULL,
+        type TEXT NOT NULL,
+        at TEXT NOT NULL,
+        actor TEXT,
+        text TEXT NOT NULL,
+        fromText TEXT,
+        fields TEXT
+      );
+      CREATE INDEX IF NOT EXISTS activity_todoId ON activity (todoId)
+    `);
+
+    // Databases created before due dates, priorities, tags, subtasks, manual order, lists, the Trash, recurrence and revisions existed
+    const columns: Array<{ name: string }> = this.db.prepare('PRAGMA table_info(todos)').all();
+    [['dueAt', 'TEXT'], ['priority', 'TEXT'], ['tags', 'TEXT'], ['parentId', 'TEXT'], ['sortOrder', 'REAL'], ['listId', 'TEXT'], ['deletedAt', 'TEXT'], ['recurrence', 'TEXT'], ['revision', 'INTEGER']]
+      .forEach(([name, type]) => {
+        if (!columns.some(column => column.name === name)) {
+          this.db.exec(`ALTER TABLE todos ADD COLUMN ${name} ${type}`);
+        }
+      });
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM todos').get();
+    if (count === 0) {
+      createSeedTodos().forEach(todo => this.insertRow(todo));
+    }
+
+    // Todos stored before manual ordering existed get their order once
+    this.db.transaction((todos: Todo[]) => todos.forEach(todo => this.replaceRow(todo)))(assignOrder(this.readAll()));
+  }
+
+  async list(): Promise<Todo[]> {
+    return this.readAll();
+  }
+
+  async get(id: string): Promise<Todo | null> {
+    const row: TodoRow | undefined = this.db.prepare('SELECT * FROM todos WHERE id = ?').get(id);
+    return row ? toTodo(row) : null;
+  }
+
+  async update<T>(change: (todos: Todo[]) => TodoWrite<T>): Promise<T> {
+    const remove = this.db.prepare('DELETE FROM todos WHERE id = ?');
+    // better-sqlite3 rolls the transaction back when the change throws
+    return this.db.transaction(() => {
+      const { save = [], remove: ids = [], result } = change(this.readAll());
+      save.forEach(todo => {
+        if (!this.replaceRow(todo)) {
+          this.insertRow(todo);
+        }
+      });
+      ids.forEach(id => remove.run(id));
+      return result;
+    })();
+  }
+
+  async lists(): Promise<List[]> {
+    const rows: ListRow[] = this.db.prepare('SELECT * FROM lists ORDER BY position').all();
+    return rows.map(toList);
+  }
+
+  async saveList(list: List): Promise<List> {
+    this.db
+      .prepare('INSERT INTO lists (id, name, archived, createdAt, updatedAt) VALUES (@id, @name, @archived, @createdAt, @updatedAt) ON CONFLICT(id) DO UPDATE SET name = @name, archived = @archived, createdAt = @createdAt, updatedAt = @updatedAt')
+      .run({
+        id: list.id,
+        name: list.name,
+        archived: list.archived ? 1 : 0,
+        createdAt: list.createdAt || null,
+        updatedAt: list.updatedAt || null,
+      });
+    return list;
+  }
+
+  async removeList(id: string): Promise<Todo[] | null> {
+    return this.db.transaction(() => {
+      if (this.db.prepare('DELETE FROM lists WHERE id = ?').run(id).changes === 0) {
+        return null;
+      }
+      const removed = this.readAll().filter(todo => todo.listId === id);
+      this.db.prepare('DELETE FROM todos WHERE listId = ?').run(id);
+      return removed;
+    })();
+  }
+
+  async activity(todoId?: string, limit?: number): Promise<TodoActivity[]> {
+    // LIMIT -1 is no limit
+    const rows: ActivityRow[] = todoId
+      ? this.db.prepare('SELECT * FROM activity WHERE todoId = ? ORDER BY position DESC LIMIT ?').all(todoId, limit || -1)
+      : this.db.prepare('SELECT * FROM activity ORDER BY position DESC LIMIT ?').all(limit || -1);
+    return rows.map(toActivity);
+  }
+
+  async appendActivity(entries: TodoActivity[]): Promise<TodoActivity[]> {
+    const insert = this.db.prepare('INSERT INTO activity (id, todoId, type, at, actor, text, fromText, fields) VALUES (@id, @todoId, @type, @at, @actor, @text, @fromText, @fields)');
+    this.db.transaction((items: TodoActivity[]) => items.forEach(entry => insert.run({
+      id: entry.id,
+      todoId: entry.todoId,
+      type: entry.type,
+      at: entry.at,
+      actor: entry.actor || null,
+      text: entry.text,
+      fromText: entry.from !== undefined ? entry.from : null,
+      fields: entry.fields ? JSON.stringify(entry.fields) : null,
+    })))(entries);
+    return entries;
+  }
+
+  private readAll(): Todo[] {
+    const rows: TodoRow[] = this.db.prepare('SELECT * FROM todos ORDER BY position').all();
+    return rows.map(toTodo);
+  }
+
+  private replaceRow(todo: Todo): boolean {
+    const result = this.db
+      .prepare('UPDATE todos SET text = @text, completed = @completed, createdAt = @createdAt, updatedAt = @updatedAt, dueAt = @dueAt, priority = @priority, tags = @tags, parentId = @parentId, sortOrder = @sortOrder, listId = @listId, deletedAt = @deletedAt, recurrence = @recurrence, revision = @revision WHERE id = @id')
+      .run(toParams(todo));
+    return result.changes > 0;
+  }
+
+  private insertRow(todo: Todo): void {
+    this.db
+      .prepare('INSERT INTO todos (id, text, completed, createdAt, updatedAt, dueAt, priority, tags, parentId, sortOrder, listId, deletedAt, recurrence, revision) VALUES (@id, @text, @completed, @createdAt, @updatedAt, @dueAt, @priority, @tags, @parentId, @sortOrder, @listId, @deletedAt, @recurrence, @revision)')
+      .run(toParams(todo));
+  }
+}
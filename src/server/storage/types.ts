@@ -0,0 +1,33 @@
+import { List, Todo, TodoActivity } from '../../types/todo';
+
+// What a TodoStorage.update change writes: todos to save (replacing the stored todo with
+// the same id, or added at the end) and ids to remove, plus what update resolves with
+export interface TodoWrite<T> {
+  save?: Todo[];
+  remove?: string[];
+  result: T;
+}
+
+// Storage adapter contract - every backend (JSON file, SQLite, ...) implements this
+export interface TodoStorage {
+  list(): Promise<Todo[]>;
+  get(id: string): Promise<Todo | null>;
+  // Every write to the todos: read-modify-write in one step, so nothing else touches them
+  // between `change` reading them and its write, and a change that throws writes nothing.
+  // `change` must be synchronous.
+  update<T>(change: (todos: Todo[]) => TodoWrite<T>): Promise<T>;
+
+  // Named lists - the built-in Inbox is never stored
+  lists(): Promise<List[]>;
+  // Insert a new list or replace the one with the same id
+  saveList(list: List): Promise<List>;
+  // Remove a list with every todo filed in it (the Trash included) in one step; resolves
+  // with the removed todos, or null when no list has the id
+  removeList(id: string): Promise<Todo[] | null>;
+
+  // Activity log, newest entry first and at most `limit` entries - only ever appended to
+  activity(todoId?: string, limit?: number): Promise<TodoActivity[]>;
+  appendActivity(entries: TodoActivity[]): Promise<TodoActivity[]>;
+}
+
+export type TodoStorageKind = 'file' | 'sqlite';
@@ -0,0 +1,85 @@
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { TodoActionState, TodoPriority, UpdateTodoRequest } from '../types/todo';
+import { fromDateTimeInputValue } from '../utils/dueDates';
+import { quickAddRequest } from '../utils/quickAdd';
+import { INBOX_LIST_ID, withInbox } from '../utils/todoLists';
+import { parseTags, uniqueTags } from '../utils/todoTags';
+import {
+  TodoServiceError,
+  createTodo,
+  deleteTodo,
+  getTodo,
+  listLists,
+  toggleTodo,
+  updateTodo,
+} from './todoService';
+
+// Server actions behind the todo forms. They are what the forms post to before the
+// client has loaded (or with JavaScript off); once it has, the forms go through the
+// Jotai actions instead. Each one re-renders the todo pages and reports its failure
+// back to the form rather than throwing.
+
+const field = (formData: FormData, name: string): string => {
+  const value = formData.get(name);
+  return typeof value === 'string' ? value : '';
+};
+
+// Revision of the todo the form was rendered with - forms without one change any revision
+const revisionField = (formData: FormData): number | null => {
+  const value = field(formData, 'revision');
+  return /^\d+$/.test(value) ? Number(value) : null;
+};
+
+const runAction = async (action: () => Promise<unknown>): Promise<TodoActionState> => {
+  try {
+    await action();
+  } catch (error) {
+    if (error instanceof TodoServiceError) {
+      return { error: error.message };
+    }
+    console.error('Unexpected todo action error:', error);
+    return { error: 'Something went wrong, please try again' };
+  }
+  revalidatePath('/');
+  revalidatePath('/lists/[listId]', 'page');
+  return { error: null };
+};
+
+// Fields of the add form: text (with quick-add syntax), due (a datetime-local value, read in
+// the server's time zone), priority and listId - the list the form was shown on
+export async function addTodoAction(_state: TodoActionState, formData: FormData): Promise<TodoActionState> {
+  return runAction(async () => {
+    const priority = (field(formData, 'priority') || 'normal') as TodoPriority;
+    const request = quickAddRequest(field(formData, 'text'), fromDateTimeInputValue(field(formData, 'due')),
+      priority, Date.now(), withInbox(await listLists()));
+    const listId = field(formData, 'listId');
+    if (request.listId === undefined && listId && listId !== INBOX_LIST_ID) {
+      request.listId = listId;
+    }
+    await createTodo(request);
+  });
+}
+
+// New text for the todo; #tags in it are added to the ones it has
+export async function updateTodoAction(_state: TodoActionState, formData: FormData): Promise<TodoActionState> {
+  return runAction(async () => {
+    const id = field(formData, 'id');
+    const parsed = parseTags(field(formData, 'text'));
+    const updates: UpdateTodoRequest = { text: parsed.text };
+    if (parsed.tags.length > 0) {
+      updates.tags = uniqueTags([...((await getTodo(id)).tags || []), ...parsed.tags]);
+    }
+    await updateTodo(id, updates, revisionField(formData));
+  });
+}
+
+export async function toggleTodoAction(_state: TodoActionState, formData: FormData): Promise<TodoActionState> {
+  return runAction(() => toggleTodo(field(formData, 'id'), revisionField(formData)));
+}
+
+// Moves the todo and its subtasks to the Trash
+export async function deleteTodoAction(_state: TodoActionState, formData: FormData): Promise<TodoActionState> {
+  return runAction(() => deleteTodo(field(formData, 'id'), revisionField(formData)));
+}
@@ -0,0 +1,38 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { v4 as uuidv4 } from 'uuid';
+import { Todo, TodoActivity } from '../types/todo';
+import { activityChanges } from '../utils/todoActivity';
+import { getTodoStorage } from './storage';
+
+// Activity log of the todo store. todoService records every change it saves with the todo
+// before and after it; the entries name the browser that made the change (X-Todo-Actor).
+
+export interface TodoChange {
+  before: Todo | null;
+  after: Todo | null;
+}
+
+// Browser the change being made comes from - set by the route handlers
+const activityActor = new AsyncLocalStorage<string | null>();
+
+// Runs a change on behalf of a browser, so the log entries it causes name it
+export const withActor = <T>(actor: string | null, run: () => Promise<T>): Promise<T> =>
+  activityActor.run(actor, run);
+
+// Pairs every saved todo with its stored copy from before the change
+export const changedTodos = (before: Todo[], after: Todo[]): TodoChange[] =>
+  after.map(todo => ({ before: before.find(item => item.id === todo.id) || null, after: todo }));
+
+// Appends an entry per logged change in one storage write; resolves with the new entries
+export const recordActivity = async (changes: TodoChange[]): Promise<TodoActivity[]> => {
+  const at = new Date().toISOString();
+  const actor = activityActor.getStore() || null;
+  const entries: TodoActivity[] = [];
+  changes.forEach(({ before, after }) => {
+    const todo = after || before;
+    activityChanges(before, after).forEach(change => {
+      entries.push({ id: uuidv4(), todoId: todo.id, at, actor, text: todo.text, ...change });
+    });
+  });
+  return entries.length > 0 ? getTodoStorage().appendActivity(entries) : entries;
+};
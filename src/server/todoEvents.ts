@@ -0,0 +1,63 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { Todo, TodoEvent, TodoEventType } from '../types/todo';
+
+// Change feed of the todo store, read by the app/api/todos/stream route. Every change gets
+// the next revision, and the last HISTORY_SIZE events are kept so a client that reconnects
+// can pick up where it left off. Revisions start over when the server restarts; a client
+// asking for one it no longer has gets the whole list instead (see todoEventsSince).
+
+const HISTORY_SIZE = 500;
+
+type TodoEventListener = (event: TodoEvent) => void;
+
+let revision = 0;
+let history: TodoEvent[] = [];
+let listeners: TodoEventListener[] = [];
+
+// Client the change being made comes from - set by the route handlers
+const eventOrigin = new AsyncLocalStorage<string | null>();
+
+export const currentRevision = (): number => revision;
+
+// Runs a change on behalf of a client, so the events it causes name that client
+export const withEventOrigin = <T>(clientId: string | null, run: () => Promise<T>): Promise<T> =>
+  eventOrigin.run(clientId, run);
+
+// Changes that touched nothing are not published
+export const publishTodoEvent = (
+  type: Exclude<TodoEventType, 'reset'>,
+  change: { todos?: Todo[]; ids?: string[] }
+): void => {
+  if ((change.todos || change.ids || []).length === 0) {
+    return;
+  }
+  revision += 1;
+  const event: TodoEvent = { revision, type, ...change, origin: eventOrigin.getStore() || null };
+  history = [...history.slice(1 - HISTORY_SIZE), event];
+  listeners.slice().forEach(listener => listener(event));
+};
+
+// Returns the unsubscribe function
+export const subscribeTodoEvents = (listener: TodoEventListener): (() => void) => {
+  listeners = [...listeners, listener];
+  return () => {
+    listeners = listeners.filter(item => item !== listener);
+  };
+};
+
+// The events after `since`, or null when some of them are gone: pushed out of the history,
+// or `since` is from before a restart
+export const todoEventsSince = (since: number): TodoEvent[] | null => {
+  if (since > revision) {
+    return null;
+  }
+  const missed = history.filter(event => event.revision > since);
+  return missed.length === revision - since ? missed : null;
+};
+
+// Start over from revision 0 with no listeners - for tests
+export const resetTodoEvents = (): void => {
+  revision = 0;
+  history = [];
+  listeners = [];
+};
@@ -0,0 +1,573 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  List,
+  Todo,
+  TodoActivity,
+  TodoPriority,
+  CreateTodoRequest,
+  UpdateTodoRequest,
+  UpdateListRequest,
+  TodoBatchRequest,
+  TodoBatchResult,
+} from '../types/todo';
+import { TODO_PRIORITIES, isTodoPriority } from '../utils/todoSort';
+import { TagCount, collectTags, normalizeTag, retagTodos, uniqueTags } from '../utils/todoTags';
+import { ReorderTarget, nextOrder, reorderTodos } from '../utils/todoOrder';
+import { INBOX_LIST_ID, moveToList, normalizeListName } from '../utils/todoLists';
+import { TODO_BATCH_ACTIONS, applyBatch, isTodoBatchAction } from '../utils/todoBatch';
+import {
+  expiredTrashIds,
+  isDeleted,
+  purgeIds,
+  restoreFromTrash,
+  trashTodos,
+  trashedTodos,
+  withoutDeleted,
+} from '../utils/todoTrash';
+import { nextOccurrenceRequest, normalizeRecurrence } from '../utils/todoRecurrence';
+import { completionChanges } from '../utils/todoTree';
+import { getTodoStorage } from './storage';
+import { publishTodoEvent } from './todoEvents';
+import { changedTodos, recordActivity } from './todoActivity';
+
+// Error carrying the HTTP status the route handlers should respond with
+export class TodoServiceError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = 'TodoServiceError';
+    this.status = status;
+  }
+}
+
+// A change made against another revision of the todo than the stored one. Carries the
+// stored copy so the client can show it next to its own.
+export class TodoConflictError extends TodoServiceError {
+  todo: Todo;
+
+  constructor(todo: Todo) {
+    super('Todo was changed by someone else', 409);
+    this.name = 'TodoConflictError';
+    this.todo = todo;
+  }
+}
+
+const notFound = () => new TodoServiceError('Todo not found', 404);
+
+// Todos stored before revisions existed count as revision 0
+const revisionOf = (todo: Todo): number => todo.revision || 0;
+
+// Every saved change to a todo bumps its revision
+const revised = (todo: Todo): Todo => ({ ...todo, revision: revisionOf(todo) + 1 });
+
+// Changes sent without an expected revision apply to whatever is stored
+const checkRevision = (todo: Todo, expected?: number | null): void => {
+  if (expected !== undefined && expected !== null && revisionOf(todo) !== expected) {
+    throw new TodoConflictError(todo);
+  }
+};
+
+// Tells stream subscribers about saved todos and passes them on
+const publishTodos = (type: 'add' | 'update' | 'toggle', todos: Todo[]): Todo[] => {
+  publishTodoEvent(type, { todos });
+  return todos;
+};
+
+const publishDeleted = (ids: string[]): string[] => {
+  publishTodoEvent('delete', { ids });
+  return ids;
+};
+
+const trashNotFound = () => new TodoServiceError('Todo not found in the Trash', 404);
+
+const validateText = (text: unknown): string => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new TodoServiceError('Todo text is required', 400);
+  }
+  return text.trim();
+};
+
+// null/'' clear the due date; anything else must parse as a date and is stored as ISO
+const validateDueAt = (dueAt: unknown): string | null => {
+  if (dueAt === null || dueAt === '') {
+    return null;
+  }
+  const time = typeof dueAt === 'string' ? new Date(dueAt).getTime() : NaN;
+  if (isNaN(time)) {
+    throw new TodoServiceError('Todo dueAt must be an ISO date', 400);
+  }
+  return new Date(time).toISOString();
+};
+
+const validatePriority = (priority: unknown): TodoPriority => {
+  if (!isTodoPriority(priority)) {
+    throw new TodoServiceError(`Todo priority must be one of ${TODO_PRIORITIES.join(', ')}`, 400);
+  }
+  return priority;
+};
+
+// null/'' stop the todo recurring; anything else must be a supported rule
+const validateRecurrence = (recurrence: unknown): string | null => {
+  if (recurrence === null || recurrence === '') {
+    return null;
+  }
+  const rule = normalizeRecurrence(recurrence);
+  if (!rule) {
+    throw new TodoServiceError('Todo recurrence must be an RRULE with FREQ=DAILY, WEEKLY, MONTHLY or YEARLY', 400);
+  }
+  return rule;
+};
+
+const validateTag = (tag: unknown): string => {
+  const name = normalizeTag(tag);
+  if (!name) {
+    throw new TodoServiceError('Tag names may only contain letters, digits, "_" and "-"', 400);
+  }
+  return name;
+};
+
+const validateTags = (tags: unknown): string[] => {
+  if (!Array.isArray(tags)) {
+    throw new TodoServiceError('Todo tags must be a list of tag names', 400);
+  }
+  return uniqueTags(tags.map(validateTag));
+};
+
+// Subtasks can only be added under a todo that exists and is not in the Trash
+const validateParent = (todos: Todo[], parentId: unknown): Todo => {
+  const parent = todos.find(todo => todo.id === parentId);
+  if (!parent || isDeleted(parent)) {
+    throw new TodoServiceError('Parent todo not found', 400);
+  }
+  return parent;
+};
+
+const validateListName = (name: unknown): string => {
+  const listName = normalizeListName(name);
+  if (!listName) {
+    throw new TodoServiceError('List name is required', 400);
+  }
+  return listName;
+};
+
+// Todos can be filed in the Inbox or any stored list, archived or not
+const validateListId = async (listId: unknown): Promise<string> => {
+  if (listId === INBOX_LIST_ID) {
+    return INBOX_LIST_ID;
+  }
+  const lists = await getTodoStorage().lists();
+  if (typeof listId !== 'string' || !lists.some(list => list.id === listId)) {
+    throw new TodoServiceError('List not found', 400);
+  }
+  return listId;
+};
+
+// Tombstones past the retention window count as gone until purgeExpiredTrash removes them
+const withoutExpired = (todos: Todo[]): Todo[] => {
+  const expired = expiredTrashIds(todos, Date.now());
+  return todos.filter(todo => expired.indexOf(todo.id) === -1);
+};
+
+// Every stored todo, the Trash included
+const readAllTodos = async (): Promise<Todo[]> => withoutExpired(await getTodoStorage().list());
+
+// Saves what `change` makes of the stored todos (the Trash included) in one storage step,
+// so no other write can land in between, and logs it. Resolves with the saved todos.
+const saveChanges = async (change: (todos: Todo[]) => Todo[]): Promise<Todo[]> => {
+  const changes = await getTodoStorage().update(todos => {
+    const saved = change(todos);
+    return { save: saved, result: changedTodos(todos, saved) };
+  });
+  await recordActivity(changes);
+  return changes.map(item => item.after);
+};
+
+// Removes the todos `pick` chooses from the stored ones in one storage step, logs it and
+// tells stream subscribers. Resolves with the removed ids.
+const removeTodos = async (pick: (todos: Todo[]) => string[]): Promise<string[]> => {
+  const removed = await getTodoStorage().update(todos => {
+    const ids = pick(todos);
+    return { remove: ids, result: todos.filter(todo => ids.indexOf(todo.id) !== -1) };
+  });
+  if (removed.length === 0) {
+    return [];
+  }
+  await recordActivity(removed.map(todo => ({ before: todo, after: null })));
+  return publishDeleted(removed.map(todo => todo.id));
+};
+
+// Todos in the Trash are left out everywhere but listTrash
+export const listTodos = async (): Promise<Todo[]> => withoutDeleted(await readAllTodos());
+
+export const getTodo = async (id: string): Promise<Todo> => {
+  const todo = await getTodoStorage().get(id);
+  if (!todo || isDeleted(todo)) {
+    throw notFound();
+  }
+  return todo;
+};
+
+export const createTodo = async (data: CreateTodoRequest): Promise<Todo> => {
+  const todo: Todo = {
+    id: uuidv4(),
+    text: validateText(data && data.text),
+    completed: false,
+    createdAt: new Date().toISOString(),
+    revision: 1,
+  };
+  const dueAt = data && data.dueAt !== undefined ? validateDueAt(data.dueAt) : null;
+  if (dueAt) {
+    todo.dueAt = dueAt;
+  }
+  if (data && data.priority !== undefined) {
+    todo.priority = validatePriority(data.priority);
+  }
+  const tags = data && data.tags !== undefined ? validateTags(data.tags) : [];
+  if (tags.length > 0) {
+    todo.tags = tags;
+  }
+  const recurrence = data && data.recurrence !== undefined ? validateRecurrence(data.recurrence) : null;
+  if (recurrence) {
+    todo.recurrence = recurrence;
+  }
+  const isSubtask = data && data.parentId !== undefined && data.parentId !== null;
+  if (!isSubtask && data && data.listId !== undefined && data.listId !== null) {
+    const listId = await validateListId(data.listId);
+    if (listId !== INBOX_LIST_ID) {
+      todo.listId = listId;
+    }
+  }
+  // The order goes after the last todo in the same storage step, so todos created at the
+  // same time never share one
+  return publishTodos('add', await saveChanges(todos => {
+    const created: Todo = { ...todo, order: nextOrder(withoutDeleted(todos)) };
+    if (isSubtask) {
+      // Subtasks always live in their parent's list
+      const parent = validateParent(todos, data.parentId);
+      created.parentId = parent.id;
+      if (parent.listId) {
+        created.listId = parent.listId;
+      }
+    }
+    return [created];
+  }))[0];
+};
+
+// The live todo with the id among the stored ones, at the revision the change expects
+const currentTodo = (todos: Todo[], id: string, expectedRevision?: number | null): Todo => {
+  const todo = todos.find(item => item.id === id);
+  if (!todo || isDeleted(todo)) {
+    throw notFound();
+  }
+  checkRevision(todo, expectedRevision);
+  return todo;
+};
+
+const validateUpdates = (updates: UpdateTodoRequest): UpdateTodoRequest => {
+  const changes: UpdateTodoRequest = {};
+
+  // Only whitelisted fields may be changed - id/createdAt stay server-owned
+  if (updates && updates.text !== undefined) {
+    changes.text = validateText(updates.text);
+  }
+  if (updates && updates.completed !== undefined) {
+    if (typeof updates.completed !== 'boolean') {
+      throw new TodoServiceError('Todo completed must be a boolean', 400);
+    }
+    changes.completed = updates.completed;
+  }
+  if (updates && updates.dueAt !== undefined) {
+    changes.dueAt = validateDueAt(updates.dueAt);
+  }
+  if (updates && updates.priority !== undefined) {
+    changes.priority = validatePriority(updates.priority);
+  }
+  if (updates && updates.tags !== undefined) {
+    changes.tags = validateTags(updates.tags);
+  }
+  if (updates && updates.recurrence !== undefined) {
+    changes.recurrence = validateRecurrence(updates.recurrence);
+  }
+  return changes;
+};
+
+// expectedRevision (the If-Match header) is the revision the change was made against. It is
+// compared in the same storage step that saves the change, so of two changes made against
+// the same revision only the first is saved.
+export const updateTodo = async (id: string, updates: UpdateTodoRequest, expectedRevision?: number | null): Promise<Todo> => {
+  const updatedAt = new Date().toISOString();
+  return publishTodos('update', await saveChanges(todos => {
+    const current = currentTodo(todos, id, expectedRevision);
+    return [revised({ ...current, ...validateUpdates(updates), updatedAt })];
+  }))[0];
+};
+
+// Toggling applies the subtask completion rules (see completionChanges): completing a todo
+// completes its subtasks, and with `completeParents` completing the last open subtask
+// completes the parent. Completing a recurring todo hands its schedule over to a new todo
+// for the next occurrence, so reopening and completing it again does not create another one.
+export const toggleTodo = async (
+  id: string,
+  expectedRevision?: number | null,
+  completeParents: boolean = false
+): Promise<Todo> => {
+  const updatedAt = new Date().toISOString();
+  let next: CreateTodoRequest | null = null;
+  const toggled = publishTodos('toggle', await saveChanges(todos => {
+    const current = currentTodo(todos, id, expectedRevision);
+    const completed = !current.completed;
+    // The subtasks and parents the completion rules change are saved with the todo
+    const related = completionChanges(withoutDeleted(todos), id, completed, completeParents).map(change =>
+      revised({ ...todos.find(todo => todo.id === change.id), completed: change.completed, updatedAt }));
+    if (!completed || !current.recurrence) {
+      return [revised({ ...current, completed, updatedAt }), ...related];
+    }
+    next = nextOccurrenceRequest(current, Date.now());
+    return [revised({ ...current, completed: true, recurrence: null, updatedAt }), ...related];
+  }))[0];
+  if (next) {
+    await createTodo(next);
+  }
+  return toggled;
+};
+
+// Moves the todo together with all of its subtasks to the Trash; resolves with every
+// trashed id
+export const deleteTodo = async (id: string, expectedRevision?: number | null): Promise<string[]> => {
+  const trashed = await saveChanges(todos => {
+    currentTodo(todos, id, expectedRevision);
+    return trashTodos(withoutDeleted(todos), id, new Date().toISOString()).map(revised);
+  });
+  return publishDeleted(trashed.map(item => item.id));
+};
+
+// Todos in the Trash, most recently deleted first
+export const listTrash = async (): Promise<Todo[]> => trashedTodos(await readAllTodos());
+
+// Takes a todo out of the Trash along with the subtasks deleted with it; resolves with
+// the restored todos. A subtask whose parent is still in the Trash has nowhere to go.
+export const restoreTodo = async (id: string): Promise<Todo[]> => {
+  const updatedAt = new Date().toISOString();
+  return publishTodos('add', await saveChanges(todos => {
+    const restored = restoreFromTrash(withoutExpired(todos), id);
+    if (restored.length === 0) {
+      throw trashNotFound();
+    }
+    const parent = restored[0].parentId ? todos.find(todo => todo.id === restored[0].parentId) : null;
+    if (parent && isDeleted(parent)) {
+      throw new TodoServiceError('Restore the parent todo first', 400);
+    }
+    return restored.map(todo => revised({ ...todo, updatedAt }));
+  }));
+};
+
+// Deletes a todo in the Trash for good, with its subtasks; resolves with every removed id
+export const purgeTodo = async (id: string): Promise<string[]> =>
+  removeTodos(todos => {
+    const ids = purgeIds(withoutExpired(todos), id);
+    if (ids.length === 0) {
+      throw trashNotFound();
+    }
+    return ids;
+  });
+
+// Deletes the todos that stayed in the Trash past the retention window for good; resolves
+// with their ids. Reads only hide them, so this runs on request (POST /api/todos/trash/purge).
+export const purgeExpiredTrash = async (): Promise<string[]> =>
+  removeTodos(todos => expiredTrashIds(todos, Date.now()));
+
+const validateReorderTarget = (target: any): ReorderTarget => {
+  const beforeId = target && target.beforeId;
+  const afterId = target && target.afterId;
+  if ((typeof beforeId === 'string') === (typeof afterId === 'string')) {
+    throw new TodoServiceError('Reorder needs either a beforeId or an afterId', 400);
+  }
+  return typeof beforeId === 'string' ? { beforeId } : { afterId };
+};
+
+// Move a todo right before or after another one; resolves with every todo whose order
+// changed (more than the moved one only when the list had to be renumbered)
+export const reorderTodo = async (id: string, target: unknown): Promise<Todo[]> => {
+  const place = validateReorderTarget(target);
+  return publishTodos('update', await saveChanges(stored => {
+    const todos = withoutDeleted(stored);
+    if (!todos.some(todo => todo.id === id)) {
+      throw notFound();
+    }
+    const changed = reorderTodos(todos, id, place);
+    if (!changed) {
+      throw new TodoServiceError('Target todo not found', 400);
+    }
+    return changed.map(revised);
+  }));
+};
+
+export const listTags = async (): Promise<TagCount[]> => collectTags(await listTodos());
+
+// Swap tags on every todo that has them in a single storage write; returns the changed todos
+const retag = async (from: string[], into: string | null): Promise<Todo[]> => {
+  const updatedAt = new Date().toISOString();
+  return publishTodos('update', await saveChanges(stored => {
+    const todos = withoutDeleted(stored);
+    if (!todos.some(todo => from.some(tag => !!todo.tags && todo.tags.indexOf(tag) !== -1))) {
+      throw new TodoServiceError('Tag not found', 404);
+    }
+    return retagTodos(todos, from, into).map(todo => revised({ ...todo, updatedAt }));
+  }));
+};
+
+// Renaming onto a tag that is already in use merges the two
+export const renameTag = (tag: string, name: unknown): Promise<Todo[]> =>
+  retag([validateTag(tag)], validateTag(name));
+
+export const mergeTags = (tags: unknown, into: unknown): Promise<Todo[]> => {
+  if (!Array.isArray(tags) || tags.length === 0) {
+    throw new TodoServiceError('Tags to merge must be a non-empty list', 400);
+  }
+  return retag(uniqueTags(tags.map(validateTag)), validateTag(into));
+};
+
+export const deleteTag = (tag: string): Promise<Todo[]> => retag([validateTag(tag)], null);
+
+// Move a top-level todo and its subtasks to another list; resolves with the moved todos
+export const moveTodo = async (id: string, listId: unknown): Promise<Todo[]> => {
+  const target = await validateListId(listId);
+  const updatedAt = new Date().toISOString();
+  return publishTodos('update', await saveChanges(stored => {
+    const todos = withoutDeleted(stored);
+    const todo = todos.find(item => item.id === id);
+    if (!todo) {
+      throw notFound();
+    }
+    if (todo.parentId) {
+      throw new TodoServiceError('Subtasks move with their parent', 400);
+    }
+    return moveToList(todos, id, target).map(item => revised({ ...item, updatedAt }));
+  }));
+};
+
+// A malformed batch is rejected as a whole; todos it cannot apply to are reported per item
+const validateBatch = async (body: any): Promise<TodoBatchRequest> => {
+  const action = body && body.action;
+  if (!isTodoBatchAction(action)) {
+    throw new TodoServiceError(`Batch action must be one of ${TODO_BATCH_ACTIONS.join(', ')}`, 400);
+  }
+  const ids = body.ids;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some((id: unknown) => typeof id !== 'string')) {
+    throw new TodoServiceError('Batch ids must be a non-empty list of todo ids', 400);
+  }
+  const request: TodoBatchRequest = { action, ids };
+  if (action === 'move') {
+    request.listId = await validateListId(body.listId);
+  }
+  if (action === 'tag') {
+    request.tag = validateTag(body.tag);
+  }
+  return request;
+};
+
+// Apply one action to several todos in a single storage step. Resolves with a result per
+// requested id plus the changed todos and removed ids, so a partial failure still saves
+// the todos that could take the action.
+export const batchTodos = async (body: unknown): Promise<TodoBatchResult> => {
+  const request = await validateBatch(body);
+  const updatedAt = new Date().toISOString();
+  let result: TodoBatchResult;
+  const saved = await saveChanges(stored => {
+    const live = withoutDeleted(stored);
+    result = applyBatch(live, request, updatedAt);
+    if (request.action === 'delete') {
+      // Deleted todos go to the Trash
+      return live
+        .filter(todo => result.deleted.indexOf(todo.id) !== -1)
+        .map(todo => revised({ ...todo, deletedAt: updatedAt }));
+    }
+    return result.todos.map(revised);
+  });
+  if (request.action === 'delete') {
+    return { ...result, deleted: publishDeleted(saved.map(todo => todo.id)) };
+  }
+  return { ...result, todos: publishTodos('update', saved) };
+};
+
+const listNotFound = () => new TodoServiceError('List not found', 404);
+
+// The Inbox is built in - it cannot be renamed, archived or deleted
+const checkNotInbox = (id: string): void => {
+  if (id === INBOX_LIST_ID) {
+    throw new TodoServiceError('The Inbox cannot be changed', 400);
+  }
+};
+
+const getStoredList = async (id: string): Promise<List> => {
+  checkNotInbox(id);
+  const list = (await getTodoStorage().lists()).find(item => item.id === id);
+  if (!list) {
+    throw listNotFound();
+  }
+  return list;
+};
+
+// Named lists only - clients add the Inbox themselves
+export const listLists = (): Promise<List[]> => getTodoStorage().lists();
+
+export const createList = async (data: { name?: unknown }): Promise<List> =>
+  getTodoStorage().saveList({
+    id: uuidv4(),
+    name: validateListName(data && data.name),
+    createdAt: new Date().toISOString(),
+  });
+
+export const updateList = async (id: string, updates: UpdateListRequest): Promise<List> => {
+  const current = await getStoredList(id);
+  const changes: UpdateListRequest = {};
+  if (updates && updates.name !== undefined) {
+    changes.name = validateListName(updates.name);
+  }
+  if (updates && updates.archived !== undefined) {
+    if (typeof updates.archived !== 'boolean') {
+      throw new TodoServiceError('List archived must be a boolean', 400);
+    }
+    changes.archived = updates.archived;
+  }
+  const updated: List = { ...current, ...changes, updatedAt: new Date().toISOString() };
+  if (!updated.archived) {
+    delete updated.archived;
+  }
+  return getTodoStorage().saveList(updated);
+};
+
+// Deletes the list together with every todo filed in it, skipping the Trash; resolves with
+// the removed todo ids
+export const deleteList = async (id: string): Promise<string[]> => {
+  checkNotInbox(id);
+  const removed = await getTodoStorage().removeList(id);
+  if (!removed) {
+    throw listNotFound();
+  }
+  await recordActivity(removed.map(todo => ({ before: todo, after: null })));
+  return publishDeleted(removed.map(todo => todo.id));
+};
+
+// Activity log of one todo, newest first. Todos that are gone keep their history; an id
+// with neither a history nor a stored todo is unknown.
+export const getTodoHistory = async (id: string): Promise<TodoActivity[]> => {
+  const entries = await getTodoStorage().activity(id);
+  if (entries.length === 0 && !(await getTodoStorage().get(id))) {
+    throw notFound();
+  }
+  return entries;
+};
+
+export const ACTIVITY_LIMIT = 100;
+const MAX_ACTIVITY_LIMIT = 1000;
+
+// The latest changes to any todo, newest first
+export const listActivity = async (limit: unknown = ACTIVITY_LIMIT): Promise<TodoActivity[]> => {
+  const count = Number(limit);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_ACTIVITY_LIMIT) {
+    throw new TodoServiceError(`Activity limit must be a whole number from 1 to ${MAX_ACTIVITY_LIMIT}`, 400);
+  }
+  return getTodoStorage().activity(undefined, count);
+};
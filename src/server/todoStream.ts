@@ -0,0 +1,78 @@
+import { TodoEvent } from '../types/todo';
+import { listTodos } from './todoService';
+import { currentRevision, subscribeTodoEvents, todoEventsSince } from './todoEvents';
+
+// Server-Sent Events for app/api/todos/stream. Each event is one message whose id is its
+// revision, which EventSource sends back as Last-Event-ID when it reconnects.
+
+// A comment line goes out this often so idle connections are not dropped by proxies
+const KEEP_ALIVE_MS = 15 * 1000;
+
+const encoder = new TextEncoder();
+
+const message = (event: TodoEvent): Uint8Array =>
+  encoder.encode(`id: ${event.revision}\ndata: ${JSON.stringify(event)}\n\n`);
+
+// Revision the client has seen: Last-Event-ID on a reconnect, ?since= on a new connection
+export const requestedRevision = (request: Request): number | null => {
+  const value = request.headers.get('Last-Event-ID') || new URL(request.url).searchParams.get('since');
+  const since = value ? Number(value) : NaN;
+  return since >= 0 && Math.floor(since) === since ? since : null;
+};
+
+// The events after `since`, then each new one as it happens. Without `since`, or when the
+// events after it are gone, the stream starts with a reset carrying the whole list.
+export const createTodoEventStream = (since: number | null, signal: AbortSignal): ReadableStream<Uint8Array> => {
+  // Drops the subscription and the keep-alive timer - set up when the stream starts
+  let stop = () => {};
+
+  return new ReadableStream<Uint8Array>({
+    async start(controller) {
+      let lastSent = -1;
+      let buffered: TodoEvent[] | null = [];
+      const send = (event: TodoEvent) => {
+        if (event.revision > lastSent) {
+          lastSent = event.revision;
+          controller.enqueue(message(event));
+        }
+      };
+      // Subscribed before the backlog is read, so changes made meanwhile are not lost
+      const unsubscribe = subscribeTodoEvents(event => (buffered ? buffered.push(event) : send(event)));
+      const keepAlive = setInterval(() => controller.enqueue(encoder.encode(': keep-alive\n\n')), KEEP_ALIVE_MS);
+      let stopped = false;
+      stop = () => {
+        stopped = true;
+        clearInterval(keepAlive);
+        unsubscribe();
+      };
+      signal.addEventListener('abort', () => {
+        if (!stopped) {
+          stop();
+          controller.close();
+        }
+      });
+
+      try {
+        const missed = since === null ? null : todoEventsSince(since);
+        if (missed) {
+          lastSent = since;
+          missed.forEach(send);
+        } else {
+          const revision = currentRevision();
+          send({ revision, type: 'reset', todos: await listTodos() });
+        }
+      } catch (error) {
+        console.error('Failed to start the todo event stream:', error);
+        stop();
+        controller.error(error);
+        return;
+      }
+      const pending = buffered;
+      buffered = null;
+      pending.forEach(send);
+    },
+    cancel() {
+      stop();
+    },
+  });
+};
@@ -0,0 +1,207 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { TodoApiError, TodoConflictError } from '../todoApi';
+import {
+  OfflineQueue,
+  QUEUE_STORAGE_KEY,
+  createMemoryQueueStorage,
+  createQueueStorage,
+  subscribeToReconnect
+} from '../offlineQueue';
+
+const serverTodo = {
+  id: '1',
+  text: 'Server todo',
+  completed: false,
+  createdAt: '2023-01-01T00:00:00.000Z'
+};
+
+const createApi = () => ({
+  fetchTodo: vi.fn().mockResolvedValue(serverTodo),
+  addTodo: vi.fn(),
+  updateTodo: vi.fn(),
+  toggleTodo: vi.fn(),
+  deleteTodo: vi.fn(id => Promise.resolve([id]))
+});
+
+const change = (overrides) => ({
+  operation: 'toggle',
+  todoId: '1',
+  baseVersion: serverTodo.createdAt,
+  ...overrides
+});
+
+describe('offlineQueue', () => {
+  let queue;
+  let api;
+
+  beforeEach(() => {
+    queue = new OfflineQueue(createMemoryQueueStorage());
+    api = createApi();
+  });
+
+  describe('storage', () => {
+    afterEach(() => {
+      delete window.indexedDB;
+      window.localStorage.clear();
+    });
+
+    it('persists to localStorage when IndexedDB is unavailable', async () => {
+      await new OfflineQueue(createQueueStorage()).enqueue(change());
+
+      const stored = JSON.parse(window.localStorage.getItem(QUEUE_STORAGE_KEY));
+      expect(stored).toEqual([expect.objectContaining({ operation: 'toggle', todoId: '1' })]);
+      expect(await new OfflineQueue(createQueueStorage()).list()).toEqual(stored);
+    });
+
+    it('falls back to localStorage when IndexedDB cannot be opened', async () => {
+      window.indexedDB = { open: () => { throw new Error('blocked'); } };
+
+      await new OfflineQueue(createQueueStorage()).enqueue(change());
+
+      expect(JSON.parse(window.localStorage.getItem(QUEUE_STORAGE_KEY))).toHaveLength(1);
+    });
+
+    it('treats a corrupt localStorage entry as an empty queue', async () => {
+      window.localStorage.setItem(QUEUE_STORAGE_KEY, '{not json');
+
+      expect(await new OfflineQueue(createQueueStorage()).list()).toEqual([]);
+    });
+  });
+
+  describe('replay', () => {
+    it('replays mutations in the order they were made', async () => {
+      const edited = { ...serverTodo, text: 'Edited', updatedAt: '2023-01-02T00:00:00.000Z' };
+      const toggled = { ...edited, completed: true, updatedAt: '2023-01-03T00:00:00.000Z' };
+      api.updateTodo.mockResolvedValue(edited);
+      api.toggleTodo.mockResolvedValue(toggled);
+      api.fetchTodo.mockResolvedValueOnce(serverTodo).mockResolvedValueOnce(edited);
+
+      await queue.enqueue(change({ operation: 'update', payload: { text: 'Edited' } }));
+      await queue.enqueue(change());
+      const result = await queue.replay(api);
+
+      expect(api.updateTodo.mock.invocationCallOrder[0]).toBeLessThan(api.toggleTodo.mock.invocationCallOrder[0]);
+      expect(result.synced.map(({ todo }) => todo)).toEqual([edited, toggled]);
+      expect(result.remaining).toBe(0);
+      expect(await queue.list()).toEqual([]);
+    });
+
+    it('sends changes to a todo created offline under its server id', async () => {
+      const created = { id: '2', text: 'Offline', completed: false, createdAt: '2023-01-02T00:00:00.000Z' };
+      api.addTodo.mockResolvedValue(created);
+      api.fetchTodo.mockResolvedValue(created);
+      api.updateTodo.mockResolvedValue({ ...created, text: 'Renamed' });
+
+      await queue.enqueue(change({ operation: 'add', todoId: 'local-1', payload: { text: 'Offline' }, baseVersion: null }));
+      await queue.enqueue(change({ operation: 'update', todoId: 'local-1', payload: { text: 'Renamed' }, baseVersion: null }));
+      const result = await queue.replay(api);
+
+      expect(api.updateTodo).toHaveBeenCalledWith('2', { text: 'Renamed' }, 0);
+      expect(result.synced[0].mutation.todoId).toBe('local-1');
+      expect(result.synced[1].mutation.todoId).toBe('2');
+    });
+
+    it('adds subtasks of a todo created offline under its server id', async () => {
+      api.addTodo
+        .mockResolvedValueOnce({ id: '2', text: 'Parent', completed: false })
+        .mockResolvedValueOnce({ id: '3', text: 'Child', completed: false, parentId: '2' });
+
+      await queue.enqueue(change({ operation: 'add', todoId: 'local-1', payload: { text: 'Parent' }, baseVersion: null }));
+      await queue.enqueue(change({
+        operation: 'add', todoId: 'local-2', payload: { text: 'Child', parentId: 'local-1' }, baseVersion: null
+      }));
+      await queue.replay(api);
+
+      expect(api.addTodo).toHaveBeenLastCalledWith({ text: 'Child', parentId: '2' });
+    });
+
+    it('reports a conflict instead of applying a change when the server copy moved on', async () => {
+      const theirs = { ...serverTodo, text: 'Theirs', updatedAt: '2023-02-01T00:00:00.000Z' };
+      api.fetchTodo.mockResolvedValue(theirs);
+
+      await queue.enqueue(change({ operation: 'update', payload: { text: 'Mine' } }));
+      await queue.enqueue(change());
+      const result = await queue.replay(api);
+
+      expect(api.updateTodo).not.toHaveBeenCalled();
+      expect(api.toggleTodo).not.toHaveBeenCalled();
+      expect(result.conflicts).toHaveLength(2);
+      expect(result.conflicts[0].serverTodo).toEqual(theirs);
+      expect(await queue.list()).toEqual([]);
+    });
+
+    it('reports a conflict when the todo changes on the server while the change is sent', async () => {
+      const checked = { ...serverTodo, revision: 3 };
+      const theirs = { ...checked, text: 'Theirs', revision: 4 };
+      api.fetchTodo.mockResolvedValue(checked);
+      api.updateTodo.mockRejectedValue(new TodoConflictError('Todo was changed by someone else', theirs));
+
+      await queue.enqueue(change({ operation: 'update', payload: { text: 'Mine' } }));
+      await queue.enqueue(change());
+      const result = await queue.replay(api);
+
+      expect(api.updateTodo).toHaveBeenCalledWith('1', { text: 'Mine' }, 3);
+      expect(api.toggleTodo).not.toHaveBeenCalled();
+      expect(result.conflicts.map(({ serverTodo }) => serverTodo)).toEqual([theirs, theirs]);
+      expect(result.rejected).toEqual([]);
+      expect(await queue.list()).toEqual([]);
+    });
+
+    it('treats a todo deleted on the server as a conflict, except for deletes', async () => {
+      api.fetchTodo.mockRejectedValue(new TodoApiError('Todo not found', 404));
+
+      await queue.enqueue(change());
+      await queue.enqueue(change({ operation: 'delete', todoId: '2' }));
+      const result = await queue.replay(api);
+
+      expect(result.conflicts).toEqual([{ mutation: expect.objectContaining({ todoId: '1' }), serverTodo: null }]);
+      expect(result.synced).toEqual([{ mutation: expect.objectContaining({ todoId: '2' }), todo: null }]);
+      expect(api.deleteTodo).not.toHaveBeenCalled();
+    });
+
+    it('stops and keeps the rest of the queue when the server is unreachable again', async () => {
+      api.toggleTodo.mockRejectedValue(new TodoApiError('Failed to toggle todo', 0));
+
+      await queue.enqueue(change());
+      await queue.enqueue(change({ operation: 'delete' }));
+      const result = await queue.replay(api);
+
+      expect(result.remaining).toBe(2);
+      expect(api.deleteTodo).not.toHaveBeenCalled();
+      expect((await queue.list()).map(mutation => mutation.operation)).toEqual(['toggle', 'delete']);
+    });
+
+    it('drops mutations the server rejects', async () => {
+      api.addTodo.mockRejectedValue(new TodoApiError('Todo text is required', 400));
+
+      await queue.enqueue(change({ operation: 'add', todoId: 'local-1', payload: { text: ' ' }, baseVersion: null }));
+      const result = await queue.replay(api);
+
+      expect(result.rejected).toEqual([
+        { mutation: expect.objectContaining({ todoId: 'local-1' }), error: 'Todo text is required' }
+      ]);
+      expect(await queue.list()).toEqual([]);
+    });
+
+    it('shares a replay that is already running', async () => {
+      api.toggleTodo.mockResolvedValue({ ...serverTodo, completed: true });
+      await queue.enqueue(change());
+
+      const [first, second] = await Promise.all([queue.replay(api), queue.replay(api)]);
+
+      expect(first).toBe(second);
+      expect(api.toggleTodo).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('calls the listener when the browser comes back online', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToReconnect(listener);
+
+    window.dispatchEvent(new Event('online'));
+    unsubscribe();
+    window.dispatchEvent(new Event('online'));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
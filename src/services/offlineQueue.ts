@@ -0,0 +1,340 @@
+import { v4 as uuidv4 } from 'uuid';
+import { isConflictError, isNetworkError } from './todoApi';
+import { Todo, CreateTodoRequest, UpdateTodoRequest } from '../types/todo';
+
+// Mutations made while the API is unreachable. They are applied locally right away,
+// persisted (IndexedDB, localStorage when IndexedDB is unavailable) and replayed in
+// order once the browser is back online.
+
+export type QueuedOperation = 'add' | 'update' | 'toggle' | 'delete';
+
+export interface QueuedMutation {
+  id: string;
+  operation: QueuedOperation;
+  // Todo the mutation applies to - a `local-` id for todos created offline
+  todoId: string;
+  payload?: CreateTodoRequest | UpdateTodoRequest;
+  // Server version (updatedAt, else createdAt) the change was made against
+  baseVersion: string | null;
+  queuedAt: string;
+}
+
+export type NewQueuedMutation = Omit<QueuedMutation, 'id' | 'queuedAt'>;
+
+export interface ReplayResult {
+  // Accepted by the server - todo is the server copy (null for deletes)
+  synced: Array<{ mutation: QueuedMutation; todo: Todo | null }>;
+  // Skipped because the server copy changed since the mutation was queued (null when deleted there)
+  conflicts: Array<{ mutation: QueuedMutation; serverTodo: Todo | null }>;
+  // Refused by the server for any other reason and dropped from the queue
+  rejected: Array<{ mutation: QueuedMutation; error: string }>;
+  // Still queued because the server became unreachable again
+  remaining: number;
+}
+
+// Subset of todoApi the replay needs
+export interface ReplayApi {
+  fetchTodo: (id: string) => Promise<Todo>;
+  addTodo: (todo: CreateTodoRequest) => Promise<Todo>;
+  updateTodo: (id: string, updates: UpdateTodoRequest, revision?: number) => Promise<Todo>;
+  toggleTodo: (id: string, revision?: number) => Promise<Todo>;
+  deleteTodo: (id: string, revision?: number) => Promise<string[]>;
+}
+
+export interface QueueStorage {
+  load(): Promise<QueuedMutation[]>;
+  save(mutations: QueuedMutation[]): Promise<void>;
+}
+
+export const LOCAL_TODO_PREFIX = 'local-';
+export const QUEUE_STORAGE_KEY = 'todo-offline-queue';
+
+const DB_NAME = 'todo-offline';
+const DB_STORE = 'queue';
+
+export const createLocalTodoId = (): string => `${LOCAL_TODO_PREFIX}${uuidv4()}`;
+
+export const isLocalTodoId = (id: string): boolean =>
+  typeof id === 'string' && id.indexOf(LOCAL_TODO_PREFIX) === 0;
+
+export const todoVersion = (todo?: Todo | null): string | null =>
+  todo ? todo.updatedAt || todo.createdAt || null : null;
+
+export const isOnline = (): boolean =>
+  typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// Call listener whenever the browser comes back online; returns the unsubscribe
+export const subscribeToReconnect = (listener: () => void): (() => void) => {
+  if (typeof window === 'undefined') {
+    return () => {};
+  }
+  window.addEventListener('online', listener);
+  return () => window.removeEventListener('online', listener);
+};
+
+export const createMemoryQueueStorage = (initial: QueuedMutation[] = []): QueueStorage => {
+  let mutations = initial;
+  return {
+    load: async () => mutations,
+    save: async (next) => {
+      mutations = next;
+    },
+  };
+};
+
+export const createLocalStorageQueueStorage = (
+  storage: Storage = window.localStorage,
+  key: string = QUEUE_STORAGE_KEY
+): QueueStorage => ({
+  load: async () => {
+    const raw = storage.getItem(key);
+    if (!raw) {
+      return [];
+    }
+    try {
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  },
+  save: async (mutations) => {
+    storage.setItem(key, JSON.stringify(mutations));
+  },
+});
+
+const promisifyRequest = <T>(request: IDBRequest<T>): Promise<T> =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// The whole queue is stored as one record - it is small and always replaced at once
+export const createIndexedDbQueueStorage = (factory: IDBFactory = window.indexedDB): QueueStorage => {
+  let database: Promise<IDBDatabase> | null = null;
+
+  const open = () => {
+    if (!database) {
+      const request = factory.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(DB_STORE);
+      };
+      database = promisifyRequest(request);
+    }
+    return database;
+  };
+
+  return {
+    load: async () => {
+      const db = await open();
+      const stored = await promisifyRequest(
+        db.transaction(DB_STORE, 'readonly').objectStore(DB_STORE).get(QUEUE_STORAGE_KEY)
+      );
+      return Array.isArray(stored) ? stored : [];
+    },
+    save: async (mutations) => {
+      const db = await open();
+      await promisifyRequest(
+        db.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE).put(mutations, QUEUE_STORAGE_KEY)
+      );
+    },
+  };
+};
+
+// Use the primary storage until it fails once (e.g. IndexedDB blocked in private mode),
+// then stay on the fallback
+const withFallback = (primary: QueueStorage, fallback: QueueStorage): QueueStorage => {
+  let active = primary;
+  const run = async <T>(operation: (storage: QueueStorage) => Promise<T>): Promise<T> => {
+    if (active !== fallback) {
+      try {
+        return await operation(active);
+      } catch (error) {
+        active = fallback;
+      }
+    }
+    return operation(fallback);
+  };
+  return {
+    load: () => run(storage => storage.load()),
+    save: (mutations) => run(storage => storage.save(mutations)),
+  };
+};
+
+export const createQueueStorage = (): QueueStorage => {
+  if (typeof window === 'undefined') {
+    return createMemoryQueueStorage();
+  }
+  const fallback = window.localStorage
+    ? createLocalStorageQueueStorage(window.localStorage)
+    : createMemoryQueueStorage();
+  return window.indexedDB
+    ? withFallback(createIndexedDbQueueStorage(window.indexedDB), fallback)
+    : fallback;
+};
+
+const errorMessage = (error: any, fallback: string): string => error?.message || fallback;
+
+// Server copy of a todo, or null when it no longer exists there
+const fetchServerTodo = (api: ReplayApi, id: string): Promise<Todo | null> =>
+  api.fetchTodo(id).catch(error => {
+    if (error?.status === 404) {
+      return null;
+    }
+    throw error;
+  });
+
+// Sent against the revision of the server copy replay just checked, so a change made on the
+// server in between fails with a conflict instead of being overwritten
+const replayMutation = (api: ReplayApi, mutation: QueuedMutation, serverTodo: Todo): Promise<Todo | null> => {
+  const revision = serverTodo.revision || 0;
+  switch (mutation.operation) {
+    case 'update':
+      return api.updateTodo(serverTodo.id, mutation.payload as UpdateTodoRequest, revision);
+    case 'toggle':
+      return api.toggleTodo(serverTodo.id, revision);
+    case 'delete':
+      return api.deleteTodo(serverTodo.id, revision).then(() => null);
+    default:
+      return Promise.reject(new Error(`Unknown queued operation: ${mutation.operation}`));
+  }
+};
+
+export class OfflineQueue {
+  private storage: QueueStorage;
+  private mutations: QueuedMutation[] | null = null;
+  private chain: Promise<unknown> = Promise.resolve();
+  private replaying: Promise<ReplayResult> | null = null;
+
+  constructor(storage: QueueStorage) {
+    this.storage = storage;
+  }
+
+  // Serialize every read-modify-write so enqueues never interleave with a replay's writes
+  private enqueueTask<T>(task: () => Promise<T>): Promise<T> {
+    const next = this.chain.then(task, task);
+    this.chain = next.catch(() => undefined);
+    return next;
+  }
+
+  private async read(): Promise<QueuedMutation[]> {
+    if (!this.mutations) {
+      this.mutations = await this.storage.load();
+    }
+    return this.mutations;
+  }
+
+  private async write(mutations: QueuedMutation[]): Promise<void> {
+    this.mutations = mutations;
+    await this.storage.save(mutations);
+  }
+
+  list(): Promise<QueuedMutation[]> {
+    return this.enqueueTask(() => this.read());
+  }
+
+  enqueue(mutation: NewQueuedMutation): Promise<QueuedMutation> {
+    return this.enqueueTask(async () => {
+      const entry: QueuedMutation = { ...mutation, id: uuidv4(), queuedAt: new Date().toISOString() };
+      await this.write([...(await this.read()), entry]);
+      return entry;
+    });
+  }
+
+  clear(): Promise<void> {
+    return this.enqueueTask(() => this.write([]));
+  }
+
+  // Send queued mutations to the server in the order they were made. A mutation whose todo
+  // changed on the server since it was queued is not applied and is reported as a conflict.
+  // Concurrent calls share the replay already running.
+  replay(api: ReplayApi): Promise<ReplayResult> {
+    if (!this.replaying) {
+      const done = () => {
+        this.replaying = null;
+      };
+      this.replaying = this.enqueueTask(() => this.runReplay(api));
+      this.replaying.then(done, done);
+    }
+    return this.replaying;
+  }
+
+  private async runReplay(api: ReplayApi): Promise<ReplayResult> {
+    const result: ReplayResult = { synced: [], conflicts: [], rejected: [], remaining: 0 };
+    const queue = [...(await this.read())];
+    // Server ids of todos created offline, and the versions this replay itself produced
+    const serverIds: Record<string, string> = {};
+    const knownVersions: Record<string, string | null> = {};
+    // Later changes to a conflicted todo were made on top of the skipped one, so they conflict too
+    const conflicted: Record<string, Todo | null> = {};
+
+    while (queue.length > 0) {
+      const queued = queue[0];
+      const todoId = serverIds[queued.todoId] || queued.todoId;
+      // Results refer to server ids, except for the add that created the todo
+      const mutation = todoId === queued.todoId ? queued : { ...queued, todoId };
+
+      try {
+        if (todoId in conflicted) {
+          result.conflicts.push({ mutation, serverTodo: conflicted[todoId] });
+        } else if (mutation.operation === 'add') {
+          // A subtask of a todo that was also created offline belongs to its server id by now
+          const payload = mutation.payload as CreateTodoRequest;
+          const parentId = payload.parentId && serverIds[payload.parentId];
+          const todo = await api.addTodo(parentId ? { ...payload, parentId } : payload);
+          serverIds[queued.todoId] = todo.id;
+          knownVersions[todo.id] = todoVersion(todo);
+          result.synced.push({ mutation, todo });
+        } else {
+          const serverTodo = await fetchServerTodo(api, todoId);
+          const expected = todoId in knownVersions ? knownVersions[todoId] : mutation.baseVersion;
+
+          if (!serverTodo && mutation.operation === 'delete') {
+            // Already gone - nothing left to do
+            result.synced.push({ mutation, todo: null });
+          } else if (!serverTodo || todoVersion(serverTodo) !== expected) {
+            conflicted[todoId] = serverTodo;
+            result.conflicts.push({ mutation, serverTodo });
+          } else {
+            const todo = await replayMutation(api, mutation, serverTodo);
+            if (todo) {
+              knownVersions[todo.id] = todoVersion(todo);
+            }
+            result.synced.push({ mutation, todo });
+          }
+        }
+      } catch (error) {
+        if (isNetworkError(error)) {
+          break;
+        }
+        if (isConflictError(error)) {
+          // Changed on the server after replay checked it
+          conflicted[todoId] = error.todo;
+          result.conflicts.push({ mutation, serverTodo: error.todo });
+        } else {
+          result.rejected.push({ mutation, error: errorMessage(error, 'Failed to sync change') });
+        }
+      }
+
+      queue.shift();
+      await this.write([...queue]);
+    }
+
+    result.remaining = queue.length;
+    return result;
+  }
+}
+
+let offlineQueue: OfflineQueue | null = null;
+
+// Shared queue for the app - created lazily so importing this module on the server is harmless
+export const getOfflineQueue = (): OfflineQueue => {
+  if (!offlineQueue) {
+    offlineQueue = new OfflineQueue(createQueueStorage());
+  }
+  return offlineQueue;
+};
+
+export const setOfflineQueue = (next: OfflineQueue | null): void => {
+  offlineQueue = next;
+};
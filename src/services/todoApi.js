@@ -1,118 +1,220 @@
 import { v4 as uuidv4 } from 'uuid';
+import { TODO_CLIENT_HEADER } from '../utils/todoEvents';
+import { TODO_ACTOR_HEADER } from '../utils/todoActivity';
 
-let mockTodos = [
-  {
-    id: '1',
-    text: 'Learn React 16',
-    completed: false,
-    createdAt: new Date().toISOString()
-  },
-  {
-    id: '2',
-    text: 'Set up Redux with Saga',
-    completed: true,
-    createdAt: new Date().toISOString()
-  },
-  {
-    id: '3',
-    text: 'Build TODO app',
-    completed: false,
-    createdAt: new Date().toISOString()
+// Thin fetch client for the app/api/todos, app/api/tags and app/api/lists route handlers.
+// NEXT_PUBLIC_TODO_API_URL lets the client point at another origin (defaults to same-origin).
+const API_BASE_URL = `${process.env.NEXT_PUBLIC_TODO_API_URL || ''}/api`;
+
+// Names this tab in every request, so it can recognize its own changes on the event stream
+export const TODO_CLIENT_ID = uuidv4();
+
+export const TODO_ACTOR_STORAGE_KEY = 'todo-app:actor';
+
+// Names this browser in the activity log. Shared by its tabs and kept across reloads; when
+// storage is unavailable it falls back to the tab's id.
+const readActorId = () => {
+  try {
+    const stored = window.localStorage.getItem(TODO_ACTOR_STORAGE_KEY);
+    if (stored) {
+      return stored;
+    }
+    const actorId = uuidv4();
+    window.localStorage.setItem(TODO_ACTOR_STORAGE_KEY, actorId);
+    return actorId;
+  } catch (error) {
+    return TODO_CLIENT_ID;
   }
-];
+};
+
+let actorId = null;
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+export const todoActorId = () => {
+  if (!actorId && typeof window !== 'undefined') {
+    actorId = readActorId();
+  }
+  return actorId || TODO_CLIENT_ID;
+};
+
+// app/api/todos/stream, resuming after `since` when the client has seen a revision
+export const todoStreamUrl = (since) =>
+  `${API_BASE_URL}/todos/stream${since === null || since === undefined ? '' : `?since=${since}`}`;
+
+// status is the HTTP status of the failed response, or 0 when the request never got one
+export class TodoApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'TodoApiError';
+    this.status = status;
+  }
+}
+
+// The change was made against an older revision of the todo - todo is the server's copy
+export class TodoConflictError extends TodoApiError {
+  constructor(message, todo) {
+    super(message, 409);
+    this.name = 'TodoConflictError';
+    this.todo = todo;
+  }
+}
 
-const simulateNetworkDelay = () => delay(500 + Math.random() * 1000);
+export const isConflictError = (error) => error instanceof TodoConflictError;
 
-const shouldSimulateError = () => Math.random() < 0.1;
+// True when the server could not be reached at all (offline, DNS, dropped connection)
+export const isNetworkError = (error) => error instanceof TodoApiError && error.status === 0;
+
+const request = async (path, options = {}, fallbackMessage = 'Request failed') => {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        [TODO_CLIENT_HEADER]: TODO_CLIENT_ID,
+        [TODO_ACTOR_HEADER]: todoActorId(),
+        ...options.headers
+      }
+    });
+  } catch (error) {
+    throw new TodoApiError(fallbackMessage, 0);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (response.status === 409 && body?.todo) {
+    throw new TodoConflictError(body.error || fallbackMessage, body.todo);
+  }
+  if (!response.ok) {
+    throw new TodoApiError(body?.error || fallbackMessage, response.status);
+  }
+
+  return body;
+};
+
+// Makes a change apply only to the revision of the todo the client has; without one it
+// applies to whatever the server has
+const ifMatch = (revision) =>
+  typeof revision === 'number' ? { 'If-Match': `"${revision}"` } : {};
+
+const todoPath = (id) => `/todos/${encodeURIComponent(id)}`;
+const tagPath = (tag) => `/tags/${encodeURIComponent(tag)}`;
+const listPath = (listId) => `/lists/${encodeURIComponent(listId)}`;
 
 export const todoApi = {
-  fetchTodos: async () => {
-    await simulateNetworkDelay();
-    
-    if (shouldSimulateError()) {
-      throw new Error('Failed to fetch todos');
-    }
-    
-    return [...mockTodos];
-  },
+  fetchTodos: () => request('/todos', { method: 'GET' }, 'Failed to fetch todos'),
 
-  addTodo: async (todoData) => {
-    await simulateNetworkDelay();
-    
-    if (shouldSimulateError()) {
-      throw new Error('Failed to add todo');
-    }
-    
-    const newTodo = {
-      id: uuidv4(),
+  fetchTodo: (id) => request(todoPath(id), { method: 'GET' }, 'Failed to fetch todo'),
+
+  addTodo: (todoData) => request('/todos', {
+    method: 'POST',
+    body: JSON.stringify({
       text: todoData.text,
-      completed: false,
-      createdAt: new Date().toISOString()
-    };
-    
-    mockTodos.push(newTodo);
-    return newTodo;
+      dueAt: todoData.dueAt,
+      priority: todoData.priority,
+      tags: todoData.tags,
+      parentId: todoData.parentId,
+      listId: todoData.listId,
+      recurrence: todoData.recurrence
+    })
+  }, 'Failed to add todo'),
+
+  // revision (optional here and for toggle and delete) is the one the change was made
+  // against - the request fails with a TodoConflictError when the server has another
+  updateTodo: (id, updates, revision) => request(todoPath(id), {
+    method: 'PATCH',
+    headers: ifMatch(revision),
+    body: JSON.stringify(updates)
+  }, 'Failed to update todo'),
+
+  // Moves the todo and its subtasks to the Trash, resolving with every removed id
+  deleteTodo: async (id, revision) => {
+    const body = await request(todoPath(id), { method: 'DELETE', headers: ifMatch(revision) }, 'Failed to delete todo');
+    return body?.deleted || [id];
   },
 
-  updateTodo: async (id, updates) => {
-    await simulateNetworkDelay();
-    
-    if (shouldSimulateError()) {
-      throw new Error('Failed to update todo');
-    }
-    
-    const todoIndex = mockTodos.findIndex(todo => todo.id === id);
-    if (todoIndex === -1) {
-      throw new Error('Todo not found');
-    }
-    
-    const updatedTodo = {
-      ...mockTodos[todoIndex],
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
-    
-    mockTodos[todoIndex] = updatedTodo;
-    return updatedTodo;
+  // Activity log of one todo, newest first
+  getHistory: (id) => request(`${todoPath(id)}/history`, { method: 'GET' }, 'Failed to fetch todo history'),
+
+  // The latest changes to any todo, newest first
+  fetchActivity: () => request('/activity', { method: 'GET' }, 'Failed to fetch activity'),
+
+  // Deleted todos, most recently deleted first
+  fetchTrash: () => request('/todos/trash', { method: 'GET' }, 'Failed to fetch the Trash'),
+
+  // Resolves with the restored todo and the subtasks deleted along with it
+  restoreTodo: (id) => request(`${todoPath(id)}/restore`, { method: 'POST' }, 'Failed to restore todo'),
+
+  // Deletes a todo in the Trash for good, resolving with every removed id
+  purgeTodo: async (id) => {
+    const body = await request(`/todos/trash/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Failed to delete todo');
+    return body?.deleted || [id];
   },
 
-  deleteTodo: async (id) => {
-    await simulateNetworkDelay();
-    
-    if (shouldSimulateError()) {
-      throw new Error('Failed to delete todo');
-    }
-    
-    const todoIndex = mockTodos.findIndex(todo => todo.id === id);
-    if (todoIndex === -1) {
-      throw new Error('Todo not found');
-    }
-    
-    mockTodos.splice(todoIndex, 1);
-    return id;
+  // Deletes the todos that stayed in the Trash past the retention window, resolving with their ids
+  purgeExpiredTrash: async () => {
+    const body = await request('/todos/trash/purge', { method: 'POST' }, 'Failed to empty the Trash');
+    return body?.deleted || [];
   },
 
-  toggleTodo: async (id) => {
-    await simulateNetworkDelay();
-    
-    if (shouldSimulateError()) {
-      throw new Error('Failed to toggle todo');
-    }
-    
-    const todoIndex = mockTodos.findIndex(todo => todo.id === id);
-    if (todoIndex === -1) {
-      throw new Error('Todo not found');
-    }
-    
-    const updatedTodo = {
-      ...mockTodos[todoIndex],
-      completed: !mockTodos[todoIndex].completed,
-      updatedAt: new Date().toISOString()
-    };
-    
-    mockTodos[todoIndex] = updatedTodo;
-    return updatedTodo;
+  // The server applies the subtask completion rules, and completing a recurring todo also
+  // creates its next occurrence
+  toggleTodo: (id, revision, completeParents) => request(`${todoPath(id)}/toggle${completeParents ? '?completeParents=true' : ''}`, {
+    method: 'POST',
+    headers: ifMatch(revision)
+  }, 'Failed to toggle todo'),
+
+  // target is { beforeId } or { afterId }; resolves with every todo whose order changed
+  reorderTodo: (id, target) => request(`${todoPath(id)}/reorder`, {
+    method: 'POST',
+    body: JSON.stringify(target)
+  }, 'Failed to move todo'),
+
+  // Moves the todo and its subtasks to another list, resolving with the moved todos
+  moveTodo: (id, listId) => request(`${todoPath(id)}/move`, {
+    method: 'POST',
+    body: JSON.stringify({ listId })
+  }, 'Failed to move todo'),
+
+  // request: { action, ids, listId?, tag? } with action one of complete, reopen, delete,
+  // move or tag. Applied in one write; resolves with { results, todos, deleted } where
+  // results holds { id, ok, error? } for every requested id.
+  batch: (batchRequest) => request('/todos/batch', {
+    method: 'POST',
+    body: JSON.stringify(batchRequest)
+  }, 'Failed to update todos'),
+
+  // Tag operations apply to every todo and resolve with the todos that changed
+  fetchTags: () => request('/tags', { method: 'GET' }, 'Failed to fetch tags'),
+
+  renameTag: (tag, name) => request(tagPath(tag), {
+    method: 'PATCH',
+    body: JSON.stringify({ name })
+  }, 'Failed to rename tag'),
+
+  mergeTags: (tags, into) => request('/tags/merge', {
+    method: 'POST',
+    body: JSON.stringify({ tags, into })
+  }, 'Failed to merge tags'),
+
+  deleteTag: (tag) => request(tagPath(tag), { method: 'DELETE' }, 'Failed to delete tag'),
+
+  // Named lists - the Inbox is built in and not part of the response
+  fetchLists: () => request('/lists', { method: 'GET' }, 'Failed to fetch lists'),
+
+  createList: (name) => request('/lists', {
+    method: 'POST',
+    body: JSON.stringify({ name })
+  }, 'Failed to create list'),
+
+  // updates: { name } and/or { archived }
+  updateList: (listId, updates) => request(listPath(listId), {
+    method: 'PATCH',
+    body: JSON.stringify(updates)
+  }, 'Failed to update list'),
+
+  // Deletes the list and its todos, resolving with the removed todo ids
+  deleteList: async (listId) => {
+    const body = await request(listPath(listId), { method: 'DELETE' }, 'Failed to delete list');
+    return body?.deleted || [];
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,56 @@
+import { TodoEvent } from '../types/todo';
+import { todoStreamUrl } from './todoApi';
+
+// Live todo changes from app/api/todos/stream. EventSource reconnects by itself after a
+// dropped connection and resumes through Last-Event-ID. When it gives up instead (the
+// server answered with an error), a new connection resumes from the last revision seen.
+
+export const STREAM_RETRY_MS = 5 * 1000;
+
+export interface TodoStreamOptions {
+  // Last revision applied, read on every new connection - null to start with the whole list
+  since: () => number | null;
+  onEvent: (event: TodoEvent) => void;
+}
+
+// Returns the function that closes the stream. Does nothing without EventSource (server, tests).
+export const subscribeToTodoEvents = ({ since, onEvent }: TodoStreamOptions): (() => void) => {
+  if (typeof EventSource === 'undefined') {
+    return () => {};
+  }
+
+  let source: EventSource | null = null;
+  let retry: ReturnType<typeof setTimeout> | null = null;
+  let closed = false;
+
+  const connect = () => {
+    retry = null;
+    source = new EventSource(todoStreamUrl(since()));
+    source.onmessage = (message) => {
+      let event: TodoEvent;
+      try {
+        event = JSON.parse(message.data);
+      } catch (error) {
+        console.error('Ignoring malformed todo event:', error);
+        return;
+      }
+      onEvent(event);
+    };
+    source.onerror = () => {
+      if (!closed && !retry && source && source.readyState === EventSource.CLOSED) {
+        retry = setTimeout(connect, STREAM_RETRY_MS);
+      }
+    };
+  };
+
+  connect();
+  return () => {
+    closed = true;
+    if (retry) {
+      clearTimeout(retry);
+    }
+    if (source) {
+      source.close();
+    }
+  };
+};
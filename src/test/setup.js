@@ -6,6 +6,8 @@ import { afterEach, vi } from 'vitest';
 afterEach(() => {
   cleanup();
   vi.clearAllMocks();
+  // Persisted Jotai state must not leak between tests
+  window.localStorage.clear();
 });
 
 // Mock IntersectionObserver for components that might use it
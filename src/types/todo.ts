@@ -5,20 +5,184 @@ export interface Todo {
   completed: boolean;
   createdAt?: string;
   updatedAt?: string;
+  // ISO timestamp the todo is due at
+  dueAt?: string | null;
+  // Missing means 'normal'
+  priority?: TodoPriority;
+  // Lowercase tag names without the leading '#'
+  tags?: string[];
+  // Set on subtasks - the id of the todo they belong to
+  parentId?: string | null;
+  // Position in the manual order - fractional so a move only rewrites the moved todo
+  order?: number;
+  // The named list the todo is filed in - missing means the built-in Inbox
+  listId?: string | null;
+  // ISO timestamp the todo was moved to the Trash - missing for live todos
+  deletedAt?: string;
+  // RRULE-style schedule, e.g. 'FREQ=WEEKLY;BYDAY=MO' (see utils/todoRecurrence)
+  recurrence?: string | null;
+  // Goes up by one with every saved change. An update, toggle or delete sent with another
+  // revision in If-Match is refused as a conflict. Missing counts as 0.
+  revision?: number;
 }
 
+export type TodoPriority = 'low' | 'normal' | 'high' | 'urgent';
+
 // API Request types
 export interface CreateTodoRequest {
   text: string;
+  dueAt?: string | null;
+  priority?: TodoPriority;
+  tags?: string[];
+  // Adds the todo as a subtask of this one
+  parentId?: string | null;
+  // Ignored for subtasks, which always live in their parent's list
+  listId?: string | null;
+  recurrence?: string | null;
 }
 
 export interface UpdateTodoRequest {
   text?: string;
   completed?: boolean;
+  // null clears the due date
+  dueAt?: string | null;
+  priority?: TodoPriority;
+  // Replaces the whole tag list
+  tags?: string[];
+  // null stops the todo recurring
+  recurrence?: string | null;
+}
+
+// A named list (project) of todos
+export interface List {
+  id: string;
+  name: string;
+  // Archived lists are left out of the list switcher but keep their todos
+  archived?: boolean;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface UpdateListRequest {
+  name?: string;
+  archived?: boolean;
+}
+
+// Batch operations - one action applied to several todos at once
+export type TodoBatchAction = 'complete' | 'reopen' | 'delete' | 'move' | 'tag';
+
+export interface TodoBatchRequest {
+  action: TodoBatchAction;
+  ids: string[];
+  // Target list for 'move'
+  listId?: string;
+  // Tag added by 'tag'
+  tag?: string;
+}
+
+export interface TodoBatchItemResult {
+  id: string;
+  ok: boolean;
+  error?: string;
+}
+
+export interface TodoBatchResult {
+  // One entry per requested id, in request order
+  results: TodoBatchItemResult[];
+  // Changed copies of every todo the batch touched (subtasks included)
+  todos: Todo[];
+  // Ids removed by 'delete', subtasks included
+  deleted: string[];
 }
 
 // Filter types
-export type TodoFilter = 'all' | 'active' | 'completed';
+export type TodoFilter = 'all' | 'active' | 'completed' | 'overdue' | 'today' | 'upcoming';
+
+// Sort types
+export type TodoSortKey = 'order' | 'createdAt' | 'updatedAt' | 'dueAt' | 'priority' | 'text';
+export type TodoSortDirection = 'asc' | 'desc';
+
+export interface TodoSort {
+  key: TodoSortKey;
+  direction: TodoSortDirection;
+}
+
+// Per-todo mutation status - 'add' marks a new todo the server has not confirmed yet
+export type TodoOperation = 'add' | 'update' | 'toggle' | 'delete';
+
+export interface TodoItemStatus {
+  pending: TodoOperation | null;
+  error: string | null;
+  // Offline changes waiting to be synced
+  queued: boolean;
+  // Change the server refused because the todo had changed there first
+  conflict?: TodoConflict;
+}
+
+// An update, toggle or delete made against an older revision of the todo (HTTP 409)
+export interface TodoConflict {
+  operation: Exclude<TodoOperation, 'add'>;
+  // The todo as this client had it when making the change
+  base: Todo;
+  // What the change set - `completed` for a toggle, nothing for a delete
+  updates?: UpdateTodoRequest;
+  // The todo as the server has it now
+  server: Todo;
+}
+
+// 'mine' makes the change again on top of the server's copy, 'server' drops it and
+// 'merge' makes it again with text combined from both
+export type TodoConflictChoice = 'mine' | 'server' | 'merge';
+
+// Change feed of the todo store (app/api/todos/stream). 'reset' carries the whole list,
+// for clients that connect fresh or have missed too much.
+export type TodoEventType = 'add' | 'update' | 'toggle' | 'delete' | 'reset';
+
+export interface TodoEvent {
+  // Increases by one with every change
+  revision: number;
+  type: TodoEventType;
+  // The saved todos - every change but delete
+  todos?: Todo[];
+  // Removed todo ids - delete
+  ids?: string[];
+  // Client whose request made the change, when it sent one
+  origin?: string | null;
+}
+
+// Activity log - one entry per change to a todo, kept after the todo itself is gone
+export type TodoActivityType = 'created' | 'renamed' | 'completed' | 'reopened' | 'updated' | 'deleted' | 'restored' | 'purged';
+
+export interface TodoActivity {
+  id: string;
+  todoId: string;
+  type: TodoActivityType;
+  // ISO timestamp of the change
+  at: string;
+  // Browser that made the change (X-Todo-Actor) - null when it did not say, e.g. form posts
+  actor: string | null;
+  // The todo's text after the change, so entries still make sense once it is deleted
+  text: string;
+  // 'renamed' - the text before
+  from?: string;
+  // 'updated' - which fields changed, e.g. ['dueAt', 'tags']
+  fields?: string[];
+}
+
+// Result of a todo server action, kept by useActionState for the form that posted it
+export interface TodoActionState {
+  error: string | null;
+}
+
+export type TodoAction = (state: TodoActionState, formData: FormData) => Promise<TodoActionState>;
+
+// Server actions the todo forms post to (see src/server/todoActions.ts)
+export interface TodoActions {
+  add: TodoAction;
+  update: TodoAction;
+  toggle: TodoAction;
+  delete: TodoAction;
+}
 
 // State types
 export interface TodoState {
@@ -28,12 +192,36 @@ export interface TodoState {
   filter: TodoFilter;
 }
 
+// Server state the todo pages are rendered with on the server and hydrated from
+export interface InitialTodoState {
+  todos: Todo[];
+  lists: List[];
+}
+
 // Component prop types
 export interface TodoItemProps {
   todo: Todo;
   onToggle: (id: string) => void;
   onUpdate: (id: string, updates: UpdateTodoRequest) => void;
   onDelete: (id: string) => void;
+  pending?: TodoOperation | null;
+  error?: string | null;
+  queued?: boolean;
+  onRetry?: (id: string) => void;
+  now?: number;
+  onTagClick?: (tag: string) => void;
+  // [start, end) ranges of the text to highlight
+  highlights?: Array<[number, number]>;
+  // Nesting level - 0 for top-level todos
+  depth?: number;
+  progress?: { done: number; total: number } | null;
+  onAddSubtask?: (parentId: string, text: string) => void;
+  // Lists a top-level todo can be moved to
+  lists?: Array<{ id: string; name: string }>;
+  onMoveToList?: (id: string, listId: string) => void;
+  // Selection mode - shift-click passes range = true
+  selected?: boolean;
+  onSelect?: (id: string, range: boolean) => void;
 }
 
 export interface TodoFormProps {
@@ -45,11 +233,27 @@ export interface TodoListProps {
   onToggle: (id: string) => void;
   onUpdate: (id: string, updates: UpdateTodoRequest) => void;
   onDelete: (id: string) => void;
+  statuses?: Record<string, TodoItemStatus>;
+  onRetry?: (id: string) => void;
+  now?: number;
+  onTagClick?: (tag: string) => void;
+  highlights?: Record<string, Array<[number, number]>> | null;
+  progress?: Record<string, { done: number; total: number }>;
+  onAddSubtask?: (parentId: string, text: string) => void;
+  lists?: Array<{ id: string; name: string }>;
+  onMoveToList?: (id: string, listId: string) => void;
+  // Enables selection and the bulk action bar
+  onBatch?: (request: TodoBatchRequest) => void;
 }
 
 export interface TodoFiltersProps {
   filter: TodoFilter;
   onFilterChange: (filter: TodoFilter) => void;
+  sort?: TodoSort;
+  onSortChange?: (sort: TodoSort) => void;
+  tags?: string[];
+  tagFilter?: string | null;
+  onTagFilterChange?: (tag: string | null) => void;
   todoCount: {
     total: number;
     active: number;
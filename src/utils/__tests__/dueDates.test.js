@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDueStatus,
+  findDueReminders,
+  toDateTimeInputValue,
+  fromDateTimeInputValue
+} from '../dueDates';
+import { filterTodos } from '../todoFilters';
+
+const NOW = new Date(2024, 5, 10, 12, 0).getTime();
+const at = (hours) => new Date(NOW + hours * 60 * 60 * 1000).toISOString();
+
+const todos = [
+  { id: 'late', text: 'Late', completed: false, dueAt: at(-1) },
+  { id: 'tonight', text: 'Tonight', completed: false, dueAt: at(6) },
+  { id: 'later', text: 'Later', completed: false, dueAt: at(48) },
+  { id: 'done', text: 'Done', completed: true, dueAt: at(-1) },
+  { id: 'none', text: 'No due date', completed: false }
+];
+
+describe('dueDates', () => {
+  it('classifies open todos as overdue, due today or upcoming', () => {
+    expect(todos.map(todo => getDueStatus(todo, NOW))).toEqual([
+      'overdue', 'today', 'upcoming', null, null
+    ]);
+  });
+
+  it('filters todos by due status', () => {
+    const ids = (filter) => filterTodos(todos, filter, NOW).map(todo => todo.id);
+
+    expect(ids('overdue')).toEqual(['late']);
+    expect(ids('today')).toEqual(['tonight']);
+    expect(ids('upcoming')).toEqual(['later']);
+    expect(ids('active')).toEqual(['late', 'tonight', 'later', 'none']);
+  });
+
+  it('finds open todos that became due since the last check', () => {
+    const reminders = findDueReminders(todos, NOW - 2 * 60 * 60 * 1000, NOW);
+
+    expect(reminders.map(todo => todo.id)).toEqual(['late']);
+    expect(findDueReminders(todos, NOW, NOW + 60 * 60 * 1000)).toEqual([]);
+  });
+
+  it('round-trips datetime-local input values', () => {
+    const value = toDateTimeInputValue(at(6));
+
+    expect(value).toBe('2024-06-10T18:00');
+    expect(fromDateTimeInputValue(value)).toBe(at(6));
+    expect(fromDateTimeInputValue('')).toBeNull();
+    expect(toDateTimeInputValue('not a date')).toBe('');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi } from 'vitest';
+import { shortcutFor, filterCommands } from '../keyboardShortcuts';
+
+// The action for a key pressed while `target` has the focus
+const press = (key, options = {}, target = document.body) => {
+  let action;
+  const listener = e => {
+    action = shortcutFor(e);
+  };
+  window.addEventListener('keydown', listener);
+  target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  window.removeEventListener('keydown', listener);
+  return action;
+};
+
+const element = (html) => {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  document.body.appendChild(container);
+  return container.firstChild;
+};
+
+describe('keyboardShortcuts', () => {
+  it('maps single keys outside text fields', () => {
+    expect(press('j')).toBe('next');
+    expect(press('k')).toBe('previous');
+    expect(press('x', {}, element('<input type="checkbox" />'))).toBe('toggle');
+    expect(press('e', {}, element('<button>Edit</button>'))).toBe('edit');
+    expect(press('#', { shiftKey: true })).toBe('delete');
+    expect(press('/')).toBe('search');
+    expect(press('n')).toBe('add');
+    expect(press('?', { shiftKey: true })).toBe('help');
+    expect(press('J')).toBeNull();
+    expect(press('q')).toBeNull();
+    expect(press('j', { altKey: true })).toBeNull();
+  });
+
+  it('leaves keys to text fields and selects', () => {
+    expect(press('j', {}, element('<input type="text" />'))).toBeNull();
+    expect(press('/', {}, element('<input type="search" />'))).toBeNull();
+    expect(press('n', {}, element('<textarea></textarea>'))).toBeNull();
+    expect(press('x', {}, element('<select><option>x</option></select>'))).toBeNull();
+  });
+
+  it('handles Ctrl+K everywhere and Ctrl+Z outside text fields', () => {
+    expect(press('k', { ctrlKey: true }, element('<input type="text" />'))).toBe('palette');
+    expect(press('K', { metaKey: true })).toBe('palette');
+    expect(press('z', { ctrlKey: true })).toBe('undo');
+    expect(press('Z', { ctrlKey: true, shiftKey: true })).toBe('redo');
+    expect(press('z', { ctrlKey: true }, element('<input type="text" />'))).toBeNull();
+    expect(press('j', { ctrlKey: true })).toBeNull();
+  });
+
+  it('filters commands by every word of the query', () => {
+    const commands = [
+      { id: 'filter-active', group: 'Filter', label: 'Active', run: vi.fn() },
+      { id: 'sort-dueAt', group: 'Sort', label: 'Due date', run: vi.fn() },
+      { id: 'list-1', group: 'Go to', label: 'Café', run: vi.fn() },
+    ];
+
+    expect(filterCommands(commands, '').map(command => command.id)).toEqual(['filter-active', 'sort-dueAt', 'list-1']);
+    expect(filterCommands(commands, 'sort DUE').map(command => command.id)).toEqual(['sort-dueAt']);
+    expect(filterCommands(commands, 'go cafe').map(command => command.id)).toEqual(['list-1']);
+    expect(filterCommands(commands, 'filter due')).toEqual([]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd } from '../quickAdd';
+
+// Wednesday 10 January 2024, 10:00 local time
+const NOW = new Date(2024, 0, 10, 10).getTime();
+const local = (month, day, hours = 23, minutes = 59, year = 2024) =>
+  new Date(year, month - 1, day, hours, minutes).toISOString();
+
+const LISTS = [
+  { id: 'inbox', name: 'Inbox' },
+  { id: 'list-1', name: 'Groceries' },
+  { id: 'list-2', name: 'Side Projects' },
+  { id: 'list-3', name: 'Old', archived: true }
+];
+
+const dueOf = text => parseQuickAdd(text, NOW).dueAt;
+
+describe('quickAdd', () => {
+  it('reads days, defaulting to the end of the day', () => {
+    expect(dueOf('Pay rent today')).toBe(local(1, 10));
+    expect(dueOf('Pay rent tonight')).toBe(local(1, 10, 20, 0));
+    expect(dueOf('Pay rent tomorrow')).toBe(local(1, 11));
+    expect(dueOf('Pay rent friday')).toBe(local(1, 12));
+    expect(dueOf('Pay rent wednesday')).toBe(local(1, 17));
+    expect(dueOf('Pay rent on fri')).toBe(local(1, 12));
+    expect(dueOf('Pay rent next fri')).toBe(local(1, 19));
+    expect(dueOf('Pay rent next week')).toBe(local(1, 15));
+    expect(dueOf('Pay rent in 3 days')).toBe(local(1, 13));
+    expect(dueOf('Pay rent in 2 weeks')).toBe(local(1, 24));
+    expect(dueOf('Pay rent jan 5')).toBe(local(1, 5, 23, 59, 2025));
+    expect(dueOf('Pay rent 3rd March')).toBe(local(3, 3));
+    expect(dueOf('Pay rent 2024-02-29')).toBe(local(2, 29));
+    expect(dueOf('Pay rent 2024-02-30')).toBeUndefined();
+  });
+
+  it('reads times, on their own or with a day', () => {
+    expect(dueOf('Call mum tomorrow 5pm')).toBe(local(1, 11, 17, 0));
+    expect(dueOf('Call mum at 5:30 pm next fri')).toBe(local(1, 19, 17, 30));
+    expect(dueOf('Call mum 17:00')).toBe(local(1, 10, 17, 0));
+    expect(dueOf('Call mum 9am')).toBe(local(1, 11, 9, 0));
+    expect(dueOf('Call mum noon')).toBe(local(1, 10, 12, 0));
+    expect(dueOf('Call mum at 12am')).toBe(local(1, 11, 0, 0));
+  });
+
+  it('pulls out priority, tags and list, leaving the rest as the title', () => {
+    const parsed = parseQuickAdd('Buy milk !! #Home @groceries #home p1', NOW, LISTS);
+
+    expect(parsed).toEqual({
+      text: 'Buy milk p1',
+      priority: 'high',
+      tags: ['home'],
+      listId: 'list-1',
+      chips: [
+        { kind: 'priority', label: 'High priority' },
+        { kind: 'tag', label: '#home' },
+        { kind: 'list', label: 'List: Groceries' }
+      ]
+    });
+    expect(parseQuickAdd('Plan launch p4 @side-projects', NOW, LISTS)).toMatchObject({
+      text: 'Plan launch', priority: 'low', listId: 'list-2'
+    });
+    expect(parseQuickAdd('Sort inbox @INBOX', NOW, LISTS).listId).toBe('inbox');
+  });
+
+  it('leaves words it does not recognize in the text', () => {
+    expect(parseQuickAdd('Buy sun cream for the 5 kids!', NOW)).toEqual({ text: 'Buy sun cream for the 5 kids!', tags: [], chips: [] });
+    expect(parseQuickAdd('Email @bob about @old ! stuff', NOW, LISTS).text).toBe('Email @bob about @old ! stuff');
+    expect(parseQuickAdd('Special chars: áéíóú ñ @#$%^&*()', NOW, LISTS).text).toBe('Special chars: áéíóú ñ @#$%^&*()');
+    // Text made only of syntax is kept as typed
+    expect(parseQuickAdd('  tomorrow  ', NOW)).toEqual({ text: 'tomorrow', tags: [], chips: [] });
+    expect(parseQuickAdd('#work #home', NOW).tags).toEqual(['work', 'home']);
+  });
+
+  it('only takes the first date, priority and list', () => {
+    const parsed = parseQuickAdd('Book flight friday monday p2 p1 @groceries @inbox', NOW, LISTS);
+
+    expect(parsed.text).toBe('Book flight monday p1 @inbox');
+    expect(parsed.dueAt).toBe(local(1, 12));
+    expect(parsed.priority).toBe('high');
+    expect(parsed.listId).toBe('list-1');
+    expect(parsed.chips[0].kind).toBe('due');
+  });
+});
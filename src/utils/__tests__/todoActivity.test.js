@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { activityChanges, describeActivity, describeActor } from '../todoActivity';
+
+const todo = { id: '1', text: 'Buy milk', completed: false, order: 1, revision: 1 };
+
+describe('todoActivity', () => {
+  it('logs creating, deleting, restoring and purging a todo', () => {
+    const deletedAt = '2026-01-02T10:00:00.000Z';
+
+    expect(activityChanges(null, todo)).toEqual([{ type: 'created' }]);
+    expect(activityChanges(todo, { ...todo, deletedAt })).toEqual([{ type: 'deleted' }]);
+    expect(activityChanges(todo, null)).toEqual([{ type: 'deleted' }]);
+    expect(activityChanges({ ...todo, deletedAt }, todo)).toEqual([{ type: 'restored' }]);
+    expect(activityChanges({ ...todo, deletedAt }, null)).toEqual([{ type: 'purged' }]);
+  });
+
+  it('logs each kind of change made in one go', () => {
+    expect(activityChanges(todo, { ...todo, text: 'Buy oat milk', completed: true, tags: ['shop'], revision: 2 }))
+      .toEqual([
+        { type: 'renamed', from: 'Buy milk' },
+        { type: 'completed' },
+        { type: 'updated', fields: ['tags'] }
+      ]);
+    expect(activityChanges({ ...todo, completed: true }, todo)).toEqual([{ type: 'reopened' }]);
+  });
+
+  it('ignores the order and values that only look different', () => {
+    expect(activityChanges(todo, { ...todo, order: 5, revision: 2, updatedAt: '2026-01-02T10:00:00.000Z' })).toEqual([]);
+    expect(activityChanges(todo, { ...todo, priority: 'normal', tags: [], dueAt: null })).toEqual([]);
+  });
+
+  it('describes entries and who made them', () => {
+    const entry = { id: 'a', todoId: '1', at: '2026-01-02T10:00:00.000Z', actor: null, text: 'Buy oat milk' };
+
+    expect(describeActivity({ ...entry, type: 'renamed', from: 'Buy milk' })).toBe('Renamed from "Buy milk" to "Buy oat milk"');
+    expect(describeActivity({ ...entry, type: 'updated', fields: ['dueAt', 'recurrence'] })).toBe('Changed due date, repeat');
+    expect(describeActivity({ ...entry, type: 'reopened' })).toBe('Reopened');
+    expect(describeActor('me', 'me')).toBe('you');
+    expect(describeActor('them', 'me')).toBe('another browser');
+    expect(describeActor(null, 'me')).toBe('someone');
+  });
+});
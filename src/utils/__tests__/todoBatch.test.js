@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { applyBatch, applyBatchResult, describeBatchFailures, recordBatchErrors } from '../todoBatch';
+
+const todos = [
+  { id: '1', text: 'Plan trip', completed: false, listId: 'travel' },
+  { id: '2', text: 'Book flights', completed: false, parentId: '1', listId: 'travel' },
+  { id: '3', text: 'Pack', completed: true, parentId: '2', listId: 'travel' },
+  { id: '4', text: 'Call mum', completed: true, tags: ['home'] }
+];
+
+const ids = (items) => items.map(todo => todo.id);
+
+describe('todoBatch', () => {
+  it('completes the selected todos together with their subtasks', () => {
+    const result = applyBatch(todos, { action: 'complete', ids: ['1', '4'] }, '2024-05-01T00:00:00.000Z');
+
+    expect(result.results).toEqual([{ id: '1', ok: true }, { id: '4', ok: true }]);
+    expect(ids(result.todos)).toEqual(['1', '2']);
+    expect(result.todos.every(todo => todo.completed && todo.updatedAt === '2024-05-01T00:00:00.000Z')).toBe(true);
+  });
+
+  it('reopens only the selected todos', () => {
+    const result = applyBatch(todos, { action: 'reopen', ids: ['3', '4'] });
+
+    expect(result.todos).toEqual([
+      { id: '3', text: 'Pack', completed: false, parentId: '2', listId: 'travel' },
+      { id: '4', text: 'Call mum', completed: false, tags: ['home'] }
+    ]);
+  });
+
+  it('deletes the selected todos with their subtasks', () => {
+    const result = applyBatch(todos, { action: 'delete', ids: ['2', '3', '4'] });
+
+    expect(result.deleted).toEqual(['2', '3', '4']);
+    expect(result.todos).toEqual([]);
+  });
+
+  it('adds a tag once', () => {
+    const result = applyBatch(todos, { action: 'tag', ids: ['1', '4'], tag: 'home' });
+
+    expect(result.todos).toEqual([{ ...todos[0], tags: ['home'] }]);
+  });
+
+  it('moves subtasks only together with their parent', () => {
+    const result = applyBatch(todos, { action: 'move', ids: ['1', '3'], listId: 'inbox' });
+    expect(result.results).toEqual([{ id: '1', ok: true }, { id: '3', ok: true }]);
+    expect(ids(result.todos)).toEqual(['1', '2', '3']);
+    expect(result.todos.every(todo => todo.listId === undefined)).toBe(true);
+
+    const alone = applyBatch(todos, { action: 'move', ids: ['2', '4'], listId: 'travel' });
+    expect(alone.results).toEqual([
+      { id: '2', ok: false, error: 'Subtasks move with their parent' },
+      { id: '4', ok: true }
+    ]);
+    expect(alone.todos).toEqual([{ ...todos[3], listId: 'travel' }]);
+  });
+
+  it('reports unknown todos and ignores repeated ids', () => {
+    const result = applyBatch(todos, { action: 'complete', ids: ['missing', '4', '4'] });
+
+    expect(result.results).toEqual([{ id: 'missing', ok: false, error: 'Todo not found' }, { id: '4', ok: true }]);
+    expect(describeBatchFailures(result, 'complete')).toBe('1 of 2 todos could not be completed');
+    expect(describeBatchFailures(applyBatch(todos, { action: 'delete', ids: ['4'] }), 'delete')).toBeNull();
+  });
+
+  it('records per-item errors and applies the result to a list', () => {
+    const result = {
+      results: [{ id: '1', ok: false, error: 'Nope' }, { id: '4', ok: true }],
+      todos: [{ ...todos[1], completed: true }],
+      deleted: ['3']
+    };
+
+    expect(recordBatchErrors({ 4: { message: 'Old', retry: 'old' } }, result, id => `retry ${id}`)).toEqual({
+      1: { message: 'Nope', retry: 'retry 1' }
+    });
+    expect(applyBatchResult(todos, result).map(todo => [todo.id, todo.completed])).toEqual([
+      ['1', false], ['2', true], ['4', true]
+    ]);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { canMergeText, clearTodoConflict, mergeTodoText, yourVersion } from '../todoConflicts';
+
+const base = { id: '1', text: 'Buy milk', completed: false, revision: 2 };
+const server = { ...base, text: 'Buy oat milk', revision: 3 };
+
+describe('todoConflicts', () => {
+  it('builds your version from the todo you had and your change', () => {
+    expect(yourVersion({ operation: 'toggle', base, updates: { completed: true }, server }))
+      .toEqual({ ...base, completed: true });
+    expect(yourVersion({ operation: 'delete', base, server })).toBeNull();
+  });
+
+  it('only offers a merge when the texts differ', () => {
+    expect(canMergeText({ operation: 'update', base, updates: { text: 'Buy eggs' }, server })).toBe(true);
+    expect(canMergeText({ operation: 'update', base, updates: { text: 'Buy oat milk' }, server })).toBe(false);
+    expect(canMergeText({ operation: 'delete', base, server })).toBe(false);
+  });
+
+  it('starts the merge from the side that changed the text', () => {
+    expect(mergeTodoText('Buy milk', 'Buy milk', 'Buy oat milk')).toBe('Buy oat milk');
+    expect(mergeTodoText('Buy milk', 'Buy eggs', 'Buy milk')).toBe('Buy eggs');
+    expect(mergeTodoText('Buy milk', 'Buy milk today', 'Buy milk today!')).toBe('Buy milk today!');
+    expect(mergeTodoText('Buy milk', 'Buy eggs', 'Buy oat milk')).toBe('Buy oat milk Buy eggs');
+  });
+
+  it('clears the conflict of one todo', () => {
+    const conflicts = { 1: { operation: 'delete', base, server } };
+
+    expect(clearTodoConflict(conflicts, '1')).toEqual({});
+    expect(clearTodoConflict(conflicts, '2')).toBe(conflicts);
+  });
+});
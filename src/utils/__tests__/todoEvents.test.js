@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { applyTodoEvent } from '../todoEvents';
+
+const todo = (id, text, extra = {}) => ({ id, text, completed: false, ...extra });
+
+const todos = [todo('1', 'One'), todo('2', 'Two'), todo('3', 'Three')];
+const texts = (list) => list.map(item => item.text);
+
+describe('applyTodoEvent', () => {
+  it('replaces changed todos in place and adds new ones at the end', () => {
+    const next = applyTodoEvent(todos, {
+      revision: 4,
+      type: 'update',
+      todos: [todo('2', 'Two edited'), todo('4', 'Four')]
+    });
+
+    expect(texts(next)).toEqual(['One', 'Two edited', 'Three', 'Four']);
+  });
+
+  it('removes deleted todos and ignores ones sent to the trash', () => {
+    expect(texts(applyTodoEvent(todos, { revision: 4, type: 'delete', ids: ['1', '3'] }))).toEqual(['Two']);
+    expect(texts(applyTodoEvent(todos, {
+      revision: 4,
+      type: 'add',
+      todos: [todo('4', 'Four', { deletedAt: '2024-06-10T12:00:00.000Z' })]
+    }))).toEqual(['One', 'Two', 'Three']);
+  });
+
+  it('keeps the local copy of todos with a change in flight', () => {
+    const local = [todo('1', 'One', { completed: true }), todo('2', 'Two')];
+    const event = { revision: 4, type: 'toggle', todos: [todo('1', 'One'), todo('2', 'Two', { completed: true })] };
+
+    expect(applyTodoEvent(local, event, ['1']).map(item => item.completed)).toEqual([true, true]);
+  });
+
+  it('takes the whole list from a reset but keeps local changes in flight', () => {
+    const local = [todo('1', 'One edited'), todo('3', 'Three'), todo('temp', 'Not saved yet')];
+    const event = {
+      revision: 9,
+      type: 'reset',
+      todos: [todo('1', 'One'), todo('2', 'Two'), todo('3', 'Three')]
+    };
+
+    expect(texts(applyTodoEvent(local, event, ['1', 'temp']))).toEqual(['One edited', 'Two', 'Three', 'Not saved yet']);
+    // '2' is kept because it is being deleted here
+    expect(texts(applyTodoEvent(local, event, ['2']))).toEqual(['One', 'Three']);
+  });
+});
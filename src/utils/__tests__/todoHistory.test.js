@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HISTORY_LIMIT,
+  EMPTY_HISTORY,
+  diffTodos,
+  createHistoryEntry,
+  recordHistory,
+  remapHistory
+} from '../todoHistory';
+
+const todo = (id, fields = {}) => ({ id, text: `Todo ${id}`, completed: false, ...fields });
+
+describe('todoHistory', () => {
+  it('restores removed todos parents first, at their positions', () => {
+    const before = [todo('2', { parentId: '1' }), todo('1'), todo('3')];
+
+    expect(diffTodos([todo('3')], before)).toEqual([
+      { type: 'restore', todo: before[1], index: 1 },
+      { type: 'restore', todo: before[0], index: 0 }
+    ]);
+  });
+
+  it('removes only the topmost of a removed subtree', () => {
+    const before = [todo('1'), todo('2', { parentId: '1' }), todo('3')];
+
+    expect(diffTodos(before, [todo('3')])).toEqual([{ type: 'remove', id: '1' }]);
+  });
+
+  it('spells out cleared fields and list moves', () => {
+    const from = [todo('1', { dueAt: '2024-01-01T00:00:00.000Z', priority: 'high', tags: ['home'], listId: 'work' })];
+    const to = [todo('1', { completed: true })];
+
+    expect(diffTodos(from, to)).toEqual([
+      { type: 'update', id: '1', updates: { completed: true, dueAt: null, priority: 'normal', tags: [] } },
+      { type: 'move', id: '1', listId: 'inbox' }
+    ]);
+  });
+
+  it('puts reordered todos back next to the todo they were listed beside', () => {
+    const before = [todo('1', { order: 1 }), todo('2', { order: 2 }), todo('3', { order: 3 }), todo('4', { order: 4 })];
+    // '1' moved to the end of the list
+    const after = [{ ...before[0], order: 5 }, ...before.slice(1)];
+
+    expect(diffTodos(after, before)).toEqual([{ type: 'reorder', id: '1', target: { beforeId: '2' } }]);
+    expect(diffTodos(before, after)).toEqual([{ type: 'reorder', id: '1', target: { afterId: '4' } }]);
+    // Renumbering the list is no change as long as the todos keep their places
+    expect(diffTodos(before, before.map(item => ({ ...item, order: item.order * 10 })))).toEqual([]);
+  });
+
+  it('builds no entry when nothing changed and keeps the newest entries', () => {
+    expect(createHistoryEntry('Edited', [todo('1')], [todo('1')])).toBe(null);
+
+    const entry = createHistoryEntry('Deleted', [todo('1')], [], true);
+    expect(entry).toEqual({
+      label: 'Deleted',
+      destructive: true,
+      undo: [{ type: 'restore', todo: todo('1'), index: 0 }],
+      redo: [{ type: 'remove', id: '1' }]
+    });
+
+    let history = { past: [], future: [entry] };
+    for (let i = 0; i <= HISTORY_LIMIT; i++) {
+      history = recordHistory(history, { ...entry, label: `#${i}` });
+    }
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0].label).toBe('#1');
+    expect(history.future).toEqual([]);
+  });
+
+  it('points every entry at the ids the server gave restored todos', () => {
+    const entry = createHistoryEntry('Deleted', [todo('1'), todo('2', { parentId: '1' })], [], true);
+    const history = remapHistory({ past: [], future: [entry] }, { 1: '10', 2: '20' });
+
+    expect(history.future[0].redo).toEqual([{ type: 'remove', id: '10' }]);
+    expect(history.future[0].undo.map(operation => [operation.todo.id, operation.todo.parentId])).toEqual([
+      ['10', undefined],
+      ['20', '10']
+    ]);
+    expect(remapHistory(EMPTY_HISTORY, {})).toBe(EMPTY_HISTORY);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  exportTodos,
+  exportFileName,
+  detectFormat,
+  parseImport,
+  previewImport,
+  importOrder,
+  isImportable
+} from '../todoImportExport';
+
+const todos = [
+  {
+    id: '1', text: 'Plan trip', completed: false, priority: 'high', tags: ['travel'],
+    createdAt: '2024-01-01T10:00:00.000Z', order: 1
+  },
+  { id: '2', text: 'Book "cheap" flights, maybe', completed: true, parentId: '1', createdAt: '2024-01-02T10:00:00.000Z', order: 3 },
+  { id: '3', text: 'Call mum', completed: false, dueAt: new Date(2024, 0, 5, 18).toISOString(), order: 2 }
+];
+
+const summary = (rows) => rows.map(row => [row.row, row.text, row.error || row.duplicateOf || row.duplicateRow || row.parentRow || null]);
+
+describe('todoImportExport', () => {
+  it('exports full JSON and round-trips it with subtasks', () => {
+    const json = exportTodos(todos, 'json', [{ id: 'work', name: 'Work' }], '2024-02-01T00:00:00.000Z');
+    const data = JSON.parse(json);
+
+    expect(data).toMatchObject({ version: 1, exportedAt: '2024-02-01T00:00:00.000Z', lists: [{ id: 'work', name: 'Work' }] });
+    expect(data.todos.map(todo => todo.id)).toEqual(['1', '3', '2']);
+    expect(data.todos[0]).toEqual(todos[0]);
+
+    const { format, rows, error } = parseImport(json);
+    expect([format, error]).toEqual(['json', null]);
+    expect(rows[2]).toMatchObject({ row: 3, completed: true, parentRow: 1, request: { text: 'Book "cheap" flights, maybe' } });
+    expect(rows[0].request).toEqual({ text: 'Plan trip', priority: 'high', tags: ['travel'] });
+  });
+
+  it('exports and reads back CSV with quoted cells', () => {
+    const csv = exportTodos(todos, 'csv');
+    const lines = csv.split('\n');
+
+    expect(lines[0]).toBe('id,parentId,text,completed,priority,dueAt,tags,recurrence,listId,createdAt,updatedAt');
+    expect(lines[2]).toBe('2,1,"Book ""cheap"" flights, maybe",true,,,,,,2024-01-02T10:00:00.000Z,');
+
+    const { rows } = parseImport(csv, 'csv');
+    expect(rows.map(row => [row.row, row.text, row.parentRow])).toEqual([
+      [2, 'Plan trip', undefined],
+      [3, 'Book "cheap" flights, maybe', 2],
+      [4, 'Call mum', undefined]
+    ]);
+    expect(rows[2].request.dueAt).toBe(todos[2].dueAt);
+  });
+
+  it('exports Markdown checklists and todo.txt', () => {
+    expect(exportTodos(todos, 'markdown')).toBe(
+      '- [ ] Plan trip #travel\n  - [x] Book "cheap" flights, maybe\n- [ ] Call mum\n'
+    );
+    expect(exportTodos(todos, 'todotxt').split('\n')).toEqual([
+      '(B) 2024-01-01 Plan trip +travel',
+      'x 2024-01-02 2024-01-02 Book "cheap" flights, maybe',
+      'Call mum due:2024-01-05',
+      ''
+    ]);
+    expect(exportFileName('markdown', new Date(2024, 0, 31).getTime())).toBe('todos-2024-01-31.md');
+  });
+
+  it('detects the format from the file name or the content', () => {
+    expect(detectFormat('anything', 'backup.JSON')).toBe('json');
+    expect(detectFormat('- [ ] a', 'notes.markdown')).toBe('markdown');
+    expect(detectFormat('[{"text":"a"}]')).toBe('json');
+    expect(detectFormat('# Chores\n\n- [x] Dishes')).toBe('markdown');
+    expect(detectFormat('text,completed\nDishes,true')).toBe('csv');
+    expect(detectFormat('(A) Call mum +family')).toBe('todotxt');
+  });
+
+  it('reports errors per row', () => {
+    expect(summary(parseImport('text,priority,dueAt\nShip,asap,\n,low,\nPay rent,,soon\nOk,,', 'csv').rows)).toEqual([
+      [2, 'Ship', 'Unknown priority "asap"'],
+      [3, '', 'Missing text'],
+      [4, 'Pay rent', 'Invalid due date "soon"'],
+      [5, 'Ok', null]
+    ]);
+    expect(parseImport('{"text": 1}', 'json').error).toBe('Expected a list of todos, or an export with a "todos" list');
+    expect(parseImport('[{"text": "a", "parentId": "9"}, 3]').rows.map(row => row.error)).toEqual([
+      'Parent todo "9" is not in the import',
+      'Not a todo'
+    ]);
+    expect(parseImport('text\nok', 'json').error).toBe('The file is not valid JSON');
+    expect(parseImport('name\nok', 'csv').error).toBe('The CSV needs a header row with a "text" column');
+  });
+
+  it('reads nesting from Markdown and metadata from todo.txt', () => {
+    const markdown = parseImport('## Chores\n- [ ] Clean #home\n    - [X] Kitchen\n  - [ ] Bathroom\nnotes\n');
+    expect(summary(markdown.rows)).toEqual([
+      [2, 'Clean', null],
+      [3, 'Kitchen', 2],
+      [4, 'Bathroom', 2],
+      [5, 'notes', 'Not a checklist item ("- [ ] ...")']
+    ]);
+    expect(markdown.rows[0].request.tags).toEqual(['home']);
+
+    const [open, done, invalid] = parseImport('(A) 2024-01-01 Call mum +family @phone due:2024-01-05\n'
+      + 'x 2024-01-03 2024-01-01 Pay rent pri:D\n'
+      + 'Later due:2024-02-30', 'todotxt').rows;
+    expect(open.request).toEqual({
+      text: 'Call mum',
+      priority: 'urgent',
+      tags: ['family', 'phone'],
+      dueAt: new Date(2024, 0, 5, 23, 59).toISOString()
+    });
+    expect(done).toMatchObject({ completed: true, request: { text: 'Pay rent', priority: 'low' } });
+    expect(invalid.error).toBe('Invalid due date "2024-02-30"');
+  });
+
+  it('skips todos already in the list and repeated rows, keeping subtasks of duplicates', () => {
+    const existing = [
+      { id: 'a', text: 'Clean', completed: false },
+      { id: 'b', text: 'kitchen', completed: false, parentId: 'a' },
+      { id: 'c', text: 'Call mum', completed: false, listId: 'work' }
+    ];
+    const { rows } = previewImport(
+      '- [ ] clean\n  - [ ] Kitchen\n  - [ ] Bathroom\n- [ ] Call  Mum\n- [ ] Call mum\n- [ ] \n  - [ ] Orphan',
+      existing,
+      'inbox'
+    );
+
+    expect(rows.map(row => [row.row, row.duplicateOf, row.duplicateRow, row.parentId, row.error])).toEqual([
+      [1, 'a', undefined, undefined, undefined],
+      [2, 'b', undefined, 'a', undefined],
+      [3, undefined, undefined, 'a', undefined],
+      [4, undefined, undefined, undefined, undefined],
+      [5, undefined, 4, undefined, undefined],
+      [6, undefined, undefined, undefined, 'Missing text'],
+      [7, undefined, undefined, undefined, 'Its parent todo cannot be imported']
+    ]);
+    expect(rows.filter(isImportable).map(row => row.text)).toEqual(['Bathroom', 'Call Mum']);
+  });
+
+  it('orders parents before their subtasks', () => {
+    const { rows } = parseImport('[{"id": "2", "parentId": "1", "text": "Child"}, {"id": "1", "text": "Parent"}]');
+
+    expect(importOrder(rows).map(row => row.text)).toEqual(['Parent', 'Child']);
+  });
+});
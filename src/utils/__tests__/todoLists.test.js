@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import {
+  INBOX_LIST,
+  filterByList,
+  listStats,
+  moveToList,
+  normalizeListName,
+  listPath,
+  withInbox
+} from '../todoLists';
+
+const todos = [
+  { id: '1', text: 'Inbox todo', completed: false },
+  { id: '2', text: 'Plan trip', completed: false, listId: 'travel' },
+  { id: '3', text: 'Book flights', completed: true, parentId: '2', listId: 'travel' },
+  { id: '4', text: 'Pack', completed: false, parentId: '3', listId: 'travel' }
+];
+
+describe('todoLists', () => {
+  it('files todos without a listId in the Inbox', () => {
+    expect(filterByList(todos, 'inbox').map(todo => todo.id)).toEqual(['1']);
+    expect(filterByList(todos, 'travel').map(todo => todo.id)).toEqual(['2', '3', '4']);
+  });
+
+  it('counts todos per list, including empty lists', () => {
+    const lists = withInbox([{ id: 'travel', name: 'Travel' }, { id: 'work', name: 'Work' }]);
+
+    expect(lists[0]).toBe(INBOX_LIST);
+    expect(listStats(todos, lists)).toEqual({
+      inbox: { total: 1, active: 1, completed: 0 },
+      travel: { total: 3, active: 2, completed: 1 },
+      work: { total: 0, active: 0, completed: 0 }
+    });
+  });
+
+  it('moves a todo together with its subtasks', () => {
+    expect(moveToList(todos, '2', 'inbox')).toEqual([
+      { id: '2', text: 'Plan trip', completed: false },
+      { id: '3', text: 'Book flights', completed: true, parentId: '2' },
+      { id: '4', text: 'Pack', completed: false, parentId: '3' }
+    ]);
+    expect(moveToList(todos, '1', 'work')).toEqual([
+      { id: '1', text: 'Inbox todo', completed: false, listId: 'work' }
+    ]);
+    expect(moveToList(todos, '1', 'inbox')).toEqual([]);
+    expect(moveToList(todos, 'missing', 'work')).toBeNull();
+  });
+
+  it('normalizes list names and builds list paths', () => {
+    expect(normalizeListName('  Home   chores ')).toBe('Home chores');
+    expect(normalizeListName('   ')).toBe('');
+    expect(normalizeListName(42)).toBe('');
+    expect(listPath('inbox')).toBe('/');
+    expect(listPath('a b')).toBe('/lists/a%20b');
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { sortByOrder, nextOrder, assignOrder, reorderTodos, reverseTarget } from '../todoOrder';
+
+const todo = (id, order) => ({ id, text: id, completed: false, order });
+const todos = [todo('c', 3), todo('a', 1), todo('b', 2)];
+
+describe('todoOrder', () => {
+  it('sorts by order, keeping unordered todos in place after the ordered ones', () => {
+    const mixed = [todo('x'), ...todos, todo('y')];
+
+    expect(sortByOrder(mixed).map(item => item.id)).toEqual(['a', 'b', 'c', 'x', 'y']);
+  });
+
+  it('numbers unordered todos after the highest order', () => {
+    expect(nextOrder(todos)).toBe(4);
+    expect(nextOrder([])).toBe(1);
+    expect(assignOrder([todo('x'), ...todos, todo('y')])).toEqual([todo('x', 4), todo('y', 5)]);
+  });
+
+  it('moves a todo halfway between its new neighbours', () => {
+    expect(reorderTodos(todos, 'c', { beforeId: 'b' })).toEqual([todo('c', 1.5)]);
+    expect(reorderTodos(todos, 'a', { afterId: 'b' })).toEqual([todo('a', 2.5)]);
+  });
+
+  it('moves a todo past either end of the list', () => {
+    expect(reorderTodos(todos, 'c', { beforeId: 'a' })).toEqual([todo('c', 0)]);
+    expect(reorderTodos(todos, 'a', { afterId: 'c' })).toEqual([todo('a', 4)]);
+  });
+
+  it('renumbers the list when neighbours are too close to split', () => {
+    const close = [todo('a', 1), todo('b', 1 + Number.EPSILON), todo('c', 3)];
+
+    expect(reorderTodos(close, 'c', { beforeId: 'b' })).toEqual([todo('c', 2), todo('b', 3)]);
+  });
+
+  it('returns nothing to change for a move onto its own spot', () => {
+    expect(reorderTodos(todos, 'b', { afterId: 'a' })).toEqual([]);
+  });
+
+  it('returns null for unknown todos', () => {
+    expect(reorderTodos(todos, 'missing', { beforeId: 'a' })).toBeNull();
+    expect(reorderTodos(todos, 'a', { beforeId: 'missing' })).toBeNull();
+    expect(reorderTodos(todos, 'a', {})).toBeNull();
+  });
+
+  it('mirrors a target for lists shown in descending order', () => {
+    expect(reverseTarget({ beforeId: 'a' })).toEqual({ afterId: 'a' });
+    expect(reverseTarget({ afterId: 'a' })).toEqual({ beforeId: 'a' });
+  });
+});
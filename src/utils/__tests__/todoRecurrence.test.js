@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseRecurrence,
+  normalizeRecurrence,
+  describeRecurrence,
+  nextOccurrence,
+  scheduleNext,
+  nextOccurrenceRequest
+} from '../todoRecurrence';
+
+// Local dates, like the ones the todo item's due date editor produces
+const local = (year, month, day, hours = 9) => new Date(year, month - 1, day, hours);
+
+describe('todoRecurrence', () => {
+  it('parses the supported RRULE subset into a canonical rule', () => {
+    expect(parseRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=TH,MO')).toEqual({ freq: 'WEEKLY', interval: 2, byDay: [1, 4] });
+    expect(normalizeRecurrence('rrule:freq=monthly;bymonthday=-1;count=3')).toBe('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3');
+    expect(normalizeRecurrence('FREQ=DAILY;UNTIL=2024-01-31')).toBe('FREQ=DAILY;UNTIL=20240131');
+
+    expect(normalizeRecurrence('FREQ=HOURLY')).toBeNull();
+    expect(normalizeRecurrence('FREQ=DAILY;BYDAY=MO')).toBeNull();
+    expect(normalizeRecurrence('FREQ=WEEKLY;INTERVAL=0')).toBeNull();
+    expect(normalizeRecurrence('FREQ=DAILY;FREQ=WEEKLY')).toBeNull();
+    expect(normalizeRecurrence('FREQ=DAILY;UNTIL=20240231')).toBeNull();
+    expect(normalizeRecurrence(42)).toBeNull();
+  });
+
+  it('describes rules', () => {
+    expect(describeRecurrence('FREQ=DAILY')).toBe('Every day');
+    expect(describeRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH')).toBe('Every 2 weeks on Mon, Thu');
+    expect(describeRecurrence('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=1')).toBe('Every month on the last day, 1 time left');
+    expect(describeRecurrence('FREQ=MONTHLY;BYMONTHDAY=22;UNTIL=20241231')).toBe('Every month on the 22nd until 2024-12-31');
+    expect(describeRecurrence('nonsense')).toBe('');
+  });
+
+  it('finds the next daily and weekly occurrences', () => {
+    const start = local(2024, 1, 1);
+
+    expect(nextOccurrence(parseRecurrence('FREQ=DAILY;INTERVAL=3'), start, start)).toEqual(local(2024, 1, 4));
+    expect(nextOccurrence(parseRecurrence('FREQ=DAILY'), start, local(2024, 1, 10, 12))).toEqual(local(2024, 1, 11));
+    // Monday 2024-01-01: Thursday of the same week, then Monday two weeks on
+    const rule = parseRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+    expect(nextOccurrence(rule, start, start)).toEqual(local(2024, 1, 4));
+    expect(nextOccurrence(rule, start, local(2024, 1, 4))).toEqual(local(2024, 1, 15));
+  });
+
+  it('clamps monthly occurrences to the length of the month', () => {
+    const start = local(2024, 1, 31);
+
+    expect(nextOccurrence(parseRecurrence('FREQ=MONTHLY'), start, start)).toEqual(local(2024, 2, 29));
+    expect(nextOccurrence(parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=-1'), local(2024, 2, 29), local(2024, 2, 29)))
+      .toEqual(local(2024, 3, 31));
+    expect(nextOccurrence(parseRecurrence('FREQ=YEARLY'), local(2024, 2, 29), local(2024, 2, 29)))
+      .toEqual(local(2025, 2, 28));
+    expect(nextOccurrence(parseRecurrence('FREQ=DAILY;UNTIL=20240131'), start, start)).toBeNull();
+  });
+
+  it('schedules the next occurrence after both the due date and now', () => {
+    const todo = {
+      id: '1',
+      text: 'Water plants',
+      completed: false,
+      dueAt: local(2024, 1, 1).toISOString(),
+      recurrence: 'FREQ=WEEKLY;COUNT=3',
+      priority: 'high',
+      tags: ['home'],
+      listId: 'chores'
+    };
+
+    expect(scheduleNext(todo, local(2024, 1, 1, 8).getTime())).toEqual({
+      dueAt: local(2024, 1, 8).toISOString(),
+      recurrence: 'FREQ=WEEKLY;COUNT=2'
+    });
+    // Completed late - overdue occurrences are skipped
+    expect(scheduleNext(todo, local(2024, 1, 20).getTime()).dueAt).toBe(local(2024, 1, 22).toISOString());
+    expect(scheduleNext({ ...todo, recurrence: 'FREQ=WEEKLY;COUNT=1' }, local(2024, 1, 1).getTime())).toBeNull();
+    expect(scheduleNext({ ...todo, recurrence: undefined }, local(2024, 1, 1).getTime())).toBeNull();
+
+    expect(nextOccurrenceRequest(todo, local(2024, 1, 1, 8).getTime())).toEqual({
+      text: 'Water plants',
+      dueAt: local(2024, 1, 8).toISOString(),
+      recurrence: 'FREQ=WEEKLY;COUNT=2',
+      priority: 'high',
+      tags: ['home'],
+      listId: 'chores'
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { createSearchIndex, searchTodos, splitHighlights, editDistance } from '../todoSearch';
+
+const todos = [
+  { id: '1', text: 'Buy crème brûlée', completed: false },
+  { id: '2', text: 'Schedule dentist appointment', completed: false },
+  { id: '3', text: 'Call the DENTIST back', completed: true },
+  { id: '4', text: 'Fix bug', completed: false }
+];
+
+const search = (query) => searchTodos(createSearchIndex(todos), query);
+const ids = (query) => search(query).map(match => match.todo.id);
+
+describe('todoSearch', () => {
+  it('ignores case and diacritics and maps highlights to the original text', () => {
+    const [match] = search('CREME brulee');
+
+    expect(match.todo.id).toBe('1');
+    expect(match.ranges).toEqual([[4, 9], [10, 16]]);
+    expect(todos[0].text.slice(4, 9)).toBe('crème');
+  });
+
+  it('tolerates typos in longer words and requires every word to match', () => {
+    expect(ids('dentsit')).toEqual(['2', '3']);
+    expect(ids('apointment dentist')).toEqual(['2']);
+    expect(ids('shedule')).toEqual(['2']);
+    expect(ids('dentist pizza')).toEqual([]);
+  });
+
+  it('matches short words only exactly', () => {
+    expect(ids('bug')).toEqual(['4']);
+    expect(ids('bgu')).toEqual([]);
+  });
+
+  it('matches while a word is still being typed', () => {
+    expect(ids('appoitm')).toEqual(['2']);
+    expect(search('appoitm')[0].ranges).toEqual([[17, 24]]);
+  });
+
+  it('counts transpositions as one edit', () => {
+    expect(editDistance('dentsit', 'dentist', 2)).toBe(1);
+    expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+  });
+
+  it('splits text into highlighted segments', () => {
+    expect(splitHighlights('Fix the bug', [[8, 11], [0, 3]])).toEqual([
+      { text: 'Fix', highlighted: true },
+      { text: ' the ', highlighted: false },
+      { text: 'bug', highlighted: true }
+    ]);
+  });
+});
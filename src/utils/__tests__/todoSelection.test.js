@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { updateSelection, visibleSelection } from '../todoSelection';
+
+const rows = ['a', 'b', 'c', 'd', 'e'];
+
+describe('todoSelection', () => {
+  it('toggles a single row', () => {
+    expect(updateSelection([], rows, 'b', null, false)).toEqual(['b']);
+    expect(updateSelection(['b', 'c'], rows, 'b', 'c', false)).toEqual(['c']);
+  });
+
+  it('selects the range from the anchor in either direction', () => {
+    expect(updateSelection(['b'], rows, 'd', 'b', true)).toEqual(['b', 'c', 'd']);
+    expect(updateSelection(['e'], rows, 'c', 'e', true)).toEqual(['e', 'c', 'd']);
+  });
+
+  it('deselects the range when the clicked row was selected', () => {
+    expect(updateSelection(['a', 'b', 'c', 'd'], rows, 'c', 'a', true)).toEqual(['d']);
+  });
+
+  it('falls back to a single row without a listed anchor', () => {
+    expect(updateSelection([], rows, 'c', 'gone', true)).toEqual(['c']);
+  });
+
+  it('keeps only listed rows, in list order', () => {
+    expect(visibleSelection(['d', 'gone', 'a'], rows)).toEqual(['a', 'd']);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeTag, parseTags, collectTags, retagTodos } from '../todoTags';
+
+describe('todoTags', () => {
+  it('pulls inline #tags out of the text', () => {
+    expect(parseTags('Buy milk #Groceries #home')).toEqual({ text: 'Buy milk', tags: ['groceries', 'home'] });
+    expect(parseTags('Fix #bug in the #api #bug')).toEqual({ text: 'Fix in the', tags: ['bug', 'api'] });
+    expect(parseTags('Email a#b @#$')).toEqual({ text: 'Email a#b @#$', tags: [] });
+    expect(parseTags('#someday')).toEqual({ text: '#someday', tags: ['someday'] });
+  });
+
+  it('normalizes tag names and rejects invalid ones', () => {
+    expect(normalizeTag(' #Café ')).toBe('café');
+    expect(normalizeTag('two words')).toBe('');
+    expect(normalizeTag(42)).toBe('');
+  });
+
+  it('counts tags across todos', () => {
+    const todos = [
+      { id: '1', text: 'a', completed: false, tags: ['work', 'urgent'] },
+      { id: '2', text: 'b', completed: false, tags: ['work'] },
+      { id: '3', text: 'c', completed: false }
+    ];
+
+    expect(collectTags(todos)).toEqual([{ tag: 'urgent', count: 1 }, { tag: 'work', count: 2 }]);
+  });
+
+  it('renames, merges and removes tags, returning only the changed todos', () => {
+    const todos = [
+      { id: '1', text: 'a', completed: false, tags: ['job', 'work'] },
+      { id: '2', text: 'b', completed: false, tags: ['home'] },
+      { id: '3', text: 'c', completed: false, tags: ['office'] }
+    ];
+
+    expect(retagTodos(todos, ['job', 'office'], 'work')).toEqual([
+      { id: '1', text: 'a', completed: false, tags: ['work'] },
+      { id: '3', text: 'c', completed: false, tags: ['work'] }
+    ]);
+    expect(retagTodos(todos, ['home'], null)).toEqual([
+      { id: '2', text: 'b', completed: false, tags: [] }
+    ]);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  trashRetentionDays,
+  trashTodos,
+  restoreFromTrash,
+  purgeIds,
+  trashEntries,
+  expiredTrashIds,
+  withoutDeleted
+} from '../todoTrash';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const todos = [
+  { id: '1', text: 'Plan trip', completed: false },
+  { id: '2', text: 'Book flights', completed: false, parentId: '1' },
+  { id: '3', text: 'Pack', completed: false, parentId: '1', deletedAt: '2024-01-01T00:00:00.000Z' },
+  { id: '4', text: 'Call mum', completed: false }
+];
+
+describe('todoTrash', () => {
+  it('trashes a todo with its live subtasks', () => {
+    expect(trashTodos(todos, '1', '2024-02-01T00:00:00.000Z')).toEqual([
+      { ...todos[0], deletedAt: '2024-02-01T00:00:00.000Z' },
+      { ...todos[1], deletedAt: '2024-02-01T00:00:00.000Z' }
+    ]);
+    expect(trashTodos(todos, '3', '2024-02-01T00:00:00.000Z')).toEqual([]);
+    expect(withoutDeleted(todos).map(todo => todo.id)).toEqual(['1', '2', '4']);
+  });
+
+  it('restores only the subtasks deleted along with the todo', () => {
+    const trashed = todos.map(todo => (todo.id === '1' || todo.id === '2'
+      ? { ...todo, deletedAt: '2024-02-01T00:00:00.000Z' }
+      : todo));
+
+    expect(restoreFromTrash(trashed, '1')).toEqual([todos[0], todos[1]]);
+    expect(restoreFromTrash(trashed, '4')).toEqual([]);
+    expect(trashEntries(trashed)).toEqual([{ todo: trashed[0], subtasks: 2 }]);
+    expect(purgeIds(trashed, '1')).toEqual(['1', '2', '3']);
+    expect(purgeIds(trashed, '4')).toEqual([]);
+  });
+
+  it('finds tombstones past the retention window', () => {
+    const now = new Date('2024-01-31T00:00:00.000Z').getTime();
+
+    expect(expiredTrashIds(todos, now, 30)).toEqual(['3']);
+    expect(expiredTrashIds(todos, now - DAY, 30)).toEqual([]);
+  });
+
+  it('reads the retention window, falling back to the default', () => {
+    expect(trashRetentionDays('7')).toBe(7);
+    expect(trashRetentionDays('0')).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+    expect(trashRetentionDays('soon')).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+    expect(trashRetentionDays(undefined)).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+  });
+});
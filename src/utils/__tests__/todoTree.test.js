@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { nestTodos, descendantIds, subtaskProgress, completionChanges } from '../todoTree';
+
+const todos = [
+  { id: 'c', text: 'Pick seats', completed: false, parentId: 'a' },
+  { id: 'p', text: 'Plan trip', completed: false },
+  { id: 'a', text: 'Book flights', completed: false, parentId: 'p' },
+  { id: 'b', text: 'Book hotel', completed: true, parentId: 'p' },
+  { id: 'x', text: 'Unrelated', completed: false }
+];
+
+describe('todoTree', () => {
+  it('lists subtasks under their parent, keeping sibling order', () => {
+    expect(nestTodos(todos).map(({ todo, depth }) => `${todo.id}:${depth}`))
+      .toEqual(['p:0', 'a:1', 'c:2', 'b:1', 'x:0']);
+  });
+
+  it('shows subtasks whose parent is not listed at the top level', () => {
+    const listed = todos.filter(todo => todo.id !== 'p');
+
+    expect(nestTodos(listed).map(({ todo, depth }) => `${todo.id}:${depth}`))
+      .toEqual(['a:0', 'c:1', 'b:0', 'x:0']);
+  });
+
+  it('lists every todo once even when parents form a cycle', () => {
+    const cycle = [
+      { id: '1', text: 'a', completed: false, parentId: '2' },
+      { id: '2', text: 'b', completed: false, parentId: '1' }
+    ];
+
+    expect(nestTodos(cycle).map(({ todo }) => todo.id)).toEqual(['1', '2']);
+    expect(descendantIds(cycle, '1')).toEqual(['2']);
+  });
+
+  it('finds every subtask below a todo', () => {
+    expect(descendantIds(todos, 'p')).toEqual(['a', 'b', 'c']);
+    expect(descendantIds(todos, 'x')).toEqual([]);
+  });
+
+  it('counts done and total direct subtasks', () => {
+    expect(subtaskProgress(todos)).toEqual({
+      a: { done: 0, total: 1 },
+      p: { done: 1, total: 2 }
+    });
+  });
+
+  it('completes open subtasks along with their parent', () => {
+    expect(completionChanges(todos, 'p', true)).toEqual([
+      { id: 'a', completed: true },
+      { id: 'c', completed: true }
+    ]);
+    expect(completionChanges(todos, 'p', false)).toEqual([]);
+  });
+
+  it('optionally completes and reopens parents from their subtasks', () => {
+    expect(completionChanges(todos, 'c', true)).toEqual([]);
+    expect(completionChanges(todos, 'c', true, true)).toEqual([
+      { id: 'a', completed: true },
+      { id: 'p', completed: true }
+    ]);
+
+    const done = todos.map(todo => ({ ...todo, completed: true }));
+    expect(completionChanges(done, 'c', false, true)).toEqual([
+      { id: 'a', completed: false },
+      { id: 'p', completed: false }
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi } from 'vitest';
+import { BACKUP_SUFFIX, createVersionedStorage, migrate } from '../versionedStorage';
+
+const KEY = 'test:items';
+
+const createStorage = (options = {}) => {
+  const onError = vi.fn();
+  const storage = createVersionedStorage({
+    version: 2,
+    migrations: {
+      1: (items) => items.map(name => ({ name })),
+      2: (items) => items.map(item => ({ ...item, done: false }))
+    },
+    validate: Array.isArray,
+    onError,
+    ...options
+  });
+  return { storage, onError };
+};
+
+describe('versionedStorage', () => {
+  it('stores data with its schema version', () => {
+    const { storage } = createStorage();
+
+    storage.setItem(KEY, [{ name: 'a', done: true }]);
+
+    expect(JSON.parse(window.localStorage.getItem(KEY))).toEqual({
+      version: 2,
+      data: [{ name: 'a', done: true }]
+    });
+    expect(storage.getItem(KEY, [])).toEqual([{ name: 'a', done: true }]);
+  });
+
+  it('runs every migration between the stored and the current version', () => {
+    const { storage } = createStorage();
+
+    window.localStorage.setItem(KEY, JSON.stringify({ version: 1, data: [{ name: 'a' }] }));
+    expect(storage.getItem(KEY, [])).toEqual([{ name: 'a', done: false }]);
+
+    // Data stored before versioning counts as version 0
+    window.localStorage.setItem(KEY, JSON.stringify(['b']));
+    expect(storage.getItem(KEY, [])).toEqual([{ name: 'b', done: false }]);
+  });
+
+  it('falls back to the initial value and keeps a backup when the entry is corrupt', () => {
+    const { storage, onError } = createStorage();
+    window.localStorage.setItem(KEY, '{not json');
+
+    expect(storage.getItem(KEY, ['initial'])).toEqual(['initial']);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ kind: 'corrupt', key: KEY }));
+    expect(window.localStorage.getItem(`${KEY}${BACKUP_SUFFIX}`)).toBe('{not json');
+  });
+
+  it('treats data failing validation as corrupt', () => {
+    const { storage, onError } = createStorage();
+    window.localStorage.setItem(KEY, JSON.stringify({ version: 2, data: 'not a list' }));
+
+    expect(storage.getItem(KEY, [])).toEqual([]);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ kind: 'corrupt' }));
+  });
+
+  it('does not read data written by a newer version', () => {
+    const { storage, onError } = createStorage();
+    window.localStorage.setItem(KEY, JSON.stringify({ version: 3, data: [] }));
+
+    expect(storage.getItem(KEY, ['initial'])).toEqual(['initial']);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ kind: 'unsupported-version' }));
+  });
+
+  it('reports a full storage instead of throwing', () => {
+    const quotaError = new Error('full');
+    quotaError.name = 'QuotaExceededError';
+    const { storage, onError } = createStorage({
+      getStorage: () => ({ setItem: () => { throw quotaError; } })
+    });
+
+    expect(() => storage.setItem(KEY, [])).not.toThrow();
+    expect(onError).toHaveBeenCalledWith({ kind: 'quota', key: KEY, error: quotaError });
+  });
+
+  it('passes values written by other tabs to subscribers', () => {
+    const { storage } = createStorage();
+    const callback = vi.fn();
+    const unsubscribe = storage.subscribe(KEY, callback, []);
+    const dispatch = (newValue) => window.dispatchEvent(
+      new StorageEvent('storage', { key: KEY, newValue, storageArea: window.localStorage })
+    );
+
+    dispatch(JSON.stringify({ version: 1, data: [{ name: 'a' }] }));
+    dispatch('{not json');
+    dispatch(null);
+    unsubscribe();
+    dispatch(JSON.stringify({ version: 2, data: [] }));
+
+    expect(callback.mock.calls).toEqual([[[{ name: 'a', done: false }]], [[]]]);
+  });
+
+  it('refuses to migrate when a step is missing', () => {
+    expect(() => migrate({ version: 0, data: [] }, 1, {})).toThrow('Missing migration to version 1');
+  });
+});
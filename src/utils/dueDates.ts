@@ -0,0 +1,70 @@
+import { Todo } from '../types/todo';
+
+// Helpers for the optional `dueAt` (ISO timestamp) on todos. Due filters only look at
+// todos that are still open - a completed todo is never overdue.
+
+export type DueStatus = 'overdue' | 'today' | 'upcoming';
+
+const dueTime = (todo: Todo): number | null => {
+  if (!todo.dueAt) {
+    return null;
+  }
+  const time = new Date(todo.dueAt).getTime();
+  return isNaN(time) ? null : time;
+};
+
+const endOfDay = (now: number): number => {
+  const date = new Date(now);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+};
+
+export const getDueStatus = (todo: Todo, now: number): DueStatus | null => {
+  const time = dueTime(todo);
+  if (time === null || todo.completed) {
+    return null;
+  }
+  if (time <= now) {
+    return 'overdue';
+  }
+  return time <= endOfDay(now) ? 'today' : 'upcoming';
+};
+
+// Todos whose due time passed after `since` and up to `now` - the ones to remind about
+export const findDueReminders = (todos: Todo[], since: number, now: number): Todo[] =>
+  todos.filter(todo => {
+    const time = dueTime(todo);
+    return time !== null && !todo.completed && time > since && time <= now;
+  });
+
+const pad = (value: number) => (value < 10 ? `0${value}` : String(value));
+
+// ISO timestamp -> value for <input type="datetime-local"> (local time, minute precision)
+export const toDateTimeInputValue = (iso?: string | null): string => {
+  if (!iso) {
+    return '';
+  }
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// <input type="datetime-local"> value -> ISO timestamp, null when empty or invalid
+export const fromDateTimeInputValue = (value: string): string | null => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+export const formatDueDate = (iso: string): string =>
+  new Date(iso).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
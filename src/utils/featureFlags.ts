@@ -53,8 +53,8 @@ const getEnvOverride = (key: FeatureFlagKey): boolean | undefined => {
   return undefined;
 };
 
-// Main feature flag checker
-export const useFeatureFlag = (flagKey: FeatureFlagKey): boolean => {
+// Main feature flag checker (plain function - safe to call outside components, e.g. in atoms)
+export const isFeatureEnabled = (flagKey: FeatureFlagKey): boolean => {
   // Check environment override first
   const envOverride = getEnvOverride(flagKey);
   if (envOverride !== undefined) {
@@ -86,11 +86,14 @@ export const useFeatureFlag = (flagKey: FeatureFlagKey): boolean => {
   return (hash % 100) < config.rolloutPercentage;
 };
 
+// Hook-named alias used by the component switchers
+export const useFeatureFlag = isFeatureEnabled;
+
 // Helper to get all feature flag states (for debugging)
 export const getAllFeatureFlags = (): Record<FeatureFlagKey, boolean> => {
   const result = {} as Record<FeatureFlagKey, boolean>;
   Object.keys(FEATURE_FLAG_CONFIG).forEach(key => {
-    result[key as FeatureFlagKey] = useFeatureFlag(key as FeatureFlagKey);
+    result[key as FeatureFlagKey] = isFeatureEnabled(key as FeatureFlagKey);
   });
   return result;
 };
@@ -0,0 +1,104 @@
+import { normalizeSearchText } from './todoSearch';
+
+// Global keyboard shortcuts of the Jotai app. Single keys only fire outside text fields,
+// so typing a 'j' into the form never moves the focus.
+
+export type ShortcutAction =
+  | 'next'
+  | 'previous'
+  | 'toggle'
+  | 'edit'
+  | 'delete'
+  | 'search'
+  | 'add'
+  | 'palette'
+  | 'help'
+  | 'undo'
+  | 'redo';
+
+export interface KeyboardShortcut {
+  // Keys as shown in the help overlay, e.g. ['Ctrl', 'K']
+  keys: string[];
+  description: string;
+}
+
+const SINGLE_KEYS: Record<string, ShortcutAction> = {
+  j: 'next',
+  k: 'previous',
+  x: 'toggle',
+  e: 'edit',
+  '#': 'delete',
+  '/': 'search',
+  n: 'add',
+  '?': 'help',
+};
+
+export const KEYBOARD_SHORTCUTS: KeyboardShortcut[] = [
+  { keys: ['j'], description: 'Focus the next todo' },
+  { keys: ['k'], description: 'Focus the previous todo' },
+  { keys: ['x'], description: 'Complete or reopen the focused todo' },
+  { keys: ['e'], description: 'Edit the focused todo' },
+  { keys: ['#'], description: 'Delete the focused todo' },
+  { keys: ['Alt', '↑'], description: 'Move the focused todo up (manual order)' },
+  { keys: ['Alt', '↓'], description: 'Move the focused todo down (manual order)' },
+  { keys: ['n'], description: 'Add a todo' },
+  { keys: ['/'], description: 'Search todos' },
+  { keys: ['Ctrl', 'K'], description: 'Open the command palette' },
+  { keys: ['Ctrl', 'Z'], description: 'Undo' },
+  { keys: ['Ctrl', 'Shift', 'Z'], description: 'Redo' },
+  { keys: ['?'], description: 'Show these shortcuts' },
+  { keys: ['Esc'], description: 'Close the command palette or this help' },
+];
+
+// Fields where keys type text - checkboxes and buttons don't count
+export const isTextEntry = (target: EventTarget | null): boolean => {
+  const element = target as HTMLElement | null;
+  if (!element || !element.tagName) {
+    return false;
+  }
+  return element.isContentEditable || element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && ['checkbox', 'radio', 'button', 'submit'].indexOf((element as HTMLInputElement).type) === -1);
+};
+
+// The action a key press asks for; null for keys that are not shortcuts here. Ctrl+K works
+// from text fields too, Ctrl+Z leaves them their own undo.
+export const shortcutFor = (e: KeyboardEvent): ShortcutAction | null => {
+  if (e.altKey) {
+    return null;
+  }
+  if (e.ctrlKey || e.metaKey) {
+    const key = e.key.toLowerCase();
+    if (key === 'k') {
+      return 'palette';
+    }
+    if (key === 'z' && !isTextEntry(e.target)) {
+      return e.shiftKey ? 'redo' : 'undo';
+    }
+    return null;
+  }
+  // Letters typed on a select pick its options
+  const onSelect = !!e.target && (e.target as HTMLElement).tagName === 'SELECT';
+  if (isTextEntry(e.target) || onSelect || !SINGLE_KEYS.hasOwnProperty(e.key)) {
+    return null;
+  }
+  return SINGLE_KEYS[e.key];
+};
+
+export interface Command {
+  id: string;
+  label: string;
+  // e.g. 'Filter' - shown next to the label and searched with it
+  group: string;
+  // Shortcut hint, e.g. 'x'
+  shortcut?: string;
+  run: () => void;
+}
+
+// Commands whose group or label contain every word of the query, ignoring case and accents
+export const filterCommands = (commands: Command[], query: string): Command[] => {
+  const words = normalizeSearchText(query).split(/\s+/).filter(word => !!word);
+  return commands.filter(command => {
+    const text = normalizeSearchText(`${command.group} ${command.label}`);
+    return words.every(word => text.indexOf(word) !== -1);
+  });
+};
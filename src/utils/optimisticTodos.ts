@@ -0,0 +1,257 @@
+import { Todo, CreateTodoRequest, UpdateTodoRequest, TodoOperation, TodoItemStatus } from '../types/todo';
+import type { QueuedMutation, ReplayResult } from '../services/offlineQueue';
+import { descendantIds } from './todoTree';
+import type { TodoConflicts } from './todoConflicts';
+
+// Pure helpers shared by the Redux reducer and the Jotai action atoms for
+// applying item mutations optimistically, rolling back a single todo and
+// folding replayed offline mutations back into the list.
+
+export type { TodoOperation } from '../types/todo';
+
+export interface PendingMutation {
+  operation: TodoOperation;
+  // Last confirmed copy of the todo - what a failure rolls back to
+  previous: Todo;
+  // Position in the list, so a failed delete re-inserts the todo where it was
+  index: number;
+  // Subtasks a delete removes along with the todo - put back with it on rollback
+  subtasks?: Todo[];
+  // Number of in-flight mutations for this todo
+  count: number;
+  // Latest request for this todo (e.g. the Redux action) - kept as the retry handle
+  request?: unknown;
+}
+
+export type PendingMutations = Record<string, PendingMutation>;
+
+const omitKey = <T>(map: Record<string, T>, key: string): Record<string, T> => {
+  const next = { ...map };
+  delete next[key];
+  return next;
+};
+
+// Apply the change a mutation will make before the server confirms it
+export const applyOptimisticChange = (
+  todos: Todo[],
+  operation: TodoOperation,
+  id: string,
+  updates?: UpdateTodoRequest
+): Todo[] => {
+  switch (operation) {
+    case 'delete': {
+      // Deleting a todo deletes its subtasks too
+      const removed = [id, ...descendantIds(todos, id)];
+      return todos.filter(todo => removed.indexOf(todo.id) === -1);
+    }
+    case 'toggle':
+      return todos.map(todo =>
+        todo.id === id ? { ...todo, completed: !todo.completed } : todo
+      );
+    case 'update':
+      return todos.map(todo =>
+        todo.id === id ? { ...todo, ...updates } : todo
+      );
+    default:
+      return todos;
+  }
+};
+
+// Record a mutation as pending. The snapshot is taken from the first in-flight
+// mutation only, so overlapping mutations still roll back to confirmed data.
+// Returns null when the todo is not in the list.
+export const beginMutation = (
+  pending: PendingMutations = {},
+  todos: Todo[],
+  id: string,
+  operation: TodoOperation,
+  request?: unknown
+): PendingMutations | null => {
+  const existing = pending[id];
+  if (existing) {
+    return { ...pending, [id]: { ...existing, operation, request, count: existing.count + 1 } };
+  }
+
+  const index = todos.findIndex(todo => todo.id === id);
+  if (index === -1) {
+    return null;
+  }
+  const mutation: PendingMutation = { operation, previous: todos[index], index, count: 1, request };
+  if (operation === 'delete') {
+    const subtaskIds = descendantIds(todos, id);
+    if (subtaskIds.length > 0) {
+      mutation.subtasks = todos.filter(todo => subtaskIds.indexOf(todo.id) !== -1);
+    }
+  }
+  return { ...pending, [id]: mutation };
+};
+
+// Confirm one mutation for a todo. While others are still in flight the
+// optimistic copy stays on screen and the confirmed copy becomes the new snapshot.
+export const confirmMutation = (
+  pending: PendingMutations = {},
+  todos: Todo[],
+  confirmed: Todo
+): { todos: Todo[]; pending: PendingMutations } => {
+  const mutation = pending[confirmed.id];
+
+  if (mutation && mutation.count > 1) {
+    return {
+      todos,
+      pending: { ...pending, [confirmed.id]: { ...mutation, previous: confirmed, count: mutation.count - 1 } },
+    };
+  }
+
+  return {
+    todos: todos.map(todo => (todo.id === confirmed.id ? confirmed : todo)),
+    pending: mutation ? omitKey(pending, confirmed.id) : pending,
+  };
+};
+
+// Put back the last confirmed copy of one todo (and the subtasks a failed delete
+// removed with it), leaving every other todo alone
+export const rollbackTodo = (todos: Todo[], mutation: PendingMutation): Todo[] => {
+  const { previous, index, subtasks = [] } = mutation;
+
+  if (todos.some(todo => todo.id === previous.id)) {
+    return todos.map(todo => (todo.id === previous.id ? previous : todo));
+  }
+
+  const missing = subtasks.filter(subtask => !todos.some(todo => todo.id === subtask.id));
+  const next = [...todos];
+  next.splice(Math.min(index, next.length), 0, previous, ...missing);
+  return next;
+};
+
+export const settleMutation = (pending: PendingMutations = {}, id: string): PendingMutations =>
+  pending[id] ? omitKey(pending, id) : pending;
+
+// Last failure of a todo, with whatever the caller needs to retry it
+export interface TodoError<R> {
+  message: string;
+  retry: R;
+}
+
+export type TodoErrors<R> = Record<string, TodoError<R>>;
+
+export const clearTodoError = <R>(errors: TodoErrors<R> = {}, id: string): TodoErrors<R> =>
+  errors[id] !== undefined ? omitKey(errors, id) : errors;
+
+// Offline mutations waiting to be replayed, counted per todo
+export type QueuedCounts = Record<string, number>;
+
+export const countQueued = (counts: QueuedCounts = {}, id: string, delta: number): QueuedCounts => {
+  const count = (counts[id] || 0) + delta;
+  return count > 0 ? { ...counts, [id]: count } : omitKey(counts, id);
+};
+
+// One queued mutation was replayed. When it was the add of an offline todo, the rest of
+// that todo's queue now belongs to the server id.
+export const settleQueued = (counts: QueuedCounts = {}, id: string, serverId?: string): QueuedCounts => {
+  const next = countQueued(counts, id, -1);
+  if (!serverId || serverId === id || !next[id]) {
+    return next;
+  }
+  return countQueued(omitKey(next, id), serverId, next[id]);
+};
+
+// Todo built on the client from an add request - local-only todos, and offline adds
+// until the server assigns them an id
+export const createLocalTodo = (id: string, request: CreateTodoRequest, createdAt: string): Todo => ({
+  id,
+  text: request.text,
+  completed: false,
+  createdAt,
+  ...(request.dueAt ? { dueAt: request.dueAt } : {}),
+  ...(request.priority ? { priority: request.priority } : {}),
+  ...(request.tags && request.tags.length > 0 ? { tags: request.tags } : {}),
+  ...(request.parentId ? { parentId: request.parentId } : {}),
+  ...(request.listId ? { listId: request.listId } : {}),
+  ...(request.recurrence ? { recurrence: request.recurrence } : {}),
+});
+
+// Put the server copy of a replayed or conflicting todo in place of the local one
+// (removing it when the server has none), keeping its position in the list
+export const replaceWithServerCopy = (todos: Todo[], id: string, serverTodo: Todo | null): Todo[] => {
+  if (!serverTodo) {
+    return todos.filter(todo => todo.id !== id);
+  }
+  if (!todos.some(todo => todo.id === id)) {
+    return [...todos.filter(todo => todo.id !== serverTodo.id), serverTodo];
+  }
+  return todos.map(todo => (todo.id === id ? serverTodo : todo));
+};
+
+export const CONFLICT_MESSAGE = 'Changed on the server while you were offline';
+export const DELETED_ON_SERVER_MESSAGE = 'A todo you changed offline was deleted on the server';
+
+export interface ReplayState<R> {
+  todos: Todo[];
+  queued: QueuedCounts;
+  errors: TodoErrors<R>;
+  // List-wide error for outcomes that no longer have a todo to show them on
+  error: string | null;
+}
+
+// Fold a replay into the list. Synced mutations take the server copy; conflicts keep
+// the server copy too and record an error whose retry re-applies the offline change.
+export const applyReplayResult = <R>(
+  state: ReplayState<R>,
+  result: ReplayResult,
+  retryFor: (mutation: QueuedMutation) => R
+): ReplayState<R> => {
+  let { todos, queued, errors, error } = state;
+
+  result.synced.forEach(({ mutation, todo }) => {
+    todos = replaceWithServerCopy(todos, mutation.todoId, todo);
+    queued = settleQueued(queued, mutation.todoId, todo ? todo.id : undefined);
+  });
+
+  result.conflicts.forEach(({ mutation, serverTodo }) => {
+    todos = replaceWithServerCopy(todos, mutation.todoId, serverTodo);
+    queued = settleQueued(queued, mutation.todoId);
+    if (serverTodo) {
+      errors = { ...errors, [serverTodo.id]: { message: CONFLICT_MESSAGE, retry: retryFor(mutation) } };
+    } else {
+      error = DELETED_ON_SERVER_MESSAGE;
+    }
+  });
+
+  result.rejected.forEach(({ mutation, error: message }) => {
+    queued = settleQueued(queued, mutation.todoId);
+    if (mutation.operation === 'add') {
+      // The todo never made it to the server - drop the local copy
+      todos = replaceWithServerCopy(todos, mutation.todoId, null);
+      error = message;
+    } else {
+      errors = { ...errors, [mutation.todoId]: { message, retry: retryFor(mutation) } };
+    }
+  });
+
+  return { todos, queued, errors, error };
+};
+
+// Per-todo status exposed to the item components: what is in flight, what last failed,
+// whether offline changes are waiting to be synced and which change awaits a decision
+export const buildTodoStatus = <R>(
+  pending: PendingMutations = {},
+  errors: TodoErrors<R> = {},
+  queued: QueuedCounts = {},
+  conflicts: TodoConflicts = {}
+): Record<string, TodoItemStatus> => {
+  const statuses: Record<string, TodoItemStatus> = {};
+  const statusOf = (id: string) => statuses[id] || (statuses[id] = { pending: null, error: null, queued: false });
+  Object.keys(pending).forEach(id => {
+    statusOf(id).pending = pending[id].operation;
+  });
+  Object.keys(errors).forEach(id => {
+    statusOf(id).error = errors[id].message;
+  });
+  Object.keys(queued).forEach(id => {
+    statusOf(id).queued = true;
+  });
+  Object.keys(conflicts).forEach(id => {
+    statusOf(id).conflict = conflicts[id];
+  });
+  return statuses;
+};
@@ -2,9 +2,17 @@
 
 import React, { useState } from 'react';
 import { Provider as JotaiProviderBase } from 'jotai';
+import { useHydrateAtoms } from 'jotai/utils';
+import { queryClientAtom } from 'jotai-tanstack-query';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { ReactQueryDevtools } from '@tanstack/react-query-devtools';
 
+// Point jotai-tanstack-query's atoms at the same QueryClient the React tree uses
+const HydrateQueryClient = ({ queryClient, children }) => {
+  useHydrateAtoms(new Map([[queryClientAtom, queryClient]]));
+  return children;
+};
+
 // Main Provider Component - Jotai + TanStack Query (Redux removed)
 export const JotaiProvider = ({ children }) => {
   // Create QueryClient instance inside component for Next.js compatibility
@@ -24,8 +32,10 @@ export const JotaiProvider = ({ children }) => {
   return (
     <QueryClientProvider client={queryClient}>
       <JotaiProviderBase>
-        {children}
-        <ReactQueryDevtools initialIsOpen={false} />
+        <HydrateQueryClient queryClient={queryClient}>
+          {children}
+          <ReactQueryDevtools initialIsOpen={false} />
+        </HydrateQueryClient>
       </JotaiProviderBase>
     </QueryClientProvider>
   );
@@ -0,0 +1,289 @@
+import { CreateTodoRequest, List, TodoPriority } from '../types/todo';
+import { normalizeTag } from './todoTags';
+import { formatDueDate } from './dueDates';
+import { INBOX_LIST_ID } from './todoLists';
+
+// Quick-add syntax for the todo form, e.g. 'Call mum tomorrow 5pm !! #family @home':
+//   dates     today, tonight, tomorrow, friday, next fri, on/by fri, next week,
+//             in 3 days, in 2 weeks, jan 5, 5 jan, 2024-01-05
+//   times     5pm, 5:30 pm, at 17:00, noon, midnight - on their own: the next time it is
+//   priority  !!! (urgent), !! (high), p1 (urgent) to p4 (low)
+//   tags      #work
+//   list      @groceries - the name of an existing list, spaces and case ignored
+// Only the first date, time, priority and list count; everything not recognized is the
+// title. A date without a time is due at the end of that day.
+
+export type QuickAddChipKind = 'due' | 'priority' | 'tag' | 'list';
+
+// One recognized piece, for the preview under the input
+export interface QuickAddChip {
+  kind: QuickAddChipKind;
+  label: string;
+}
+
+export interface QuickAdd {
+  text: string;
+  dueAt?: string;
+  priority?: TodoPriority;
+  tags: string[];
+  listId?: string;
+  chips: QuickAddChip[];
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+  'october', 'november', 'december'];
+const PRIORITY_WORDS: Record<string, TodoPriority> = {
+  '!!!': 'urgent', '!!': 'high', p1: 'urgent', p2: 'high', p3: 'normal', p4: 'low',
+};
+const TAG_WORD = /^#([\w\u00C0-\u024F-]+)$/;
+const LIST_WORD = /^@([\w\u00C0-\u024F-]+)$/;
+// Words that may lead into a date and go with it
+const DATE_PREFIXES = ['on', 'by', 'due'];
+
+// 'fri', 'thurs' and 'friday' -> 5. Abbreviations only count after a prefix, so 'Buy sun
+// cream' keeps its sun.
+const weekday = (word: string, abbreviated: boolean): number => {
+  for (let day = 0; day < WEEKDAYS.length; day++) {
+    const name = WEEKDAYS[day];
+    if (word === name || (abbreviated && word.length >= 3 && name.indexOf(word) === 0)) {
+      return day;
+    }
+  }
+  return -1;
+};
+
+const month = (word: string): number => {
+  for (let index = 0; index < MONTHS.length; index++) {
+    if (word.length >= 3 && MONTHS[index].indexOf(word) === 0) {
+      return index;
+    }
+  }
+  return -1;
+};
+
+const dayOfMonth = (word: string): number => {
+  const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word);
+  return match && Number(match[1]) >= 1 && Number(match[1]) <= 31 ? Number(match[1]) : 0;
+};
+
+const startOfDay = (now: number): Date => {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const addDays = (date: Date, days: number): Date => {
+  const next = new Date(date.getTime());
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Day `day` of month `monthIndex` - this year, or next year once it has passed. Null
+// for days the month does not have.
+const nextDate = (today: Date, monthIndex: number, day: number): Date | null => {
+  let date = new Date(today.getFullYear(), monthIndex, day);
+  if (date < today) {
+    date = new Date(today.getFullYear() + 1, monthIndex, day);
+  }
+  return date.getDate() === day ? date : null;
+};
+
+interface DayMatch {
+  date: Date;
+  length: number;
+  // 'tonight' comes with a time of its own
+  hours?: number;
+}
+
+// The day the words at `index` name, and how many words that took
+const matchDay = (words: string[], index: number, today: Date): DayMatch | null => {
+  const prefixed = DATE_PREFIXES.indexOf(words[index]) !== -1;
+  const start = prefixed ? index + 1 : index;
+  const [first = '', second = '', third = ''] = words.slice(start, start + 3);
+  const found = (date: Date | null, length: number, hours?: number): DayMatch | null =>
+    (date ? { date, length: length + (prefixed ? 1 : 0), hours } : null);
+
+  if (first === 'today') {
+    return found(today, 1);
+  }
+  if (first === 'tonight') {
+    return found(today, 1, 20);
+  }
+  if (first === 'tomorrow' || first === 'tmrw') {
+    return found(addDays(today, 1), 1);
+  }
+  if ((first === 'next' || first === 'this') && weekday(second, true) !== -1) {
+    const ahead = (weekday(second, true) - today.getDay() + 7) % 7 || 7;
+    return found(addDays(today, ahead + (first === 'next' ? 7 : 0)), 2);
+  }
+  if (first === 'next' && second === 'week') {
+    return found(addDays(today, (8 - today.getDay()) % 7 || 7), 2);
+  }
+  if (weekday(first, prefixed) !== -1) {
+    return found(addDays(today, (weekday(first, prefixed) - today.getDay() + 7) % 7 || 7), 1);
+  }
+  if (first === 'in' && /^\d+$/.test(second) && /^(day|week)s?$/.test(third)) {
+    return found(addDays(today, Number(second) * (third.charAt(0) === 'w' ? 7 : 1)), 3);
+  }
+  if (month(first) !== -1 && dayOfMonth(second)) {
+    return found(nextDate(today, month(first), dayOfMonth(second)), 2);
+  }
+  if (dayOfMonth(first) && month(second) !== -1) {
+    return found(nextDate(today, month(second), dayOfMonth(first)), 2);
+  }
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(first);
+  if (iso) {
+    const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return found(date.getMonth() === Number(iso[2]) - 1 ? date : null, 1);
+  }
+  return null;
+};
+
+interface TimeMatch {
+  hours: number;
+  minutes: number;
+  length: number;
+}
+
+// '5pm', '5:30 pm', 'at 17:00', 'noon'
+const matchTime = (words: string[], index: number): TimeMatch | null => {
+  const prefixed = words[index] === 'at';
+  const start = prefixed ? index + 1 : index;
+  const first = words[start] || '';
+  const found = (hours: number, minutes: number, length: number): TimeMatch =>
+    ({ hours, minutes, length: length + (prefixed ? 1 : 0) });
+
+  if (first === 'noon' || first === 'midnight') {
+    return found(first === 'noon' ? 12 : 0, 0, 1);
+  }
+  const twelveHour = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/.exec(first);
+  const suffix = twelveHour && (twelveHour[3] || (/^(am|pm)$/.test(words[start + 1] || '') ? words[start + 1] : ''));
+  if (twelveHour && suffix) {
+    const hours = Number(twelveHour[1]);
+    const minutes = Number(twelveHour[2] || 0);
+    if (hours >= 1 && hours <= 12 && minutes < 60) {
+      return found((hours % 12) + (suffix === 'pm' ? 12 : 0), minutes, twelveHour[3] ? 1 : 2);
+    }
+  }
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(first);
+  if (clock && Number(clock[1]) < 24 && Number(clock[2]) < 60) {
+    return found(Number(clock[1]), Number(clock[2]), 1);
+  }
+  return null;
+};
+
+// Lists match on their name without spaces, dashes or underscores, ignoring case
+const listKey = (name: string): string => name.toLowerCase().replace(/[\s_-]+/g, '');
+
+const capitalize = (word: string): string => word.charAt(0).toUpperCase() + word.slice(1);
+
+export const parseQuickAdd = (input: string, now: number = Date.now(), lists: List[] = []): QuickAdd => {
+  const words = input.trim().split(/\s+/).filter(word => !!word);
+  const lower = words.map(word => word.toLowerCase());
+  const used: boolean[] = words.map(() => false);
+  const take = (index: number, length: number) => {
+    for (let i = index; i < index + length; i++) {
+      used[i] = true;
+    }
+  };
+  const today = startOfDay(now);
+  let day: DayMatch | null = null;
+  let time: TimeMatch | null = null;
+  let priority: TodoPriority | undefined;
+  let list: List | undefined;
+  const tags: string[] = [];
+
+  for (let i = 0; i < words.length; i++) {
+    if (used[i]) {
+      continue;
+    }
+    const dayMatch = day ? null : matchDay(lower, i, today);
+    const timeMatch = time || dayMatch ? null : matchTime(lower, i);
+    const tag = TAG_WORD.exec(words[i]);
+    const listName = LIST_WORD.exec(words[i]);
+    const target = listName && !list
+      ? lists.find(item => !item.archived && listKey(item.name) === listKey(listName[1]))
+      : undefined;
+
+    if (dayMatch) {
+      day = dayMatch;
+      take(i, dayMatch.length);
+    } else if (timeMatch) {
+      time = timeMatch;
+      take(i, timeMatch.length);
+    } else if (!priority && PRIORITY_WORDS.hasOwnProperty(lower[i])) {
+      priority = PRIORITY_WORDS[lower[i]];
+      take(i, 1);
+    } else if (tag && normalizeTag(tag[1])) {
+      if (tags.indexOf(normalizeTag(tag[1])) === -1) {
+        tags.push(normalizeTag(tag[1]));
+      }
+      take(i, 1);
+    } else if (target) {
+      list = target;
+      take(i, 1);
+    }
+  }
+
+  const text = words.filter((_word, index) => !used[index]).join(' ');
+  // Nothing would be left for the title - keep it as typed, like parseTags does
+  if (!text) {
+    return { text: input.trim(), tags, chips: tags.map(tag => ({ kind: 'tag' as QuickAddChipKind, label: `#${tag}` })) };
+  }
+
+  const result: QuickAdd = { text, tags, chips: [] };
+  if (day || time) {
+    const due = new Date((day ? day.date : today).getTime());
+    if (time) {
+      due.setHours(time.hours, time.minutes);
+      // A time on its own is the next time the clock shows it
+      if (!day && due.getTime() <= now) {
+        due.setDate(due.getDate() + 1);
+      }
+    } else if (day.hours !== undefined) {
+      due.setHours(day.hours);
+    } else {
+      due.setHours(23, 59);
+    }
+    result.dueAt = due.toISOString();
+    result.chips.push({ kind: 'due', label: `Due ${formatDueDate(result.dueAt)}` });
+  }
+  if (priority) {
+    result.priority = priority;
+    result.chips.push({ kind: 'priority', label: `${capitalize(priority)} priority` });
+  }
+  tags.forEach(tag => result.chips.push({ kind: 'tag', label: `#${tag}` }));
+  if (list) {
+    result.listId = list.id;
+    result.chips.push({ kind: 'list', label: `List: ${list.name}` });
+  }
+  return result;
+};
+
+// The add request for what was typed into the todo form. A due date or priority picked in
+// the form wins over the one in the text, and @inbox is sent as listId null.
+export const quickAddRequest = (
+  input: string,
+  dueAt: string | null,
+  priority: TodoPriority,
+  now: number = Date.now(),
+  lists: List[] = []
+): CreateTodoRequest => {
+  const parsed = parseQuickAdd(input, now, lists);
+  const request: CreateTodoRequest = { text: parsed.text };
+  if (parsed.tags.length > 0) {
+    request.tags = parsed.tags;
+  }
+  if (dueAt || parsed.dueAt) {
+    request.dueAt = dueAt || parsed.dueAt;
+  }
+  const level = priority !== 'normal' ? priority : parsed.priority;
+  if (level && level !== 'normal') {
+    request.priority = level;
+  }
+  if (parsed.listId) {
+    request.listId = parsed.listId === INBOX_LIST_ID ? null : parsed.listId;
+  }
+  return request;
+};
@@ -0,0 +1,32 @@
+// Reading and writing one query-string parameter without a navigation, so client state
+// (like the search query) can live in the URL. Next's router picks up replaceState.
+
+export const readSearchParam = (name: string): string => {
+  if (typeof window === 'undefined') {
+    return '';
+  }
+  return new URLSearchParams(window.location.search).get(name) || '';
+};
+
+// Replaces the current history entry - typing a query should not add one entry per key
+export const writeSearchParam = (name: string, value: string): void => {
+  if (typeof window === 'undefined') {
+    return;
+  }
+  const url = new URL(window.location.href);
+  if (value) {
+    url.searchParams.set(name, value);
+  } else {
+    url.searchParams.delete(name);
+  }
+  window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+};
+
+// Back/forward navigation
+export const subscribeToHistory = (callback: () => void): (() => void) => {
+  if (typeof window === 'undefined') {
+    return () => {};
+  }
+  window.addEventListener('popstate', callback);
+  return () => window.removeEventListener('popstate', callback);
+};
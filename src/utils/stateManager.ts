@@ -12,6 +12,7 @@ import {
   deleteTodoActionAtom,
   toggleTodoActionAtom,
 } from '../atoms/todoAtoms';
+import { filterTodos } from './todoFilters';
 import { Todo, TodoFilter, CreateTodoRequest, UpdateTodoRequest } from '../types/todo';
 
 // Modern state management hooks using Jotai
@@ -26,14 +27,7 @@ export function useModernTodos() {
   const todos = React.useMemo(() => {
     if (!Array.isArray(allTodos)) return [];
     
-    switch (filter) {
-      case 'active':
-        return allTodos.filter(todo => !todo.completed);
-      case 'completed':
-        return allTodos.filter(todo => todo.completed);
-      default:
-        return allTodos;
-    }
+    return filterTodos(allTodos, filter);
   }, [allTodos, filter]);
   
   // Calculate stats manually
@@ -0,0 +1,84 @@
+import { Todo, TodoActivity, TodoActivityType } from '../types/todo';
+
+// Header naming the browser a change comes from in the activity log. Unlike the per-tab
+// X-Todo-Client id it is kept across reloads (see todoActorId in services/todoApi).
+export const TODO_ACTOR_HEADER = 'X-Todo-Actor';
+
+export type TodoActivityChange = Pick<TodoActivity, 'type' | 'from' | 'fields'>;
+
+// Fields whose changes are logged as 'updated' - text and completed have entries of their own
+const TRACKED_FIELDS: Array<keyof Todo> = ['dueAt', 'priority', 'tags', 'recurrence', 'listId', 'parentId'];
+
+const FIELD_LABELS: Record<string, string> = {
+  dueAt: 'due date',
+  priority: 'priority',
+  tags: 'tags',
+  recurrence: 'repeat',
+  listId: 'list',
+  parentId: 'parent',
+};
+
+// Missing, empty and default values all mean "not set"
+const comparable = (value: unknown): string => {
+  const unset = value === undefined || value === null || value === '' || value === 'normal'
+    || (Array.isArray(value) && value.length === 0);
+  return unset ? '' : JSON.stringify(value);
+};
+
+// What a change to one todo adds to the log. `before` is null for a new todo and `after`
+// is null for one removed for good. Changes to the order alone are not logged.
+export const activityChanges = (before: Todo | null, after: Todo | null): TodoActivityChange[] => {
+  if (!before) {
+    return after ? [{ type: 'created' }] : [];
+  }
+  if (!after) {
+    return [{ type: before.deletedAt ? 'purged' : 'deleted' }];
+  }
+  if (after.deletedAt && !before.deletedAt) {
+    return [{ type: 'deleted' }];
+  }
+  if (before.deletedAt && !after.deletedAt) {
+    return [{ type: 'restored' }];
+  }
+
+  const changes: TodoActivityChange[] = [];
+  if (after.text !== before.text) {
+    changes.push({ type: 'renamed', from: before.text });
+  }
+  if (after.completed !== before.completed) {
+    changes.push({ type: after.completed ? 'completed' : 'reopened' });
+  }
+  const fields = TRACKED_FIELDS.filter(field => comparable(before[field]) !== comparable(after[field]));
+  if (fields.length > 0) {
+    changes.push({ type: 'updated', fields });
+  }
+  return changes;
+};
+
+const SUMMARIES: Record<Exclude<TodoActivityType, 'renamed' | 'updated'>, string> = {
+  created: 'Created',
+  completed: 'Completed',
+  reopened: 'Reopened',
+  deleted: 'Deleted',
+  restored: 'Restored',
+  purged: 'Deleted for good',
+};
+
+// One line for an entry, e.g. 'Renamed from "Buy milk" to "Buy oat milk"'
+export const describeActivity = (entry: TodoActivity): string => {
+  if (entry.type === 'renamed') {
+    return `Renamed from "${entry.from}" to "${entry.text}"`;
+  }
+  if (entry.type === 'updated') {
+    return `Changed ${(entry.fields || []).map(field => FIELD_LABELS[field] || field).join(', ')}`;
+  }
+  return SUMMARIES[entry.type];
+};
+
+// Who made the change, from the point of view of the browser showing it
+export const describeActor = (actor: string | null, self: string | null): string => {
+  if (!actor) {
+    return 'someone';
+  }
+  return actor === self ? 'you' : 'another browser';
+};
@@ -0,0 +1,133 @@
+import { Todo, TodoBatchAction, TodoBatchRequest, TodoBatchResult, TodoBatchItemResult } from '../types/todo';
+import { descendantIds } from './todoTree';
+import { INBOX_LIST_ID, moveToList } from './todoLists';
+import { TodoErrors, clearTodoError } from './optimisticTodos';
+
+// Batches apply one action to many todos. Every requested id gets its own result: todos
+// that cannot take the action are reported and left alone while the rest go through.
+
+export const TODO_BATCH_ACTIONS: TodoBatchAction[] = ['complete', 'reopen', 'delete', 'move', 'tag'];
+
+export const isTodoBatchAction = (value: unknown): value is TodoBatchAction =>
+  TODO_BATCH_ACTIONS.indexOf(value as TodoBatchAction) !== -1;
+
+export const BATCH_PAST_TENSE: Record<TodoBatchAction, string> = {
+  complete: 'completed',
+  reopen: 'reopened',
+  delete: 'deleted',
+  move: 'moved',
+  tag: 'tagged',
+};
+
+// True when `id` sits somewhere below one of `ids`
+const hasAncestorIn = (byId: Record<string, Todo>, id: string, ids: string[]): boolean => {
+  let parentId = byId[id] && byId[id].parentId;
+  // Bounded so a parent cycle in bad data cannot loop forever
+  for (let steps = 0; parentId && steps < ids.length + Object.keys(byId).length; steps++) {
+    if (ids.indexOf(parentId) !== -1) {
+      return true;
+    }
+    parentId = byId[parentId] && byId[parentId].parentId;
+  }
+  return false;
+};
+
+// Work out a batch against the todo list in memory. Completing or deleting a todo covers
+// its subtasks; moving one takes its subtasks along, so a subtask can only be moved
+// together with one of its ancestors.
+export const applyBatch = (todos: Todo[], request: TodoBatchRequest, updatedAt?: string): TodoBatchResult => {
+  const byId: Record<string, Todo> = {};
+  todos.forEach(todo => {
+    byId[todo.id] = todo;
+  });
+  const ids = request.ids.filter((id, index) => request.ids.indexOf(id) === index);
+
+  const changed: Record<string, Todo> = {};
+  const changedIds: string[] = [];
+  const record = (todo: Todo) => {
+    if (!changed[todo.id]) {
+      changedIds.push(todo.id);
+    }
+    changed[todo.id] = updatedAt ? { ...todo, updatedAt } : todo;
+  };
+  const change = (todo: Todo, updates: Partial<Todo>) => record({ ...todo, ...updates });
+  const deleted: string[] = [];
+
+  const results = ids.map((id): TodoBatchItemResult => {
+    const todo = byId[id];
+    if (!todo) {
+      return { id, ok: false, error: 'Todo not found' };
+    }
+    switch (request.action) {
+      case 'complete':
+        [id, ...descendantIds(todos, id)].forEach(todoId => {
+          if (!byId[todoId].completed) {
+            change(byId[todoId], { completed: true });
+          }
+        });
+        break;
+      case 'reopen':
+        if (todo.completed) {
+          change(todo, { completed: false });
+        }
+        break;
+      case 'tag':
+        if (request.tag && (todo.tags || []).indexOf(request.tag) === -1) {
+          change(todo, { tags: [...(todo.tags || []), request.tag] });
+        }
+        break;
+      case 'move':
+        if (todo.parentId && !hasAncestorIn(byId, id, ids)) {
+          return { id, ok: false, error: 'Subtasks move with their parent' };
+        }
+        if (!todo.parentId) {
+          (moveToList(todos, id, request.listId || INBOX_LIST_ID) || []).forEach(record);
+        }
+        break;
+      case 'delete':
+        [id, ...descendantIds(todos, id)].forEach(todoId => {
+          if (deleted.indexOf(todoId) === -1) {
+            deleted.push(todoId);
+          }
+        });
+        break;
+    }
+    return { id, ok: true };
+  });
+
+  return { results, todos: changedIds.map(id => changed[id]), deleted };
+};
+
+// e.g. "2 of 5 todos could not be moved" - null when every todo went through
+export const describeBatchFailures = (result: TodoBatchResult, action: TodoBatchAction): string | null => {
+  const failed = result.results.filter(item => !item.ok).length;
+  if (failed === 0) {
+    return null;
+  }
+  return `${failed} of ${result.results.length} ${result.results.length === 1 ? 'todo' : 'todos'} could not be ${BATCH_PAST_TENSE[action]}`;
+};
+
+// Per-todo errors after a batch: failed items get their message and a retry handle for
+// that item alone, items that went through lose any earlier error
+export const recordBatchErrors = <R>(
+  errors: TodoErrors<R>,
+  result: TodoBatchResult,
+  retryFor: (id: string) => R
+): TodoErrors<R> =>
+  result.results.reduce(
+    (next, item) => (item.ok
+      ? clearTodoError(next, item.id)
+      : { ...next, [item.id]: { message: item.error || 'Request failed', retry: retryFor(item.id) } }),
+    errors
+  );
+
+// The changes of a batch applied to a todo list
+export const applyBatchResult = (todos: Todo[], result: TodoBatchResult): Todo[] => {
+  const byId: Record<string, Todo> = {};
+  result.todos.forEach(todo => {
+    byId[todo.id] = todo;
+  });
+  return todos
+    .filter(todo => result.deleted.indexOf(todo.id) === -1)
+    .map(todo => byId[todo.id] || todo);
+};
@@ -0,0 +1,41 @@
+import { Todo, TodoConflict } from '../types/todo';
+
+// Helpers for changes the server refused because the todo changed there first (see the
+// If-Match handling in src/server/http.ts). The conflict dialog shows the two versions
+// side by side and lets the user keep theirs, take the server's or merge the text.
+
+export type TodoConflicts = Record<string, TodoConflict>;
+
+export const clearTodoConflict = (conflicts: TodoConflicts = {}, id: string): TodoConflicts => {
+  if (!conflicts[id]) {
+    return conflicts;
+  }
+  const next = { ...conflicts };
+  delete next[id];
+  return next;
+};
+
+// The todo as this client wanted it - null when the change was a delete
+export const yourVersion = (conflict: TodoConflict): Todo | null =>
+  conflict.operation === 'delete' ? null : { ...conflict.base, ...conflict.updates };
+
+// Only two texts that differ have anything to merge
+export const canMergeText = (conflict: TodoConflict): boolean => {
+  const yours = yourVersion(conflict);
+  return !!yours && yours.text !== conflict.server.text;
+};
+
+// Starting point for merging the text, from what it was before either change. A side that
+// left it alone takes the other's; when both changed it, the server's text comes first.
+export const mergeTodoText = (base: string, yours: string, server: string): string => {
+  if (yours === server || server === base) {
+    return yours;
+  }
+  if (yours === base || server.indexOf(yours) !== -1) {
+    return server;
+  }
+  if (yours.indexOf(server) !== -1) {
+    return yours;
+  }
+  return `${server} ${yours}`;
+};
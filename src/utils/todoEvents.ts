@@ -0,0 +1,35 @@
+import { Todo, TodoEvent } from '../types/todo';
+
+// Header naming the browser tab a change comes from. The stream passes it on as the
+// event's origin, so the tab can skip the echo of its own changes.
+export const TODO_CLIENT_HEADER = 'X-Todo-Client';
+
+// Folds a stream event into the todo list. Todos in `keepIds` have a local change the
+// server has not answered yet (or only exist locally): their local copy stays until then.
+export const applyTodoEvent = (todos: Todo[], event: TodoEvent, keepIds: string[] = []): Todo[] => {
+  const kept = (id: string) => keepIds.indexOf(id) !== -1;
+
+  if (event.type === 'delete') {
+    const ids = event.ids || [];
+    return todos.filter(todo => ids.indexOf(todo.id) === -1);
+  }
+
+  const incoming = (event.todos || []).filter(todo => !todo.deletedAt);
+  if (event.type === 'reset') {
+    const local = todos.filter(todo => kept(todo.id));
+    return [
+      // A kept todo missing locally is being deleted here
+      ...incoming
+        .map(todo => (kept(todo.id) ? local.find(item => item.id === todo.id) : todo))
+        .filter(todo => !!todo),
+      ...local.filter(todo => !incoming.some(item => item.id === todo.id)),
+    ];
+  }
+
+  // add, update and toggle: replace the todos the list has, add the others at the end
+  const changed = incoming.filter(todo => !kept(todo.id));
+  return [
+    ...todos.map(todo => changed.find(item => item.id === todo.id) || todo),
+    ...changed.filter(item => !todos.some(todo => todo.id === item.id)),
+  ];
+};
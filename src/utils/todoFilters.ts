@@ -0,0 +1,28 @@
+import { Todo, TodoFilter } from '../types/todo';
+import { getDueStatus } from './dueDates';
+import { hasTag } from './todoTags';
+
+export const TODO_FILTERS: TodoFilter[] = ['all', 'active', 'completed', 'overdue', 'today', 'upcoming'];
+
+export const isTodoFilter = (filter: unknown): filter is TodoFilter =>
+  TODO_FILTERS.indexOf(filter as TodoFilter) !== -1;
+
+// `now` only matters for the due-date filters
+export const filterTodos = (todos: Todo[], filter: TodoFilter, now: number = Date.now()): Todo[] => {
+  switch (filter) {
+    case 'active':
+      return todos.filter(todo => !todo.completed);
+    case 'completed':
+      return todos.filter(todo => todo.completed);
+    case 'overdue':
+    case 'today':
+    case 'upcoming':
+      return todos.filter(todo => getDueStatus(todo, now) === filter);
+    default:
+      return todos;
+  }
+};
+
+// No tag means no tag filtering
+export const filterByTag = (todos: Todo[], tag: string | null): Todo[] =>
+  (tag ? todos.filter(todo => hasTag(todo, tag)) : todos);
@@ -0,0 +1,207 @@
+import { Todo, UpdateTodoRequest } from '../types/todo';
+import { listIdOf } from './todoLists';
+import { ReorderTarget, sortByOrder } from './todoOrder';
+
+// Undo history works on snapshots: a recorded action keeps the operations that turn the
+// todo list after it back into the list before it (undo) and the other way round (redo).
+// Replaying them through the regular write atoms keeps undo working with server state.
+
+export type HistoryOperation =
+  // Put a removed todo back - it keeps its id only when stored locally
+  | { type: 'restore'; todo: Todo; index: number }
+  | { type: 'update'; id: string; updates: UpdateTodoRequest }
+  | { type: 'move'; id: string; listId: string }
+  // Puts the todo back next to the one it was listed beside
+  | { type: 'reorder'; id: string; target: ReorderTarget }
+  // Removes the todo with its subtasks
+  | { type: 'remove'; id: string };
+
+export interface HistoryEntry {
+  // e.g. 'Deleted "Buy milk"'
+  label: string;
+  // Destructive actions offer an undo toast right away
+  destructive: boolean;
+  undo: HistoryOperation[];
+  redo: HistoryOperation[];
+}
+
+export interface TodoHistory {
+  past: HistoryEntry[];
+  future: HistoryEntry[];
+}
+
+export const HISTORY_LIMIT = 50;
+
+export const EMPTY_HISTORY: TodoHistory = { past: [], future: [] };
+
+const sameTags = (a: string[] = [], b: string[] = []): boolean =>
+  a.length === b.length && a.every((tag, index) => tag === b[index]);
+
+// The fields an update can set, with missing values spelled out so they can be restored
+const fieldChanges = (from: Todo, to: Todo): UpdateTodoRequest => {
+  const updates: UpdateTodoRequest = {};
+  if (from.text !== to.text) {
+    updates.text = to.text;
+  }
+  if (from.completed !== to.completed) {
+    updates.completed = to.completed;
+  }
+  if ((from.dueAt || null) !== (to.dueAt || null)) {
+    updates.dueAt = to.dueAt || null;
+  }
+  if ((from.priority || 'normal') !== (to.priority || 'normal')) {
+    updates.priority = to.priority || 'normal';
+  }
+  if (!sameTags(from.tags, to.tags)) {
+    updates.tags = to.tags || [];
+  }
+  if ((from.recurrence || null) !== (to.recurrence || null)) {
+    updates.recurrence = to.recurrence || null;
+  }
+  return updates;
+};
+
+// Indexes of a longest increasing run (not necessarily contiguous) in `values`
+const longestIncreasing = (values: number[]): number[] => {
+  const lengths = values.map(() => 1);
+  const previous = values.map(() => -1);
+  let last = -1;
+  values.forEach((value, i) => {
+    for (let j = 0; j < i; j++) {
+      if (values[j] < value && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+    if (last === -1 || lengths[i] > lengths[last]) {
+      last = i;
+    }
+  });
+  const run: number[] = [];
+  for (let i = last; i !== -1; i = previous[i]) {
+    run.unshift(i);
+  }
+  return run;
+};
+
+// Moves that turn the manual order of the todos in both lists from that of `from` into
+// that of `to`. The longest run already in order stays put, and every other todo is placed
+// right after the one before it in `to` (or first), working down the list.
+const orderChanges = (from: Todo[], to: Todo[]): HistoryOperation[] => {
+  const fromIds = sortByOrder(from).map(todo => todo.id);
+  const ids = sortByOrder(to).map(todo => todo.id).filter(id => fromIds.indexOf(id) !== -1);
+  const current = fromIds.filter(id => ids.indexOf(id) !== -1);
+  const staying = longestIncreasing(ids.map(id => current.indexOf(id))).map(index => ids[index]);
+
+  const changes: HistoryOperation[] = [];
+  ids.forEach((id, index) => {
+    if (staying.indexOf(id) !== -1) {
+      return;
+    }
+    const first = current.filter(other => other !== id)[0];
+    const target: ReorderTarget = index > 0 ? { afterId: ids[index - 1] } : { beforeId: first };
+    current.splice(current.indexOf(id), 1);
+    current.splice(index > 0 ? current.indexOf(ids[index - 1]) + 1 : 0, 0, id);
+    changes.push({ type: 'reorder', id, target });
+  });
+  return changes;
+};
+
+// Operations that turn the todo list `from` into `to`. Removing a todo removes its
+// subtasks, and moving one moves them, so only the topmost todo of each gets an operation.
+// Restores come parents first so subtasks can be put back under them.
+export const diffTodos = (from: Todo[], to: Todo[]): HistoryOperation[] => {
+  const fromById: Record<string, Todo> = {};
+  from.forEach(todo => {
+    fromById[todo.id] = todo;
+  });
+  const toById: Record<string, Todo> = {};
+  to.forEach(todo => {
+    toById[todo.id] = todo;
+  });
+
+  const restores: HistoryOperation[] = [];
+  let missing = to.filter(todo => !fromById[todo.id]);
+  while (missing.length > 0) {
+    const waiting = missing.map(todo => todo.id);
+    let ready = missing.filter(todo => !todo.parentId || waiting.indexOf(todo.parentId) === -1);
+    // A parent cycle in bad data has no todo to start from
+    if (ready.length === 0) {
+      ready = missing;
+    }
+    ready.forEach(todo => restores.push({ type: 'restore', todo, index: to.indexOf(todo) }));
+    missing = missing.filter(todo => ready.indexOf(todo) === -1);
+  }
+
+  const changes: HistoryOperation[] = [];
+  to.forEach(todo => {
+    const previous = fromById[todo.id];
+    if (!previous) {
+      return;
+    }
+    const updates = fieldChanges(previous, todo);
+    if (Object.keys(updates).length > 0) {
+      changes.push({ type: 'update', id: todo.id, updates });
+    }
+    if (!todo.parentId && listIdOf(previous) !== listIdOf(todo)) {
+      changes.push({ type: 'move', id: todo.id, listId: listIdOf(todo) });
+    }
+  });
+
+  const removes: HistoryOperation[] = from
+    .filter(todo => !toById[todo.id] && !(todo.parentId && fromById[todo.parentId] && !toById[todo.parentId]))
+    .map(todo => ({ type: 'remove', id: todo.id }));
+
+  return [...restores, ...changes, ...orderChanges(from, to), ...removes];
+};
+
+// Build the entry for an action that turned `before` into `after`; null when nothing changed
+export const createHistoryEntry = (
+  label: string,
+  before: Todo[],
+  after: Todo[],
+  destructive: boolean = false
+): HistoryEntry | null => {
+  const undo = diffTodos(after, before);
+  if (undo.length === 0) {
+    return null;
+  }
+  return { label, destructive, undo, redo: diffTodos(before, after) };
+};
+
+// A new action drops whatever could have been redone
+export const recordHistory = (history: TodoHistory, entry: HistoryEntry): TodoHistory => ({
+  past: [...history.past, entry].slice(-HISTORY_LIMIT),
+  future: [],
+});
+
+// Point an operation at the new ids of todos the server restored
+export const remapOperation = (operation: HistoryOperation, idMap: Record<string, string>): HistoryOperation => {
+  const mapId = (id: string) => idMap[id] || id;
+  if (operation.type === 'reorder') {
+    const { beforeId, afterId } = operation.target;
+    const target = beforeId !== undefined ? { beforeId: mapId(beforeId) } : { afterId: mapId(afterId) };
+    return { ...operation, id: mapId(operation.id), target };
+  }
+  if (operation.type !== 'restore') {
+    return { ...operation, id: mapId(operation.id) };
+  }
+  const todo = { ...operation.todo, id: mapId(operation.todo.id) };
+  if (todo.parentId) {
+    todo.parentId = mapId(todo.parentId);
+  }
+  return { ...operation, todo };
+};
+
+// Todos restored on the server come back with new ids - point every entry at them
+export const remapHistory = (history: TodoHistory, idMap: Record<string, string>): TodoHistory => {
+  if (Object.keys(idMap).length === 0) {
+    return history;
+  }
+  const remapEntry = (entry: HistoryEntry): HistoryEntry => ({
+    ...entry,
+    undo: entry.undo.map(operation => remapOperation(operation, idMap)),
+    redo: entry.redo.map(operation => remapOperation(operation, idMap)),
+  });
+  return { past: history.past.map(remapEntry), future: history.future.map(remapEntry) };
+};
@@ -0,0 +1,554 @@
+import { Todo, CreateTodoRequest, List, TodoPriority } from '../types/todo';
+import { nestTodos } from './todoTree';
+import { sortByOrder } from './todoOrder';
+import { listIdOf } from './todoLists';
+import { isTodoPriority } from './todoSort';
+import { normalizeTag, parseTags } from './todoTags';
+import { normalizeRecurrence } from './todoRecurrence';
+
+// Getting todos in and out of the app. Exports come in four formats: JSON keeps every
+// field, CSV and todo.txt keep most of them, a Markdown checklist only the text, tags,
+// completion and nesting. Imports are read into rows that are previewed, checked against
+// the todos already in the target list and then added as new todos.
+
+export type TransferFormat = 'json' | 'csv' | 'markdown' | 'todotxt';
+
+export interface TransferFormatInfo {
+  format: TransferFormat;
+  label: string;
+  extension: string;
+  mimeType: string;
+}
+
+export const TRANSFER_FORMATS: TransferFormatInfo[] = [
+  { format: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { format: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { format: 'markdown', label: 'Markdown checklist', extension: 'md', mimeType: 'text/markdown' },
+  { format: 'todotxt', label: 'todo.txt', extension: 'txt', mimeType: 'text/plain' },
+];
+
+export const EXPORT_VERSION = 1;
+
+export const CSV_COLUMNS = [
+  'id', 'parentId', 'text', 'completed', 'priority', 'dueAt', 'tags', 'recurrence', 'listId', 'createdAt', 'updatedAt',
+];
+
+// todo.txt priorities - normal todos have none, (C) and below read back as low
+const TODO_TXT_PRIORITIES: Record<string, string> = { urgent: 'A', high: 'B', low: 'C' };
+
+// One todo read from an import
+export interface ImportRow {
+  // Line (CSV, Markdown, todo.txt) or item (JSON) it was read from, 1-based
+  row: number;
+  // What the row says, for the preview
+  text: string;
+  // Without parentId and listId - the import decides where the todo goes
+  request?: CreateTodoRequest;
+  completed?: boolean;
+  // Subtasks: the row of their parent, or the existing todo the parent turned out to be
+  parentRow?: number;
+  parentId?: string;
+  error?: string;
+  // Duplicates are not imported: the existing todo, or the earlier row, they repeat
+  duplicateOf?: string;
+  duplicateRow?: number;
+}
+
+export interface ImportPreview {
+  format: TransferFormat;
+  rows: ImportRow[];
+  // Set when the whole input could not be read
+  error: string | null;
+}
+
+const pad = (value: number) => (value < 10 ? `0${value}` : String(value));
+
+// YYYY-MM-DD in local time
+const localDate = (iso: string): string => {
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const inDisplayOrder = (todos: Todo[]): Array<{ todo: Todo; depth: number }> => nestTodos(sortByOrder(todos));
+
+const tagWords = (todo: Todo, prefix: string): string =>
+  (todo.tags || []).map(tag => ` ${prefix}${tag}`).join('');
+
+const csvCell = (value: string): string =>
+  (/[",\r\n]/.test(value) || value !== value.trim() ? `"${value.replace(/"/g, '""')}"` : value);
+
+const csvRow = (todo: Todo): string => [
+  todo.id,
+  todo.parentId || '',
+  todo.text,
+  todo.completed ? 'true' : 'false',
+  todo.priority || '',
+  todo.dueAt || '',
+  (todo.tags || []).join(' '),
+  todo.recurrence || '',
+  todo.listId || '',
+  todo.createdAt || '',
+  todo.updatedAt || '',
+].map(csvCell).join(',');
+
+const todoTxtLine = (todo: Todo): string => {
+  const parts: string[] = [];
+  // A completion date needs a creation date after it
+  if (todo.completed) {
+    parts.push('x');
+    if (todo.createdAt) {
+      parts.push(localDate(todo.updatedAt || todo.createdAt));
+    }
+  } else if (TODO_TXT_PRIORITIES[todo.priority]) {
+    parts.push(`(${TODO_TXT_PRIORITIES[todo.priority]})`);
+  }
+  if (todo.createdAt) {
+    parts.push(localDate(todo.createdAt));
+  }
+  parts.push(todo.text + tagWords(todo, '+'));
+  if (todo.dueAt) {
+    parts.push(`due:${localDate(todo.dueAt)}`);
+  }
+  return parts.join(' ');
+};
+
+// `todos` as a file in `format`. JSON also lists the named lists the todos are filed in.
+export const exportTodos = (
+  todos: Todo[],
+  format: TransferFormat,
+  lists: List[] = [],
+  exportedAt: string = new Date().toISOString()
+): string => {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify({ version: EXPORT_VERSION, exportedAt, lists, todos: sortByOrder(todos) }, null, 2)}\n`;
+    case 'csv':
+      return [CSV_COLUMNS.join(','), ...inDisplayOrder(todos).map(({ todo }) => csvRow(todo))].join('\n') + '\n';
+    case 'markdown':
+      return inDisplayOrder(todos)
+        .map(({ todo, depth }) =>
+          `${'  '.repeat(depth)}- [${todo.completed ? 'x' : ' '}] ${todo.text}${tagWords(todo, '#')}`)
+        .join('\n') + '\n';
+    case 'todotxt':
+      return inDisplayOrder(todos).map(({ todo }) => todoTxtLine(todo)).join('\n') + '\n';
+  }
+};
+
+// e.g. todos-2024-01-31.json
+export const exportFileName = (format: TransferFormat, now: number = Date.now()): string => {
+  const info = TRANSFER_FORMATS.find(item => item.format === format);
+  return `todos-${localDate(new Date(now).toISOString())}.${info.extension}`;
+};
+
+const CHECKLIST_ITEM = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+
+const firstLine = (text: string): string => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !/^\s*#/.test(line));
+  return lines.length > 0 ? lines[0] : '';
+};
+
+// Format of an import, from the file extension when there is one and the content otherwise
+export const detectFormat = (text: string, fileName: string = ''): TransferFormat => {
+  const extension = (/\.([a-z]+)$/i.exec(fileName) || [])[1];
+  switch ((extension || '').toLowerCase()) {
+    case 'json':
+      return 'json';
+    case 'csv':
+      return 'csv';
+    case 'md':
+    case 'markdown':
+      return 'markdown';
+  }
+  const trimmed = text.trim();
+  if (trimmed.charAt(0) === '{' || trimmed.charAt(0) === '[') {
+    return 'json';
+  }
+  const line = firstLine(text);
+  if (CHECKLIST_ITEM.test(line)) {
+    return 'markdown';
+  }
+  const header = (trimmed.split(/\r?\n/)[0] || '').split(',').map(cell => cell.trim().toLowerCase());
+  return header.length > 1 && header.indexOf('text') !== -1 ? 'csv' : 'todotxt';
+};
+
+interface ImportFields {
+  text?: unknown;
+  completed?: unknown;
+  priority?: unknown;
+  dueAt?: unknown;
+  tags?: unknown;
+  recurrence?: unknown;
+}
+
+const isBlank = (value: unknown): boolean => value === undefined || value === null || value === '';
+
+const readCompleted = (value: unknown): boolean | null => {
+  if (isBlank(value)) {
+    return false;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const word = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'x', '1'].indexOf(word) !== -1) {
+    return true;
+  }
+  return ['false', 'no', '0'].indexOf(word) !== -1 ? false : null;
+};
+
+// Checks the fields of one row the way the API would
+const readTodo = (row: number, fields: ImportFields): ImportRow => {
+  const text = typeof fields.text === 'string' ? fields.text.trim() : '';
+  const invalid = (error: string): ImportRow => ({ row, text, error });
+  if (!text) {
+    return invalid('Missing text');
+  }
+  const request: CreateTodoRequest = { text };
+
+  const completed = readCompleted(fields.completed);
+  if (completed === null) {
+    return invalid(`Completed must be true or false, not "${fields.completed}"`);
+  }
+  if (!isBlank(fields.priority)) {
+    const priority = String(fields.priority).trim().toLowerCase();
+    if (!isTodoPriority(priority)) {
+      return invalid(`Unknown priority "${fields.priority}"`);
+    }
+    if (priority !== 'normal') {
+      request.priority = priority as TodoPriority;
+    }
+  }
+  if (!isBlank(fields.dueAt)) {
+    const due = new Date(String(fields.dueAt));
+    if (isNaN(due.getTime())) {
+      return invalid(`Invalid due date "${fields.dueAt}"`);
+    }
+    request.dueAt = due.toISOString();
+  }
+  if (!isBlank(fields.tags)) {
+    const names = Array.isArray(fields.tags) ? fields.tags : String(fields.tags).split(/[\s,]+/);
+    const tags: string[] = [];
+    for (let i = 0; i < names.length; i++) {
+      const tag = normalizeTag(names[i]);
+      if (!tag && String(names[i]).trim()) {
+        return invalid(`Invalid tag "${names[i]}"`);
+      }
+      if (tag && tags.indexOf(tag) === -1) {
+        tags.push(tag);
+      }
+    }
+    if (tags.length > 0) {
+      request.tags = tags;
+    }
+  }
+  if (!isBlank(fields.recurrence)) {
+    const recurrence = normalizeRecurrence(fields.recurrence);
+    if (!recurrence) {
+      return invalid(`Unsupported repeat rule "${fields.recurrence}"`);
+    }
+    request.recurrence = recurrence;
+  }
+  return { row, text, request, completed };
+};
+
+// Point rows that name a parent id at the row carrying that id
+const linkParents = (rows: ImportRow[], ids: Array<string | null>, parentIds: Array<string | null>): ImportRow[] => {
+  const rowById: Record<string, number> = {};
+  ids.forEach((id, index) => {
+    if (id && !rowById[id]) {
+      rowById[id] = rows[index].row;
+    }
+  });
+  return rows.map((row, index) => {
+    const parentId = parentIds[index];
+    if (!parentId || row.error) {
+      return row;
+    }
+    return rowById[parentId] && rowById[parentId] !== row.row
+      ? { ...row, parentRow: rowById[parentId] }
+      : { ...row, error: `Parent todo "${parentId}" is not in the import` };
+  });
+};
+
+const optionalId = (value: unknown): string | null =>
+  (typeof value === 'string' && value.trim() ? value.trim() : typeof value === 'number' ? String(value) : null);
+
+const parseJson = (text: string): ImportPreview => {
+  const preview = (rows: ImportRow[], error: string | null = null): ImportPreview => ({ format: 'json', rows, error });
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return preview([], 'The file is not valid JSON');
+  }
+  const items = Array.isArray(data) ? data : data && Array.isArray(data.todos) ? data.todos : null;
+  if (!items) {
+    return preview([], 'Expected a list of todos, or an export with a "todos" list');
+  }
+  const isObject = (item: unknown) => !!item && typeof item === 'object' && !Array.isArray(item);
+  const rows = items.map((item: any, index: number) =>
+    (isObject(item) ? readTodo(index + 1, item) : { row: index + 1, text: '', error: 'Not a todo' }));
+  return preview(linkParents(rows,
+    items.map((item: any) => (isObject(item) ? optionalId(item.id) : null)),
+    items.map((item: any) => (isObject(item) ? optionalId(item.parentId) : null))));
+};
+
+// RFC 4180 records with the line each starts on - quoted cells may contain commas,
+// doubled quotes and line breaks
+const readCsvRecords = (text: string): Array<{ line: number; cells: string[] }> => {
+  const records: Array<{ line: number; cells: string[] }> = [];
+  let cells: string[] = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim()) {
+      records.push({ line: start, cells });
+    }
+    cells = [];
+    cell = '';
+    start = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charAt(i);
+    if (quoted) {
+      if (char === '"' && text.charAt(i + 1) === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      quoted = true;
+      cell = '';
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      line++;
+      endRecord();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  if (cell || cells.length > 0) {
+    endRecord();
+  }
+  return records;
+};
+
+const parseCsv = (text: string): ImportPreview => {
+  const [header, ...records] = readCsvRecords(text);
+  const columns = header ? header.cells.map(cell => cell.trim().toLowerCase()) : [];
+  if (columns.indexOf('text') === -1) {
+    return { format: 'csv', rows: [], error: 'The CSV needs a header row with a "text" column' };
+  }
+  const field = (cells: string[], name: string): string => {
+    const index = columns.indexOf(name.toLowerCase());
+    return index === -1 || cells[index] === undefined ? '' : cells[index];
+  };
+  const rows = records.map(({ line, cells }) => readTodo(line, {
+    text: field(cells, 'text'),
+    completed: field(cells, 'completed').trim(),
+    priority: field(cells, 'priority').trim(),
+    dueAt: field(cells, 'dueAt').trim(),
+    tags: field(cells, 'tags').trim(),
+    recurrence: field(cells, 'recurrence').trim(),
+  }));
+  return {
+    format: 'csv',
+    rows: linkParents(rows,
+      records.map(({ cells }) => optionalId(field(cells, 'id'))),
+      records.map(({ cells }) => optionalId(field(cells, 'parentId')))),
+    error: null,
+  };
+};
+
+// Indented items are subtasks of the item above them with less indentation. Headings
+// and blank lines are skipped.
+const parseMarkdown = (text: string): ImportPreview => {
+  const rows: ImportRow[] = [];
+  // Items the next line could be nested under, outermost first
+  let parents: Array<{ indent: number; row: number }> = [];
+  text.split(/\r?\n/).forEach((source, index) => {
+    const line = index + 1;
+    if (!source.trim() || /^\s*#/.test(source)) {
+      return;
+    }
+    const match = CHECKLIST_ITEM.exec(source);
+    if (!match) {
+      rows.push({ row: line, text: source.trim(), error: 'Not a checklist item ("- [ ] ...")' });
+      return;
+    }
+    const indent = match[1].replace(/\t/g, '  ').length;
+    parents = parents.filter(parent => parent.indent < indent);
+    const { text: todoText, tags } = parseTags(match[3]);
+    const row = readTodo(line, { text: todoText, completed: match[2] !== ' ', tags });
+    const parent = parents[parents.length - 1];
+    rows.push(parent && !row.error ? { ...row, parentRow: parent.row } : row);
+    parents.push({ indent, row: line });
+  });
+  return { format: 'markdown', rows, error: null };
+};
+
+const TODO_TXT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// x 2024-01-02 2024-01-01 (A) Call mum +family @phone due:2024-01-05
+const readTodoTxtLine = (line: number, source: string): ImportRow => {
+  const words = source.trim().split(/\s+/);
+  let completed = false;
+  let priority = '';
+  if (words[0] === 'x') {
+    completed = true;
+    words.shift();
+    // The completion date, when a creation date follows it
+    if (TODO_TXT_DATE.test(words[0]) && TODO_TXT_DATE.test(words[1])) {
+      words.shift();
+    }
+  }
+  const letter = /^\(([A-Z])\)$/.exec(words[0]);
+  if (letter) {
+    priority = letter[1];
+    words.shift();
+  }
+  if (TODO_TXT_DATE.test(words[0])) {
+    words.shift();
+  }
+
+  const text: string[] = [];
+  const tags: string[] = [];
+  let due = '';
+  words.forEach(word => {
+    const key = /^(due|pri):(.+)$/.exec(word);
+    if ((word.charAt(0) === '+' || word.charAt(0) === '@') && normalizeTag(word.slice(1))) {
+      tags.push(word.slice(1));
+    } else if (key && key[1] === 'due') {
+      due = key[2];
+    } else if (key && key[1] === 'pri' && /^[A-Z]$/.test(key[2])) {
+      priority = key[2];
+    } else {
+      text.push(word);
+    }
+  });
+
+  let dueAt = '';
+  if (due) {
+    // A due date is due by the end of that day
+    const match = TODO_TXT_DATE.test(due) ? due.split('-').map(Number) : null;
+    const date = match ? new Date(match[0], match[1] - 1, match[2], 23, 59) : null;
+    if (!date || date.getMonth() !== match[1] - 1) {
+      return { row: line, text: source.trim(), error: `Invalid due date "${due}"` };
+    }
+    dueAt = date.toISOString();
+  }
+  const levels = Object.keys(TODO_TXT_PRIORITIES);
+  const level = levels.filter(name => TODO_TXT_PRIORITIES[name] === priority)[0] || (priority ? 'low' : '');
+  return readTodo(line, { text: text.join(' '), completed, priority: level, dueAt, tags });
+};
+
+const parseTodoTxt = (text: string): ImportPreview => ({
+  format: 'todotxt',
+  rows: text.split(/\r?\n/)
+    .map((source, index) => ({ source, line: index + 1 }))
+    .filter(({ source }) => source.trim())
+    .map(({ source, line }) => readTodoTxtLine(line, source)),
+  error: null,
+});
+
+export const parseImport = (text: string, format: TransferFormat = detectFormat(text)): ImportPreview => {
+  switch (format) {
+    case 'json':
+      return parseJson(text);
+    case 'csv':
+      return parseCsv(text);
+    case 'markdown':
+      return parseMarkdown(text);
+    case 'todotxt':
+      return parseTodoTxt(text);
+  }
+};
+
+// Parents before their subtasks, otherwise in row order
+export const importOrder = (rows: ImportRow[]): ImportRow[] => {
+  const byRow: Record<number, ImportRow> = {};
+  rows.forEach(row => {
+    byRow[row.row] = row;
+  });
+  const ordered: ImportRow[] = [];
+  // Set on entry, so a parent cycle in bad data cannot loop
+  const visited: Record<number, boolean> = {};
+  const visit = (row: ImportRow) => {
+    if (visited[row.row]) {
+      return;
+    }
+    visited[row.row] = true;
+    if (row.parentRow !== undefined && byRow[row.parentRow]) {
+      visit(byRow[row.parentRow]);
+    }
+    ordered.push(row);
+  };
+  rows.forEach(visit);
+  return ordered;
+};
+
+const textKey = (text: string): string => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Mark rows that repeat a todo already in list `listId`, or an earlier row, by text under
+// the same parent. Subtasks of a duplicate are checked against its existing subtasks, and
+// are added under it when they are new. Subtasks of a row with an error get an error too.
+export const findDuplicates = (rows: ImportRow[], existing: Todo[], listId: string): ImportRow[] => {
+  const existingIn = (parentId: string | undefined, text: string): Todo | undefined =>
+    existing.find(todo => textKey(todo.text) === textKey(text) && (parentId
+      ? todo.parentId === parentId
+      : !todo.parentId && listIdOf(todo) === listId));
+  const byRow: Record<number, ImportRow> = {};
+  const firstRow: Record<string, number> = {};
+
+  importOrder(rows).forEach(row => {
+    let checked = row;
+    const parent = row.parentRow === undefined ? null : byRow[row.parentRow];
+    if (parent && parent.error && !row.error) {
+      checked = { ...row, error: 'Its parent todo cannot be imported' };
+    } else if (parent && parent.duplicateOf) {
+      checked = { ...row, parentRow: undefined, parentId: parent.duplicateOf };
+    } else if (parent && parent.duplicateRow !== undefined) {
+      checked = { ...row, parentRow: parent.duplicateRow };
+    }
+
+    if (!checked.error) {
+      const match = checked.parentRow === undefined ? existingIn(checked.parentId, checked.text) : undefined;
+      const key = `${checked.parentId || ''}:${checked.parentRow === undefined ? '' : checked.parentRow}:${textKey(checked.text)}`;
+      if (match) {
+        checked = { ...checked, duplicateOf: match.id };
+      } else if (firstRow[key] !== undefined) {
+        checked = { ...checked, duplicateRow: firstRow[key] };
+      } else {
+        firstRow[key] = checked.row;
+      }
+    }
+    byRow[row.row] = checked;
+  });
+  return rows.map(row => byRow[row.row]);
+};
+
+export const isImportable = (row: ImportRow): boolean =>
+  !row.error && !row.duplicateOf && row.duplicateRow === undefined;
+
+// Read `text` and check it against the todos already in list `listId`
+export const previewImport = (
+  text: string,
+  existing: Todo[],
+  listId: string,
+  format: TransferFormat = detectFormat(text)
+): ImportPreview => {
+  const preview = parseImport(text, format);
+  return { ...preview, rows: findDuplicates(preview.rows, existing, listId) };
+};
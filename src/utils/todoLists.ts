@@ -0,0 +1,67 @@
+import { List, Todo } from '../types/todo';
+import { descendantIds } from './todoTree';
+
+// Every todo is filed in exactly one list. Named lists are stored on their own; the
+// built-in Inbox is implicit and holds every todo without a `listId`.
+
+export const INBOX_LIST_ID = 'inbox';
+export const INBOX_LIST: List = { id: INBOX_LIST_ID, name: 'Inbox' };
+
+export interface TodoStats {
+  total: number;
+  active: number;
+  completed: number;
+}
+
+export const listIdOf = (todo: Todo): string => todo.listId || INBOX_LIST_ID;
+
+export const filterByList = (todos: Todo[], listId: string): Todo[] =>
+  todos.filter(todo => listIdOf(todo) === listId);
+
+// The Inbox followed by the named lists
+export const withInbox = (lists: List[]): List[] => [INBOX_LIST, ...lists];
+
+// Trimmed with inner whitespace collapsed; '' when there is no name left
+export const normalizeListName = (name: unknown): string =>
+  (typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '');
+
+// Where a list is shown - the Inbox is the home page
+export const listPath = (listId: string): string =>
+  (listId === INBOX_LIST_ID ? '/' : `/lists/${encodeURIComponent(listId)}`);
+
+export const countTodos = (todos: Todo[]): TodoStats => {
+  const completed = todos.filter(todo => todo.completed).length;
+  return { total: todos.length, active: todos.length - completed, completed };
+};
+
+// Counts per list id - every list in `lists` is included, even when it is empty
+export const listStats = (todos: Todo[], lists: List[]): Record<string, TodoStats> => {
+  const stats: Record<string, TodoStats> = {};
+  lists.forEach(list => {
+    stats[list.id] = countTodos(filterByList(todos, list.id));
+  });
+  return stats;
+};
+
+// Copy of the todo filed in `listId` (the Inbox drops the field)
+const fileIn = (todo: Todo, listId: string): Todo => {
+  const moved = { ...todo };
+  if (listId === INBOX_LIST_ID) {
+    delete moved.listId;
+  } else {
+    moved.listId = listId;
+  }
+  return moved;
+};
+
+// Move todo `id` and its subtasks to another list. Returns the todos that changed, or
+// null when the todo is not in the list.
+export const moveToList = (todos: Todo[], id: string, listId: string): Todo[] | null => {
+  if (!todos.some(todo => todo.id === id)) {
+    return null;
+  }
+  const ids = [id, ...descendantIds(todos, id)];
+  return todos
+    .filter(todo => ids.indexOf(todo.id) !== -1 && listIdOf(todo) !== listId)
+    .map(todo => fileIn(todo, listId));
+};
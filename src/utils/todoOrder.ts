@@ -0,0 +1,91 @@
+import { Todo } from '../types/todo';
+
+// Manual order is a fractional `order` key: moving a todo only rewrites that todo, placed
+// halfway between its new neighbours. When two neighbours get too close to split, the
+// whole list is renumbered.
+
+// Put the todo right before or right after another one
+export interface ReorderTarget {
+  beforeId?: string;
+  afterId?: string;
+}
+
+const hasOrder = (todo: Todo): boolean => typeof todo.order === 'number' && isFinite(todo.order);
+
+// Stable - todos without an order keep their list position, after the ordered ones
+export const sortByOrder = (todos: Todo[]): Todo[] =>
+  todos
+    .map((todo, index) => ({ todo, index }))
+    .sort((a, b) => {
+      if (hasOrder(a.todo) && hasOrder(b.todo) && a.todo.order !== b.todo.order) {
+        return (a.todo.order as number) - (b.todo.order as number);
+      }
+      if (hasOrder(a.todo) !== hasOrder(b.todo)) {
+        return hasOrder(a.todo) ? -1 : 1;
+      }
+      return a.index - b.index;
+    })
+    .map(entry => entry.todo);
+
+// Order for a todo added at the end of the list
+export const nextOrder = (todos: Todo[]): number =>
+  todos.reduce((max, todo) => (hasOrder(todo) ? Math.max(max, todo.order as number) : max), 0) + 1;
+
+// Give every todo without an order one after the ordered todos, keeping list position.
+// Returns only the todos that got an order.
+export const assignOrder = (todos: Todo[]): Todo[] => {
+  let next = nextOrder(todos);
+  return todos.filter(todo => !hasOrder(todo)).map(todo => ({ ...todo, order: next++ }));
+};
+
+// The same spot seen in a list shown in descending order
+export const reverseTarget = (target: ReorderTarget): ReorderTarget =>
+  (target.beforeId !== undefined ? { afterId: target.beforeId } : { beforeId: target.afterId });
+
+// Swap in the moved (and renumbered) copies, keeping list positions
+export const applyReorder = (todos: Todo[], changed: Todo[]): Todo[] =>
+  todos.map(todo => changed.find(item => item.id === todo.id) || todo);
+
+// Move todo `id` next to the target. Returns the todos whose order changed - just the moved
+// one unless the list had to be renumbered - or null when either todo is not in the list.
+export const reorderTodos = (todos: Todo[], id: string, target: ReorderTarget): Todo[] | null => {
+  const targetId = target.beforeId !== undefined ? target.beforeId : target.afterId;
+  const moving = todos.find(todo => todo.id === id);
+  if (!moving || targetId === undefined || targetId === id) {
+    return null;
+  }
+
+  const others = sortByOrder(todos).filter(todo => todo.id !== id);
+  const targetIndex = others.findIndex(todo => todo.id === targetId);
+  if (targetIndex === -1) {
+    return null;
+  }
+  const index = target.beforeId !== undefined ? targetIndex : targetIndex + 1;
+  const lower = others[index - 1];
+  const upper = others[index];
+
+  const lowerOrder = lower && hasOrder(lower) ? (lower.order as number) : null;
+  const upperOrder = upper && hasOrder(upper) ? (upper.order as number) : null;
+  let order: number | null = null;
+  if (lowerOrder !== null && upperOrder !== null) {
+    order = (lowerOrder + upperOrder) / 2;
+    // Out of room between the two - fall through to renumbering
+    if (order <= lowerOrder || order >= upperOrder) {
+      order = null;
+    }
+  } else if (lowerOrder !== null && !upper) {
+    order = lowerOrder + 1;
+  } else if (upperOrder !== null && !lower) {
+    order = upperOrder - 1;
+  }
+
+  if (order !== null) {
+    return order === moving.order ? [] : [{ ...moving, order }];
+  }
+
+  const renumbered = [...others.slice(0, index), moving, ...others.slice(index)];
+  return renumbered
+    .map((todo, position) => ({ todo, order: position + 1 }))
+    .filter(({ todo, order: next }) => todo.order !== next)
+    .map(({ todo, order: next }) => ({ ...todo, order: next }));
+};
@@ -0,0 +1,267 @@
+import { Todo, CreateTodoRequest, UpdateTodoRequest } from '../types/todo';
+
+// Recurring todos carry a `recurrence` rule in a subset of the iCalendar RRULE syntax:
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY   required
+//   INTERVAL=n                         every n days/weeks/... (default 1)
+//   BYDAY=MO,WE,...                    weekly only - the weekdays it falls on
+//   BYMONTHDAY=n                       monthly only - 1 to 31, or -1 for the last day
+//   COUNT=n                            occurrences left, this one included
+//   UNTIL=YYYYMMDD                     the last day an occurrence may fall on
+// Occurrences are counted from the todo's due date. Completing one creates the next,
+// due at the first occurrence after both its due date and now.
+
+export type RecurrenceFrequency = 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY';
+
+export const RECURRENCE_FREQUENCIES: RecurrenceFrequency[] = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+export interface Recurrence {
+  freq: RecurrenceFrequency;
+  interval: number;
+  // Weekdays, 0 = Sunday
+  byDay?: number[];
+  byMonthDay?: number;
+  count?: number;
+  // YYYYMMDD
+  until?: string;
+}
+
+// Rules offered by the editor next to a custom one
+export const RECURRENCE_PRESETS: Array<{ label: string; rule: string }> = [
+  { label: 'Daily', rule: 'FREQ=DAILY' },
+  { label: 'Weekdays', rule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR' },
+  { label: 'Weekly', rule: 'FREQ=WEEKLY' },
+  { label: 'Monthly', rule: 'FREQ=MONTHLY' },
+];
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const UNITS: Record<RecurrenceFrequency, string> = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const positiveInt = (value: string): number | null =>
+  (/^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null);
+
+// YYYYMMDD from 20240131, 2024-01-31 or 20240131T000000Z; null for anything else
+const parseUntil = (value: string): string | null => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})(T[\dZ:]*)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? `${match[1]}${match[2]}${match[3]}` : null;
+};
+
+// Null when the rule is not in the supported subset
+export const parseRecurrence = (rule: unknown): Recurrence | null => {
+  if (typeof rule !== 'string') {
+    return null;
+  }
+  const parts: Record<string, string> = {};
+  const pieces = rule.trim().replace(/^RRULE:/i, '').split(';').filter(piece => piece.trim());
+  for (let i = 0; i < pieces.length; i++) {
+    const [key, value] = pieces[i].split('=');
+    const name = key.trim().toUpperCase();
+    if (value === undefined || parts[name] !== undefined) {
+      return null;
+    }
+    parts[name] = value.trim().toUpperCase();
+  }
+
+  const freq = parts.FREQ as RecurrenceFrequency;
+  if (RECURRENCE_FREQUENCIES.indexOf(freq) === -1) {
+    return null;
+  }
+  const recurrence: Recurrence = { freq, interval: 1 };
+  const names = Object.keys(parts);
+  for (let i = 0; i < names.length; i++) {
+    const value = parts[names[i]];
+    switch (names[i]) {
+      case 'FREQ':
+        break;
+      case 'INTERVAL':
+      case 'COUNT': {
+        const number = positiveInt(value);
+        if (!number) {
+          return null;
+        }
+        recurrence[names[i] === 'INTERVAL' ? 'interval' : 'count'] = number;
+        break;
+      }
+      case 'BYDAY': {
+        const days = value.split(',').map(day => WEEKDAYS.indexOf(day.trim()));
+        if (freq !== 'WEEKLY' || days.some(day => day === -1)) {
+          return null;
+        }
+        recurrence.byDay = days.filter((day, index) => days.indexOf(day) === index).sort();
+        break;
+      }
+      case 'BYMONTHDAY': {
+        const day = /^-?\d+$/.test(value) ? Number(value) : 0;
+        if (freq !== 'MONTHLY' || day === 0 || day < -1 || day > 31) {
+          return null;
+        }
+        recurrence.byMonthDay = day;
+        break;
+      }
+      case 'UNTIL': {
+        const until = parseUntil(value);
+        if (!until) {
+          return null;
+        }
+        recurrence.until = until;
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+  return recurrence;
+};
+
+export const formatRecurrence = (recurrence: Recurrence): string => [
+  `FREQ=${recurrence.freq}`,
+  recurrence.interval > 1 ? `INTERVAL=${recurrence.interval}` : '',
+  recurrence.byDay ? `BYDAY=${recurrence.byDay.map(day => WEEKDAYS[day]).join(',')}` : '',
+  recurrence.byMonthDay ? `BYMONTHDAY=${recurrence.byMonthDay}` : '',
+  recurrence.count ? `COUNT=${recurrence.count}` : '',
+  recurrence.until ? `UNTIL=${recurrence.until}` : '',
+].filter(part => !!part).join(';');
+
+// The rule in its canonical form, or null when it is not supported
+export const normalizeRecurrence = (rule: unknown): string | null => {
+  const recurrence = parseRecurrence(rule);
+  return recurrence ? formatRecurrence(recurrence) : null;
+};
+
+const ordinal = (day: number): string => {
+  const tens = day % 100;
+  const suffix = tens >= 11 && tens <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][day % 10] || 'th';
+  return `${day}${suffix}`;
+};
+
+// e.g. 'Every 2 weeks on Mon, Thu', '' for an unsupported rule
+export const describeRecurrence = (rule: unknown): string => {
+  const recurrence = parseRecurrence(rule);
+  if (!recurrence) {
+    return '';
+  }
+  const unit = UNITS[recurrence.freq];
+  let text = recurrence.interval === 1 ? `Every ${unit}` : `Every ${recurrence.interval} ${unit}s`;
+  if (recurrence.byDay) {
+    text += ` on ${recurrence.byDay.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  }
+  if (recurrence.byMonthDay) {
+    text += ` on the ${recurrence.byMonthDay === -1 ? 'last day' : ordinal(recurrence.byMonthDay)}`;
+  }
+  if (recurrence.count) {
+    text += `, ${recurrence.count} ${recurrence.count === 1 ? 'time' : 'times'} left`;
+  }
+  if (recurrence.until) {
+    const until = recurrence.until;
+    text += ` until ${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6)}`;
+  }
+  return text;
+};
+
+const addDays = (date: Date, days: number): Date => {
+  const next = new Date(date.getTime());
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Whole calendar days from a to b - rounded so a daylight saving shift does not count
+const daysBetween = (a: Date, b: Date): number => Math.round((b.getTime() - a.getTime()) / DAY_MS);
+
+// `months` after `start` on day `day` (-1 = last), clamped to the length of that month
+const monthDate = (start: Date, months: number, day: number): Date => {
+  const first = new Date(start.getFullYear(), start.getMonth() + months, 1,
+    start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds());
+  const length = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  first.setDate(day === -1 ? length : Math.min(day, length));
+  return first;
+};
+
+// First occurrence of the rule counted from `start` that falls after `after`, or null
+// when UNTIL has passed. Occurrences keep the time of day of `start`.
+export const nextOccurrence = (recurrence: Recurrence, start: Date, after: Date): Date | null => {
+  const { interval } = recurrence;
+  // Whole days from start to after - every candidate before that is in the past
+  const elapsed = Math.max(0, Math.floor((after.getTime() - start.getTime()) / DAY_MS));
+  let next: Date;
+
+  if (recurrence.freq === 'DAILY') {
+    let periods = Math.floor(elapsed / interval);
+    next = addDays(start, periods * interval);
+    while (next <= after) {
+      next = addDays(start, ++periods * interval);
+    }
+  } else if (recurrence.freq === 'WEEKLY') {
+    const days = recurrence.byDay || [start.getDay()];
+    const weekStart = addDays(start, -start.getDay());
+    next = addDays(start, elapsed);
+    // Within interval + 1 weeks there is always a matching day
+    for (let i = 0; i <= 7 * (interval + 1); i++, next = addDays(next, 1)) {
+      const week = Math.floor(daysBetween(weekStart, next) / 7);
+      if (next > after && days.indexOf(next.getDay()) !== -1 && week % interval === 0) {
+        break;
+      }
+    }
+  } else {
+    const step = recurrence.freq === 'YEARLY' ? interval * 12 : interval;
+    const day = recurrence.byMonthDay || start.getDate();
+    const months = (after.getFullYear() - start.getFullYear()) * 12 + after.getMonth() - start.getMonth();
+    let periods = Math.max(0, Math.floor(months / step) - 1);
+    next = monthDate(start, periods * step, day);
+    while (next <= after) {
+      next = monthDate(start, ++periods * step, day);
+    }
+  }
+
+  if (recurrence.until) {
+    const until = recurrence.until;
+    const lastDay = new Date(Number(until.slice(0, 4)), Number(until.slice(4, 6)) - 1, Number(until.slice(6)), 23, 59, 59, 999);
+    if (next > lastDay) {
+      return null;
+    }
+  }
+  return next;
+};
+
+// Where a recurring todo goes next: the following due date and the rule with one
+// occurrence less to go. Null when the todo does not recur or its rule has run out.
+export const scheduleNext = (todo: Todo, now: number): { dueAt: string; recurrence: string } | null => {
+  const recurrence = parseRecurrence(todo.recurrence);
+  if (!recurrence || recurrence.count === 1) {
+    return null;
+  }
+  const start = todo.dueAt ? new Date(todo.dueAt) : new Date(now);
+  const next = nextOccurrence(recurrence, start, new Date(Math.max(start.getTime(), now)));
+  if (!next) {
+    return null;
+  }
+  return {
+    dueAt: next.toISOString(),
+    recurrence: formatRecurrence({ ...recurrence, count: recurrence.count ? recurrence.count - 1 : undefined }),
+  };
+};
+
+// "Skip this occurrence" - the todo moves on to its next due date. Null when there is none.
+export const skipOccurrence = (todo: Todo, now: number): UpdateTodoRequest | null => scheduleNext(todo, now);
+
+// The todo that takes over when a recurring todo is completed: same text, priority, tags
+// and place, due at the next occurrence. Null when the rule has run out.
+export const nextOccurrenceRequest = (todo: Todo, now: number): CreateTodoRequest | null => {
+  const next = scheduleNext(todo, now);
+  if (!next) {
+    return null;
+  }
+  return {
+    text: todo.text,
+    dueAt: next.dueAt,
+    recurrence: next.recurrence,
+    ...(todo.priority ? { priority: todo.priority } : {}),
+    ...(todo.tags && todo.tags.length > 0 ? { tags: todo.tags } : {}),
+    ...(todo.parentId ? { parentId: todo.parentId } : {}),
+    ...(todo.listId ? { listId: todo.listId } : {}),
+  };
+};
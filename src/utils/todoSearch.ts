@@ -0,0 +1,190 @@
+import { Todo } from '../types/todo';
+
+// In-memory search over todo text. Matching ignores case and diacritics ('creme' finds
+// 'Crème') and tolerates typos: a query word may be a few edits away from a word in the
+// todo or from the start of one. Every query word has to match.
+
+// [start, end) character offsets into the original todo text
+export type TextRange = [number, number];
+
+export interface SearchMatch {
+  todo: Todo;
+  ranges: TextRange[];
+}
+
+interface IndexedWord {
+  word: string;
+  start: number;
+  end: number;
+}
+
+interface IndexedTodo {
+  todo: Todo;
+  // Normalized text and, for each of its characters, the offset in the original text
+  text: string;
+  offsets: number[];
+  words: IndexedWord[];
+}
+
+export interface SearchIndex {
+  entries: IndexedTodo[];
+}
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const WORD = /[^\s.,;:!?()[\]{}"'`/\\|<>]+/g;
+
+// Normalize character by character so positions can be mapped back for highlighting
+const normalize = (text: string): { text: string; offsets: number[] } => {
+  let normalized = '';
+  const offsets: number[] = [];
+  for (let i = 0; i < text.length; i++) {
+    const folded = text.charAt(i).normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+    for (let j = 0; j < folded.length; j++) {
+      normalized += folded.charAt(j);
+      offsets.push(i);
+    }
+  }
+  return { text: normalized, offsets };
+};
+
+export const normalizeSearchText = (text: string): string => normalize(text).text;
+
+export const createSearchIndex = (todos: Todo[]): SearchIndex => ({
+  entries: todos.map(todo => {
+    const { text, offsets } = normalize(todo.text);
+    const words: IndexedWord[] = [];
+    let match: RegExpExecArray | null;
+    WORD.lastIndex = 0;
+    while ((match = WORD.exec(text)) !== null) {
+      words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return { todo, text, offsets, words };
+  }),
+});
+
+// Typos allowed for a query word of this length - short words must match exactly
+const allowedTypos = (length: number): number => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+// giving up as soon as it exceeds `max`
+export const editDistance = (a: string, b: string, max: number): number => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previousRow: number[] = [];
+  let row: number[] = [];
+  for (let j = 0; j <= b.length; j++) {
+    row.push(j);
+  }
+  for (let i = 1; i <= a.length; i++) {
+    const twoBack = previousRow;
+    previousRow = row;
+    row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+      let value = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+      if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+        value = Math.min(value, twoBack[j - 2] + 1);
+      }
+      row.push(value);
+      best = Math.min(best, value);
+    }
+    if (best > max) {
+      return max + 1;
+    }
+  }
+  return row[b.length];
+};
+
+// Where one query word matches in a todo (offsets into the normalized text), or null.
+// A substring match wins; otherwise the word with the fewest typos.
+const matchTerm = (entry: IndexedTodo, term: string): { start: number; end: number } | null => {
+  const exact = entry.text.indexOf(term);
+  if (exact !== -1) {
+    return { start: exact, end: exact + term.length };
+  }
+
+  const max = allowedTypos(term.length);
+  if (max === 0) {
+    return null;
+  }
+  let best: { start: number; end: number } | null = null;
+  let bestDistance = max + 1;
+  for (let i = 0; i < entry.words.length; i++) {
+    const { word, start, end } = entry.words[i];
+    const whole = editDistance(term, word, max);
+    // A prefix of the word as long as the query word, for results while typing
+    const prefixLength = Math.min(word.length, term.length);
+    const prefix = editDistance(term, word.slice(0, prefixLength), max);
+    const distance = Math.min(whole, prefix);
+    if (distance < bestDistance) {
+      best = { start, end: whole <= prefix ? end : start + prefixLength };
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+// Sort and join overlapping or touching ranges
+const mergeRanges = (ranges: TextRange[]): TextRange[] =>
+  ranges
+    .slice()
+    .sort((a, b) => a[0] - b[0])
+    .reduce<TextRange[]>((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+        return merged;
+      }
+      return [...merged, [range[0], range[1]] as TextRange];
+    }, []);
+
+export const parseSearchQuery = (query: string): string[] =>
+  normalizeSearchText(query).split(/\s+/).filter(Boolean);
+
+// Todos matching every word of the query, in index order, with highlight ranges
+export const searchTodos = (index: SearchIndex, query: string): SearchMatch[] => {
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const matches: SearchMatch[] = [];
+  index.entries.forEach(entry => {
+    const ranges: TextRange[] = [];
+    for (let i = 0; i < terms.length; i++) {
+      const match = matchTerm(entry, terms[i]);
+      if (!match) {
+        return;
+      }
+      // Map back to the original text - the end is one past the last matched character
+      ranges.push([entry.offsets[match.start], entry.offsets[match.end - 1] + 1]);
+    }
+    matches.push({ todo: entry.todo, ranges: mergeRanges(ranges) });
+  });
+  return matches;
+};
+
+// Split text into plain and highlighted segments for rendering
+export const splitHighlights = (
+  text: string,
+  ranges?: TextRange[]
+): Array<{ text: string; highlighted: boolean }> => {
+  if (!ranges || ranges.length === 0) {
+    return [{ text, highlighted: false }];
+  }
+  const segments: Array<{ text: string; highlighted: boolean }> = [];
+  let position = 0;
+  mergeRanges(ranges).forEach(([start, end]) => {
+    if (start > position) {
+      segments.push({ text: text.slice(position, start), highlighted: false });
+    }
+    segments.push({ text: text.slice(start, end), highlighted: true });
+    position = end;
+  });
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), highlighted: false });
+  }
+  return segments;
+};
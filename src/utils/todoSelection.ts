@@ -0,0 +1,28 @@
+// Multi-select for the todo lists. `orderedIds` are the rows as listed, so a shift-click
+// range covers exactly what the user sees between the two clicks.
+
+// Click on row `id`: toggles it, or with `range` gives every row between the anchor (the
+// last clicked row) and this one the state the clicked row is switching to
+export const updateSelection = (
+  selected: string[],
+  orderedIds: string[],
+  id: string,
+  anchorId: string | null,
+  range: boolean
+): string[] => {
+  const select = selected.indexOf(id) === -1;
+  const from = anchorId === null ? -1 : orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(id);
+  const ids = range && from !== -1 && to !== -1
+    ? orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+    : [id];
+
+  if (!select) {
+    return selected.filter(item => ids.indexOf(item) === -1);
+  }
+  return [...selected, ...ids.filter(item => selected.indexOf(item) === -1)];
+};
+
+// Only rows still listed count as selected - filtering a row out deselects it
+export const visibleSelection = (selected: string[], orderedIds: string[]): string[] =>
+  orderedIds.filter(id => selected.indexOf(id) !== -1);
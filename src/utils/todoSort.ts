@@ -0,0 +1,87 @@
+import { Todo, TodoPriority, TodoSort, TodoSortDirection, TodoSortKey } from '../types/todo';
+
+export const TODO_PRIORITIES: TodoPriority[] = ['low', 'normal', 'high', 'urgent'];
+
+export const TODO_SORT_KEYS: TodoSortKey[] = ['order', 'createdAt', 'updatedAt', 'dueAt', 'priority', 'text'];
+
+// Manual order - new todos go to the end, so untouched lists keep insertion order
+export const DEFAULT_TODO_SORT: TodoSort = { key: 'order', direction: 'asc' };
+
+// Ties on the chosen key fall through these, in order, so the result never depends on
+// the order the todos arrived in
+const SECONDARY_KEYS: TodoSortKey[] = ['priority', 'dueAt', 'createdAt', 'text'];
+
+export const isTodoPriority = (priority: unknown): priority is TodoPriority =>
+  TODO_PRIORITIES.indexOf(priority as TodoPriority) !== -1;
+
+export const isTodoSort = (sort: any): sort is TodoSort =>
+  !!sort && typeof sort === 'object'
+  && TODO_SORT_KEYS.indexOf(sort.key) !== -1
+  && (sort.direction === 'asc' || sort.direction === 'desc');
+
+export const priorityRank = (todo: Todo): number =>
+  TODO_PRIORITIES.indexOf(isTodoPriority(todo.priority) ? todo.priority : 'normal');
+
+const timeOf = (iso?: string | null): number | null => {
+  if (!iso) {
+    return null;
+  }
+  const time = new Date(iso).getTime();
+  return isNaN(time) ? null : time;
+};
+
+const orderOf = (todo: Todo): number | null =>
+  (typeof todo.order === 'number' && isFinite(todo.order) ? todo.order : null);
+
+// Ascending comparison on one key; todos without a value for it always go last
+const compareBy = (key: TodoSortKey, a: Todo, b: Todo, direction: number): number => {
+  if (key === 'text') {
+    return direction * a.text.localeCompare(b.text, undefined, { sensitivity: 'base', numeric: true });
+  }
+  if (key === 'priority') {
+    return direction * (priorityRank(a) - priorityRank(b));
+  }
+  const left = key === 'order' ? orderOf(a) : timeOf(a[key]);
+  const right = key === 'order' ? orderOf(b) : timeOf(b[key]);
+  if (left === null || right === null) {
+    return left === right ? 0 : left === null ? 1 : -1;
+  }
+  return direction * (left - right);
+};
+
+// Secondary keys use their natural direction: most urgent, soonest due, oldest, A-Z
+const naturalDirection = (key: TodoSortKey): number => (defaultSortDirection(key) === 'desc' ? -1 : 1);
+
+export const sortTodos = (todos: Todo[], sort: TodoSort = DEFAULT_TODO_SORT): Todo[] => {
+  // Manual order is exactly what the user arranged - ties keep list position
+  const keys = sort.key === 'order'
+    ? [sort.key]
+    : [sort.key, ...SECONDARY_KEYS.filter(key => key !== sort.key)];
+  const primaryDirection = sort.direction === 'desc' ? -1 : 1;
+
+  return todos
+    .map((todo, index) => ({ todo, index }))
+    .sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const result = compareBy(keys[i], a.todo, b.todo, i === 0 ? primaryDirection : naturalDirection(keys[i]));
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return a.index - b.index;
+    })
+    .map(entry => entry.todo);
+};
+
+export const TODO_SORT_LABELS: Record<TodoSortKey, string> = {
+  order: 'Manual',
+  createdAt: 'Created',
+  updatedAt: 'Updated',
+  dueAt: 'Due date',
+  priority: 'Priority',
+  text: 'Text',
+};
+
+// Direction picked when switching to a key - most urgent first for priority
+export const defaultSortDirection = (key: TodoSortKey): TodoSortDirection =>
+  (key === 'priority' ? 'desc' : 'asc');
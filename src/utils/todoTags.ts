@@ -0,0 +1,74 @@
+import { Todo } from '../types/todo';
+
+// Tags are stored lowercase without the leading '#': letters, digits, '_' and '-'
+const TAG_BODY = /^[\w\u00C0-\u024F-]+$/;
+// An inline tag in todo text - '#' at the start or after whitespace (so 'a#b' is not a tag)
+const INLINE_TAG = /(^|\s)#([\w\u00C0-\u024F-]+)/g;
+
+export interface TagCount {
+  tag: string;
+  count: number;
+}
+
+// '#Work ' -> 'work'; '' when the name is not a valid tag
+export const normalizeTag = (tag: unknown): string => {
+  if (typeof tag !== 'string') {
+    return '';
+  }
+  const name = tag.trim().replace(/^#/, '').toLowerCase();
+  return TAG_BODY.test(name) ? name : '';
+};
+
+// Normalized, without duplicates, in first-seen order
+export const uniqueTags = (tags: string[]): string[] =>
+  tags.reduce<string[]>((result, tag) => {
+    const name = normalizeTag(tag);
+    return name && result.indexOf(name) === -1 ? [...result, name] : result;
+  }, []);
+
+// Pull the inline #tags out of todo text. Text made only of tags is kept as typed.
+export const parseTags = (input: string): { text: string; tags: string[] } => {
+  const tags: string[] = [];
+  const stripped = input.replace(INLINE_TAG, (_match, space: string, tag: string) => {
+    tags.push(tag);
+    return space;
+  });
+  const text = stripped.replace(/\s+/g, ' ').trim();
+  return { text: text || input.trim(), tags: uniqueTags(tags) };
+};
+
+export const hasTag = (todo: Todo, tag: string): boolean =>
+  !!todo.tags && todo.tags.indexOf(tag) !== -1;
+
+// Every tag in use with the number of todos carrying it, alphabetically
+export const collectTags = (todos: Todo[]): TagCount[] => {
+  const counts: Record<string, number> = {};
+  todos.forEach(todo => {
+    (todo.tags || []).forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+  return Object.keys(counts)
+    .sort()
+    .map(tag => ({ tag, count: counts[tag] }));
+};
+
+// Replace the `from` tags with `into` (or drop them when `into` is null) on every todo.
+// Only the todos that changed are returned. Renaming and merging are the same operation:
+// renaming onto a tag that is already in use merges the two.
+export const retagTodos = (todos: Todo[], from: string[], into: string | null): Todo[] =>
+  todos.reduce<Todo[]>((changed, todo) => {
+    const tags = todo.tags || [];
+    if (!tags.some(tag => from.indexOf(tag) !== -1)) {
+      return changed;
+    }
+    const next = uniqueTags(
+      tags.reduce<string[]>((result, tag) => {
+        if (from.indexOf(tag) === -1) {
+          return [...result, tag];
+        }
+        return into ? [...result, into] : result;
+      }, [])
+    );
+    return [...changed, { ...todo, tags: next }];
+  }, []);
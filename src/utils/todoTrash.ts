@@ -0,0 +1,84 @@
+import { Todo } from '../types/todo';
+import { descendantIds } from './todoTree';
+
+// Deleting a todo moves it to the Trash: it gets a `deletedAt` tombstone and drops out of
+// every list, count and filter. From the Trash it can be restored or deleted for good;
+// tombstones older than the retention window are purged automatically.
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days from NEXT_PUBLIC_TODO_TRASH_RETENTION_DAYS - anything but a positive number means the default
+export const trashRetentionDays = (
+  value: string | undefined = process.env.NEXT_PUBLIC_TODO_TRASH_RETENTION_DAYS
+): number => {
+  const days = Number(value);
+  return value && isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+// One row of the Trash - subtasks deleted along with their parent are restored with it
+export interface TrashEntry {
+  todo: Todo;
+  subtasks: number;
+}
+
+export const isDeleted = (todo: Todo): boolean => !!todo.deletedAt;
+
+export const withoutDeleted = (todos: Todo[]): Todo[] => todos.filter(todo => !isDeleted(todo));
+
+// Tombstoned todos, most recently deleted first
+export const trashedTodos = (todos: Todo[]): Todo[] =>
+  todos
+    .filter(isDeleted)
+    .sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : a.deletedAt > b.deletedAt ? -1 : 0));
+
+// Copies of todo `id` and its subtasks with the tombstone set; empty when it is not listed
+// or already in the Trash
+export const trashTodos = (todos: Todo[], id: string, deletedAt: string): Todo[] => {
+  const todo = todos.find(item => item.id === id);
+  if (!todo || isDeleted(todo)) {
+    return [];
+  }
+  const live = withoutDeleted(todos);
+  const ids = [id, ...descendantIds(live, id)];
+  return live.filter(item => ids.indexOf(item.id) !== -1).map(item => ({ ...item, deletedAt }));
+};
+
+// Copies of trashed todo `id` and the subtasks deleted together with it, tombstone cleared.
+// Subtasks deleted on their own before stay in the Trash. Empty when `id` is not trashed.
+export const restoreFromTrash = (todos: Todo[], id: string): Todo[] => {
+  const todo = todos.find(item => item.id === id);
+  if (!todo || !isDeleted(todo)) {
+    return [];
+  }
+  const ids = [id, ...descendantIds(todos, id)];
+  return todos
+    .filter(item => ids.indexOf(item.id) !== -1 && item.deletedAt === todo.deletedAt)
+    .map(item => {
+      const restored = { ...item };
+      delete restored.deletedAt;
+      return restored;
+    });
+};
+
+// Ids removed when trashed todo `id` is deleted for good - its subtasks go with it
+export const purgeIds = (todos: Todo[], id: string): string[] => {
+  const todo = todos.find(item => item.id === id);
+  return todo && isDeleted(todo) ? [id, ...descendantIds(todos, id)] : [];
+};
+
+// Rows of the Trash: trashed todos whose parent is not trashed as well
+export const trashEntries = (todos: Todo[]): TrashEntry[] => {
+  const trashed = trashedTodos(todos);
+  const trashedIds = trashed.map(todo => todo.id);
+  return trashed
+    .filter(todo => !todo.parentId || trashedIds.indexOf(todo.parentId) === -1)
+    .map(todo => ({ todo, subtasks: descendantIds(trashed, todo.id).length }));
+};
+
+// Ids of tombstones older than the retention window
+export const expiredTrashIds = (todos: Todo[], now: number, retentionDays: number = trashRetentionDays()): string[] =>
+  todos
+    .filter(todo => isDeleted(todo) && now - new Date(todo.deletedAt).getTime() >= retentionDays * DAY_MS)
+    .map(todo => todo.id);
@@ -0,0 +1,157 @@
+import { Todo } from '../types/todo';
+import { ReorderTarget } from './todoOrder';
+
+// Subtasks point at their parent through `parentId`; the todo list itself stays flat.
+// These helpers derive the tree from it: display order, progress and completion rules.
+
+export interface TodoNode {
+  todo: Todo;
+  // 0 for top-level todos, 1 for their subtasks, ...
+  depth: number;
+}
+
+export interface SubtaskProgress {
+  done: number;
+  total: number;
+}
+
+// Completion change another todo gets from toggling one in its tree
+export interface CompletionChange {
+  id: string;
+  completed: boolean;
+}
+
+const groupByParent = (todos: Todo[]): Record<string, Todo[]> => {
+  const children: Record<string, Todo[]> = {};
+  todos.forEach(todo => {
+    if (todo.parentId) {
+      (children[todo.parentId] || (children[todo.parentId] = [])).push(todo);
+    }
+  });
+  return children;
+};
+
+// Each todo followed by its subtasks, siblings keeping their order in `todos`. Subtasks
+// whose parent is not in the list (e.g. filtered out) are shown at the top level.
+export const nestTodos = (todos: Todo[]): TodoNode[] => {
+  const listed: Record<string, boolean> = {};
+  todos.forEach(todo => {
+    listed[todo.id] = true;
+  });
+  const isRoot = (todo: Todo) => !todo.parentId || !listed[todo.parentId];
+  const children = groupByParent(todos.filter(todo => !isRoot(todo)));
+
+  const nodes: TodoNode[] = [];
+  const visited: Record<string, boolean> = {};
+  const visit = (todo: Todo, depth: number) => {
+    if (visited[todo.id]) {
+      return;
+    }
+    visited[todo.id] = true;
+    nodes.push({ todo, depth });
+    (children[todo.id] || []).forEach(child => visit(child, depth + 1));
+  };
+  todos.filter(isRoot).forEach(todo => visit(todo, 0));
+  // A parent cycle has no root - still list every todo once
+  todos.forEach(todo => visit(todo, 0));
+  return nodes;
+};
+
+// Rows that can trade places: top-level rows with each other, subtasks within their parent
+export const areSiblings = (a: TodoNode, b: TodoNode): boolean =>
+  (a.depth === 0 ? b.depth === 0 : b.depth > 0 && a.todo.parentId === b.todo.parentId);
+
+// Where Alt+Up/Down moves a listed todo: past its previous or next sibling row, so rows
+// hidden by a filter keep their place. Null when it is already first or last.
+export const moveTarget = (nodes: TodoNode[], id: string, direction: 'up' | 'down'): ReorderTarget | null => {
+  const node = nodes.find(item => item.todo.id === id);
+  if (!node) {
+    return null;
+  }
+  const siblings = nodes.filter(item => areSiblings(node, item));
+  const index = siblings.indexOf(node);
+  const target = siblings[direction === 'up' ? index - 1 : index + 1];
+  if (!target) {
+    return null;
+  }
+  return direction === 'up' ? { beforeId: target.todo.id } : { afterId: target.todo.id };
+};
+
+// Ids of every subtask below `id`, nearest first
+export const descendantIds = (todos: Todo[], id: string): string[] => {
+  const children = groupByParent(todos);
+  const ids: string[] = [];
+  const queue = [id];
+  while (queue.length > 0) {
+    (children[queue.shift() as string] || []).forEach(child => {
+      if (child.id !== id && ids.indexOf(child.id) === -1) {
+        ids.push(child.id);
+        queue.push(child.id);
+      }
+    });
+  }
+  return ids;
+};
+
+// Done/total direct subtasks per parent id - only todos that have subtasks are included
+export const subtaskProgress = (todos: Todo[]): Record<string, SubtaskProgress> => {
+  const progress: Record<string, SubtaskProgress> = {};
+  todos.forEach(todo => {
+    if (todo.parentId) {
+      const entry = progress[todo.parentId] || (progress[todo.parentId] = { done: 0, total: 0 });
+      entry.total += 1;
+      entry.done += todo.completed ? 1 : 0;
+    }
+  });
+  return progress;
+};
+
+// What else changes when todo `id` is marked `completed`:
+// - completing a todo completes all of its open subtasks
+// - with `completeParents`, completing the last open subtask completes the parent (and so on
+//   up the tree), and reopening a subtask reopens its completed ancestors
+export const completionChanges = (
+  todos: Todo[],
+  id: string,
+  completed: boolean,
+  completeParents: boolean = false
+): CompletionChange[] => {
+  const byId: Record<string, Todo> = {};
+  todos.forEach(todo => {
+    byId[todo.id] = todo;
+  });
+  if (!byId[id]) {
+    return [];
+  }
+
+  const state: Record<string, boolean> = { [id]: completed };
+  const isDone = (todo: Todo) => (state[todo.id] !== undefined ? state[todo.id] : todo.completed);
+  const changes: CompletionChange[] = [];
+  const change = (todo: Todo, done: boolean) => {
+    state[todo.id] = done;
+    changes.push({ id: todo.id, completed: done });
+  };
+
+  if (completed) {
+    descendantIds(todos, id).forEach(childId => {
+      if (!byId[childId].completed) {
+        change(byId[childId], true);
+      }
+    });
+  }
+
+  if (completeParents) {
+    const children = groupByParent(todos);
+    let parent = byId[byId[id].parentId as string];
+    // Bounded so a parent cycle in bad data cannot loop forever
+    for (let steps = 0; parent && steps < todos.length; steps++) {
+      const done = (children[parent.id] || []).every(isDone);
+      if (isDone(parent) === done) {
+        break;
+      }
+      change(parent, done);
+      parent = byId[parent.parentId as string];
+    }
+  }
+  return changes;
+};
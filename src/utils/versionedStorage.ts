@@ -0,0 +1,176 @@
+// localStorage adapter for atomWithStorage that stores { version, data } and upgrades
+// older data through migrations on read. Corrupt or unreadable entries fall back to the
+// initial value (the raw entry is kept under `<key>:backup`), and failed writes - e.g.
+// quota exceeded - are reported instead of thrown so the in-memory state keeps working.
+
+// Same shape as the SyncStorage atomWithStorage accepts (not exported by jotai/utils)
+export interface SyncStorage<T> {
+  getItem: (key: string, initialValue: T) => T;
+  setItem: (key: string, newValue: T) => void;
+  removeItem: (key: string) => void;
+  subscribe?: (key: string, callback: (value: T) => void, initialValue: T) => (() => void) | undefined;
+}
+
+export interface VersionedEnvelope<T> {
+  version: number;
+  data: T;
+}
+
+// migrations[n] upgrades data stored at version n - 1 to version n.
+// Anything stored without an envelope counts as version 0.
+export type Migrations = Record<number, (data: any) => any>;
+
+export type StorageErrorKind = 'corrupt' | 'unsupported-version' | 'quota' | 'write';
+
+export interface StorageError {
+  kind: StorageErrorKind;
+  key: string;
+  error?: unknown;
+}
+
+export interface VersionedStorageOptions<T> {
+  version: number;
+  migrations?: Migrations;
+  // Final check on the migrated data - anything failing it is treated as corrupt
+  validate?: (data: unknown) => boolean;
+  onError?: (error: StorageError) => void;
+  getStorage?: () => Storage | undefined;
+}
+
+export const BACKUP_SUFFIX = ':backup';
+
+const defaultGetStorage = (): Storage | undefined => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : undefined;
+  } catch (error) {
+    // Access itself throws when storage is disabled
+    return undefined;
+  }
+};
+
+const isEnvelope = (value: any): value is VersionedEnvelope<unknown> =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+  && typeof value.version === 'number' && 'data' in value;
+
+export const isQuotaExceededError = (error: any): boolean =>
+  !!error && (
+    error.name === 'QuotaExceededError'
+    || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+    || error.code === 22
+    || error.code === 1014
+  );
+
+// Bring stored data up to `version`. Throws when a step is missing or the data
+// comes from a newer version than this code knows about.
+export const migrate = (stored: VersionedEnvelope<unknown>, version: number, migrations: Migrations = {}) => {
+  if (stored.version > version) {
+    throw new RangeError(`Stored version ${stored.version} is newer than ${version}`);
+  }
+  let data = stored.data;
+  for (let next = stored.version + 1; next <= version; next++) {
+    const step = migrations[next];
+    if (!step) {
+      throw new Error(`Missing migration to version ${next}`);
+    }
+    data = step(data);
+  }
+  return data;
+};
+
+export const createVersionedStorage = <T>({
+  version,
+  migrations = {},
+  validate,
+  onError = () => {},
+  getStorage = defaultGetStorage,
+}: VersionedStorageOptions<T>): SyncStorage<T> => {
+  // Returns undefined when the raw entry can't be turned into current data
+  const decode = (key: string, raw: string): T | undefined => {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      onError({ kind: 'corrupt', key, error });
+      return undefined;
+    }
+
+    const envelope = isEnvelope(parsed) ? parsed : { version: 0, data: parsed };
+    try {
+      const data = migrate(envelope, version, migrations);
+      if (validate && !validate(data)) {
+        throw new TypeError(`Invalid data stored under ${key}`);
+      }
+      return data as T;
+    } catch (error) {
+      onError({ kind: error instanceof RangeError ? 'unsupported-version' : 'corrupt', key, error });
+      return undefined;
+    }
+  };
+
+  // Keep what could not be read so the next write doesn't destroy it for good
+  const backUp = (storage: Storage, key: string, raw: string) => {
+    try {
+      storage.setItem(`${key}${BACKUP_SUFFIX}`, raw);
+    } catch (error) {
+      // Nothing more we can do - the in-memory state still works
+    }
+  };
+
+  return {
+    getItem: (key, initialValue) => {
+      const storage = getStorage();
+      const raw = storage ? storage.getItem(key) : null;
+      if (raw === null) {
+        return initialValue;
+      }
+      const data = decode(key, raw);
+      if (data === undefined) {
+        backUp(storage, key, raw);
+        return initialValue;
+      }
+      return data;
+    },
+
+    setItem: (key, newValue) => {
+      const storage = getStorage();
+      if (!storage) {
+        return;
+      }
+      const envelope: VersionedEnvelope<T> = { version, data: newValue };
+      try {
+        storage.setItem(key, JSON.stringify(envelope));
+      } catch (error) {
+        onError({ kind: isQuotaExceededError(error) ? 'quota' : 'write', key, error });
+      }
+    },
+
+    removeItem: (key) => {
+      const storage = getStorage();
+      if (storage) {
+        storage.removeItem(key);
+      }
+    },
+
+    // Other tabs writing the same key - values that can't be decoded are ignored
+    subscribe: (key, callback, initialValue) => {
+      if (typeof window === 'undefined') {
+        return undefined;
+      }
+      const listener = (event: StorageEvent) => {
+        if (event.key !== key || event.storageArea !== getStorage()) {
+          return;
+        }
+        if (event.newValue === null) {
+          callback(initialValue);
+          return;
+        }
+        const data = decode(key, event.newValue);
+        if (data !== undefined) {
+          callback(data);
+        }
+      };
+      window.addEventListener('storage', listener);
+      return () => window.removeEventListener('storage', listener);
+    },
+  };
+};